@@ -0,0 +1,29 @@
+// backend/jobs/emissionScheduler.js
+const { updateEmissionRate } = require('../utils/emissions');
+
+// How often the job checks whether a new emission epoch has started (in seconds). It also re-derives the
+// base APR from the current TVL, in case updating it after a stake change failed.
+const CHECK_INTERVAL_SECONDS = 60;
+
+let isRunning = false; // Prevents overlapping runs
+
+async function runOnce() {
+    if (isRunning) return;
+    isRunning = true;
+    try {
+        await updateEmissionRate();
+    } catch (error) {
+        console.error('Emission epoch check failed:', error);
+    } finally {
+        isRunning = false;
+    }
+}
+
+// Starts the background emission scheduler. Runs once immediately, then every CHECK_INTERVAL_SECONDS.
+// Returns the interval handle.
+function startEmissionScheduler() {
+    runOnce();
+    return setInterval(runOnce, CHECK_INTERVAL_SECONDS * 1000);
+}
+
+module.exports = { startEmissionScheduler };
@@ -0,0 +1,28 @@
+// backend/jobs/mintJobProcessor.js
+const { processPendingMintJobs } = require('../utils/mintJobs');
+
+// How often unfinished NFT mint jobs are resumed (in seconds)
+const MINT_JOB_INTERVAL_SECONDS = parseInt(process.env.NFT_MINT_JOB_INTERVAL_SECONDS, 10) || 15;
+
+let isRunning = false; // Prevents overlapping runs
+
+async function runOnce() {
+    if (isRunning) return;
+    isRunning = true;
+    try {
+        await processPendingMintJobs();
+    } catch (error) {
+        console.error('NFT mint job run failed:', error);
+    } finally {
+        isRunning = false;
+    }
+}
+
+// Starts the background mint job processor. Runs once immediately (to resume mints that were in progress
+// when the server stopped), then every MINT_JOB_INTERVAL_SECONDS. Returns the interval handle.
+function startMintJobProcessor() {
+    runOnce();
+    return setInterval(runOnce, MINT_JOB_INTERVAL_SECONDS * 1000);
+}
+
+module.exports = { startMintJobProcessor };
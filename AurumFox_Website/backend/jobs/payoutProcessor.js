@@ -0,0 +1,28 @@
+// backend/jobs/payoutProcessor.js
+const { processPendingPayouts } = require('../utils/stakingPayouts');
+
+// How often pending staking payouts are sent and sent ones checked (in seconds)
+const PAYOUT_INTERVAL_SECONDS = parseInt(process.env.STAKING_PAYOUT_INTERVAL_SECONDS, 10) || 30;
+
+let isRunning = false; // Prevents overlapping runs (two runs must never build the same payout)
+
+async function runOnce() {
+    if (isRunning) return;
+    isRunning = true;
+    try {
+        await processPendingPayouts();
+    } catch (error) {
+        console.error('Staking payout run failed:', error);
+    } finally {
+        isRunning = false;
+    }
+}
+
+// Starts the background payout processor. Runs once immediately (to resume payouts that were in flight
+// when the server stopped), then every PAYOUT_INTERVAL_SECONDS. Returns the interval handle.
+function startPayoutProcessor() {
+    runOnce();
+    return setInterval(runOnce, PAYOUT_INTERVAL_SECONDS * 1000);
+}
+
+module.exports = { startPayoutProcessor };
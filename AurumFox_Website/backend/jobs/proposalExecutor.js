@@ -0,0 +1,28 @@
+// backend/jobs/proposalExecutor.js
+const { processPendingExecutions } = require('../utils/proposalExecution');
+
+// How often approved DAO executions are sent and their transactions checked (in seconds)
+const EXECUTOR_INTERVAL_SECONDS = parseInt(process.env.DAO_EXECUTOR_INTERVAL_SECONDS, 10) || 30;
+
+let isRunning = false; // Prevents overlapping runs (two runs must never build the same transfer)
+
+async function runOnce() {
+    if (isRunning) return;
+    isRunning = true;
+    try {
+        await processPendingExecutions();
+    } catch (error) {
+        console.error('DAO executor run failed:', error);
+    } finally {
+        isRunning = false;
+    }
+}
+
+// Starts the background executor. Runs once immediately (to resume transactions that were in flight
+// when the server stopped), then every EXECUTOR_INTERVAL_SECONDS. Returns the interval handle.
+function startProposalExecutor() {
+    runOnce();
+    return setInterval(runOnce, EXECUTOR_INTERVAL_SECONDS * 1000);
+}
+
+module.exports = { startProposalExecutor };
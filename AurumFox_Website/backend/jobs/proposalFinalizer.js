@@ -0,0 +1,31 @@
+// backend/jobs/proposalFinalizer.js
+const { finalizeExpiredProposals } = require('../utils/daoLifecycle');
+
+// How often expired DAO proposals are finalized (in seconds)
+const FINALIZER_INTERVAL_SECONDS = parseInt(process.env.DAO_FINALIZER_INTERVAL_SECONDS, 10) || 60;
+
+let isRunning = false; // Prevents overlapping runs if one takes longer than the interval
+
+async function runOnce() {
+    if (isRunning) return;
+    isRunning = true;
+    try {
+        const finalized = await finalizeExpiredProposals();
+        if (finalized > 0) {
+            console.log(`DAO finalizer: finalized ${finalized} expired proposal(s).`);
+        }
+    } catch (error) {
+        console.error('DAO finalizer run failed:', error);
+    } finally {
+        isRunning = false;
+    }
+}
+
+// Starts the background finalizer. Runs once immediately (to catch proposals that expired while
+// the server was down), then every FINALIZER_INTERVAL_SECONDS. Returns the interval handle.
+function startProposalFinalizer() {
+    runOnce();
+    return setInterval(runOnce, FINALIZER_INTERVAL_SECONDS * 1000);
+}
+
+module.exports = { startProposalFinalizer };
@@ -0,0 +1,32 @@
+// backend/jobs/rewardCompounder.js
+const { COMPOUND_INTERVAL_HOURS, compoundPositions } = require('../utils/stakePositions');
+
+// How often the job looks for auto-compounding positions that are due. Each position is compounded at most
+// once per STAKING_COMPOUND_INTERVAL_HOURS, so this only bounds how late it can be (at most one hour).
+const CHECK_INTERVAL_MS = Math.min(COMPOUND_INTERVAL_HOURS, 1) * 60 * 60 * 1000;
+
+let isRunning = false; // Prevents overlapping runs
+
+async function runOnce() {
+    if (isRunning) return;
+    isRunning = true;
+    try {
+        const compounded = await compoundPositions();
+        if (compounded > 0) {
+            console.log(`Compounded the rewards of ${compounded} stake position(s).`);
+        }
+    } catch (error) {
+        console.error('Staking reward compounding run failed:', error);
+    } finally {
+        isRunning = false;
+    }
+}
+
+// Starts the background reward compounder. Runs once immediately, then every CHECK_INTERVAL_MS.
+// Returns the interval handle.
+function startRewardCompounder() {
+    runOnce();
+    return setInterval(runOnce, CHECK_INTERVAL_MS);
+}
+
+module.exports = { startRewardCompounder };
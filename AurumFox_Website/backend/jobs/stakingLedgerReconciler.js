@@ -0,0 +1,31 @@
+// backend/jobs/stakingLedgerReconciler.js
+const { reconcileStakingEvents } = require('../utils/stakingEvents');
+
+// How often the job records staking ledger events that their request could not record (in minutes)
+const RECONCILE_INTERVAL_MINUTES = parseInt(process.env.STAKING_LEDGER_RECONCILE_MINUTES, 10) || 5;
+
+let isRunning = false; // Prevents overlapping runs
+
+async function runOnce() {
+    if (isRunning) return;
+    isRunning = true;
+    try {
+        const recorded = await reconcileStakingEvents();
+        if (recorded > 0) {
+            console.log(`Recorded ${recorded} missing staking ledger event(s).`);
+        }
+    } catch (error) {
+        console.error('Staking ledger reconciliation failed:', error);
+    } finally {
+        isRunning = false;
+    }
+}
+
+// Starts the background ledger reconciler. Runs once immediately, then every RECONCILE_INTERVAL_MINUTES.
+// Returns the interval handle.
+function startStakingLedgerReconciler() {
+    runOnce();
+    return setInterval(runOnce, RECONCILE_INTERVAL_MINUTES * 60 * 1000);
+}
+
+module.exports = { startStakingLedgerReconciler };
@@ -0,0 +1,28 @@
+// backend/jobs/stakingStatsSnapshotter.js
+const { takeStatsSnapshot } = require('../utils/stakingStats');
+
+// How often the current day's staking statistics snapshot is refreshed (in minutes)
+const SNAPSHOT_INTERVAL_MINUTES = parseInt(process.env.STAKING_STATS_INTERVAL_MINUTES, 10) || 60;
+
+let isRunning = false; // Prevents overlapping runs
+
+async function runOnce() {
+    if (isRunning) return;
+    isRunning = true;
+    try {
+        await takeStatsSnapshot();
+    } catch (error) {
+        console.error('Staking statistics snapshot failed:', error);
+    } finally {
+        isRunning = false;
+    }
+}
+
+// Starts the background snapshotter. Runs once immediately, then every SNAPSHOT_INTERVAL_MINUTES.
+// Returns the interval handle.
+function startStakingStatsSnapshotter() {
+    runOnce();
+    return setInterval(runOnce, SNAPSHOT_INTERVAL_MINUTES * 60 * 1000);
+}
+
+module.exports = { startStakingStatsSnapshotter };
@@ -0,0 +1,132 @@
+// backend/middleware/auth.js
+const AuthNonce = require('../models/AuthNonce');
+const { isValidSolanaAddress, verifySignature, buildSignedRequestMessage } = require('../utils/solanaUtils');
+const { verifyAccessToken } = require('../utils/authTokens');
+
+// Fields that carry the authentication itself and are therefore not part of the signed payload.
+const AUTH_FIELDS = ['signature', 'nonce'];
+
+// Extracts the token from an `Authorization: Bearer <token>` header, or returns null.
+const getBearerToken = (req) => {
+    const header = req.get('Authorization') || '';
+    const [scheme, token] = header.split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+};
+
+// --- Middleware Factory: Require Wallet Authentication ---
+// Ensures the wallet named in `req.body[walletField]` really authorized this request.
+// For GET requests the wallet may be given as `req.query[walletField]`; those must use a session token (A).
+// Two ways are accepted:
+//
+// A) Session token (preferred): `Authorization: Bearer <accessToken>` obtained from POST /api/auth/verify
+//    (Sign-In-With-Solana). The token's wallet must equal `req.body[walletField]`.
+//
+// B) Per-request signature: the client must
+//    1. Request a nonce for its wallet from POST /api/auth/nonce.
+//    2. Sign the canonical message from `buildSignedRequestMessage` (action, wallet, payload, nonce, expiry).
+//    3. Send the original body plus `nonce` and the base58 `signature`.
+//    On success the nonce is consumed (single use).
+//
+// Either way `req.authenticatedWallet` is set for the route handler.
+//
+// With `{ requireSignature: true }` only (B) is accepted, and the signature and signed message are exposed as
+// `req.walletSignature = { signature, message }` so the route can store them as a publicly verifiable proof
+// of authorship (e.g., DAO comments).
+const requireWalletAuth = (walletField, { requireSignature = false } = {}) => async (req, res, next) => {
+    const walletAddress = req.body[walletField] || req.query[walletField];
+
+    if (!walletAddress || !isValidSolanaAddress(walletAddress)) {
+        return res.status(401).json({ message: `Authentication required: a valid wallet address must be provided in "${walletField}".` });
+    }
+
+    // A) Bearer session token
+    const bearerToken = requireSignature ? null : getBearerToken(req);
+    if (bearerToken) {
+        let tokenWallet;
+        try {
+            tokenWallet = verifyAccessToken(bearerToken);
+        } catch (tokenError) {
+            return res.status(401).json({ message: 'Authentication failed: the session token is invalid or has expired. Please sign in again.' });
+        }
+        if (tokenWallet !== walletAddress) {
+            console.warn(`Session wallet ${tokenWallet} tried to act as ${walletAddress}.`);
+            return res.status(403).json({ message: 'Forbidden: the signed-in wallet does not match the wallet in this request.' });
+        }
+        req.authenticatedWallet = walletAddress;
+        return next();
+    }
+
+    // B) Per-request wallet signature
+    const { signature, nonce } = req.body;
+    if (!signature || !nonce) {
+        return res.status(401).json({
+            message: requireSignature
+                ? 'This action must be signed with your wallet: provide a wallet signature and nonce.'
+                : 'Authentication required: sign in, or provide a wallet signature and nonce.'
+        });
+    }
+
+    try {
+        const nonceRecord = await AuthNonce.findOne({ nonce, walletAddress });
+        if (!nonceRecord || nonceRecord.usedAt) {
+            return res.status(401).json({ message: 'Authentication failed: the nonce is unknown or has already been used. Please request a new one.' });
+        }
+        if (nonceRecord.expiresAt <= new Date()) {
+            return res.status(401).json({ message: 'Authentication failed: the signed request has expired. Please sign again.' });
+        }
+
+        // Rebuild the exact message the wallet should have signed from the request itself.
+        // The trailing slash is dropped: a router's root route has `req.path === '/'`, but clients sign the bare path.
+        const requestPath = `${req.baseUrl}${req.path}`.replace(/\/+$/, '') || '/';
+        const payload = { ...req.body };
+        AUTH_FIELDS.forEach(field => delete payload[field]);
+        const messageToVerify = buildSignedRequestMessage({
+            action: `${req.method} ${requestPath}`,
+            walletAddress,
+            payload,
+            nonce,
+            expiresAt: nonceRecord.expiresAt
+        });
+
+        const isSignatureValid = await verifySignature(walletAddress, messageToVerify, signature);
+        if (!isSignatureValid) {
+            console.warn(`Signature verification failed for wallet: ${walletAddress}. Request might be spoofed.`);
+            return res.status(403).json({ message: 'Authentication failed: Invalid wallet signature.' });
+        }
+
+        // Consume the nonce atomically so two concurrent requests cannot reuse the same signature.
+        const consumed = await AuthNonce.findOneAndUpdate(
+            { _id: nonceRecord._id, usedAt: null },
+            { $set: { usedAt: new Date() } }
+        );
+        if (!consumed) {
+            return res.status(401).json({ message: 'Authentication failed: the nonce has already been used.' });
+        }
+
+        req.authenticatedWallet = walletAddress;
+        req.walletSignature = { signature, message: messageToVerify };
+        next();
+    } catch (error) {
+        console.error('Server error during wallet signature verification:', error);
+        res.status(500).json({ message: 'Internal server error during signature verification. Please try again later.' });
+    }
+};
+
+// --- Middleware: Reject Invalid Session Tokens Early ---
+// For routes that must read a large body (file uploads) before requireWalletAuth can run: if the request carries
+// a Bearer token, it is verified first, so an invalid or expired token is answered with 401 before the body is
+// read. The token's wallet is still matched against the request by requireWalletAuth once the body is parsed.
+// Requests without a token pass through (they authenticate with a signature inside the body).
+const rejectInvalidSessionToken = (req, res, next) => {
+    const bearerToken = getBearerToken(req);
+    if (bearerToken) {
+        try {
+            verifyAccessToken(bearerToken);
+        } catch (tokenError) {
+            return res.status(401).json({ message: 'Authentication failed: the session token is invalid or has expired. Please sign in again.' });
+        }
+    }
+    next();
+};
+
+module.exports = { requireWalletAuth, rejectInvalidSessionToken };
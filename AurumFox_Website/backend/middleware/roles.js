@@ -0,0 +1,26 @@
+// backend/middleware/roles.js
+const { hasRole } = require('../utils/roles');
+
+// --- Middleware Factory: Require a Role ---
+// Allows the request only if the authenticated wallet holds one of `roles` (admins always pass).
+// Must run after `requireWalletAuth`, which sets `req.authenticatedWallet`.
+// Usage: router.post('/', requireWalletAuth('authorWallet'), requireRole('publisher'), handler)
+const requireRole = (...roles) => async (req, res, next) => {
+    const walletAddress = req.authenticatedWallet;
+    if (!walletAddress) {
+        return res.status(401).json({ message: 'Authentication required before checking roles.' });
+    }
+
+    try {
+        if (!(await hasRole(walletAddress, roles))) {
+            console.warn(`Unauthorized access attempt: Wallet ${walletAddress} lacks role(s): ${roles.join(', ')}.`);
+            return res.status(403).json({ message: `Forbidden: This action requires one of the following roles: ${roles.join(', ')}.` });
+        }
+        next();
+    } catch (error) {
+        console.error('Server error during role check:', error);
+        res.status(500).json({ message: 'Internal server error while checking permissions. Please try again later.' });
+    }
+};
+
+module.exports = { requireRole };
@@ -0,0 +1,49 @@
+// backend/models/AdminRole.js
+const mongoose = require('mongoose');
+
+// Roles a wallet can hold. 'admin' implicitly satisfies every role check (see utils/roles.js -> hasRole).
+//   admin     - manages roles and can do anything the other roles can
+//   moderator - can remove other users' content (e.g., posts)
+//   publisher - can publish official announcements
+//   treasurer - approves the execution of passed DAO treasury proposals (see routes/daoExecutions.js)
+const ROLES = ['admin', 'moderator', 'publisher', 'treasurer'];
+
+// One document per (wallet, role) assignment. Revoking a role deletes its document;
+// the history is kept in RoleAuditLog.
+const adminRoleSchema = new mongoose.Schema({
+    // The wallet that holds the role
+    walletAddress: {
+        type: String,
+        required: [true, 'Wallet address is required.'],
+        trim: true,
+        validate: {
+            validator: function(v) {
+                return /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(v);
+            },
+            message: props => `${props.value} is not a valid Solana wallet address format!`
+        }
+    },
+    // The granted role
+    role: {
+        type: String,
+        required: [true, 'Role is required.'],
+        enum: {
+            values: ROLES,
+            message: '{VALUE} is not a valid role.'
+        }
+    },
+    // Wallet of the admin who granted the role, or 'system:ADMIN_WALLETS' for seeded admins
+    grantedBy: {
+        type: String,
+        required: [true, 'The granting wallet is required.'],
+        trim: true
+    }
+}, {
+    timestamps: true // `createdAt` is the moment the role was granted
+});
+
+// A wallet can hold each role at most once
+adminRoleSchema.index({ walletAddress: 1, role: 1 }, { unique: true });
+
+module.exports = mongoose.model('AdminRole', adminRoleSchema);
+module.exports.ROLES = ROLES;
@@ -0,0 +1,42 @@
+// backend/models/AuthNonce.js
+const mongoose = require('mongoose');
+
+// A single-use, server-issued nonce that a wallet must include in a signed message.
+// Storing nonces (instead of trusting client-generated ones) prevents replaying an old signature.
+const authNonceSchema = new mongoose.Schema({
+    // Random value returned by POST /api/auth/nonce
+    nonce: {
+        type: String,
+        required: [true, 'Nonce value is required.'],
+        unique: true
+    },
+    // The wallet the nonce was issued to. A nonce cannot be used to sign for another wallet.
+    walletAddress: {
+        type: String,
+        required: [true, 'Wallet address is required.'],
+        trim: true,
+        validate: {
+            validator: function(v) {
+                return /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(v);
+            },
+            message: props => `${props.value} is not a valid Solana wallet address format!`
+        }
+    },
+    // After this moment the nonce (and any signature over it) is rejected.
+    expiresAt: {
+        type: Date,
+        required: [true, 'Nonce expiration date is required.']
+    },
+    // Set when the nonce is consumed by a verified request. Null means still unused.
+    usedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true // Automatically adds `createdAt` and `updatedAt` fields
+});
+
+// TTL index: MongoDB removes expired nonces automatically, keeping the collection small.
+authNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthNonce', authNonceSchema);
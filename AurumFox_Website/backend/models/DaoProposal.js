@@ -1,6 +1,66 @@
 // backend/models/DaoProposal.js
 const mongoose = require('mongoose');
 
+// Proposal categories. Each has its own rules (stake to propose, quorum, threshold), see utils/daoCategories.js.
+const PROPOSAL_CATEGORIES = ['treasury', 'parameter_change', 'community', 'partnership'];
+
+// How votes are cast and counted (see utils/daoTally.js):
+//   binary         - 'for' / 'against' (classic proposal, uses the approval threshold)
+//   single_choice  - pick exactly one of the options
+//   approval       - approve any number of the options
+//   ranked_choice  - rank options in order of preference, counted by instant-runoff
+const BALLOT_TYPES = ['binary', 'single_choice', 'approval', 'ranked_choice'];
+
+// Actions a passed proposal can carry out on-chain (see utils/proposalExecution.js)
+//   spl_transfer - transfer SPL tokens from the DAO treasury wallet to a recipient
+const EXECUTION_TYPES = ['spl_transfer'];
+const MAX_BALLOT_OPTIONS = 20;
+
+// A single vote, stored on the proposal so tallies can be audited and recomputed.
+const voteSchema = new mongoose.Schema({
+    // The wallet that cast the vote
+    voterWallet: {
+        type: String,
+        required: [true, 'Voter wallet address is required.'],
+        trim: true
+    },
+    // The voter's choice on a binary proposal
+    voteType: {
+        type: String,
+        enum: {
+            values: ['for', 'against'],
+            message: 'Vote type must be either "for" or "against".'
+        },
+        required: [function() { return !this.choices || this.choices.length === 0; }, 'Vote type is required.']
+    },
+    // The voter's choice on a multi-option ballot: indexes into the proposal's `options`.
+    // One entry for single choice, any set for approval, and preference order (first = favourite) for ranked choice.
+    choices: {
+        type: [Number],
+        default: undefined
+    },
+    // Voting power applied, taken from the proposal's snapshot (see models/VotingPowerSnapshot.js)
+    weight: {
+        type: Number,
+        required: [true, 'Vote weight is required.'],
+        min: [0, 'Vote weight cannot be negative.']
+    },
+    // Delegators whose snapshotted power this vote also carries (see models/Delegation.js).
+    // A delegator who later votes directly is no longer counted here (see utils/daoTally.js -> weightResolver).
+    delegators: {
+        type: [new mongoose.Schema({
+            walletAddress: { type: String, required: true },
+            weight: { type: Number, required: true, min: 0 }
+        }, { _id: false })],
+        default: undefined
+    },
+    // When the vote was cast
+    castAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
 const daoProposalSchema = new mongoose.Schema({
     // Title of the DAO proposal.
     title: {
@@ -33,18 +93,50 @@ const daoProposalSchema = new mongoose.Schema({
             message: props => `${props.value} is not a valid Solana wallet address format for the creator!` // Custom validation error message
         }
     },
-    // Count of 'for' votes received.
+    // --- Ballot ---
+    ballotType: {
+        type: String,
+        enum: {
+            values: BALLOT_TYPES,
+            message: '{VALUE} is not a valid ballot type.'
+        },
+        default: 'binary'
+    },
+    // The options voters choose from (not used by binary ballots)
+    options: {
+        type: [{
+            type: String,
+            trim: true,
+            maxlength: [200, 'A ballot option cannot exceed 200 characters.']
+        }],
+        default: undefined,
+        validate: {
+            validator: function(options) {
+                if (this.ballotType === 'binary') return !options || options.length === 0;
+                return Array.isArray(options) && options.length >= 2 && options.length <= MAX_BALLOT_OPTIONS &&
+                    options.every(option => option.length > 0) && new Set(options).size === options.length;
+            },
+            message: `Multi-option ballots need 2 to ${MAX_BALLOT_OPTIONS} distinct, non-empty options; binary proposals take no options.`
+        }
+    },
+    // Total voting weight (AFOX) cast 'for', including delegated weight. Recomputable from `votes`.
     votesFor: {
         type: Number,
         default: 0, // Defaults to zero
         min: [0, 'Votes for cannot be negative.'] // Ensures the count is non-negative
     },
-    // Count of 'against' votes received.
+    // Total voting weight (AFOX) cast 'against', including delegated weight. Recomputable from `votes`.
     votesAgainst: {
         type: Number,
         default: 0, // Defaults to zero
         min: [0, 'Votes against cannot be negative.'] // Ensures the count is non-negative
     },
+    // Total voting weight (AFOX) of all ballots cast, whatever the ballot type. Used for turnout on multi-option ballots.
+    totalWeightCast: {
+        type: Number,
+        default: 0,
+        min: [0, 'Total weight cast cannot be negative.']
+    },
     // An array of wallet addresses that have already voted on this proposal.
     // This helps in preventing duplicate votes from the same wallet.
     voters: {
@@ -60,27 +152,178 @@ const daoProposalSchema = new mongoose.Schema({
             message: 'One or more wallet addresses in the voters list are not in a valid Solana address format.' // Custom error message for array validation
         }
     },
-    // The date and time when the voting period for the proposal ends.
+    // Per-voter record of every vote with the weight it carried.
+    votes: {
+        type: [voteSchema],
+        default: []
+    },
+    // --- Voting power snapshot (taken when voting opens: at creation, or when a draft is activated) ---
+    // Where voter weights came from: staked AFOX or on-chain AFOX balances.
+    snapshotSource: {
+        type: String,
+        enum: {
+            values: ['stake', 'onchain'],
+            message: 'Snapshot source must be either "stake" or "onchain".'
+        },
+        default: 'stake'
+    },
+    // When the snapshot was taken
+    snapshotAt: {
+        type: Date,
+        default: null
+    },
+    // Sum of all eligible voting power in the snapshot (useful for turnout/quorum calculations)
+    totalVotingPower: {
+        type: Number,
+        default: 0,
+        min: [0, 'Total voting power cannot be negative.']
+    },
+    // Number of wallets with non-zero voting power in the snapshot
+    eligibleVoterCount: {
+        type: Number,
+        default: 0,
+        min: [0, 'Eligible voter count cannot be negative.']
+    },
+    // The category decides the minimum stake to propose and the minimum quorum / approval threshold.
+    category: {
+        type: String,
+        enum: {
+            values: PROPOSAL_CATEGORIES,
+            message: '{VALUE} is not a valid proposal category.'
+        },
+        default: 'community'
+    },
+    // --- Voting rules (fixed when the proposal is created) ---
+    // Length of the voting window chosen by the creator. `expiresAt` is set from it when voting opens.
+    votingPeriodHours: {
+        type: Number,
+        min: [1, 'The voting period must be at least 1 hour.']
+    },
+    // Minimum share of `totalVotingPower` that must vote (for + against) for the result to count, 0..1.
+    quorum: {
+        type: Number,
+        required: [true, 'Proposal quorum is required.'],
+        min: [0, 'Quorum cannot be negative.'],
+        max: [1, 'Quorum cannot exceed 1 (100% of voting power).']
+    },
+    // Share of the cast weight that must be 'for' for the proposal to pass. The 'for' share must EXCEED this value, 0..1.
+    approvalThreshold: {
+        type: Number,
+        required: [true, 'Proposal approval threshold is required.'],
+        min: [0, 'Approval threshold cannot be negative.'],
+        max: [1, 'Approval threshold cannot exceed 1.']
+    },
+    // Current version of the title/description/options. Starts at 1 and is increased by every amendment
+    // (drafts only), so once voting opens it identifies the exact text being voted on (see models/ProposalRevision.js).
+    version: {
+        type: Number,
+        default: 1,
+        min: [1, 'Proposal version starts at 1.']
+    },
+    // The date and time when voting opened (null while in draft).
+    startsAt: {
+        type: Date,
+        default: null
+    },
+    // The date and time when the voting period for the proposal ends. Not set while the proposal is a draft.
     expiresAt: {
         type: Date,
-        required: [true, 'The expiration date for the proposal is required.'], // Must be provided
+        required: [function() { return this.status !== 'draft'; }, 'The expiration date for the proposal is required.'],
         validate: {
             validator: function(value) {
-                // When creating a new proposal, the expiration date must be in the future.
-                // This check applies specifically at the time of document creation/validation.
+                // The expiration date must be in the future when it is set (creation or activation).
+                // Existing proposals are not re-checked, otherwise an expired proposal could never be saved again.
+                if (!this.isNew && !this.isModified('expiresAt')) return true;
                 return value > Date.now();
             },
             message: props => `The expiration date (${props.value}) must be in the future for an active proposal.` // Custom validation error message
         }
     },
-    // The current status of the proposal, restricting it to predefined values.
+    // The current status of the proposal in its lifecycle:
+    //   draft -> active -> succeeded | defeated | cancelled,  succeeded -> executed
+    //   (a draft can also be cancelled before voting opens)
     status: {
         type: String,
         enum: {
-            values: ['active', 'completed'], // Only 'active' or 'completed' are allowed statuses
-            message: 'Proposal status must be either "active" or "completed".' // Custom error message for invalid enum value
+            values: ['draft', 'active', 'succeeded', 'defeated', 'cancelled', 'executed'],
+            message: '{VALUE} is not a valid proposal status.' // Custom error message for invalid enum value
         },
-        default: 'active' // New proposals default to 'active'
+        default: 'active' // New proposals open for voting immediately unless created as a draft
+    },
+    // Outcome recorded when voting ends (see utils/daoLifecycle.js -> finalizeProposal). Null until finalized.
+    result: {
+        type: new mongoose.Schema({
+            outcome: {
+                type: String,
+                enum: ['passed', 'rejected', 'quorum_not_reached', 'tied']
+            },
+            winners: {              // Winning option indexes (multi-option ballots only; several if tied)
+                type: [Number],
+                default: undefined
+            },
+            totalVotes: Number,     // votesFor + votesAgainst (weighted)
+            turnout: Number,        // totalVotes / totalVotingPower, 0..1
+            quorumReached: Boolean,
+            approvalRatio: Number,  // votesFor / totalVotes, 0..1 (0 if nobody voted; binary ballots only)
+            finalizedAt: Date
+        }, { _id: false }),
+        default: null
+    },
+    // Set when the proposal is cancelled by its creator or an admin
+    cancelledAt: {
+        type: Date,
+        default: null
+    },
+    cancelledBy: {
+        type: String,
+        default: null
+    },
+    // Set when an admin marks a succeeded proposal as executed
+    executedAt: {
+        type: Date,
+        default: null
+    },
+    executedBy: {
+        type: String,
+        default: null
+    },
+    // Optional on-chain action performed when the proposal succeeds (treasury proposals only).
+    // Queued for approval and execution as a ProposalExecution once the proposal passes.
+    execution: {
+        type: new mongoose.Schema({
+            type: {
+                type: String,
+                enum: {
+                    values: EXECUTION_TYPES,
+                    message: '{VALUE} is not a supported execution type.'
+                },
+                required: [true, 'Execution type is required.']
+            },
+            // SPL token mint to transfer
+            mint: {
+                type: String,
+                required: [true, 'Token mint is required for a transfer.'],
+                match: [/^[1-9A-HJ-NP-Za-km-z]{32,44}$/, 'Token mint must be a valid Solana address.']
+            },
+            // Wallet receiving the tokens (its associated token account is created if needed)
+            recipient: {
+                type: String,
+                required: [true, 'Recipient wallet is required for a transfer.'],
+                match: [/^[1-9A-HJ-NP-Za-km-z]{32,44}$/, 'Recipient must be a valid Solana address.']
+            },
+            // Amount in token units (e.g., 1500.5 AFOX)
+            amount: {
+                type: Number,
+                required: [true, 'Transfer amount is required.'],
+                min: [0.000001, 'Transfer amount must be positive.']
+            }
+        }, { _id: false }),
+        default: null
+    },
+    // Signature of the transaction that carried out `execution` (set when it is confirmed on-chain)
+    executionTxSignature: {
+        type: String,
+        default: null
     }
 }, {
     // Schema options:
@@ -91,4 +334,11 @@ const daoProposalSchema = new mongoose.Schema({
     timestamps: true
 });
 
+// Used by the finalizer job to find active proposals whose voting period has ended
+daoProposalSchema.index({ status: 1, expiresAt: 1 });
+
 module.exports = mongoose.model('DaoProposal', daoProposalSchema);
+module.exports.PROPOSAL_CATEGORIES = PROPOSAL_CATEGORIES;
+module.exports.BALLOT_TYPES = BALLOT_TYPES;
+module.exports.MAX_BALLOT_OPTIONS = MAX_BALLOT_OPTIONS;
+module.exports.EXECUTION_TYPES = EXECUTION_TYPES;
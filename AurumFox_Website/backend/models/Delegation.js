@@ -0,0 +1,63 @@
+// backend/models/Delegation.js
+const mongoose = require('mongoose');
+const { PROPOSAL_CATEGORIES } = require('./DaoProposal');
+
+// A wallet lending its DAO voting power to another wallet.
+// A delegation applies to proposals whose voting opens while it is active (delegations are part of the
+// voting power snapshot). `category: null` covers every category; a category-specific delegation
+// takes precedence over the general one for proposals of that category.
+const delegationSchema = new mongoose.Schema({
+    // The wallet giving away its voting power
+    delegatorWallet: {
+        type: String,
+        required: [true, 'Delegator wallet address is required.'],
+        trim: true,
+        validate: {
+            validator: v => /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(v),
+            message: props => `${props.value} is not a valid Solana wallet address format for the delegator!`
+        }
+    },
+    // The wallet voting on the delegator's behalf
+    delegateWallet: {
+        type: String,
+        required: [true, 'Delegate wallet address is required.'],
+        trim: true,
+        validate: [
+            {
+                validator: v => /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(v),
+                message: props => `${props.value} is not a valid Solana wallet address format for the delegate!`
+            },
+            {
+                validator: function(v) { return v !== this.delegatorWallet; },
+                message: 'A wallet cannot delegate to itself.'
+            }
+        ]
+    },
+    // Category the delegation is limited to, or null for all categories
+    category: {
+        type: String,
+        enum: {
+            values: PROPOSAL_CATEGORIES,
+            message: '{VALUE} is not a valid proposal category.'
+        },
+        default: null
+    },
+    // True until revoked (or replaced by a newer delegation for the same scope)
+    active: {
+        type: Boolean,
+        default: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// At most one active delegation per delegator and category scope
+delegationSchema.index({ delegatorWallet: 1, category: 1 }, { unique: true, partialFilterExpression: { active: true } });
+// Used to list the delegations a wallet has received
+delegationSchema.index({ delegateWallet: 1, active: 1 });
+
+module.exports = mongoose.model('Delegation', delegationSchema);
@@ -0,0 +1,50 @@
+// backend/models/EmissionEpoch.js
+const mongoose = require('mongoose');
+
+// One staking reward epoch of the emission schedule (see utils/emissions.js).
+// An epoch's `budget` is the AFOX to be emitted as staking rewards over the epoch. Its base APR is derived
+// from the budget and the reward-weighted TVL (within the configured floor and cap) when the epoch starts and
+// again whenever the stake changes; the rates in effect over time are kept as EmissionRate segments.
+// Epochs can be planned ahead with their own budget; until they start `baseApr` is null.
+const emissionEpochSchema = new mongoose.Schema({
+    // Sequential number; epoch n starts at STAKING_EMISSIONS_START + n * STAKING_EPOCH_DAYS
+    number: {
+        type: Number,
+        required: [true, 'Epoch number is required.'],
+        unique: true
+    },
+    startsAt: {
+        type: Date,
+        required: [true, 'Epoch start is required.']
+    },
+    endsAt: {
+        type: Date,
+        required: [true, 'Epoch end is required.']
+    },
+    // AFOX emitted as rewards over the epoch
+    budget: {
+        type: Number,
+        required: [true, 'Epoch budget is required.'],
+        min: [0, 'Epoch budget cannot be negative.']
+    },
+    // Sum of staked amounts times their pool's reward multiplier, as last measured
+    weightedTvl: {
+        type: Number,
+        default: null
+    },
+    // Current APR of a pool with reward multiplier 1 (null while the epoch is only planned)
+    baseApr: {
+        type: Number,
+        default: null
+    },
+    activatedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+emissionEpochSchema.index({ startsAt: 1 });
+
+module.exports = mongoose.model('EmissionEpoch', emissionEpochSchema);
@@ -0,0 +1,40 @@
+// backend/models/EmissionRate.js
+const mongoose = require('mongoose');
+
+// One segment of the staking reward rate history (see utils/emissions.js). A new segment starts whenever an
+// epoch starts and whenever the reward-weighted TVL changes the epoch's base APR; it lasts until the next one.
+// Rewards over an interval integrate the base APR of every segment it spans.
+const emissionRateSchema = new mongoose.Schema({
+    // The rate is in effect from this moment until the next segment starts
+    startsAt: {
+        type: Date,
+        required: [true, 'Segment start is required.']
+    },
+    // Emission epoch the segment belongs to
+    epoch: {
+        type: Number,
+        required: [true, 'Epoch number is required.']
+    },
+    // Sum of staked amounts times their pool's reward multiplier the rate was derived from
+    weightedTvl: {
+        type: Number,
+        required: [true, 'Weighted TVL is required.']
+    },
+    // APR of a pool with reward multiplier 1
+    baseApr: {
+        type: Number,
+        required: [true, 'Base APR is required.']
+    },
+    // Running integral of the base APR from the first segment's start up to this segment's start (APR-ms), so
+    // the rate history can be read from any segment on instead of from the beginning
+    integral: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+emissionRateSchema.index({ startsAt: 1 }, { unique: true });
+
+module.exports = mongoose.model('EmissionRate', emissionRateSchema);
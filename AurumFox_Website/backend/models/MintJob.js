@@ -0,0 +1,154 @@
+// backend/models/MintJob.js
+const mongoose = require('mongoose');
+
+// One NFT mint, carried out step by step by the mint job processor (see utils/mintJobs.js). The media and
+// metadata are stored before the job is queued. Each on-chain step is one transaction whose signature is
+// recorded before it is sent, so a job interrupted by a crash or an RPC error resumes where it stopped
+// and never mints twice.
+//   queued             - media and metadata stored; the mint account is created next
+//   mint-created       - the mint account exists (`mint`)
+//   ata-ready          - the owner's associated token account exists (`tokenAccount`)
+//   awaiting-signature - creator-paid mints only: all steps up to 'minted' are one transaction, partially signed
+//                        by the backend, which the creator's wallet pays for, co-signs and submits
+//   minted             - the token is minted and its Metaplex metadata and master edition exist
+//   saved              - the NFT record is saved (`nft`); done
+//   failed             - a step kept failing, or the creator did not sign in time; `failedStep` is the status
+//                        it was stuck in
+const MINT_JOB_STATUSES = ['queued', 'mint-created', 'ata-ready', 'awaiting-signature', 'minted', 'saved', 'failed'];
+// Who pays the rent and fees of a mint: the backend's mint authority wallet, or the creator's wallet
+const MINT_FEE_PAYERS = ['server', 'creator'];
+
+const mintJobSchema = new mongoose.Schema({
+    creatorWallet: {
+        type: String,
+        required: [true, 'Creator wallet address is required.'],
+        trim: true,
+        match: [/^[1-9A-HJ-NP-Za-km-z]{32,44}$/, 'Creator wallet must be a valid Solana address.']
+    },
+    name: {
+        type: String,
+        required: [true, 'NFT name is required.'],
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    attributes: {
+        type: [mongoose.Schema.Types.Mixed], // Same format as NFT.attributes
+        default: []
+    },
+    // Stored media (see utils/nftMedia.js) and the JSON metadata document the on-chain metadata points to
+    media: {
+        mediaType: String,
+        provider: String,
+        originalUri: String,
+        image: String,
+        variants: {
+            original: String,
+            poster: String,
+            preview: String,
+            thumbnail: String
+        }
+    },
+    metadataUri: {
+        type: String,
+        required: [true, 'Metadata URI is required.']
+    },
+    feePayer: {
+        type: String,
+        enum: {
+            values: MINT_FEE_PAYERS,
+            message: '{VALUE} is not a valid mint fee payer.'
+        },
+        default: 'server'
+    },
+    status: {
+        type: String,
+        enum: {
+            values: MINT_JOB_STATUSES,
+            message: '{VALUE} is not a valid mint job status.'
+        },
+        default: 'queued'
+    },
+    // Address of the mint account, chosen when the job is created so a resumed job recognizes its own mint
+    mint: {
+        type: String,
+        required: [true, 'Mint address is required.']
+    },
+    // Secret key of the new mint account (base58). Only needed to sign its creation; cleared afterwards, or when
+    // a creator-paid job expires unsigned.
+    mintSecretKey: {
+        type: String,
+        default: null
+    },
+    // The owner's associated token account and the Metaplex accounts, derived from the mint when the job is queued
+    tokenAccount: {
+        type: String,
+        default: null
+    },
+    metadataAddress: {
+        type: String,
+        default: null
+    },
+    masterEditionAddress: {
+        type: String,
+        default: null
+    },
+    // The saved NFT record
+    nft: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'NFT',
+        default: null
+    },
+    // Confirmed transaction of each step. `mint` mints the token and creates the metadata and master edition.
+    signatures: {
+        createMint: { type: String, default: null },
+        tokenAccount: { type: String, default: null },
+        mint: { type: String, default: null }
+    },
+    // Creator-paid mints: the partially signed transaction handed to the creator to co-sign (serialized, base64)
+    // and the block height after which it expires. A submitted transaction must carry exactly its message.
+    creatorTransaction: {
+        transaction: { type: String, default: null },
+        lastValidBlockHeight: { type: Number, default: null }
+    },
+    // Transaction of the current step that was sent but is not confirmed yet, and the block height
+    // after which it can no longer land (only then is the step sent again)
+    pendingSignature: {
+        type: String,
+        default: null
+    },
+    pendingLastValidBlockHeight: {
+        type: Number,
+        default: null
+    },
+    // Transactions sent (or save attempts) for the current step, and the last error
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lastError: {
+        type: String,
+        default: null
+    },
+    // Status the job had when it failed
+    failedStep: {
+        type: String,
+        default: null
+    },
+    // A processor working on the job holds it until this moment (prevents two processors running the same step)
+    lockedUntil: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+mintJobSchema.index({ status: 1, updatedAt: 1 }); // The mint job processor polls by status
+mintJobSchema.index({ mint: 1 }, { unique: true });
+
+module.exports = mongoose.model('MintJob', mintJobSchema);
+module.exports.MINT_JOB_STATUSES = MINT_JOB_STATUSES;
+module.exports.MINT_FEE_PAYERS = MINT_FEE_PAYERS;
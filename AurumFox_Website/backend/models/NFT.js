@@ -55,6 +55,61 @@ const nftSchema = new mongoose.Schema({
             message: props => `${props.value} is not a valid Solana mint address format.` // Custom error message
         }
     },
+    // Detected MIME type of the uploaded media (image, short video or GLB model; see utils/nftMedia.js)
+    mediaType: {
+        type: String,
+        default: null
+    },
+    // URLs of the stored media variants. `original` is the uploaded file without metadata (EXIF etc.);
+    // `poster` is the still shown for videos and models (null for images); `preview` and `thumbnail`
+    // are WebP images for the detail view and the marketplace grid. `image` is the poster or the original image.
+    variants: {
+        original: { type: String, default: null },
+        poster: { type: String, default: null },
+        preview: { type: String, default: null },
+        thumbnail: { type: String, default: null }
+    },
+    // Content-addressed URI of the media file (ipfs://<cid>, ar://<transaction id> or local://<file name>).
+    // `image` is the HTTP(S) URL serving it.
+    imageUri: {
+        type: String,
+        default: null,
+        trim: true
+    },
+    // Where the media and metadata are stored (see utils/nftStorage.js)
+    storageProvider: {
+        type: String,
+        enum: {
+            values: ['local', 'ipfs', 'arweave'],
+            message: '{VALUE} is not a valid storage provider.'
+        },
+        default: null
+    },
+    // Content-addressed URI of the JSON metadata document (name, description, image, attributes), as `imageUri`.
+    // The on-chain metadata points to the URL it resolved to at mint time (see resolveStorageUri in utils/nftStorage.js).
+    metadataUri: {
+        type: String,
+        default: null,
+        trim: true
+    },
+    // Address of the Metaplex metadata account of the mint (on-chain name, symbol, URI and royalties).
+    metadataAddress: {
+        type: String,
+        default: null,
+        validate: {
+            validator: v => v === null || isValidSolanaAddress(v),
+            message: props => `${props.value} is not a valid Solana metadata account address format.`
+        }
+    },
+    // Address of the Metaplex master edition account, which holds the mint authority (a one-of-one NFT).
+    masterEditionAddress: {
+        type: String,
+        default: null,
+        validate: {
+            validator: v => v === null || isValidSolanaAddress(v),
+            message: props => `${props.value} is not a valid Solana master edition address format.`
+        }
+    },
     // The Solana wallet address of the current owner of this NFT.
     owner: {
         type: String,
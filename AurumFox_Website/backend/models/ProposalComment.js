@@ -0,0 +1,85 @@
+// backend/models/ProposalComment.js
+const mongoose = require('mongoose');
+
+// A signed snapshot of a comment's text: the wallet signature over the exact request message.
+// Anyone can check it with `verifySignature(authorWallet, signedMessage, signature)` (utils/solanaUtils.js).
+const commentVersionSchema = new mongoose.Schema({
+    content: {
+        type: String,
+        required: true
+    },
+    signature: {
+        type: String,
+        required: true
+    },
+    signedMessage: {
+        type: String,
+        required: true
+    },
+    // When this version was written
+    writtenAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// A comment in the discussion thread of a DAO proposal.
+const proposalCommentSchema = new mongoose.Schema({
+    // The proposal being discussed
+    proposal: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DaoProposal',
+        required: [true, 'Proposal reference is required.'],
+        index: true
+    },
+    // The comment this one replies to (null for top-level comments)
+    parentComment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ProposalComment',
+        default: null
+    },
+    // The wallet that wrote (and signed) the comment
+    authorWallet: {
+        type: String,
+        required: [true, 'Author wallet address is required.'],
+        trim: true,
+        validate: {
+            validator: v => /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(v),
+            message: props => `${props.value} is not a valid Solana wallet address.`
+        }
+    },
+    // Current text of the comment
+    content: {
+        type: String,
+        required: [true, 'Comment content is required.'],
+        trim: true,
+        minlength: [1, 'Comment cannot be empty.'],
+        maxlength: [2000, 'Comment cannot exceed 2000 characters.']
+    },
+    // Signature of the current text (see commentVersionSchema)
+    signature: {
+        type: String,
+        required: [true, 'Comment signature is required.']
+    },
+    signedMessage: {
+        type: String,
+        required: [true, 'Signed message is required.']
+    },
+    // Earlier versions of the comment, oldest first. Appended on every edit.
+    previousVersions: {
+        type: [commentVersionSchema],
+        default: []
+    },
+    // Set when the comment was last edited (null if never edited)
+    editedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Threads are loaded per proposal in chronological order
+proposalCommentSchema.index({ proposal: 1, createdAt: 1 });
+
+module.exports = mongoose.model('ProposalComment', proposalCommentSchema);
@@ -0,0 +1,88 @@
+// backend/models/ProposalExecution.js
+const mongoose = require('mongoose');
+
+// The execution queue for passed DAO proposals that carry an on-chain action (DaoProposal.execution).
+//   awaiting_approval - needs `requiredApprovals` treasurer approvals before anything is sent
+//   queued            - approved; the executor job builds, signs and sends the transaction
+//   submitted         - sent with `txSignature`; the executor checks it until it confirms, fails or expires
+//   confirmed         - landed on-chain; the proposal is marked 'executed'
+//   failed            - the transaction failed or could not be built; an admin can re-queue it
+const EXECUTION_STATUSES = ['awaiting_approval', 'queued', 'submitted', 'confirmed', 'failed'];
+
+const approvalSchema = new mongoose.Schema({
+    walletAddress: {
+        type: String,
+        required: true
+    },
+    approvedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const proposalExecutionSchema = new mongoose.Schema({
+    // The proposal being executed (one execution per proposal)
+    proposal: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DaoProposal',
+        required: [true, 'Proposal reference is required.'],
+        unique: true
+    },
+    // Copy of the proposal's execution payload at the time it passed
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: [true, 'Execution payload is required.']
+    },
+    status: {
+        type: String,
+        enum: {
+            values: EXECUTION_STATUSES,
+            message: '{VALUE} is not a valid execution status.'
+        },
+        default: 'awaiting_approval'
+    },
+    // Treasurer approvals ("multisig" at the application level)
+    requiredApprovals: {
+        type: Number,
+        default: 0,
+        min: [0, 'Required approvals cannot be negative.']
+    },
+    approvals: {
+        type: [approvalSchema],
+        default: []
+    },
+    // The backend wallet that signs the transaction
+    executorWallet: {
+        type: String,
+        default: null
+    },
+    // Signature of the latest submitted transaction and the block height after which it can no longer land
+    txSignature: {
+        type: String,
+        default: null
+    },
+    lastValidBlockHeight: {
+        type: Number,
+        default: null
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lastError: {
+        type: String,
+        default: null
+    },
+    confirmedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// The executor job polls by status
+proposalExecutionSchema.index({ status: 1, updatedAt: 1 });
+
+module.exports = mongoose.model('ProposalExecution', proposalExecutionSchema);
+module.exports.EXECUTION_STATUSES = EXECUTION_STATUSES;
@@ -0,0 +1,50 @@
+// backend/models/ProposalRevision.js
+const mongoose = require('mongoose');
+
+// One version of a DAO proposal's text. Version 1 is the text at creation; every amendment
+// (allowed only while the proposal is a draft) adds the next version. The proposal's `version`
+// field points at the current one, which is the text voters vote on once voting opens.
+const proposalRevisionSchema = new mongoose.Schema({
+    proposal: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DaoProposal',
+        required: [true, 'Proposal reference is required.']
+    },
+    version: {
+        type: Number,
+        required: [true, 'Revision version is required.'],
+        min: [1, 'Revision version starts at 1.']
+    },
+    title: {
+        type: String,
+        required: [true, 'Revision title is required.']
+    },
+    description: {
+        type: String,
+        required: [true, 'Revision description is required.']
+    },
+    // Options of a multi-option ballot at this version (empty for binary proposals)
+    options: {
+        type: [String],
+        default: undefined
+    },
+    // Why the creator amended the proposal (empty for version 1)
+    note: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Amendment note cannot exceed 500 characters.'],
+        default: ''
+    },
+    // The wallet that wrote this version (the proposal's creator)
+    authorWallet: {
+        type: String,
+        required: [true, 'Author wallet address is required.']
+    }
+}, {
+    timestamps: true // `createdAt` is when this version was published
+});
+
+// One document per version of a proposal
+proposalRevisionSchema.index({ proposal: 1, version: 1 }, { unique: true });
+
+module.exports = mongoose.model('ProposalRevision', proposalRevisionSchema);
@@ -0,0 +1,43 @@
+// backend/models/RefreshToken.js
+const mongoose = require('mongoose');
+
+// A long-lived refresh token issued at Sign-In-With-Solana login.
+// Only a SHA-256 hash of the token is stored, so a database leak does not expose usable tokens.
+const refreshTokenSchema = new mongoose.Schema({
+    // SHA-256 hex digest of the opaque token handed to the client
+    tokenHash: {
+        type: String,
+        required: [true, 'Refresh token hash is required.'],
+        unique: true
+    },
+    // The wallet this session belongs to
+    walletAddress: {
+        type: String,
+        required: [true, 'Wallet address is required.'],
+        trim: true,
+        validate: {
+            validator: function(v) {
+                return /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(v);
+            },
+            message: props => `${props.value} is not a valid Solana wallet address format!`
+        }
+    },
+    // After this moment the refresh token can no longer be exchanged for a new access token
+    expiresAt: {
+        type: Date,
+        required: [true, 'Refresh token expiration date is required.']
+    },
+    // Set when the token is rotated (used) or explicitly revoked at logout
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true // Automatically adds `createdAt` and `updatedAt` fields
+});
+
+refreshTokenSchema.index({ walletAddress: 1 });
+// TTL index: expired refresh tokens are removed automatically by MongoDB
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,46 @@
+// backend/models/RoleAuditLog.js
+const mongoose = require('mongoose');
+
+// Append-only audit trail of every role change: who changed which role for which wallet, and why.
+const roleAuditLogSchema = new mongoose.Schema({
+    // What happened
+    action: {
+        type: String,
+        required: [true, 'Audit action is required.'],
+        enum: {
+            values: ['grant', 'revoke'],
+            message: 'Audit action must be either "grant" or "revoke".'
+        }
+    },
+    // The wallet whose role changed
+    walletAddress: {
+        type: String,
+        required: [true, 'Wallet address is required.'],
+        trim: true
+    },
+    // The role that was granted or revoked
+    role: {
+        type: String,
+        required: [true, 'Role is required.']
+    },
+    // The admin wallet that made the change, or 'system:ADMIN_WALLETS' for seeding
+    performedBy: {
+        type: String,
+        required: [true, 'The acting wallet is required.'],
+        trim: true
+    },
+    // Optional free-text justification
+    reason: {
+        type: String,
+        default: '',
+        trim: true,
+        maxlength: [500, 'Reason cannot exceed 500 characters.']
+    }
+}, {
+    timestamps: true // `createdAt` records when the change happened
+});
+
+roleAuditLogSchema.index({ createdAt: -1 });
+roleAuditLogSchema.index({ walletAddress: 1, createdAt: -1 });
+
+module.exports = mongoose.model('RoleAuditLog', roleAuditLogSchema);
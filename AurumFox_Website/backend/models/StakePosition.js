@@ -0,0 +1,112 @@
+// backend/models/StakePosition.js
+const mongoose = require('mongoose');
+
+// One staking deposit. Each position has its own start time, lockup and reward accrual,
+// and can be withdrawn partially (see utils/stakePositions.js).
+// Balance changes are versioned (optimistic concurrency): saving a position that changed since it was read
+// fails with a VersionError instead of overwriting the other change.
+//   open   - still holds stake (`amount` > 0)
+//   closed - fully withdrawn
+const POSITION_STATUSES = ['open', 'closed'];
+
+const stakePositionSchema = new mongoose.Schema({
+    walletAddress: {
+        type: String,
+        required: [true, 'Wallet address is required.'],
+        trim: true,
+        match: [/^[1-9A-HJ-NP-Za-km-z]{32,44}$/, 'Wallet address must be a valid Solana address.']
+    },
+    // Staking pool key (see utils/stakingPools.js)
+    pool: {
+        type: String,
+        required: [true, 'Staking pool is required.']
+    },
+    // The verified on-chain deposit that opened this position (null for balances migrated from StakingUser)
+    deposit: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StakingDeposit',
+        default: null
+    },
+    // The StakingUser record a migrated position came from (makes the migration idempotent)
+    legacyStakingUser: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    // AFOX originally deposited
+    principal: {
+        type: Number,
+        required: [true, 'Principal is required.'],
+        min: [0, 'Principal cannot be negative.']
+    },
+    // AFOX still staked (principal minus partial withdrawals, plus compounded rewards)
+    amount: {
+        type: Number,
+        required: [true, 'Staked amount is required.'],
+        min: [0, 'Staked amount cannot be negative.']
+    },
+    // Rewards accrued up to `lastAccruedAt` and not yet paid out
+    rewards: {
+        type: Number,
+        default: 0,
+        min: [0, 'Rewards cannot be negative.']
+    },
+    // Rewards accrue continuously from this moment on (on `amount`, at the pool's share of the epoch emission rate)
+    lastAccruedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Auto-compound: the compounding job folds accrued rewards into `amount` (see utils/stakePositions.js)
+    autoCompound: {
+        type: Boolean,
+        default: false
+    },
+    // Total rewards folded into the stake so far
+    compoundedRewards: {
+        type: Number,
+        default: 0
+    },
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Withdrawing before this moment costs the pool's early-exit fee. Null for flexible pools.
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    status: {
+        type: String,
+        enum: {
+            values: POSITION_STATUSES,
+            message: '{VALUE} is not a valid position status.'
+        },
+        default: 'open'
+    },
+    closedAt: {
+        type: Date,
+        default: null
+    },
+    // False until the 'stake' event of a deposit's position is in the staking ledger (see utils/stakingEvents.js).
+    // Not set on migrated positions and on positions from before the ledger was reconciled.
+    eventRecorded: {
+        type: Boolean
+    }
+}, {
+    timestamps: true,
+    optimisticConcurrency: true
+});
+
+// Withdrawals go oldest-first (FIFO) through a wallet's open positions
+stakePositionSchema.index({ walletAddress: 1, status: 1, startedAt: 1 });
+// Used by the compounding job
+stakePositionSchema.index({ autoCompound: 1, status: 1, lastAccruedAt: 1 });
+// The oldest accrual still open bounds the emission rate history that is loaded (utils/emissions.js)
+stakePositionSchema.index({ status: 1, lastAccruedAt: 1 });
+// A deposit is credited to at most one position
+stakePositionSchema.index({ deposit: 1 }, { unique: true, partialFilterExpression: { deposit: { $type: 'objectId' } } });
+stakePositionSchema.index({ legacyStakingUser: 1 }, { unique: true, partialFilterExpression: { legacyStakingUser: { $type: 'objectId' } } });
+// Used by the staking ledger reconciler
+stakePositionSchema.index({ eventRecorded: 1, createdAt: 1 }, { partialFilterExpression: { eventRecorded: false } });
+
+module.exports = mongoose.model('StakePosition', stakePositionSchema);
+module.exports.POSITION_STATUSES = POSITION_STATUSES;
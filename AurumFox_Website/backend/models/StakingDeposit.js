@@ -0,0 +1,56 @@
+// backend/models/StakingDeposit.js
+const mongoose = require('mongoose');
+
+// A verified on-chain AFOX transfer into the staking vault that was credited as stake.
+// The unique `txSignature` guarantees each transaction is credited at most once.
+const stakingDepositSchema = new mongoose.Schema({
+    // Signature of the Solana transaction carrying the transfer
+    txSignature: {
+        type: String,
+        required: [true, 'Transaction signature is required.'],
+        unique: true,
+        trim: true
+    },
+    // The wallet that sent the tokens and was credited
+    walletAddress: {
+        type: String,
+        required: [true, 'Wallet address is required.'],
+        trim: true,
+        match: [/^[1-9A-HJ-NP-Za-km-z]{32,44}$/, 'Wallet address must be a valid Solana address.']
+    },
+    // Amount credited, in AFOX (as verified on-chain, not as requested)
+    amount: {
+        type: Number,
+        required: [true, 'Deposit amount is required.'],
+        min: [0, 'Deposit amount cannot be negative.']
+    },
+    // Same amount in the token's base units, kept as a string to avoid rounding
+    rawAmount: {
+        type: String,
+        required: true
+    },
+    mint: {
+        type: String,
+        required: true
+    },
+    // The vault token account that received the tokens
+    vaultTokenAccount: {
+        type: String,
+        required: true
+    },
+    slot: {
+        type: Number,
+        default: null
+    },
+    // On-chain time of the transaction
+    blockTime: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true // `createdAt` is when the deposit was credited
+});
+
+stakingDepositSchema.index({ walletAddress: 1, createdAt: -1 });
+
+module.exports = mongoose.model('StakingDeposit', stakingDepositSchema);
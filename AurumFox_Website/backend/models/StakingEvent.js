@@ -0,0 +1,94 @@
+// backend/models/StakingEvent.js
+const mongoose = require('mongoose');
+
+// Append-only ledger of everything that happened to a wallet's stake (for history, tax reporting and support).
+//   stake            - a verified deposit opened a position (`amount` = AFOX deposited)
+//   claim            - rewards were claimed (`amount` = `rewards` paid out)
+//   unstake          - stake was withdrawn (`amount` = AFOX paid out: `principal` after `fee`, plus `rewards`)
+//   compound         - rewards were folded into a position's stake (`amount` = `rewards` compounded)
+//   payout_confirmed - the payout of a claim or unstake landed on-chain (`txSignature`)
+//   payout_failed    - the payout of a claim or unstake failed (it can be retried by an admin)
+//   migrated         - a balance from before per-deposit positions became a position
+// Events are never updated or deleted.
+const EVENT_TYPES = ['stake', 'claim', 'unstake', 'compound', 'payout_confirmed', 'payout_failed', 'migrated'];
+
+const stakingEventSchema = new mongoose.Schema({
+    walletAddress: {
+        type: String,
+        required: [true, 'Wallet address is required.'],
+        trim: true
+    },
+    type: {
+        type: String,
+        required: [true, 'Event type is required.'],
+        enum: {
+            values: EVENT_TYPES,
+            message: '{VALUE} is not a valid staking event type.'
+        }
+    },
+    // Staking pool key, or null for events spanning several pools
+    pool: {
+        type: String,
+        default: null
+    },
+    // Net AFOX of the event (see the types above)
+    amount: {
+        type: Number,
+        required: [true, 'Amount is required.']
+    },
+    // Stake withdrawn after the early-exit fee (unstake)
+    principal: {
+        type: Number,
+        default: 0
+    },
+    rewards: {
+        type: Number,
+        default: 0
+    },
+    // Early-exit fee kept by the vault (unstake)
+    fee: {
+        type: Number,
+        default: 0
+    },
+    position: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StakePosition',
+        default: null
+    },
+    payout: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StakingPayout',
+        default: null
+    },
+    // Deposit transaction (stake) or payout transaction (payout_confirmed, payout_failed)
+    txSignature: {
+        type: String,
+        default: null
+    },
+    // Extra detail, e.g. the error of a failed payout
+    note: {
+        type: String,
+        default: null
+    },
+    // Identifies the operation of a stake, claim or unstake event ('<type>:<position or payout id>'),
+    // so it is recorded at most once even when the ledger reconciler records it after the request
+    key: {
+        type: String
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+stakingEventSchema.index({ walletAddress: 1, createdAt: -1 });
+stakingEventSchema.index({ key: 1 }, { unique: true, partialFilterExpression: { key: { $type: 'string' } } });
+
+// Enforce append-only: existing events cannot be changed or removed through the model
+stakingEventSchema.pre('save', function(next) {
+    next(this.isNew ? undefined : new Error('Staking events are append-only and cannot be modified.'));
+});
+stakingEventSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function(next) {
+    next(new Error('Staking events are append-only and cannot be modified.'));
+});
+
+module.exports = mongoose.model('StakingEvent', stakingEventSchema);
+module.exports.EVENT_TYPES = EVENT_TYPES;
@@ -0,0 +1,113 @@
+// backend/models/StakingPayout.js
+const mongoose = require('mongoose');
+
+// One AFOX transfer from the staking vault to a user (claimed rewards or unstaked tokens).
+// The collection doubles as the payout ledger users reconcile against (GET /api/staking/:walletAddress/payouts).
+//   pending   - recorded; the payout processor builds, signs and sends the transfer
+//   sent      - sent with `txSignature`; checked until it confirms, fails or expires
+//   confirmed - landed on-chain
+//   failed    - the transfer failed or could not be sent after several attempts; an admin can retry it
+const PAYOUT_STATUSES = ['pending', 'sent', 'confirmed', 'failed'];
+const PAYOUT_TYPES = ['claim', 'unstake'];
+
+const stakingPayoutSchema = new mongoose.Schema({
+    walletAddress: {
+        type: String,
+        required: [true, 'Wallet address is required.'],
+        trim: true,
+        match: [/^[1-9A-HJ-NP-Za-km-z]{32,44}$/, 'Wallet address must be a valid Solana address.']
+    },
+    type: {
+        type: String,
+        enum: {
+            values: PAYOUT_TYPES,
+            message: '{VALUE} is not a valid payout type.'
+        },
+        required: [true, 'Payout type is required.']
+    },
+    // Amount paid out, in AFOX
+    amount: {
+        type: Number,
+        required: [true, 'Payout amount is required.'],
+        min: [0.000001, 'Payout amount must be positive.']
+    },
+    // For unstakes: how much of `amount` is returned stake after fees (the rest are rewards)
+    principal: {
+        type: Number,
+        default: 0
+    },
+    // Staking pool the payout comes from (null for a claim across all pools)
+    pool: {
+        type: String,
+        default: null
+    },
+    // Early-exit fee withheld from the principal when unstaking before the lockup ended
+    fee: {
+        type: Number,
+        default: 0
+    },
+    // Breakdown per stake position (principal withdrawn, fee withheld, rewards settled)
+    positions: {
+        type: [new mongoose.Schema({
+            position: { type: mongoose.Schema.Types.ObjectId, ref: 'StakePosition' },
+            pool: String,
+            principal: Number,
+            fee: Number,
+            rewards: Number
+        }, { _id: false })],
+        default: []
+    },
+    status: {
+        type: String,
+        enum: {
+            values: PAYOUT_STATUSES,
+            message: '{VALUE} is not a valid payout status.'
+        },
+        default: 'pending'
+    },
+    // Signature of the latest transaction and the block height after which it can no longer land
+    txSignature: {
+        type: String,
+        default: null
+    },
+    lastValidBlockHeight: {
+        type: Number,
+        default: null
+    },
+    // Signatures of earlier attempts that did not pay out (expired or failed), kept for reconciliation
+    previousSignatures: {
+        type: [String],
+        default: []
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lastError: {
+        type: String,
+        default: null
+    },
+    sentAt: {
+        type: Date,
+        default: null
+    },
+    confirmedAt: {
+        type: Date,
+        default: null
+    },
+    // False until the 'claim' or 'unstake' event of the payout is in the staking ledger (see utils/stakingEvents.js).
+    // Not set on payouts from before the ledger was reconciled.
+    eventRecorded: {
+        type: Boolean
+    }
+}, {
+    timestamps: true
+});
+
+stakingPayoutSchema.index({ walletAddress: 1, createdAt: -1 });
+stakingPayoutSchema.index({ status: 1, updatedAt: 1 }); // The payout processor polls by status
+stakingPayoutSchema.index({ eventRecorded: 1, createdAt: 1 }, { partialFilterExpression: { eventRecorded: false } }); // The ledger reconciler
+
+module.exports = mongoose.model('StakingPayout', stakingPayoutSchema);
+module.exports.PAYOUT_STATUSES = PAYOUT_STATUSES;
+module.exports.PAYOUT_TYPES = PAYOUT_TYPES;
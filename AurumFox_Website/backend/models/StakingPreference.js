@@ -0,0 +1,23 @@
+// backend/models/StakingPreference.js
+const mongoose = require('mongoose');
+
+// Wallet-wide staking settings. `autoCompound` is the default for new deposits of the wallet;
+// each StakePosition carries its own flag, which can also be changed individually.
+const stakingPreferenceSchema = new mongoose.Schema({
+    walletAddress: {
+        type: String,
+        required: [true, 'Wallet address is required.'],
+        unique: true,
+        trim: true,
+        match: [/^[1-9A-HJ-NP-Za-km-z]{32,44}$/, 'Wallet address must be a valid Solana address.']
+    },
+    // Fold accrued rewards into the stake periodically instead of leaving them to be claimed
+    autoCompound: {
+        type: Boolean,
+        default: false
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('StakingPreference', stakingPreferenceSchema);
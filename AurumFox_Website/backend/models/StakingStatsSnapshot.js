@@ -0,0 +1,50 @@
+// backend/models/StakingStatsSnapshot.js
+const mongoose = require('mongoose');
+
+// Global staking statistics for one day (UTC). The snapshot job overwrites the current day's record on
+// every run, so a finished day keeps the last values measured that day. Feeds the time series of GET /api/staking/stats.
+const stakingStatsSnapshotSchema = new mongoose.Schema({
+    // UTC day, 'YYYY-MM-DD'
+    day: {
+        type: String,
+        required: [true, 'Snapshot day is required.'],
+        unique: true,
+        match: [/^\d{4}-\d{2}-\d{2}$/, 'Snapshot day must be formatted as YYYY-MM-DD.']
+    },
+    // Total value locked: AFOX staked in open positions
+    tvl: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Wallets with AFOX staked
+    stakerCount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    averageStake: {
+        type: Number,
+        default: 0
+    },
+    // Rewards claimed, paid out with unstakes or compounded, all time
+    rewardsDistributed: {
+        type: Number,
+        default: 0
+    },
+    // TVL per staking pool
+    pools: [{
+        _id: false,
+        pool: String,
+        tvl: Number,
+        stakerCount: Number
+    }],
+    takenAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('StakingStatsSnapshot', stakingStatsSnapshotSchema);
@@ -1,14 +1,21 @@
 // backend/models/StakingUser.js
 const mongoose = require('mongoose');
 
+// LEGACY: a wallet's aggregate balance in one staking pool. Superseded by StakePosition (one record per deposit);
+// remaining balances are moved into positions on startup by `migrateLegacyStakes` (utils/stakePositions.js).
 const stakingUserSchema = new mongoose.Schema({
-    // Unique identifier for the user's wallet address
+    // The staker's wallet address
     walletAddress: {
         type: String,
         required: true,
-        unique: true,
         trim: true // Added to remove whitespace from the wallet address edges
     },
+    // The staking pool of this position (key from utils/stakingPools.js)
+    pool: {
+        type: String,
+        required: true,
+        default: 'flexible'
+    },
     // The total amount of tokens currently staked by the user
     stakedAmount: {
         type: Number,
@@ -31,9 +38,18 @@ const stakingUserSchema = new mongoose.Schema({
     lastStakedOrUnstaked: {
         type: Date,
         default: Date.now
+    },
+    // Unstaking before this moment costs the pool's early-exit fee. Each deposit extends it to the
+    // deposit time plus the pool's lockup. Null for flexible pools.
+    lockedUntil: {
+        type: Date,
+        default: null
     }
 }, {
     timestamps: true // Automatically adds `createdAt` and `updatedAt` fields
 });
 
+// One record per wallet and pool
+stakingUserSchema.index({ walletAddress: 1, pool: 1 }, { unique: true });
+
 module.exports = mongoose.model('StakingUser', stakingUserSchema);
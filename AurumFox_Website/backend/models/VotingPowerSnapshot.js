@@ -0,0 +1,50 @@
+// backend/models/VotingPowerSnapshot.js
+const mongoose = require('mongoose');
+
+// Voting power of one wallet for one DAO proposal, frozen when voting on the proposal opens.
+// Taking the snapshot up front means moving tokens (or staking more) after a proposal is
+// created cannot change its outcome, and the same tokens cannot vote twice from different wallets.
+const votingPowerSnapshotSchema = new mongoose.Schema({
+    // The proposal this snapshot belongs to
+    proposal: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DaoProposal',
+        required: [true, 'Proposal reference is required.']
+    },
+    // The wallet holding the voting power
+    walletAddress: {
+        type: String,
+        required: [true, 'Wallet address is required.'],
+        trim: true
+    },
+    // AFOX amount (staked or held, depending on `source`) at snapshot time
+    weight: {
+        type: Number,
+        required: [true, 'Voting weight is required.'],
+        min: [0, 'Voting weight cannot be negative.']
+    },
+    // Where the weight came from
+    source: {
+        type: String,
+        enum: {
+            values: ['stake', 'onchain'],
+            message: 'Snapshot source must be either "stake" or "onchain".'
+        },
+        required: [true, 'Snapshot source is required.']
+    },
+    // Wallet this voting power was delegated to when the snapshot was taken (null = not delegated).
+    // The delegate votes with this weight unless the wallet votes directly (see models/Delegation.js).
+    delegateWallet: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true // `createdAt` is the snapshot time
+});
+
+// One snapshot entry per wallet per proposal
+votingPowerSnapshotSchema.index({ proposal: 1, walletAddress: 1 }, { unique: true });
+// Used to find the delegated weight of a delegate for a proposal
+votingPowerSnapshotSchema.index({ proposal: 1, delegateWallet: 1 });
+
+module.exports = mongoose.model('VotingPowerSnapshot', votingPowerSnapshotSchema);
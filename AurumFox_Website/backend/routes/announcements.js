@@ -4,96 +4,11 @@ const router = express.Router();
 const Announcement = require('../models/Announcement');
 const { PublicKey } = require('@solana/web3.js'); // Required for Solana public key format validation
 
-// --- External Utilities and Configuration (IMPORTANT: You need to set these up) ---
-
-// 1. Solana Utility for Signature Verification:
-//    You MUST create this file (e.g., backend/utils/solanaUtils.js)
-//    Example content for backend/utils/solanaUtils.js:
-/*
-    const { PublicKey } = require('@solana/web3.js');
-    const bs58 = require('bs58');
-    const nacl = require('tweetnacl'); // For Ed25519 verification
-
-    async function verifySignature(publicKeyString, message, signatureString) {
-        try {
-            const publicKey = new PublicKey(publicKeyString);
-            const signature = bs58.decode(signatureString);
-            const messageBytes = new TextEncoder().encode(message); // Ensure message encoding matches frontend
-
-            // Perform cryptographic verification using nacl (Ed25519 for Solana)
-            const isVerified = nacl.sign.detached.verify(
-                messageBytes,
-                signature,
-                publicKey.toBytes()
-            );
-            return isVerified;
-        } catch (error) {
-            console.error('Error during signature verification:', error);
-            // In production, handle specific errors (e.g., malformed signature)
-            return false;
-        }
-    }
-    module.exports = { verifySignature };
-*/
-// Uncomment the line below once you have created and implemented the utility:
-// const { verifySignature } = require('../utils/solanaUtils');
-
-// 2. Admin Wallets Configuration:
-//    This should be loaded securely, ideally from environment variables.
-//    In your .env, you'd have something like: ADMIN_WALLETS=address1,address2,address3
-//    Then, in your main app.js or a config file, you'd load it:
-//    const ADMIN_WALLETS_ENV = process.env.ADMIN_WALLETS;
-//    const AUTHORIZED_ADMIN_WALLETS = ADMIN_WALLETS_ENV ? ADMIN_WALLETS_ENV.split(',') : [];
-const AUTHORIZED_ADMIN_WALLETS = [
-    "YOUR_ADMIN_SOLANA_WALLET_ADDRESS_1", // <<--- REPLACE WITH REAL ADMIN WALLET ADDRESSES
-    "YOUR_ADMIN_SOLANA_WALLET_ADDRESS_2"  // <<--- MAKE SURE THESE MATCH YOUR DEPLOYED ADMIN WALLETS
-];
-
-
-// --- Middleware for Admin Authorization ---
-// This middleware checks if the requesting wallet is an authorized administrator
-// and optionally verifies the wallet's signature.
-const authorizeAdmin = async (req, res, next) => {
-    const { authorWallet, signature } = req.body;
-
-    // Ensure authorWallet is provided for authorization attempt
-    if (!authorWallet) {
-        return res.status(401).json({ message: 'Authorization required: Author wallet address is missing in the request body.' });
-    }
-
-    // 1. Whitelist Check: Verify if the provided wallet address is in the list of authorized admins.
-    if (!AUTHORIZED_ADMIN_WALLETS.includes(authorWallet)) {
-        console.warn(`Unauthorized access attempt: Wallet ${authorWallet} is not an authorized administrator.`);
-        return res.status(403).json({ message: 'Forbidden: Only authorized administrators can perform this action.' });
-    }
-
-    // 2. Web3 Signature Verification (CRUCIAL for proving actual wallet ownership)
-    // This step verifies that the request was cryptographically signed by the 'authorWallet'.
-    /*
-    // Uncomment this entire block after implementing verifySignature utility
-    if (!signature) {
-        return res.status(401).json({ message: 'Authentication failed: Wallet signature is missing for this admin action.' });
-    }
-
-    // The message that was signed by the frontend. This must exactly match what was signed.
-    // Consider adding a nonce for replay attack protection in production scenarios.
-    const messageToVerify = JSON.stringify({ text, authorWallet }); // Example: Signing relevant data
-
-    try {
-        const isSignatureValid = await verifySignature(authorWallet, messageToVerify, signature);
-        if (!isSignatureValid) {
-            console.warn(`Signature verification failed for admin wallet: ${authorWallet}. Potentially spoofed request.`);
-            return res.status(403).json({ message: 'Authentication failed: Invalid wallet signature.' });
-        }
-    } catch (sigError) {
-        console.error('Server error during signature verification:', sigError);
-        return res.status(500).json({ message: 'Internal server error during signature verification. Please try again later.' });
-    }
-    */
-
-    // If all checks pass (whitelist and optional signature), proceed to the route handler
-    next();
-};
+// --- Authentication and Authorization ---
+// `requireWalletAuth` proves the caller controls 'authorWallet' (session token or signature),
+// `requireRole` checks the persisted role registry (see models/AdminRole.js). Admins always pass.
+const { requireWalletAuth } = require('../middleware/auth');
+const { requireRole } = require('../middleware/roles');
 
 
 // --- Route: Get All Announcements ---
@@ -111,11 +26,11 @@ router.get('/', async (req, res) => {
 
 
 // --- Route: Post a New Announcement ---
-// This route is protected by the `authorizeAdmin` middleware.
-// Requires: 'text' (content of the announcement) and 'authorWallet' (admin's public key).
-// Assumes 'signature' is also provided in the request body for verification by `authorizeAdmin`.
-router.post('/', authorizeAdmin, async (req, res) => {
-    const { text, authorWallet } = req.body; // 'signature' is consumed by authorizeAdmin middleware
+// This route is protected by the `requireWalletAuth` and `requireRole('publisher')` middleware.
+// Requires: 'text' (content of the announcement) and 'authorWallet' (publisher's or admin's public key),
+// plus a Bearer session token or 'nonce' + 'signature' from that wallet.
+router.post('/', requireWalletAuth('authorWallet'), requireRole('publisher'), async (req, res) => {
+    const { text, authorWallet } = req.body; // Authentication is handled by requireWalletAuth
 
     // 1. Basic Input Validation (early exit for obviously missing data)
     // Mongoose schema validation will catch more detailed issues.
@@ -0,0 +1,158 @@
+// backend/routes/auth.js
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const AuthNonce = require('../models/AuthNonce');
+const { isValidSolanaAddress, verifySignature, buildSignInMessage } = require('../utils/solanaUtils');
+const { issueSession, rotateRefreshToken, revokeRefreshToken } = require('../utils/authTokens');
+
+// How long a freshly issued nonce stays valid (in seconds). Signed requests must arrive before then.
+const NONCE_TTL_SECONDS = parseInt(process.env.AUTH_NONCE_TTL_SECONDS, 10) || 300;
+
+// --- Sign-In-With-Solana (SIWS) Settings ---
+// The statement and chain are fixed by the server and returned with the nonce, so the client signs exactly this text.
+const SIWS_STATEMENT = 'Sign in to the Aurum Fox portal.';
+const SIWS_CHAIN_ID = process.env.SOLANA_NETWORK || 'devnet';
+// Allowed frontend domains (host[:port]) for the sign-in message. Protects against phishing sites
+// relaying a signature. If unset, any domain is accepted (development only).
+const SIWS_DOMAINS = process.env.SIWS_DOMAINS ? process.env.SIWS_DOMAINS.split(',').map(d => d.trim()).filter(Boolean) : [];
+// Maximum allowed difference between the client's `issuedAt` and the server clock.
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// POST /api/auth/nonce
+// Issues a single-use nonce for a wallet. The wallet signs it either together with the request data
+// (to authorize one write request) or inside a SIWS message (to sign in). Requires: 'walletAddress'.
+router.post('/nonce', async (req, res) => {
+    const { walletAddress } = req.body;
+
+    if (!walletAddress || !isValidSolanaAddress(walletAddress)) {
+        return res.status(400).json({ message: 'A valid Solana wallet address is required to request a nonce.' });
+    }
+
+    try {
+        const authNonce = await AuthNonce.create({
+            nonce: crypto.randomBytes(16).toString('hex'),
+            walletAddress,
+            expiresAt: new Date(Date.now() + NONCE_TTL_SECONDS * 1000)
+        });
+
+        res.status(201).json({
+            nonce: authNonce.nonce,
+            expiresAt: authNonce.expiresAt,
+            // Used when the nonce is signed for a SIWS login (see POST /api/auth/verify)
+            statement: SIWS_STATEMENT,
+            chainId: SIWS_CHAIN_ID
+        });
+    } catch (error) {
+        console.error('Error issuing authentication nonce:', error);
+        res.status(500).json({ message: 'Failed to issue a nonce due to a server error. Please try again.' });
+    }
+});
+
+// POST /api/auth/verify
+// Completes a Sign-In-With-Solana login. The client signs the message from `buildSignInMessage`
+// (domain, wallet, statement, chain, nonce, issued-at, expiration = nonce expiry) and sends:
+// 'walletAddress', 'domain', 'nonce', 'issuedAt' and the base58 'signature'.
+// Responds with a short-lived JWT access token and a refresh token.
+router.post('/verify', async (req, res) => {
+    const { walletAddress, domain, nonce, issuedAt, signature } = req.body;
+
+    // 1. Basic Input Validation
+    if (!walletAddress || !domain || !nonce || !issuedAt || !signature) {
+        return res.status(400).json({ message: 'Request missing required fields: walletAddress, domain, nonce, issuedAt and signature.' });
+    }
+    if (!isValidSolanaAddress(walletAddress)) {
+        return res.status(400).json({ message: 'The provided wallet address is not a valid Solana public key format.' });
+    }
+
+    // 2. Domain and Clock Checks
+    if (SIWS_DOMAINS.length > 0 && !SIWS_DOMAINS.includes(domain)) {
+        console.warn(`Sign-in attempt for ${walletAddress} from unexpected domain: ${domain}`);
+        return res.status(403).json({ message: 'Sign-in failed: the message was signed for an unknown domain.' });
+    }
+    const issuedAtDate = new Date(issuedAt);
+    if (isNaN(issuedAtDate.getTime()) || Math.abs(Date.now() - issuedAtDate.getTime()) > MAX_CLOCK_SKEW_MS) {
+        return res.status(400).json({ message: 'Sign-in failed: "issuedAt" is missing, malformed or too far from the server time.' });
+    }
+
+    try {
+        // 3. Nonce Check: must have been issued to this wallet, be unused and unexpired
+        const nonceRecord = await AuthNonce.findOne({ nonce, walletAddress });
+        if (!nonceRecord || nonceRecord.usedAt) {
+            return res.status(401).json({ message: 'Sign-in failed: the nonce is unknown or has already been used. Please request a new one.' });
+        }
+        if (nonceRecord.expiresAt <= new Date()) {
+            return res.status(401).json({ message: 'Sign-in failed: the sign-in message has expired. Please try again.' });
+        }
+
+        // 4. Signature Check over the rebuilt SIWS message
+        const messageToVerify = buildSignInMessage({
+            domain,
+            walletAddress,
+            statement: SIWS_STATEMENT,
+            chainId: SIWS_CHAIN_ID,
+            nonce,
+            issuedAt: issuedAtDate,
+            expirationTime: nonceRecord.expiresAt
+        });
+        const isSignatureValid = await verifySignature(walletAddress, messageToVerify, signature);
+        if (!isSignatureValid) {
+            console.warn(`Sign-in signature verification failed for wallet: ${walletAddress}.`);
+            return res.status(403).json({ message: 'Sign-in failed: Invalid wallet signature.' });
+        }
+
+        // 5. Consume the nonce atomically, then issue the session
+        const consumed = await AuthNonce.findOneAndUpdate(
+            { _id: nonceRecord._id, usedAt: null },
+            { $set: { usedAt: new Date() } }
+        );
+        if (!consumed) {
+            return res.status(401).json({ message: 'Sign-in failed: the nonce has already been used.' });
+        }
+
+        const session = await issueSession(walletAddress);
+        res.json({ message: 'Successfully signed in.', ...session });
+    } catch (error) {
+        console.error('Error during Sign-In-With-Solana verification:', error);
+        res.status(500).json({ message: 'Failed to sign in due to a server error. Please try again.' });
+    }
+});
+
+// POST /api/auth/refresh
+// Exchanges a valid refresh token for a new access token and a new (rotated) refresh token.
+router.post('/refresh', async (req, res) => {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+        return res.status(400).json({ message: 'Refresh token is required.' });
+    }
+
+    try {
+        const session = await rotateRefreshToken(refreshToken);
+        if (!session) {
+            return res.status(401).json({ message: 'Refresh token is invalid, expired or already used. Please sign in again.' });
+        }
+        res.json({ message: 'Session refreshed.', ...session });
+    } catch (error) {
+        console.error('Error refreshing session:', error);
+        res.status(500).json({ message: 'Failed to refresh session due to a server error.' });
+    }
+});
+
+// POST /api/auth/logout
+// Revokes the given refresh token. The access token simply expires on its own.
+router.post('/logout', async (req, res) => {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+        return res.status(400).json({ message: 'Refresh token is required.' });
+    }
+
+    try {
+        await revokeRefreshToken(refreshToken);
+        res.json({ message: 'Successfully signed out.' });
+    } catch (error) {
+        console.error('Error during logout:', error);
+        res.status(500).json({ message: 'Failed to sign out due to a server error.' });
+    }
+});
+
+module.exports = router;
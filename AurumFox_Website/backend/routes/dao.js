@@ -3,50 +3,65 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose'); // Needed for mongoose.Types.ObjectId.isValid
 const DaoProposal = require('../models/DaoProposal');
+const ProposalRevision = require('../models/ProposalRevision');
 const { PublicKey } = require('@solana/web3.js'); // For Solana public key validation
 
-// --- External Utility for Web3 Signature Verification (CRITICAL) ---
+// --- Web3 Wallet Authentication (CRITICAL) ---
+// Every write route below is guarded by `requireWalletAuth`, which proves the named wallet either
+// signed in (Bearer token) or signed this exact request (see backend/middleware/auth.js).
+const { requireWalletAuth } = require('../middleware/auth');
 
-// IMPORTANT: You MUST create this file and implement the verifySignature function.
-// This function cryptographically verifies that a message was signed by a given wallet's private key.
-//
-// Example backend/utils/solanaUtils.js content:
-/*
-    const { PublicKey } = require('@solana/web3.js');
-    const bs58 = require('bs58'); // You might need to 'npm install bs58'
-    const nacl = require('tweetnacl'); // You might need to 'npm install tweetnacl'
+const { requireRole } = require('../middleware/roles');
+const { hasRole } = require('../utils/roles');
 
-    async function verifySignature(publicKeyString, message, signatureString) {
-        try {
-            const publicKey = new PublicKey(publicKeyString);
-            const signature = bs58.decode(signatureString); // Decode base58 signature
-            const messageBytes = new TextEncoder().encode(message); // Encode message to bytes (match frontend encoding)
+// Token-weighted voting: voting power is frozen per proposal when voting opens (see utils/votingPower.js).
+const { discardVotingPowerSnapshot, recomputeTally } = require('../utils/votingPower');
+// Records votes with delegated weight (see utils/daoVoting.js).
+const { castVote } = require('../utils/daoVoting');
+// Counting for binary, single-choice, approval and ranked-choice ballots (see utils/daoTally.js).
+const { tallyProposal, validateChoices } = require('../utils/daoTally');
+const { BALLOT_TYPES } = DaoProposal;
+// Proposal lifecycle: draft -> active -> succeeded/defeated/cancelled -> executed (see utils/daoLifecycle.js).
+const { CANCELLABLE_STATUSES, openVoting, finalizeProposal } = require('../utils/daoLifecycle');
+// Per-category rules and voting period bounds (see utils/daoCategories.js).
+const {
+    DEFAULT_CATEGORY,
+    MIN_VOTING_PERIOD_HOURS,
+    MAX_VOTING_PERIOD_HOURS,
+    getCategoryRules,
+    checkProposerStake,
+    describeProposalRules
+} = require('../utils/daoCategories');
+// On-chain actions of passed treasury proposals (see utils/proposalExecution.js and routes/daoExecutions.js).
+const { normalizeExecutionPayload } = require('../utils/proposalExecution');
 
-            // Use nacl.sign.detached.verify for Ed25519 signature verification (Solana uses Ed25519)
-            const isVerified = nacl.sign.detached.verify(
-                messageBytes,
-                signature,
-                publicKey.toBytes()
-            );
-            return isVerified;
-        } catch (error) {
-            console.error('Error during signature verification:', error);
-            // In a production environment, you might differentiate between malformed inputs and actual verification failures.
-            return false;
-        }
+// Validates an optional voting rule from the request. Proposals may only be stricter than their category's rule.
+// Returns an error message, or null if the value is absent or valid.
+const validateVotingRule = (value, name, minimum) => {
+    if (value === undefined) return null;
+    if (typeof value !== 'number' || isNaN(value) || value < minimum || value > 1) {
+        return `"${name}" must be a number between ${minimum} and 1.`;
     }
-    module.exports = { verifySignature };
-*/
-// Uncomment the line below once you have created and implemented the `verifySignature` utility:
-// const { verifySignature } = require('../utils/solanaUtils');
+    return null;
+};
+
+// Sends a 400 for invalid proposal IDs in `req.params.id`. Returns true if the response was sent.
+const rejectInvalidId = (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400).json({ message: 'Invalid Proposal ID format provided.' });
+        return true;
+    }
+    return false;
+};
 
 
 // --- Route: Get All DAO Proposals ---
 // Fetches all DAO proposals from the database, sorted by their creation date (newest first).
+// Per-voter records are omitted here; use GET /proposals/:id/votes for the full audit view.
 router.get('/proposals', async (req, res) => {
     try {
         // Use 'createdAt' for sorting, which is automatically added by Mongoose's `timestamps: true`
-        const proposals = await DaoProposal.find().sort({ createdAt: -1 });
+        const proposals = await DaoProposal.find().select('-votes').sort({ createdAt: -1 });
         res.json({
             message: 'Successfully retrieved all DAO proposals.',
             proposals: proposals
@@ -59,11 +74,46 @@ router.get('/proposals', async (req, res) => {
 });
 
 
+// --- Route: Get Proposal Categories and Rules ---
+// Lists the proposal categories with their rules and the allowed voting period, for the proposal form.
+router.get('/categories', (req, res) => {
+    res.json(describeProposalRules());
+});
+
+
+// --- Route: Get a Single DAO Proposal ---
+router.get('/proposals/:id', async (req, res) => {
+    if (rejectInvalidId(req, res)) return;
+
+    try {
+        const proposal = await DaoProposal.findById(req.params.id).select('-votes');
+        if (!proposal) {
+            return res.status(404).json({ message: 'DAO Proposal not found with the provided ID.' });
+        }
+        res.json({ proposal });
+    } catch (error) {
+        console.error('Error fetching DAO proposal:', error);
+        res.status(500).json({ message: 'Failed to retrieve the DAO proposal. An unexpected server error occurred.' });
+    }
+});
+
+
 // --- Route: Create a New DAO Proposal ---
 // Allows a user to submit a new DAO proposal.
-// Requires: 'title', 'description', 'creatorWallet', and a 'signature' for authentication.
-router.post('/proposals', async (req, res) => {
-    const { title, description, creatorWallet, signature } = req.body;
+// Requires: 'title', 'description', 'creatorWallet', and a Bearer session token or 'nonce' + 'signature' for authentication.
+// Optional: 'category' (see GET /categories, defaults to 'community'),
+//           'votingPeriodHours' (within the configured bounds, defaults to the standard period),
+//           'draft' (true = save without opening voting, see POST /proposals/:id/activate),
+//           'quorum' and 'approvalThreshold' (0..1, may only be stricter than the category's rules),
+//           'ballotType' ('binary' by default, or 'single_choice' / 'approval' / 'ranked_choice')
+//           with 'options' (2 or more option labels) for multi-option ballots,
+//           'execution' (treasury, binary ballots only): { type: 'spl_transfer', recipient, amount, mint? },
+//           a transfer from the DAO treasury carried out on-chain once the proposal passes (mint defaults to AFOX).
+// The creator must have at least the category's minimum AFOX staked.
+router.post('/proposals', requireWalletAuth('creatorWallet'), async (req, res) => {
+    const { title, description, creatorWallet, draft, quorum, approvalThreshold, votingPeriodHours, options, execution } = req.body;
+    const category = req.body.category || DEFAULT_CATEGORY;
+    const ballotType = req.body.ballotType || 'binary';
 
     // 1. Basic Input Validation: Quickly check for presence of required fields.
     if (!title || !description || !creatorWallet) {
@@ -79,54 +129,99 @@ router.post('/proposals', async (req, res) => {
         return res.status(400).json({ message: 'The provided creator wallet address is not a valid Solana public key format.' });
     }
 
-    // 3. Web3 Security: Verify Creator Wallet Signature (CRITICAL FOR AUTHENTICITY)
-    // This step is vital. It verifies that the request to create a proposal was indeed signed by the 'creatorWallet',
-    // preventing unauthorized users from creating proposals under someone else's identity.
-    /*
-    // Uncomment this entire block after implementing verifySignature utility
-    if (!signature) {
-        return res.status(401).json({ message: 'Authentication required: Missing wallet signature for proposal creation.' });
+    // 3. Validate the category and the optional voting rules against the category's minimums.
+    const categoryRules = getCategoryRules(category);
+    if (!categoryRules) {
+        return res.status(400).json({ message: `Unknown proposal category "${category}". See GET /api/dao/categories.` });
+    }
+    const ruleError = validateVotingRule(quorum, 'quorum', categoryRules.quorum) ||
+        validateVotingRule(approvalThreshold, 'approvalThreshold', categoryRules.approvalThreshold);
+    if (ruleError) {
+        return res.status(400).json({ message: ruleError });
     }
 
-    // The message signed by the frontend must EXACTLY match this message string.
-    // Consider using a unique nonce from the backend for each request to prevent replay attacks in production.
-    const messageToVerify = JSON.stringify({ title, description, creatorWallet }); // Example: signing the core data of the proposal
-    try {
-        const isSignatureValid = await verifySignature(creatorWallet, messageToVerify, signature);
-        if (!isSignatureValid) {
-            console.warn(`Signature verification failed for creator wallet: ${creatorWallet}. Request might be spoofed.`);
-            return res.status(403).json({ message: 'Authentication failed: Invalid wallet signature provided by creator.' });
+    // 4. Validate the optional voting window.
+    if (votingPeriodHours !== undefined && (typeof votingPeriodHours !== 'number' || isNaN(votingPeriodHours) ||
+        votingPeriodHours < MIN_VOTING_PERIOD_HOURS || votingPeriodHours > MAX_VOTING_PERIOD_HOURS)) {
+        return res.status(400).json({ message: `"votingPeriodHours" must be a number between ${MIN_VOTING_PERIOD_HOURS} and ${MAX_VOTING_PERIOD_HOURS}.` });
+    }
+
+    // 5. Validate the ballot type. The options themselves are validated by the schema.
+    if (!BALLOT_TYPES.includes(ballotType)) {
+        return res.status(400).json({ message: `Invalid ballot type. Use one of: ${BALLOT_TYPES.join(', ')}.` });
+    }
+    if (ballotType !== 'binary' && !Array.isArray(options)) {
+        return res.status(400).json({ message: 'Multi-option ballots require an "options" array.' });
+    }
+
+    // 6. Validate the optional on-chain action.
+    let executionPayload = null;
+    if (execution !== undefined && execution !== null) {
+        const { payload, error: executionError } = normalizeExecutionPayload(execution, { category, ballotType });
+        if (executionError) {
+            return res.status(400).json({ message: executionError });
         }
-    } catch (sigError) {
-        console.error('Server error during creator signature verification:', sigError);
-        return res.status(500).json({ message: 'Internal server error while verifying creator signature. Please try again later.' });
+        executionPayload = payload;
     }
-    */
 
-    // Define proposal expiration (e.g., 7 days from the current time).
-    // You might also allow the client to specify a `durationInDays` for more flexibility.
-    const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+    // 7. The creator must have enough AFOX staked for this category.
+    try {
+        const stakeError = await checkProposerStake(category, creatorWallet);
+        if (stakeError) {
+            return res.status(403).json({ message: stakeError });
+        }
+    } catch (error) {
+        console.error('Error checking proposer stake for new DAO proposal:', error);
+        return res.status(500).json({ message: 'Failed to check your stake. Please try again later.' });
+    }
 
     // Create a new DAO Proposal document instance.
     const newProposal = new DaoProposal({
         title,
         description,
         creatorWallet,
-        expiresAt,
-        status: 'active', // Initialize proposal status as 'active'
+        category,
+        status: 'draft', // Voting is opened below unless the creator asked for a draft
+        votingPeriodHours,
+        ballotType,
+        options: ballotType === 'binary' ? undefined : options,
+        quorum: quorum !== undefined ? quorum : categoryRules.quorum,
+        approvalThreshold: approvalThreshold !== undefined ? approvalThreshold : categoryRules.approvalThreshold,
+        execution: executionPayload,
         votesFor: 0,
         votesAgainst: 0,
         voters: [] // Initialize an empty array to track unique voters
     });
 
+    // Unless this is a draft, open voting now: freeze everyone's voting power and set the voting window.
+    if (draft !== true) {
+        try {
+            await openVoting(newProposal);
+        } catch (snapshotError) {
+            console.error('Error taking voting power snapshot for new DAO proposal:', snapshotError);
+            return res.status(500).json({ message: 'Failed to snapshot voting power for the proposal. Please try again later.' });
+        }
+    }
+
     // Save the new proposal to the database.
     try {
         const savedProposal = await newProposal.save();
+        // Version 1 of the text starts the revision history. Failing to record it does not undo the proposal.
+        await ProposalRevision.create({
+            proposal: savedProposal._id,
+            version: 1,
+            title: savedProposal.title,
+            description: savedProposal.description,
+            options: savedProposal.options,
+            authorWallet: savedProposal.creatorWallet
+        }).catch(revisionError => console.error('Error recording the first revision of a DAO proposal:', revisionError));
         res.status(201).json({
-            message: 'DAO proposal successfully created and saved!',
+            message: savedProposal.status === 'draft' ? 'DAO proposal saved as a draft.' : 'DAO proposal successfully created and saved!',
             proposal: savedProposal // Return the newly created proposal object
         });
     } catch (error) {
+        // The proposal was not stored, so its snapshot must not linger either.
+        await discardVotingPowerSnapshot(newProposal._id).catch(() => {});
         // Handle Mongoose validation errors (e.g., minlength, maxlength constraints from schema).
         if (error.name === 'ValidationError') {
             const errors = Object.values(error.errors).map(err => err.message);
@@ -140,15 +235,233 @@ router.post('/proposals', async (req, res) => {
 });
 
 
+// --- Route: Amend a Draft Proposal ---
+// Publishes a new version of the title, description and/or options. Only the creator can amend,
+// and only while the proposal is a draft; every version is kept (see GET /proposals/:id/revisions).
+// Requires: 'creatorWallet' and a Bearer session token or 'nonce' + 'signature'.
+// Optional: 'title', 'description', 'options' (multi-option ballots), 'note' (reason for the amendment).
+router.post('/proposals/:id/amendments', requireWalletAuth('creatorWallet'), async (req, res) => {
+    if (rejectInvalidId(req, res)) return;
+    const { title, description, options, note } = req.body;
+
+    if (title === undefined && description === undefined && options === undefined) {
+        return res.status(400).json({ message: 'An amendment must change at least one of: title, description, options.' });
+    }
+
+    try {
+        const proposal = await DaoProposal.findById(req.params.id).select('-votes');
+        if (!proposal) {
+            return res.status(404).json({ message: 'DAO Proposal not found with the provided ID.' });
+        }
+        if (proposal.creatorWallet !== req.authenticatedWallet) {
+            return res.status(403).json({ message: 'Only the creator of the proposal can amend it.' });
+        }
+        if (proposal.status !== 'draft') {
+            return res.status(409).json({ message: 'Only draft proposals can be amended. Voters must see the same text for the whole vote.' });
+        }
+
+        // Apply the changes to the document first so the schema validates the new text.
+        const currentVersion = proposal.version || 1;
+        if (title !== undefined) proposal.title = title;
+        if (description !== undefined) proposal.description = description;
+        if (options !== undefined) proposal.options = options;
+        await proposal.validate();
+
+        // Conditional on the version, so two concurrent amendments cannot both become version n+1.
+        const amended = await DaoProposal.findOneAndUpdate(
+            { _id: proposal._id, status: 'draft', version: currentVersion },
+            {
+                $set: { title: proposal.title, description: proposal.description, options: proposal.options },
+                $inc: { version: 1 }
+            },
+            { new: true }
+        ).select('-votes');
+        if (!amended) {
+            return res.status(409).json({ message: 'The proposal changed while you were amending it. Please reload and try again.' });
+        }
+
+        const revision = await ProposalRevision.create({
+            proposal: amended._id,
+            version: amended.version,
+            title: amended.title,
+            description: amended.description,
+            options: amended.options,
+            note: note || '',
+            authorWallet: req.authenticatedWallet
+        });
+
+        res.json({ message: `Amendment published as version ${amended.version}.`, proposal: amended, revision });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({ message: 'Validation failed for the amendment.', errors });
+        }
+        console.error('Error amending DAO proposal:', error);
+        res.status(500).json({ message: 'Failed to amend the proposal due to an unexpected server error.' });
+    }
+});
+
+
+// --- Route: Revision History of a Proposal ---
+// Returns every published version of the proposal text, oldest first. `votedVersion` is the version
+// that was (or is being) voted on, or null if voting never opened.
+router.get('/proposals/:id/revisions', async (req, res) => {
+    if (rejectInvalidId(req, res)) return;
+
+    try {
+        const proposal = await DaoProposal.findById(req.params.id).select('startsAt version');
+        if (!proposal) {
+            return res.status(404).json({ message: 'DAO Proposal not found with the provided ID.' });
+        }
+        const revisions = await ProposalRevision.find({ proposal: proposal._id }).sort({ version: 1 });
+        res.json({
+            proposalId: proposal._id,
+            currentVersion: proposal.version || 1,
+            votedVersion: proposal.startsAt ? proposal.version || 1 : null, // Set once voting has opened
+            revisions
+        });
+    } catch (error) {
+        console.error('Error fetching DAO proposal revisions:', error);
+        res.status(500).json({ message: 'Failed to retrieve the revision history due to an unexpected server error.' });
+    }
+});
+
+
+// --- Route: Activate a Draft Proposal ---
+// Opens voting on a draft. Only the creator can do this, and they must still meet the category's minimum stake.
+// Voting power is snapshotted at this moment and the voting window starts now.
+// Requires: 'creatorWallet' and a Bearer session token or 'nonce' + 'signature'.
+router.post('/proposals/:id/activate', requireWalletAuth('creatorWallet'), async (req, res) => {
+    if (rejectInvalidId(req, res)) return;
+
+    try {
+        const proposal = await DaoProposal.findById(req.params.id).select('-votes');
+        if (!proposal) {
+            return res.status(404).json({ message: 'DAO Proposal not found with the provided ID.' });
+        }
+        if (proposal.creatorWallet !== req.authenticatedWallet) {
+            return res.status(403).json({ message: 'Only the creator of the proposal can open it for voting.' });
+        }
+        if (proposal.status !== 'draft') {
+            return res.status(409).json({ message: `Only draft proposals can be activated. This proposal is ${proposal.status}.` });
+        }
+        const stakeError = await checkProposerStake(proposal.category, proposal.creatorWallet);
+        if (stakeError) {
+            return res.status(403).json({ message: stakeError });
+        }
+
+        await openVoting(proposal);
+        // Conditional update so a concurrent cancel or second activation cannot be overwritten.
+        const activated = await DaoProposal.findOneAndUpdate(
+            { _id: proposal._id, status: 'draft' },
+            {
+                $set: {
+                    status: proposal.status,
+                    startsAt: proposal.startsAt,
+                    expiresAt: proposal.expiresAt,
+                    snapshotSource: proposal.snapshotSource,
+                    snapshotAt: proposal.snapshotAt,
+                    totalVotingPower: proposal.totalVotingPower,
+                    eligibleVoterCount: proposal.eligibleVoterCount
+                }
+            },
+            { new: true }
+        ).select('-votes');
+        if (!activated) {
+            await discardVotingPowerSnapshot(proposal._id).catch(() => {});
+            return res.status(409).json({ message: 'The proposal is no longer a draft.' });
+        }
+
+        res.json({ message: 'Voting is now open for this proposal.', proposal: activated });
+    } catch (error) {
+        console.error('Error activating DAO proposal:', error);
+        res.status(500).json({ message: 'Failed to activate the proposal due to an unexpected server error.' });
+    }
+});
+
+
+// --- Route: Cancel a Proposal ---
+// Withdraws a draft or active proposal. Allowed for the creator and for admins.
+// Requires: 'requesterWallet' and a Bearer session token or 'nonce' + 'signature'.
+router.post('/proposals/:id/cancel', requireWalletAuth('requesterWallet'), async (req, res) => {
+    if (rejectInvalidId(req, res)) return;
+
+    try {
+        const proposal = await DaoProposal.findById(req.params.id).select('-votes');
+        if (!proposal) {
+            return res.status(404).json({ message: 'DAO Proposal not found with the provided ID.' });
+        }
+
+        const isCreator = proposal.creatorWallet === req.authenticatedWallet;
+        if (!isCreator && !(await hasRole(req.authenticatedWallet, ['admin']))) {
+            return res.status(403).json({ message: 'Only the creator of the proposal or an admin can cancel it.' });
+        }
+
+        const cancelled = await DaoProposal.findOneAndUpdate(
+            // An active proposal whose voting window has closed is waiting for its result and cannot be cancelled.
+            { _id: proposal._id, $or: [{ status: 'draft' }, { status: 'active', expiresAt: { $gt: new Date() } }] },
+            { $set: { status: 'cancelled', cancelledAt: new Date(), cancelledBy: req.authenticatedWallet } },
+            { new: true }
+        ).select('-votes');
+        if (!cancelled) {
+            return res.status(409).json({ message: `Only ${CANCELLABLE_STATUSES.join(' or ')} proposals whose voting has not ended can be cancelled.` });
+        }
+
+        res.json({ message: 'The proposal has been cancelled.', proposal: cancelled });
+    } catch (error) {
+        console.error('Error cancelling DAO proposal:', error);
+        res.status(500).json({ message: 'Failed to cancel the proposal due to an unexpected server error.' });
+    }
+});
+
+
+// --- Route: Mark a Proposal as Executed ---
+// Records that a succeeded proposal has been carried out off-chain. Admins only.
+// Requires: 'adminWallet' and a Bearer session token or 'nonce' + 'signature'.
+router.post('/proposals/:id/execute', requireWalletAuth('adminWallet'), requireRole('admin'), async (req, res) => {
+    if (rejectInvalidId(req, res)) return;
+
+    try {
+        const executed = await DaoProposal.findOneAndUpdate(
+            // Proposals with an on-chain action are executed by the executor job once their transaction confirms
+            { _id: req.params.id, status: 'succeeded', execution: null },
+            { $set: { status: 'executed', executedAt: new Date(), executedBy: req.authenticatedWallet } },
+            { new: true }
+        ).select('-votes');
+        if (!executed) {
+            const exists = await DaoProposal.exists({ _id: req.params.id });
+            if (!exists) {
+                return res.status(404).json({ message: 'DAO Proposal not found with the provided ID.' });
+            }
+            const onChain = await DaoProposal.exists({ _id: req.params.id, execution: { $ne: null } });
+            if (onChain) {
+                return res.status(409).json({ message: 'This proposal is executed on-chain after treasurer approval (see /api/dao/executions).' });
+            }
+            return res.status(409).json({ message: 'Only succeeded proposals can be executed.' });
+        }
+
+        res.json({ message: 'The proposal has been marked as executed.', proposal: executed });
+    } catch (error) {
+        console.error('Error executing DAO proposal:', error);
+        res.status(500).json({ message: 'Failed to execute the proposal due to an unexpected server error.' });
+    }
+});
+
+
 // --- Route: Vote on a Proposal ---
-// Allows a user to cast a vote ('for' or 'against') on an active DAO proposal.
-// Requires: 'proposalId', 'voteType', 'voterWallet', and a 'signature' for authentication.
-router.post('/vote', async (req, res) => {
-    const { proposalId, voteType, voterWallet, signature } = req.body;
+// Allows a user to cast a vote on an active DAO proposal:
+//   binary ballots        - 'voteType': 'for' or 'against'
+//   multi-option ballots  - 'choices': array of option indexes (one for single choice, any set for approval,
+//                           preference order for ranked choice)
+// The vote carries the voter's AFOX weight from the proposal's snapshot plus the weight delegated to the voter
+// by wallets that have not voted themselves; wallets without any weight cannot vote.
+// Requires: 'proposalId', 'voteType' or 'choices', 'voterWallet', and a Bearer session token or 'nonce' + 'signature' for authentication.
+router.post('/vote', requireWalletAuth('voterWallet'), async (req, res) => {
+    const { proposalId, voteType, choices, voterWallet } = req.body;
 
     // 1. Basic Input Validation: Ensure all necessary fields are present.
-    if (!proposalId || !voteType || !voterWallet) {
-        return res.status(400).json({ message: 'Request missing required fields: proposal ID, vote type, and voter wallet address.' });
+    if (!proposalId || (!voteType && !choices) || !voterWallet) {
+        return res.status(400).json({ message: 'Request missing required fields: proposal ID, vote type or choices, and voter wallet address.' });
     }
 
     // 2. Validate 'proposalId' format: Ensure it's a valid MongoDB ObjectId.
@@ -164,47 +477,34 @@ router.post('/vote', async (req, res) => {
         return res.status(400).json({ message: 'The provided voter wallet address is not a valid Solana public key format.' });
     }
 
-    // 4. Validate 'voteType': Must be either 'for' or 'against'.
-    if (!['for', 'against'].includes(voteType)) {
-        return res.status(400).json({ message: 'Invalid vote type. Please use "for" or "against".' });
-    }
-
-    // 5. Web3 Security: Verify Voter Wallet Signature (CRITICAL FOR AUTHENTICITY)
-    // This step ensures that the vote truly originates from the 'voterWallet', preventing fraudulent votes.
-    /*
-    // Uncomment this entire block after implementing verifySignature utility
-    if (!signature) {
-        return res.status(401).json({ message: 'Authentication required: Missing wallet signature for voting.' });
-    }
-
-    // The message signed by the frontend for this vote must EXACTLY match this message string.
-    const messageToVerify = JSON.stringify({ proposalId, voteType, voterWallet }); // Example: signing the specific vote data
-    try {
-        const isSignatureValid = await verifySignature(voterWallet, messageToVerify, signature);
-        if (!isSignatureValid) {
-            console.warn(`Signature verification failed for voter wallet: ${voterWallet}. Vote might be unauthorized.`);
-            return res.status(403).json({ message: 'Authentication failed: Invalid wallet signature provided by voter.' });
-        }
-    } catch (sigError) {
-        console.error('Server error during voter signature verification:', sigError);
-        return res.status(500).json({ message: 'Internal server error while verifying voter signature. Please try again later.' });
-    }
-    */
-
     try {
-        const proposal = await DaoProposal.findById(proposalId);
+        const proposal = await DaoProposal.findById(proposalId).select('-votes');
 
         // Check if the proposal exists.
         if (!proposal) {
             return res.status(404).json({ message: 'DAO Proposal not found with the provided ID.' });
         }
 
-        // Check if the proposal has expired. If so, update its status if not already 'completed'.
-        if (new Date() >= proposal.expiresAt) {
-            if (proposal.status === 'active') {
-                proposal.status = 'completed'; // Update status to 'completed'
-                await proposal.save(); // Save the status change
+        // 4. Validate the ballot against the proposal's ballot type.
+        const isBinary = !proposal.ballotType || proposal.ballotType === 'binary';
+        if (isBinary && !['for', 'against'].includes(voteType)) {
+            return res.status(400).json({ message: 'Invalid vote type. Please use "for" or "against".' });
+        }
+        if (!isBinary) {
+            const choicesError = validateChoices(proposal, choices);
+            if (choicesError) {
+                return res.status(400).json({ message: choicesError });
             }
+        }
+
+        // Only active proposals accept votes.
+        if (proposal.status !== 'active') {
+            return res.status(400).json({ message: `This proposal is ${proposal.status} and does not accept votes.` });
+        }
+
+        // If the voting period is over, record the result now instead of waiting for the scheduler.
+        if (new Date() >= proposal.expiresAt) {
+            await finalizeProposal(proposal._id);
             return res.status(400).json({ message: 'Voting for this proposal has already ended.' });
         }
 
@@ -213,20 +513,18 @@ router.post('/vote', async (req, res) => {
             return res.status(409).json({ message: 'You have already cast a vote on this proposal. Each wallet can vote only once.' });
         }
 
-        // Record the vote based on 'voteType'.
-        if (voteType === 'for') {
-            proposal.votesFor += 1;
-        } else { // 'voteType' is 'against' due to prior validation
-            proposal.votesAgainst += 1;
+        // Record the vote with the voter's own weight plus any delegated weight from the snapshot taken
+        // when voting opened. Every update is conditional, so a wallet is counted only once even when
+        // votes by the same wallet, its delegate or its delegators arrive at the same time.
+        const outcome = await castVote(proposal._id, voterWallet, isBinary ? { voteType } : { choices });
+        if (outcome.error) {
+            return res.status(outcome.status).json({ message: outcome.error });
         }
 
-        // Add the voter's wallet to the list of those who have voted.
-        proposal.voters.push(voterWallet);
-        await proposal.save(); // Save the updated proposal with the new vote and voter.
-
+        const delegatedNote = outcome.delegatedWeight > 0 ? ` (including ${outcome.delegatedWeight} AFOX delegated to you)` : '';
         res.json({
-            message: 'Your vote has been successfully cast!',
-            proposal: proposal // Return the updated proposal details
+            message: `Your vote has been successfully cast with a weight of ${outcome.weight + outcome.delegatedWeight} AFOX${delegatedNote}!`,
+            proposal: outcome.proposal // Return the updated proposal details
         });
     } catch (error) {
         console.error('Error processing vote for DAO proposal:', error); // Log the detailed error
@@ -234,4 +532,67 @@ router.post('/vote', async (req, res) => {
     }
 });
 
+// --- Route: Results of a Proposal ---
+// Counts the votes of any ballot type: for/against with the approval ratio, per-option totals for
+// single-choice and approval ballots, and the instant-runoff rounds for ranked-choice ballots.
+// While voting is open the result is provisional; once finalized, `result` holds the recorded outcome.
+router.get('/proposals/:id/results', async (req, res) => {
+    if (rejectInvalidId(req, res)) return;
+
+    try {
+        const proposal = await DaoProposal.findById(req.params.id);
+        if (!proposal) {
+            return res.status(404).json({ message: 'DAO Proposal not found with the provided ID.' });
+        }
+
+        const tally = tallyProposal(proposal);
+        res.json({
+            proposalId: proposal._id,
+            status: proposal.status,
+            options: proposal.options,
+            totalVotingPower: proposal.totalVotingPower,
+            turnout: proposal.totalVotingPower > 0 ? tally.totalVotes / proposal.totalVotingPower : 0,
+            provisional: proposal.status === 'active' || proposal.status === 'draft',
+            tally,
+            result: proposal.result
+        });
+    } catch (error) {
+        console.error('Error computing results for DAO proposal:', error);
+        res.status(500).json({ message: 'Failed to compute proposal results due to an unexpected server error.' });
+    }
+});
+
+// --- Route: Audit the Votes of a Proposal ---
+// Returns every vote with its weight, plus the tally recomputed from those votes,
+// so anyone can verify the stored `votesFor` / `votesAgainst` totals.
+router.get('/proposals/:id/votes', async (req, res) => {
+    if (rejectInvalidId(req, res)) return;
+
+    try {
+        const proposal = await DaoProposal.findById(req.params.id);
+        if (!proposal) {
+            return res.status(404).json({ message: 'DAO Proposal not found with the provided ID.' });
+        }
+
+        const recomputed = recomputeTally(proposal);
+        res.json({
+            proposalId: proposal._id,
+            snapshotSource: proposal.snapshotSource,
+            snapshotAt: proposal.snapshotAt,
+            totalVotingPower: proposal.totalVotingPower,
+            status: proposal.status,
+            result: proposal.result,
+            votes: proposal.votes,
+            storedTally: { votesFor: proposal.votesFor, votesAgainst: proposal.votesAgainst },
+            recomputedTally: recomputed,
+            // Compare with a small tolerance: floating point sums can differ in the last digits
+            tallyMatches: Math.abs(recomputed.votesFor - proposal.votesFor) < 1e-6 &&
+                Math.abs(recomputed.votesAgainst - proposal.votesAgainst) < 1e-6
+        });
+    } catch (error) {
+        console.error('Error fetching votes for DAO proposal:', error);
+        res.status(500).json({ message: 'Failed to retrieve proposal votes due to an unexpected server error.' });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,123 @@
+// backend/routes/daoExecutions.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const ProposalExecution = require('../models/ProposalExecution');
+const { EXECUTION_STATUSES } = ProposalExecution;
+const { requireWalletAuth } = require('../middleware/auth');
+const { requireRole } = require('../middleware/roles');
+const { approveExecution, retryExecution } = require('../utils/proposalExecution');
+
+// On-chain execution of passed DAO treasury proposals. Executions are created when a proposal with an
+// `execution` payload succeeds; once enough treasurers approved, the executor job sends the transaction.
+
+// Sends 400 and returns true if the `:id` route parameter is not a valid ObjectId.
+const rejectInvalidId = (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400).json({ message: 'Invalid execution ID format provided.' });
+        return true;
+    }
+    return false;
+};
+
+// GET /api/dao/executions?status=awaiting_approval&proposalId=...
+// Lists executions, newest first, with the title and status of their proposal.
+router.get('/', async (req, res) => {
+    const { status, proposalId } = req.query;
+    const filter = {};
+
+    if (status) {
+        if (!EXECUTION_STATUSES.includes(status)) {
+            return res.status(400).json({ message: `Invalid status. Use one of: ${EXECUTION_STATUSES.join(', ')}.` });
+        }
+        filter.status = status;
+    }
+    if (proposalId) {
+        if (!mongoose.Types.ObjectId.isValid(proposalId)) {
+            return res.status(400).json({ message: 'Invalid Proposal ID format provided.' });
+        }
+        filter.proposal = proposalId;
+    }
+
+    try {
+        const executions = await ProposalExecution.find(filter)
+            .sort({ createdAt: -1 })
+            .limit(200)
+            .populate('proposal', 'title status category');
+        res.json(executions);
+    } catch (error) {
+        console.error('Error fetching DAO executions:', error);
+        res.status(500).json({ message: 'Failed to retrieve executions. An unexpected server error occurred.' });
+    }
+});
+
+// GET /api/dao/executions/:id
+router.get('/:id', async (req, res) => {
+    if (rejectInvalidId(req, res)) return;
+
+    try {
+        const execution = await ProposalExecution.findById(req.params.id).populate('proposal', 'title status category');
+        if (!execution) {
+            return res.status(404).json({ message: 'Execution not found with the provided ID.' });
+        }
+        res.json(execution);
+    } catch (error) {
+        console.error('Error fetching DAO execution:', error);
+        res.status(500).json({ message: 'Failed to retrieve the execution. An unexpected server error occurred.' });
+    }
+});
+
+// POST /api/dao/executions/:id/approve
+// Adds the treasurer's approval. The transfer is queued for sending once the required number is reached.
+// Requires: 'approverWallet' (holding the 'treasurer' role) and a Bearer session token or 'nonce' + 'signature'.
+router.post('/:id/approve', requireWalletAuth('approverWallet'), requireRole('treasurer'), async (req, res) => {
+    if (rejectInvalidId(req, res)) return;
+
+    try {
+        const execution = await approveExecution(req.params.id, req.authenticatedWallet);
+        if (!execution) {
+            const existing = await ProposalExecution.findById(req.params.id).select('status approvals');
+            if (!existing) {
+                return res.status(404).json({ message: 'Execution not found with the provided ID.' });
+            }
+            if (existing.status !== 'awaiting_approval') {
+                return res.status(409).json({ message: `This execution is no longer awaiting approval (status: ${existing.status}).` });
+            }
+            return res.status(409).json({ message: 'You have already approved this execution.' });
+        }
+
+        res.json({
+            message: execution.status === 'queued'
+                ? 'Approval recorded. The transfer is queued and will be sent shortly.'
+                : `Approval recorded (${execution.approvals.length}/${execution.requiredApprovals}).`,
+            execution
+        });
+    } catch (error) {
+        console.error('Error approving DAO execution:', error);
+        res.status(500).json({ message: 'Failed to record the approval due to a server error.' });
+    }
+});
+
+// POST /api/dao/executions/:id/retry
+// Re-queues a failed execution (e.g., after funding the treasury). Admins only.
+// Requires: 'adminWallet' and a Bearer session token or 'nonce' + 'signature'.
+router.post('/:id/retry', requireWalletAuth('adminWallet'), requireRole('admin'), async (req, res) => {
+    if (rejectInvalidId(req, res)) return;
+
+    try {
+        const execution = await retryExecution(req.params.id);
+        if (!execution) {
+            const exists = await ProposalExecution.exists({ _id: req.params.id });
+            if (!exists) {
+                return res.status(404).json({ message: 'Execution not found with the provided ID.' });
+            }
+            return res.status(409).json({ message: 'Only failed executions can be retried.' });
+        }
+        res.json({ message: 'The execution has been queued again.', execution });
+    } catch (error) {
+        console.error('Error retrying DAO execution:', error);
+        res.status(500).json({ message: 'Failed to retry the execution due to a server error.' });
+    }
+});
+
+module.exports = router;
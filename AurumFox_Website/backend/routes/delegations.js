@@ -0,0 +1,113 @@
+// backend/routes/delegations.js
+const express = require('express');
+const router = express.Router();
+const Delegation = require('../models/Delegation');
+const { PROPOSAL_CATEGORIES } = require('../models/DaoProposal');
+const { requireWalletAuth } = require('../middleware/auth');
+const { isValidSolanaAddress } = require('../utils/solanaUtils');
+
+// DAO vote delegation. A delegation only affects proposals whose voting opens after it was made or revoked,
+// because delegations are frozen into each proposal's voting power snapshot (see utils/votingPower.js).
+
+// Validates the optional category of a delegation. Returns an error message, or null if valid.
+const validateCategory = (category) => {
+    if (category === undefined || category === null) return null;
+    return PROPOSAL_CATEGORIES.includes(category) ? null : `Invalid category. Use one of: ${PROPOSAL_CATEGORIES.join(', ')}, or omit it for all categories.`;
+};
+
+// GET /api/dao/delegations?walletAddress=...
+// Lists the wallet's active delegations: the ones it gave and the ones it received.
+router.get('/', async (req, res) => {
+    const { walletAddress } = req.query;
+    if (!walletAddress || !isValidSolanaAddress(walletAddress)) {
+        return res.status(400).json({ message: 'A valid Solana wallet address is required.' });
+    }
+
+    try {
+        const [given, received] = await Promise.all([
+            Delegation.find({ delegatorWallet: walletAddress, active: true }).sort({ createdAt: -1 }),
+            Delegation.find({ delegateWallet: walletAddress, active: true }).sort({ createdAt: -1 })
+        ]);
+        res.json({ walletAddress, given, received });
+    } catch (error) {
+        console.error('Error fetching delegations:', error);
+        res.status(500).json({ message: 'Failed to retrieve delegations. An unexpected server error occurred.' });
+    }
+});
+
+// POST /api/dao/delegations
+// Delegates the wallet's voting power to another wallet, for all categories or a single one.
+// Replaces any active delegation for the same scope.
+// Requires: 'delegatorWallet', 'delegateWallet', and a Bearer session token or 'nonce' + 'signature'. Optional: 'category'.
+router.post('/', requireWalletAuth('delegatorWallet'), async (req, res) => {
+    const { delegatorWallet, delegateWallet } = req.body;
+    const category = req.body.category || null;
+
+    if (!delegateWallet || !isValidSolanaAddress(delegateWallet)) {
+        return res.status(400).json({ message: 'A valid Solana wallet address is required for the delegate.' });
+    }
+    if (delegateWallet === delegatorWallet) {
+        return res.status(400).json({ message: 'A wallet cannot delegate to itself.' });
+    }
+    const categoryError = validateCategory(category);
+    if (categoryError) {
+        return res.status(400).json({ message: categoryError });
+    }
+
+    try {
+        // Retire the previous delegation for this scope first (the unique index allows one active delegation).
+        await Delegation.updateMany(
+            { delegatorWallet, category, active: true },
+            { $set: { active: false, revokedAt: new Date() } }
+        );
+        const delegation = await Delegation.create({ delegatorWallet, delegateWallet, category });
+
+        res.status(201).json({
+            message: `Voting power delegated to ${delegateWallet}${category ? ` for ${category} proposals` : ''}. It applies to proposals whose voting opens from now on.`,
+            delegation
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({ message: 'Validation failed for delegation data.', errors });
+        }
+        if (error.code === 11000) { // A concurrent request created the delegation for this scope first
+            return res.status(409).json({ message: 'Another delegation for this category was just created. Please try again.' });
+        }
+        console.error('Error creating delegation:', error);
+        res.status(500).json({ message: 'Failed to delegate voting power due to a server error.' });
+    }
+});
+
+// POST /api/dao/delegations/revoke
+// Revokes the wallet's active delegation for a scope (all categories if 'category' is omitted).
+// Requires: 'delegatorWallet', and a Bearer session token or 'nonce' + 'signature'. Optional: 'category'.
+router.post('/revoke', requireWalletAuth('delegatorWallet'), async (req, res) => {
+    const { delegatorWallet } = req.body;
+    const category = req.body.category || null;
+
+    const categoryError = validateCategory(category);
+    if (categoryError) {
+        return res.status(400).json({ message: categoryError });
+    }
+
+    try {
+        const revoked = await Delegation.findOneAndUpdate(
+            { delegatorWallet, category, active: true },
+            { $set: { active: false, revokedAt: new Date() } },
+            { new: true }
+        );
+        if (!revoked) {
+            return res.status(404).json({ message: 'No active delegation found for this category.' });
+        }
+        res.json({
+            message: 'Delegation revoked. Proposals whose voting already opened keep the delegation from their snapshot; you can still vote on them directly.',
+            delegation: revoked
+        });
+    } catch (error) {
+        console.error('Error revoking delegation:', error);
+        res.status(500).json({ message: 'Failed to revoke the delegation due to a server error.' });
+    }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const Game = require('../models/Game');
+const { requireWalletAuth } = require('../middleware/auth'); // Proves the caller controls the developer wallet
 
 // Helper function to format Mongoose validation errors
 // This function extracts the specific error messages from Mongoose's ValidationError object,
@@ -39,11 +40,12 @@ router.get('/', async (req, res) => {
 // POST /api/games
 // Route to add a new game to the database.
 // It leverages the comprehensive validation built into the Mongoose Game schema.
-router.post('/', async (req, res) => {
-    // Create a new Game instance using data from the request body.
+// Requires `developer`, authenticated (session token or wallet signature) as that wallet.
+router.post('/', requireWalletAuth('developer'), async (req, res) => {
+    // Create a new Game instance using data from the request body, published by the authenticated wallet.
     // Mongoose will automatically apply schema validations (required fields, min/max lengths,
     // custom validators like Solana address format, enums, etc.).
-    const newGame = new Game(req.body);
+    const newGame = new Game({ ...req.body, developer: req.authenticatedWallet });
 
     try {
         // Attempt to save the new game document to the database.
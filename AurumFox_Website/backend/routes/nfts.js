@@ -1,24 +1,29 @@
 // backend/routes/nfts.js
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const NFT = require('../models/NFT'); // Import your improved NFT Mongoose model
+const MintJob = require('../models/MintJob');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs'); // Node.js File System module for file operations
 
-// Import Solana Web3.js and SPL Token Library components
-const { Connection, Keypair, PublicKey, clusterApiUrl, Transaction } = require('@solana/web3.js');
-const { createMint, getAssociatedTokenAddress, createAssociatedTokenAccountInstruction, mintTo, TOKEN_PROGRAM_ID, ASSOCIATED_TOKEN_PROGRAM_ID } = require('@solana/spl-token');
-const bs58 = require('bs58'); // For decoding base58 encoded private keys
+// Import the Solana helpers (connection to SOLANA_RPC_URL) and the NFT media, storage and minting helpers
+const { getSolanaConnection, isValidSolanaAddress } = require('../utils/solanaUtils');
+const { requireWalletAuth, rejectInvalidSessionToken } = require('../middleware/auth'); // Session token or wallet signature
+const { buildMetadataDocument } = require('../utils/nftMetadata'); // Metaplex JSON metadata document
+const { storeJson } = require('../utils/nftStorage'); // Local disk, IPFS or Arweave (NFT_STORAGE)
+const { MAX_UPLOAD_BYTES, prepareNftMedia, storeNftMedia } = require('../utils/nftMedia'); // Type checks, EXIF stripping, thumbnails
+const {
+    MINT_FEE_PAYER,
+    getMintAuthority,
+    queueMintJob,
+    processMintJob,
+    refreshCreatorTransaction,
+    submitCreatorTransaction,
+    describeMintJob
+} = require('../utils/mintJobs'); // Resumable on-chain minting, paid by the server or the creator
 
 // --- Utility Functions ---
 
-// Helper function to validate Solana wallet addresses
-// (It's best practice to put this in a shared utility file if used across multiple routes/models)
-const isValidSolanaAddress = (address) => {
-    return /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(address);
-};
-
 // Helper function to format Mongoose validation errors
 // This extracts user-friendly error messages from Mongoose ValidationError objects.
 const formatMongooseErrors = (err) => {
@@ -31,48 +36,48 @@ const formatMongooseErrors = (err) => {
 
 // --- Multer Configuration for File Uploads ---
 
-const uploadDir = path.join(__dirname, '../uploads'); // Define upload directory path
-
-// Create the 'uploads' directory if it doesn't exist
-if (!fs.existsSync(uploadDir)) {
-    fs.mkdirSync(uploadDir, { recursive: true }); // `recursive: true` creates parent directories if needed
-}
+// Uploads are kept in memory, checked and processed (utils/nftMedia.js) and handed to the configured
+// NFT storage (utils/nftStorage.js), which decides where they live and how they are addressed.
+// 'nftFile' is the NFT media; 'posterImage' is an optional still for videos (required for 3D models).
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_BYTES, files: 2 }
+});
+const uploadNftFiles = upload.fields([{ name: 'nftFile', maxCount: 1 }, { name: 'posterImage', maxCount: 1 }]);
+
+// Runs the upload and answers upload errors (too large, unexpected fields) with a 4xx instead of a 500
+const receiveNftFiles = (req, res, next) => {
+    uploadNftFiles(req, res, err => {
+        if (err instanceof multer.MulterError) {
+            const message = err.code === 'LIMIT_FILE_SIZE'
+                ? `The file exceeds the upload limit of ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB.`
+                : `Invalid upload: ${err.message}`;
+            return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ message });
+        }
+        next(err);
+    });
+};
 
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        cb(null, uploadDir); // Set the destination to the 'uploads' folder
-    },
-    filename: (req, file, cb) => {
-        cb(null, Date.now() + '-' + file.originalname); // Unique filename for uploaded files
+// Runs after requireWalletAuth('creatorWallet'): answers 403 unless the authenticated wallet created the mint job
+// of `:id`. Only the creator may renew or submit its transaction.
+const requireMintJobCreator = async (req, res, next) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid mint job ID.' });
     }
-});
-const upload = multer({ storage: storage });
-
-// --- Solana Connection and Mint Authority Setup ---
-
-// Initialize Solana Connection with a commitment level for reliable transaction confirmation
-const solanaConnection = new Connection(clusterApiUrl(process.env.SOLANA_NETWORK || 'devnet'), 'confirmed');
-
-// WARNING: DIRECT PRIVATE KEY USAGE IN PRODUCTION IS EXTREMELY DANGEROUS.
-// For real-world applications, use secure Key Management Services (KMS) or ensure
-// minting authority is controlled by a Program Derived Address (PDA) within a smart contract.
-// This setup is for DEMONSTRATION/DEVELOPMENT PURPOSES ONLY.
-let mintAuthorityKeypair;
-try {
-    const privateKey = process.env.PRIVATE_KEY;
-    if (privateKey) {
-        // Decode private key from base58 string in environment variables
-        mintAuthorityKeypair = Keypair.fromSecretKey(bs58.decode(privateKey));
-        console.log("Mint Authority Wallet Loaded:", mintAuthorityKeypair.publicKey.toBase58());
-    } else {
-        console.warn("PRIVATE_KEY is not set in .env. NFT minting will likely not work due to missing signing authority.");
-        // Generate a temporary Keypair as a fallback, but it won't have SOL or be persisted
-        mintAuthorityKeypair = Keypair.generate();
+    try {
+        const job = await MintJob.findById(req.params.id);
+        if (!job) {
+            return res.status(404).json({ message: 'Mint job not found.' });
+        }
+        if (job.creatorWallet !== req.authenticatedWallet) {
+            return res.status(403).json({ message: 'Forbidden: only the creator of this mint job can sign and submit it.' });
+        }
+        next();
+    } catch (err) {
+        console.error(`Error loading mint job ${req.params.id}:`, err);
+        res.status(500).json({ message: 'Internal Server Error: Could not retrieve the mint job.' });
     }
-} catch (e) {
-    console.error("Error loading private key for mint authority:", e);
-    mintAuthorityKeypair = Keypair.generate(); // Fallback in case of decoding error
-}
+};
 
 // --- NFT API Routes ---
 
@@ -108,12 +113,16 @@ router.get('/user/:walletAddress', async (req, res) => {
 });
 
 // POST /api/nfts/mint
-// Handles the minting of a new NFT on Solana and records its details in MongoDB.
-// Requires an image file upload via Multer.
-router.post('/mint', upload.single('nftFile'), async (req, res) => {
+// Stores the NFT media and queues its minting on Solana (202 with the mint job); the NFT record is saved when the job completes.
+// Requires an image, short video or GLB model upload ('nftFile'); see receiveNftFiles above.
+// Authenticated as `creatorWallet` (session token, or a wallet signature over the text fields of the form).
+// The form is parsed first, since the wallet and a signature are multipart fields; a session token is checked
+// before the upload is read.
+router.post('/mint', rejectInvalidSessionToken, receiveNftFiles, requireWalletAuth('creatorWallet'), async (req, res) => {
     // 1. Initial Input & File Validation
-    if (!req.file) {
-        return res.status(400).json({ message: 'Image/video file is required for NFT minting.' });
+    const nftFile = req.files && req.files.nftFile ? req.files.nftFile[0] : null;
+    if (!nftFile) {
+        return res.status(400).json({ message: 'An image, video or 3D model file is required for NFT minting.' });
     }
 
     const { name, description, creatorWallet, attributes } = req.body;
@@ -128,8 +137,6 @@ router.post('/mint', upload.single('nftFile'), async (req, res) => {
                 throw new Error("Attributes must be a JSON array (e.g., '[{\"trait_type\": \"Color\", \"value\": \"Red\"}]').");
             }
         } catch (jsonErr) {
-            // Clean up the uploaded file if attributes JSON is invalid
-            if (req.file) { fs.unlinkSync(req.file.path); }
             return res.status(400).json({ message: `Invalid attributes format: ${jsonErr.message}` });
         }
     }
@@ -152,8 +159,7 @@ router.post('/mint', upload.single('nftFile'), async (req, res) => {
     try {
         await tempNFT.validate(); // Run Mongoose schema validation
     } catch (validationErr) {
-        // If validation fails, delete the uploaded file and return 400 with detailed errors
-        if (req.file) { fs.unlinkSync(req.file.path); }
+        // If validation fails, return 400 with detailed errors
         if (validationErr.name === 'ValidationError') {
             return res.status(400).json({
                 message: 'Validation Error: Please check your input fields.',
@@ -161,114 +167,133 @@ router.post('/mint', upload.single('nftFile'), async (req, res) => {
             });
         }
         console.error('Unexpected error during NFT data pre-validation:', validationErr);
-        if (req.file) { fs.unlinkSync(req.file.path); }
         return res.status(500).json({ message: 'Internal Server Error during data validation before minting.' });
     }
 
-    // 2. Solana NFT Minting Process
+    // Check the file type and size, strip metadata and generate the poster, preview and thumbnail
+    let media;
+    try {
+        media = await prepareNftMedia(nftFile, req.files.posterImage ? req.files.posterImage[0] : null);
+    } catch (mediaErr) {
+        console.error('Unexpected error while processing the NFT media:', mediaErr);
+        return res.status(500).json({ message: 'Internal Server Error while processing the uploaded file.' });
+    }
+    if (media.error) {
+        return res.status(media.status).json({ message: media.error });
+    }
+
+    // 2. Queue the mint. The on-chain steps run in a mint job (utils/mintJobs.js); poll GET /api/nfts/mint-jobs/:id.
+    // With NFT_MINT_FEE_PAYER=creator the job carries a transaction for the creator's wallet to pay for,
+    // co-sign and submit to POST /api/nfts/mint-jobs/:id/submit.
     try {
-        // Ensure the mint authority Keypair is loaded and has sufficient SOL for transaction fees.
-        if (!mintAuthorityKeypair || !mintAuthorityKeypair.publicKey) {
-            if (req.file) { fs.unlinkSync(req.file.path); }
-            return res.status(500).json({ message: 'Mint authority wallet not configured or invalid. Cannot proceed with minting.' });
+        // Ensure the mint authority Keypair is loaded (it signs every mint) and, if it pays, has enough SOL.
+        const mintAuthorityKeypair = getMintAuthority();
+        if (!mintAuthorityKeypair) {
+            return res.status(503).json({ message: 'NFT minting is disabled: the mint authority wallet is not configured.' });
         }
-        const accountInfo = await solanaConnection.getAccountInfo(mintAuthorityKeypair.publicKey);
-        const requiredSol = 0.005 * 1e9; // Estimate required SOL for gas (0.005 SOL as example)
-        if (!accountInfo || accountInfo.lamports < requiredSol) {
-             if (req.file) { fs.unlinkSync(req.file.path); }
-             return res.status(500).json({ message: `Mint authority wallet has insufficient SOL for transaction fees. Requires at least ${requiredSol / 1e9} SOL.` });
+        if (MINT_FEE_PAYER === 'server') {
+            const accountInfo = await getSolanaConnection().getAccountInfo(mintAuthorityKeypair.publicKey);
+            const requiredSol = 0.02 * 1e9; // Estimated rent and fees of a mint, its token account, metadata and master edition
+            if (!accountInfo || accountInfo.lamports < requiredSol) {
+                return res.status(500).json({ message: `Mint authority wallet has insufficient SOL for transaction fees. Requires at least ${requiredSol / 1e9} SOL.` });
+            }
         }
 
-        // 2.1. Create a new SPL Token Mint for the NFT. NFTs always have 0 decimals.
-        const mint = await createMint(
-            solanaConnection,
-            mintAuthorityKeypair,          // Payer for the transaction
-            mintAuthorityKeypair.publicKey, // Mint Authority (entity with permission to mint tokens)
-            null,                          // Freeze Authority (null means no one can freeze token accounts)
-            0                              // Decimals (0 for NFTs, as they are non-fungible)
-        );
-        console.log(`Successfully created new NFT Mint: ${mint.toBase58()}`);
-
-        // 2.2. Get or Create the Associated Token Account (ATA) for the NFT owner.
-        // This is where the NFT token will be held.
-        const ownerPublicKey = new PublicKey(creatorWallet);
-        const associatedTokenAccount = await getAssociatedTokenAddress(
-            mint,
-            ownerPublicKey
-        );
-
-        // Check if the ATA exists. If not, create it within a transaction.
-        try {
-            await solanaConnection.getAccountInfo(associatedTokenAccount);
-            console.log(`Associated Token Account (ATA) already exists for ${creatorWallet}: ${associatedTokenAccount.toBase58()}`);
-        } catch (e) {
-            console.log(`ATA does not exist for ${creatorWallet}. Creating it now...`);
-            const createATAInstruction = createAssociatedTokenAccountInstruction(
-                mintAuthorityKeypair.publicKey, // Payer for creating the ATA
-                associatedTokenAccount,
-                ownerPublicKey,
-                mint,
-                TOKEN_PROGRAM_ID,
-                ASSOCIATED_TOKEN_PROGRAM_ID
-            );
-
-            const createATATransaction = new Transaction().add(createATAInstruction);
-            createATATransaction.feePayer = mintAuthorityKeypair.publicKey;
-            const { blockhash, lastValidBlockHeight } = await solanaConnection.getLatestBlockhash();
-            createATATransaction.recentBlockhash = blockhash;
-            // Set maxBlockHeight for transaction expiration
-            createATATransaction.lastValidBlockHeight = lastValidBlockHeight;
-
-            const signedCreateATATransaction = await mintAuthorityKeypair.sign(createATATransaction); // Correctly sign the Transaction object
-            const ataCreationSignature = await solanaConnection.sendRawTransaction(signedCreateATATransaction.serialize());
-            await solanaConnection.confirmTransaction(ataCreationSignature, 'confirmed');
-            console.log(`ATA created with transaction signature: ${ataCreationSignature}`);
-        }
+        // 2.1. Store the media variants and the JSON metadata document (Metaplex NFT standard) pointing to them.
+        // Done before anything is sent on-chain, so a storage failure costs no SOL.
+        const storedMedia = await storeNftMedia(media);
+        const metadataDocument = buildMetadataDocument({
+            name,
+            description,
+            media: { mediaType: media.mediaType, kind: media.kind, variants: storedMedia.variants },
+            attributes: parsedAttributes,
+            creatorWallet
+        });
+        const storedMetadata = await storeJson(metadataDocument);
+        console.log(`Stored NFT media ${storedMedia.originalUri} and metadata ${storedMetadata.uri} (${storedMedia.provider}).`);
 
-        // 2.3. Mint 1 token (the NFT itself) to the owner's Associated Token Account.
-        await mintTo(
-            solanaConnection,
-            mintAuthorityKeypair,          // Payer for the transaction
-            mint,                          // The NFT mint account
-            associatedTokenAccount,        // The ATA where the NFT will be sent
-            mintAuthorityKeypair,          // Authority with permission to mint (must match the mint authority used in createMint)
-            1                              // Amount to mint (always 1 for a single NFT)
-        );
-        console.log(`Successfully minted 1 NFT token (${mint.toBase58()}) to ${creatorWallet}'s ATA.`);
-
-        // 3. Save NFT Information to MongoDB
-        // Construct the URL for the uploaded image. This assumes your Express server serves 'uploads'.
-        const imageUrl = `${req.protocol}://${req.get('host')}/uploads/${req.file.filename}`;
-
-        const finalNFT = new NFT({
+        // 2.2. Queue the job. Server-paid jobs start right away (the mint job processor resumes them if this
+        // run stops early); creator-paid jobs wait for the creator's signature.
+        const job = await queueMintJob({
+            creatorWallet,
             name,
             description,
-            image: imageUrl,
-            mint: mint.toBase58(),      // Store the Solana mint address
-            owner: creatorWallet,       // Current owner (initially the creator)
-            creatorWallet: creatorWallet, // Original creator
-            attributes: parsedAttributes
-            // isListed and price will default to false and null respectively as per schema
-            // acquisitionDate will default to Date.now as per schema
+            attributes: parsedAttributes,
+            media: {
+                mediaType: media.mediaType,
+                provider: storedMedia.provider,
+                originalUri: storedMedia.originalUri,
+                image: metadataDocument.image,
+                variants: storedMedia.variants
+            },
+            metadataUri: storedMetadata.uri
         });
+        if (job.feePayer === 'server') {
+            processMintJob(job._id).catch(err => console.error(`Failed to start mint job ${job._id}, it will be resumed:`, err));
+        }
 
-        const savedNFT = await finalNFT.save(); // Save the NFT details to your database
-        res.status(201).json(savedNFT); // Respond with the newly created NFT record
+        res.status(202).json({ job: describeMintJob(job) });
 
     } catch (err) {
-        console.error('Error during NFT minting or database save:', err);
-        // Clean up the uploaded file if any error occurred during the blockchain transaction or DB save
-        if (req.file) {
-            fs.unlinkSync(req.file.path);
+        console.error('Error while queueing the NFT mint:', err);
+        res.status(500).json({ message: `Failed to store the NFT media or queue the mint. Details: ${err.message}` });
+    }
+});
+
+// GET /api/nfts/mint-jobs/:id
+// Progress of a mint queued by POST /api/nfts/mint: queued -> mint-created -> ata-ready -> minted -> saved (or failed).
+// Creator-paid mints go awaiting-signature -> minted -> saved; while waiting, `transaction` is the one to co-sign.
+// Once saved, `nft` is the id of the NFT record.
+router.get('/mint-jobs/:id', async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid mint job ID.' });
+    }
+    try {
+        const job = await MintJob.findById(req.params.id);
+        if (!job) {
+            return res.status(404).json({ message: 'Mint job not found.' });
+        }
+        res.json({ job: describeMintJob(job) });
+    } catch (err) {
+        console.error(`Error fetching mint job ${req.params.id}:`, err);
+        res.status(500).json({ message: 'Internal Server Error: Could not retrieve the mint job.' });
+    }
+});
+
+// POST /api/nfts/mint-jobs/:id/transaction
+// Creator-paid mints: replaces the transaction to co-sign, e.g. after it expired before the creator signed it.
+// Requires `creatorWallet`, authenticated as the creator of the job.
+router.post('/mint-jobs/:id/transaction', requireWalletAuth('creatorWallet'), requireMintJobCreator, async (req, res) => {
+    try {
+        const result = await refreshCreatorTransaction(req.params.id);
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
         }
-        // Provide more user-friendly error messages based on the type of error
-        let errorMessage = 'Failed to create NFT.';
-        if (err.message.includes('insufficient funds')) {
-             errorMessage = 'Mint authority wallet has insufficient SOL to cover transaction fees.';
-        } else if (err.message.includes('already in use')) { // For mint address unique constraint error
-            errorMessage = 'An NFT with this mint address already exists.';
+        res.json({ job: describeMintJob(result.job) });
+    } catch (err) {
+        console.error(`Error renewing the transaction of mint job ${req.params.id}:`, err);
+        res.status(500).json({ message: 'Internal Server Error: Could not create a new mint transaction.' });
+    }
+});
+
+// POST /api/nfts/mint-jobs/:id/submit
+// Creator-paid mints: takes the job's transaction co-signed by the creator's wallet ({ transaction }, serialized
+// and base64 encoded) and sends it. Answers 202; poll GET /api/nfts/mint-jobs/:id until the NFT is saved.
+// Requires `creatorWallet`, authenticated as the creator of the job.
+router.post('/mint-jobs/:id/submit', requireWalletAuth('creatorWallet'), requireMintJobCreator, async (req, res) => {
+    const { transaction } = req.body;
+    if (!transaction || typeof transaction !== 'string') {
+        return res.status(400).json({ message: 'The signed transaction (base64) is required.' });
+    }
+    try {
+        const result = await submitCreatorTransaction(req.params.id, transaction);
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
         }
-        res.status(500).json({ message: `${errorMessage} Details: ${err.message}` });
+        res.status(202).json({ job: describeMintJob(result.job) });
+    } catch (err) {
+        console.error(`Error submitting the transaction of mint job ${req.params.id}:`, err);
+        res.status(500).json({ message: 'Internal Server Error: Could not submit the mint transaction.' });
     }
 });
 
@@ -276,12 +301,14 @@ router.post('/mint', upload.single('nftFile'), async (req, res) => {
 // Endpoint to list an NFT for sale.
 // IMPORTANT: In a production marketplace, this action should involve a blockchain transaction
 // (e.g., transferring the NFT to an escrow smart contract) *before* updating the database.
-router.post('/list', async (req, res) => {
-    const { nftId, price, sellerWallet } = req.body;
+// Requires `sellerWallet`, authenticated (session token or wallet signature) as the NFT's owner.
+router.post('/list', requireWalletAuth('sellerWallet'), async (req, res) => {
+    const { nftId, price } = req.body;
+    const sellerWallet = req.authenticatedWallet;
 
     // Validate incoming data
-    if (!nftId || !price || price <= 0 || !sellerWallet || !isValidSolanaAddress(sellerWallet)) {
-        return res.status(400).json({ message: 'NFT ID, a positive price, and a valid seller wallet address are all required to list an NFT.' });
+    if (!nftId || !price || price <= 0) {
+        return res.status(400).json({ message: 'NFT ID and a positive price are required to list an NFT.' });
     }
 
     try {
@@ -289,9 +316,9 @@ router.post('/list', async (req, res) => {
         if (!nft) {
             return res.status(404).json({ message: 'NFT not found in the database.' });
         }
-        // Verify that the `sellerWallet` matches the NFT's current owner in the database.
-        // Case-insensitive comparison for Solana addresses.
-        if (nft.owner.toLowerCase() !== sellerWallet.toLowerCase()) {
+        // Verify that the authenticated seller is the NFT's current owner in the database.
+        // Solana addresses are case-sensitive (base58), so they are compared exactly.
+        if (nft.owner !== sellerWallet) {
             return res.status(403).json({ message: 'Forbidden: You are not the recorded owner of this NFT, or it is already associated with a different owner.' });
         }
 
@@ -304,7 +331,7 @@ router.post('/list', async (req, res) => {
         // 3. ONLY AFTER successful on-chain escrow verification, the database record is updated.
         // Example (conceptual):
         // const { transactionSignature } = req.body; // Expect this from frontend
-        // const confirmation = await solanaConnection.confirmTransaction(transactionSignature, 'confirmed');
+        // const confirmation = await getSolanaConnection().confirmTransaction(transactionSignature, 'confirmed');
         // if (confirmation.value.err) { /* handle blockchain transaction failure */ }
         // // Further parsing to ensure correct NFT was escrowed.
 
@@ -346,13 +373,15 @@ router.get('/listing/:nftId', async (req, res) => {
 // POST /api/nfts/buy
 // Processes the purchase of an NFT.
 // CRITICAL: This endpoint MUST verify the on-chain transaction before updating the database.
-router.post('/buy', async (req, res) => {
+// Requires `newOwnerWallet`, authenticated as the buyer.
+router.post('/buy', requireWalletAuth('newOwnerWallet'), async (req, res) => {
     // Expecting the Solana transaction signature from the frontend after it's sent to the cluster.
-    const { nftId, newOwnerWallet, transactionSignature } = req.body;
+    const { nftId, transactionSignature } = req.body;
+    const newOwnerWallet = req.authenticatedWallet;
 
     // Validate required inputs
-    if (!nftId || !newOwnerWallet || !isValidSolanaAddress(newOwnerWallet) || !transactionSignature) {
-        return res.status(400).json({ message: 'NFT ID, the new owner\'s wallet address, and a valid blockchain transaction signature are all required for purchase.' });
+    if (!nftId || !transactionSignature) {
+        return res.status(400).json({ message: 'NFT ID and a valid blockchain transaction signature are required for purchase.' });
     }
 
     try {
@@ -369,7 +398,7 @@ router.post('/buy', async (req, res) => {
         // the Solana transaction to ensure the NFT was actually transferred and funds exchanged.
         // Steps involved:
         // 1. Confirm the transaction by signature to ensure it's finalized on-chain.
-        // 2. Fetch and parse the confirmed transaction details (`solanaConnection.getParsedTransaction`).
+        // 2. Fetch and parse the confirmed transaction details (`getSolanaConnection().getParsedTransaction`).
         // 3. Verify that:
         //    a. The correct NFT (by `mint` address) was transferred.
         //    b. The transfer originated from the seller (or marketplace escrow PDA).
@@ -378,7 +407,7 @@ router.post('/buy', async (req, res) => {
         //    e. The transaction was signed by the `newOwnerWallet` (buyer).
 
         console.log(`Attempting to confirm Solana purchase transaction: ${transactionSignature}`);
-        const confirmation = await solanaConnection.confirmTransaction(transactionSignature, 'confirmed');
+        const confirmation = await getSolanaConnection().confirmTransaction(transactionSignature, 'confirmed');
 
         if (confirmation.value.err) {
             console.error('Blockchain purchase transaction failed:', confirmation.value.err);
@@ -386,7 +415,7 @@ router.post('/buy', async (req, res) => {
         }
 
         // // Optional but highly recommended: Deep parse transaction for full verification
-        // const txDetails = await solanaConnection.getParsedTransaction(transactionSignature, { maxSupportedTransactionVersion: 0, commitment: 'confirmed' });
+        // const txDetails = await getSolanaConnection().getParsedTransaction(transactionSignature, { maxSupportedTransactionVersion: 0, commitment: 'confirmed' });
         // if (!txDetails || txDetails.meta.logMessages.some(log => log.includes('error'))) {
         //     console.error('Parsed blockchain transaction has errors or is invalid:', txDetails);
         //     return res.status(400).json({ message: 'Blockchain transaction appears invalid upon parsing. NFT ownership not verified.' });
@@ -421,7 +450,8 @@ router.post('/buy', async (req, res) => {
 // POST /api/nfts/transfer
 // Updates NFT ownership in the database after an on-chain transfer.
 // CRITICAL: Like `/buy`, this endpoint MUST verify the on-chain transaction.
-router.post('/transfer', async (req, res) => {
+// Requires `ownerWallet`, authenticated as the NFT's current owner (the recipient does not send this request).
+router.post('/transfer', requireWalletAuth('ownerWallet'), async (req, res) => {
     // Expecting the Solana transaction signature from the frontend after it's sent to the cluster.
     const { nftId, newOwnerWallet, transactionSignature } = req.body;
 
@@ -435,12 +465,15 @@ router.post('/transfer', async (req, res) => {
         if (!nft) {
             return res.status(404).json({ message: 'NFT not found in the database.' });
         }
+        if (nft.owner !== req.authenticatedWallet) {
+            return res.status(403).json({ message: 'Forbidden: only the recorded owner of this NFT can transfer it.' });
+        }
 
         // --- CRITICAL ON-CHAIN TRANSACTION VERIFICATION ---
         // This is paramount for data integrity. You MUST confirm and parse the Solana transaction
         // to ensure the NFT was actually transferred from the *current owner* to `newOwnerWallet`.
         console.log(`Attempting to confirm Solana transfer transaction: ${transactionSignature}`);
-        const confirmation = await solanaConnection.confirmTransaction(transactionSignature, 'confirmed');
+        const confirmation = await getSolanaConnection().confirmTransaction(transactionSignature, 'confirmed');
 
         if (confirmation.value.err) {
             console.error('Blockchain transfer transaction failed:', confirmation.value.err);
@@ -448,7 +481,7 @@ router.post('/transfer', async (req, res) => {
         }
 
         // // Optional but highly recommended: Deep parse transaction for full verification
-        // const txDetails = await solanaConnection.getParsedTransaction(transactionSignature, { maxSupportedTransactionVersion: 0, commitment: 'confirmed' });
+        // const txDetails = await getSolanaConnection().getParsedTransaction(transactionSignature, { maxSupportedTransactionVersion: 0, commitment: 'confirmed' });
         // if (!txDetails || txDetails.meta.logMessages.some(log => log.includes('error'))) {
         //     console.error('Parsed blockchain transfer transaction has errors or is invalid:', txDetails);
         //     return res.status(400).json({ message: 'Blockchain transfer transaction appears invalid upon parsing. NFT ownership not verified.' });
@@ -3,10 +3,12 @@ const express = require('express');
 const router = express.Router();
 const Post = require('../models/Post'); // Import the Post Mongoose model
 
-// Assuming isValidSolanaAddress is now exported from '../models/Post.js'
-// or ideally, it should be in a separate utility file.
-// For this example, we import it directly from the Post model file.
-const { isValidSolanaAddress } = require('../models/Post'); 
+// Shared Solana address format check (backend/utils/solanaUtils.js).
+const { isValidSolanaAddress } = require('../utils/solanaUtils');
+
+// Wallet authentication middleware: proves the wallet named in the request body authorized the request.
+const { requireWalletAuth } = require('../middleware/auth');
+const { hasRole } = require('../utils/roles'); // Moderators may remove other users' posts
 
 // Helper function to format Mongoose validation errors into a more readable object.
 // This function is useful for returning structured error messages to the client.
@@ -56,10 +58,8 @@ router.get('/:id', async (req, res) => {
 
 // POST /api/posts
 // Route to create a new post.
-// IMPORTANT: For a production application, robust user authentication and authorization
-// mechanisms are crucial here. You should verify that `authorWallet` truly belongs
-// to the authenticated user attempting to create the post.
-router.post('/', async (req, res) => {
+// `requireWalletAuth` verifies that `authorWallet` authorized the request before the post is created.
+router.post('/', requireWalletAuth('authorWallet'), async (req, res) => {
     const { title, content, authorWallet } = req.body;
 
     // Basic pre-validation: Check for the presence of required fields.
@@ -98,14 +98,12 @@ router.post('/', async (req, res) => {
 
 // PUT /api/posts/:id
 // Route to update an existing post by its ID.
-// IMPORTANT: Authentication and authorization checks are paramount here.
-// Only the original author or an authorized administrator should be able to update a post.
-router.put('/:id', async (req, res) => {
+// Only the original author can update a post; `authorWallet` must be authenticated.
+router.put('/:id', requireWalletAuth('authorWallet'), async (req, res) => {
     // Destructure fields that can be updated. `authorWallet` is generally not meant to be updated via PUT.
     const { title, content } = req.body;
-    // For authorization purposes, you might pass the `authorWallet` from the frontend
-    // but its value should be verified against the authenticated user's identity.
-    const { authorWallet } = req.body; // Keeping it for the authorization check example below.
+    // The authenticated wallet, already verified by `requireWalletAuth`.
+    const authorWallet = req.authenticatedWallet;
 
     // Allow partial updates: at least one field (title or content) must be provided.
     if (!title && !content) {
@@ -118,10 +116,9 @@ router.put('/:id', async (req, res) => {
             return res.status(404).json({ message: 'Post not found.' });
         }
 
-        // Basic Authorization Check (should be replaced with proper authentication/authorization middleware):
-        // This checks if the `authorWallet` provided in the request body matches the post's recorded author.
-        // A real system would use a JWT or session to determine the authenticated user's wallet.
-        if (authorWallet && post.authorWallet.toLowerCase() !== authorWallet.toLowerCase()) {
+        // Authorization Check: the verified wallet must be the post's recorded author.
+        // Solana addresses are case-sensitive, so compare them exactly.
+        if (post.authorWallet !== authorWallet) {
              return res.status(403).json({ message: 'Forbidden: You are not authorized to update this post.' });
         }
 
@@ -150,21 +147,18 @@ router.put('/:id', async (req, res) => {
 
 // DELETE /api/posts/:id
 // Route to delete a post by its ID.
-// IMPORTANT: Authentication and authorization checks are crucial here.
-// Only the original author or an authorized administrator should be able to delete a post.
-router.delete('/:id', async (req, res) => {
+// Only the original author or a moderator can delete a post; `requesterWallet` must be authenticated.
+router.delete('/:id', requireWalletAuth('requesterWallet'), async (req, res) => {
     try {
         const post = await Post.findById(req.params.id);
         if (!post) {
             return res.status(404).json({ message: 'Post not found.' });
         }
 
-        // Basic Authorization Check (similar to PUT route, should be proper middleware):
-        // You might pass a `requesterWallet` in the body or extract it from an auth token.
-        // For demonstration, uncommenting this and passing `requesterWallet` in body:
-        // if (req.body.requesterWallet && post.authorWallet.toLowerCase() !== req.body.requesterWallet.toLowerCase()) {
-        //     return res.status(403).json({ message: 'Forbidden: You are not authorized to delete this post.' });
-        // }
+        // Authorization Check: the verified wallet must be the post's recorded author or a moderator.
+        if (post.authorWallet !== req.authenticatedWallet && !(await hasRole(req.authenticatedWallet, ['moderator']))) {
+            return res.status(403).json({ message: 'Forbidden: You are not authorized to delete this post.' });
+        }
 
         // Use `deleteOne` on the model or `findByIdAndDelete` for a more direct approach.
         await Post.deleteOne({ _id: req.params.id });
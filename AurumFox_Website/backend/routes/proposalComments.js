@@ -0,0 +1,151 @@
+// backend/routes/proposalComments.js
+// Discussion threads of DAO proposals, mounted at /api/dao/proposals/:id/comments.
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // Gives access to the proposal `:id` of the mount path
+const mongoose = require('mongoose');
+const DaoProposal = require('../models/DaoProposal');
+const ProposalComment = require('../models/ProposalComment');
+
+// Comments must be signed by the author's wallet for every write (a session token is not enough),
+// so each stored version carries a signature anyone can verify.
+const { requireWalletAuth } = require('../middleware/auth');
+const requireSignedComment = requireWalletAuth('authorWallet', { requireSignature: true });
+
+// Loads the proposal from the mount path. Sends 400/404 and returns null if it is invalid or missing.
+const loadProposal = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400).json({ message: 'Invalid Proposal ID format provided.' });
+        return null;
+    }
+    const proposal = await DaoProposal.findById(req.params.id).select('_id status');
+    if (!proposal) {
+        res.status(404).json({ message: 'DAO Proposal not found with the provided ID.' });
+        return null;
+    }
+    return proposal;
+};
+
+// GET /api/dao/proposals/:id/comments?page=1&limit=100
+// Returns the proposal's comments in chronological order. Replies reference their parent via `parentComment`.
+router.get('/', async (req, res) => {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+
+    try {
+        const proposal = await loadProposal(req, res);
+        if (!proposal) return;
+
+        const [comments, total] = await Promise.all([
+            ProposalComment.find({ proposal: proposal._id }).sort({ createdAt: 1 }).skip((page - 1) * limit).limit(limit),
+            ProposalComment.countDocuments({ proposal: proposal._id })
+        ]);
+        res.json({ comments, page, limit, total });
+    } catch (error) {
+        console.error('Error fetching proposal comments:', error);
+        res.status(500).json({ message: 'Failed to retrieve comments. An unexpected server error occurred.' });
+    }
+});
+
+// POST /api/dao/proposals/:id/comments
+// Adds a signed comment, optionally as a reply to another comment of the same proposal.
+// Requires: 'authorWallet', 'content', 'nonce' and 'signature'. Optional: 'parentComment'.
+router.post('/', requireSignedComment, async (req, res) => {
+    const { content, parentComment } = req.body;
+
+    if (!content || typeof content !== 'string' || !content.trim()) {
+        return res.status(400).json({ message: 'Comment content is required.' });
+    }
+
+    try {
+        const proposal = await loadProposal(req, res);
+        if (!proposal) return;
+        if (proposal.status === 'cancelled') {
+            return res.status(400).json({ message: 'This proposal has been cancelled and is closed for discussion.' });
+        }
+
+        if (parentComment) {
+            const parentExists = mongoose.Types.ObjectId.isValid(parentComment) &&
+                await ProposalComment.exists({ _id: parentComment, proposal: proposal._id });
+            if (!parentExists) {
+                return res.status(400).json({ message: 'The comment you are replying to does not exist on this proposal.' });
+            }
+        }
+
+        const comment = await ProposalComment.create({
+            proposal: proposal._id,
+            parentComment: parentComment || null,
+            authorWallet: req.authenticatedWallet,
+            content,
+            signature: req.walletSignature.signature,
+            signedMessage: req.walletSignature.message
+        });
+        res.status(201).json({ message: 'Comment posted.', comment });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({ message: 'Validation failed for comment data.', errors });
+        }
+        console.error('Error posting proposal comment:', error);
+        res.status(500).json({ message: 'Failed to post comment due to a server error.' });
+    }
+});
+
+// PUT /api/dao/proposals/:id/comments/:commentId
+// Edits a comment. Only its author can do this; the previous text and signature are kept in `previousVersions`.
+// Requires: 'authorWallet', 'content', 'nonce' and 'signature'.
+router.put('/:commentId', requireSignedComment, async (req, res) => {
+    const { content } = req.body;
+
+    if (!content || typeof content !== 'string' || !content.trim()) {
+        return res.status(400).json({ message: 'Comment content is required.' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.commentId)) {
+        return res.status(400).json({ message: 'Invalid comment ID format provided.' });
+    }
+
+    try {
+        const comment = await ProposalComment.findOne({ _id: req.params.commentId, proposal: req.params.id });
+        if (!comment) {
+            return res.status(404).json({ message: 'Comment not found on this proposal.' });
+        }
+        if (comment.authorWallet !== req.authenticatedWallet) {
+            return res.status(403).json({ message: 'Forbidden: You can only edit your own comments.' });
+        }
+
+        // Conditional on the current signature, so two concurrent edits cannot lose a version.
+        const updated = await ProposalComment.findOneAndUpdate(
+            { _id: comment._id, signature: comment.signature },
+            {
+                $set: {
+                    content,
+                    signature: req.walletSignature.signature,
+                    signedMessage: req.walletSignature.message,
+                    editedAt: new Date()
+                },
+                $push: {
+                    previousVersions: {
+                        content: comment.content,
+                        signature: comment.signature,
+                        signedMessage: comment.signedMessage,
+                        writtenAt: comment.editedAt || comment.createdAt
+                    }
+                }
+            },
+            { new: true, runValidators: true }
+        );
+        if (!updated) {
+            return res.status(409).json({ message: 'The comment was edited at the same time. Please reload and try again.' });
+        }
+
+        res.json({ message: 'Comment updated.', comment: updated });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({ message: 'Validation failed for comment data.', errors });
+        }
+        console.error('Error editing proposal comment:', error);
+        res.status(500).json({ message: 'Failed to edit comment due to a server error.' });
+    }
+});
+
+module.exports = router;
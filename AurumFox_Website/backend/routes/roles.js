@@ -0,0 +1,117 @@
+// backend/routes/roles.js
+const express = require('express');
+const router = express.Router();
+const AdminRole = require('../models/AdminRole');
+const RoleAuditLog = require('../models/RoleAuditLog');
+const { requireWalletAuth } = require('../middleware/auth');
+const { requireRole } = require('../middleware/roles');
+const { ROLES, grantRole, revokeRole } = require('../utils/roles');
+const { isValidSolanaAddress } = require('../utils/solanaUtils');
+
+// Validates the common body of grant/revoke requests. Returns an error message or null.
+const validateRoleChange = ({ walletAddress, role }) => {
+    if (!walletAddress || !role) {
+        return 'Request missing required fields: walletAddress and role.';
+    }
+    if (!isValidSolanaAddress(walletAddress)) {
+        return 'The provided wallet address is not a valid Solana public key format.';
+    }
+    if (!ROLES.includes(role)) {
+        return `Invalid role. Valid roles are: ${ROLES.join(', ')}.`;
+    }
+    return null;
+};
+
+// GET /api/roles
+// Lists all current role assignments. Optional query: ?walletAddress=... to list one wallet's roles.
+router.get('/', async (req, res) => {
+    const filter = {};
+    if (req.query.walletAddress) {
+        if (!isValidSolanaAddress(req.query.walletAddress)) {
+            return res.status(400).json({ message: 'Invalid Solana wallet address format provided.' });
+        }
+        filter.walletAddress = req.query.walletAddress;
+    }
+
+    try {
+        const roles = await AdminRole.find(filter).sort({ createdAt: -1 });
+        res.json({ roles });
+    } catch (error) {
+        console.error('Error fetching roles:', error);
+        res.status(500).json({ message: 'Failed to retrieve roles. An unexpected server error occurred.' });
+    }
+});
+
+// GET /api/roles/audit?adminWallet=...&page=1&limit=50
+// Returns the role change audit trail, newest first. Admins only.
+router.get('/audit', requireWalletAuth('adminWallet'), requireRole('admin'), async (req, res) => {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    try {
+        const [entries, total] = await Promise.all([
+            RoleAuditLog.find().sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+            RoleAuditLog.countDocuments()
+        ]);
+        res.json({ entries, page, limit, total });
+    } catch (error) {
+        console.error('Error fetching role audit log:', error);
+        res.status(500).json({ message: 'Failed to retrieve the role audit log.' });
+    }
+});
+
+// POST /api/roles/grant
+// Grants a role to a wallet. Admins only.
+// Requires: 'adminWallet' (the acting admin, authenticated), 'walletAddress', 'role'. Optional: 'reason'.
+router.post('/grant', requireWalletAuth('adminWallet'), requireRole('admin'), async (req, res) => {
+    const { walletAddress, role, reason } = req.body;
+
+    const validationError = validateRoleChange({ walletAddress, role });
+    if (validationError) {
+        return res.status(400).json({ message: validationError });
+    }
+
+    try {
+        const granted = await grantRole({ walletAddress, role, performedBy: req.authenticatedWallet, reason });
+        if (!granted) {
+            return res.status(409).json({ message: `Wallet ${walletAddress} already has the "${role}" role.` });
+        }
+        res.status(201).json({ message: `Role "${role}" granted to ${walletAddress}.`, role: granted });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({ message: 'Validation failed for role data.', errors });
+        }
+        console.error('Error granting role:', error);
+        res.status(500).json({ message: 'Failed to grant role due to a server error.' });
+    }
+});
+
+// POST /api/roles/revoke
+// Revokes a role from a wallet. Admins only. The last remaining admin cannot be revoked.
+// Requires: 'adminWallet' (the acting admin, authenticated), 'walletAddress', 'role'. Optional: 'reason'.
+router.post('/revoke', requireWalletAuth('adminWallet'), requireRole('admin'), async (req, res) => {
+    const { walletAddress, role, reason } = req.body;
+
+    const validationError = validateRoleChange({ walletAddress, role });
+    if (validationError) {
+        return res.status(400).json({ message: validationError });
+    }
+
+    try {
+        if (role === 'admin' && (await AdminRole.countDocuments({ role: 'admin' })) <= 1) {
+            return res.status(409).json({ message: 'Cannot revoke the last remaining admin. Grant another admin first.' });
+        }
+
+        const revoked = await revokeRole({ walletAddress, role, performedBy: req.authenticatedWallet, reason });
+        if (!revoked) {
+            return res.status(404).json({ message: `Wallet ${walletAddress} does not have the "${role}" role.` });
+        }
+        res.json({ message: `Role "${role}" revoked from ${walletAddress}.` });
+    } catch (error) {
+        console.error('Error revoking role:', error);
+        res.status(500).json({ message: 'Failed to revoke role due to a server error.' });
+    }
+});
+
+module.exports = router;
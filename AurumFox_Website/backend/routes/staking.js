@@ -1,131 +1,518 @@
 // backend/routes/staking.js
 const express = require('express');
 const router = express.Router();
-const StakingUser = require('../models/StakingUser');
+const mongoose = require('mongoose');
+const StakePosition = require('../models/StakePosition');
+const StakingDeposit = require('../models/StakingDeposit');
+const StakingPayout = require('../models/StakingPayout');
+const StakingPreference = require('../models/StakingPreference');
+const StakingEvent = require('../models/StakingEvent');
+const { getStakingVault, verifyStakeDeposit } = require('../utils/stakingDeposits'); // On-chain deposit checks
+const { processPayout, retryPayout } = require('../utils/stakingPayouts'); // Vault transfers for claims and unstakes
+const { DEFAULT_POOL, getPool, listPools } = require('../utils/stakingPools'); // Pool terms
+const { stakeEvent, payoutEvent, recordSourceEvent, eventsToCsv } = require('../utils/stakingEvents'); // Append-only staking ledger
+const { computeStakingStats, getStatsSeries } = require('../utils/stakingStats'); // TVL and daily snapshots
+const { ensureEmissionRates, planEpochBudget, describeEmissions } = require('../utils/emissions'); // Epoch reward rates
+const {
+    COMPOUND_INTERVAL_HOURS,
+    poolApr,
+    projectedApy,
+    describePosition,
+    openPosition,
+    findOpenPositions,
+    planWithdrawal,
+    settleWithdrawal,
+    settleRewards,
+    revertSettlement,
+    commitSettlements
+} = require('../utils/stakePositions'); // One position per deposit, FIFO withdrawals
+const { isValidSolanaAddress } = require('../utils/solanaUtils');
+const { requireWalletAuth } = require('../middleware/auth'); // Proves the caller controls `walletAddress`
+const { requireRole } = require('../middleware/roles');
 
-const STAKING_APR = 0.10; // 10% annual percentage rate (0.10)
+const MIN_PAYOUT_AMOUNT = 0.000001; // Smaller amounts are not worth a transaction
 
-// Function to calculate rewards (server-side calculation)
-function calculateRewards(stakedAmount, lastStakedOrUnstakedDate) {
+// Rewards are computed from the cached emission epoch rates; make sure they cover the current epoch
+router.use(async (req, res, next) => {
+    try {
+        await ensureEmissionRates();
+        next();
+    } catch (err) {
+        res.status(500).json({ message: `Failed to load staking reward rates: ${err.message}` });
+    }
+});
+
+// Staking pools and their terms (reward multiplier, lockup, minimum stake, early-exit fee), with the
+// current APR of each pool and its projected APY when rewards are auto-compounded
+router.get('/pools', (req, res) => {
+    res.json({
+        pools: listPools().map(pool => {
+            const apr = poolApr(pool);
+            return { ...pool, apr, compoundApy: projectedApy(apr) };
+        }),
+        defaultPool: DEFAULT_POOL,
+        compoundIntervalHours: COMPOUND_INTERVAL_HOURS
+    });
+});
+
+// Staking vault details the frontend needs to build the deposit transfer
+router.get('/vault', (req, res) => {
+    const vault = getStakingVault();
+    if (!vault) {
+        return res.status(503).json({ message: 'Staking is not available: no staking vault is configured on the server.' });
+    }
+    res.json({ mint: vault.mint, vaultWallet: vault.owner, vaultTokenAccount: vault.tokenAccount });
+});
+
+// Stake-weighted average of `field` over positions (0 without stake)
+function weightedAverage(positions, field) {
+    const staked = positions.reduce((sum, position) => sum + position.stakedAmount, 0);
+    return staked > 0 ? positions.reduce((sum, position) => sum + position[field] * position.stakedAmount, 0) / staked : 0;
+}
+
+// Emission schedule: epoch length, budget default, APR floor and cap, and the current, upcoming and recent epochs
+router.get('/emissions', async (req, res) => {
+    try {
+        res.json(await describeEmissions());
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Plan the reward budget of a future epoch. Admins only.
+// Requires: 'adminWallet', 'budget' (AFOX, >= 0) and a Bearer session token or 'nonce' + 'signature'.
+router.put('/emissions/:epoch', requireWalletAuth('adminWallet'), requireRole('admin'), async (req, res) => {
+    const epochNumber = Number(req.params.epoch);
+    const { budget } = req.body;
+    if (!Number.isInteger(epochNumber)) {
+        return res.status(400).json({ message: 'Epoch must be an integer.' });
+    }
+    if (typeof budget !== 'number' || !(budget >= 0)) {
+        return res.status(400).json({ message: '"budget" must be a non-negative number.' });
+    }
+
+    try {
+        const result = await planEpochBudget(epochNumber, budget);
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+        res.json({ message: `Epoch ${epochNumber} will emit ${budget} AFOX.`, epoch: result.epoch });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Global staking statistics: live TVL, staker count, average stake, rewards distributed and TVL per pool,
+// plus a daily time series from the snapshots. GET /api/staking/stats?days=30 (1-365)
+router.get('/stats', async (req, res) => {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    try {
+        const [stats, series] = await Promise.all([computeStakingStats(), getStatsSeries(days)]);
+        res.json({ ...stats, series });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Staking data of a wallet: totals over all positions, a summary per pool and every open position (one per deposit).
+// Yields are given as `apr` (simple interest), `apy` (projected for each position's current mode) and
+// `compoundApy` (projected if every position auto-compounded), all weighted by stake.
+// `rewards` is exact as of `asOf`; it grows by `rewardRatePerSecond` until the rate changes (next epoch, or a change of the total stake).
+async function describeWalletStaking(walletAddress) {
     const now = Date.now();
-    const lastDate = lastStakedOrUnstakedDate.getTime();
-    const timeDiffHours = (now - lastDate) / (1000 * 60 * 60);
-    const dailyRate = STAKING_APR / 365;
-    const accruedRewards = stakedAmount * dailyRate * (timeDiffHours / 24); // Divide by 24 for daily rate
+    const [openPositions, preference] = await Promise.all([
+        findOpenPositions(walletAddress),
+        StakingPreference.findOne({ walletAddress })
+    ]);
+    const positions = openPositions.map(position => {
+        const view = describePosition(position, now);
+        return { ...view, compoundApy: projectedApy(view.apr) };
+    });
 
-    return accruedRewards;
+    const pools = {};
+    positions.forEach(position => {
+        const summary = pools[position.pool] || (pools[position.pool] = { pool: position.pool, stakedAmount: 0, rewards: 0, positionCount: 0, positions: [] });
+        summary.stakedAmount += position.stakedAmount;
+        summary.rewards += position.rewards;
+        summary.positionCount++;
+        summary.positions.push(position);
+    });
+
+    return {
+        asOf: new Date(now),
+        stakedAmount: positions.reduce((sum, position) => sum + position.stakedAmount, 0),
+        rewards: positions.reduce((sum, position) => sum + position.rewards, 0),
+        rewardRatePerSecond: positions.reduce((sum, position) => sum + position.rewardRatePerSecond, 0),
+        autoCompound: preference ? preference.autoCompound : false,
+        compoundIntervalHours: COMPOUND_INTERVAL_HOURS,
+        apr: weightedAverage(positions, 'apr'),
+        apy: weightedAverage(positions, 'apy'),
+        compoundApy: weightedAverage(positions, 'compoundApy'),
+        pools: Object.values(pools).map(({ positions: poolPositions, ...summary }) => ({
+            ...summary,
+            apr: weightedAverage(poolPositions, 'apr'),
+            apy: weightedAverage(poolPositions, 'apy'),
+            compoundApy: weightedAverage(poolPositions, 'compoundApy')
+        })),
+        positions
+    };
 }
 
-// Get user staking data
+// Get user staking data (see describeWalletStaking)
 router.get('/:walletAddress', async (req, res) => {
     try {
-        const user = await StakingUser.findOne({ walletAddress: req.params.walletAddress });
-        if (user) {
-            // Calculate current rewards with each request
-            const currentRewards = user.rewards + calculateRewards(user.stakedAmount, user.lastStakedOrUnstaked);
-            res.json({
-                stakedAmount: user.stakedAmount,
-                rewards: currentRewards,
-                lastClaimed: user.lastClaimed,
-                lastStakedOrUnstaked: user.lastStakedOrUnstaked
-            });
-        } else {
-            res.json({ stakedAmount: 0, rewards: 0, lastClaimed: null, lastStakedOrUnstaked: null });
-        }
+        res.json(await describeWalletStaking(req.params.walletAddress));
     } catch (err) {
         res.status(500).json({ message: err.message });
     }
 });
 
 // Stake AFOX
-router.post('/stake', async (req, res) => {
-    const { walletAddress, amount } = req.body;
-    if (!walletAddress || !amount || amount <= 0) {
-        return res.status(400).json({ message: 'Wallet address and staking amount are required and must be positive.' });
+// The wallet first transfers AFOX to the staking vault on-chain (see GET /vault), then submits the
+// transaction signature here. The verified amount opens a new stake position, once per signature.
+// Requires: 'walletAddress', 'txSignature', and a Bearer session token or 'nonce' + 'signature'.
+// Optional: 'pool' (see GET /pools, defaults to the flexible pool). Each deposit has its own lockup.
+// Optional: 'autoCompound' (boolean) for this deposit; defaults to the wallet's setting (POST /auto-compound).
+router.post('/stake', requireWalletAuth('walletAddress'), async (req, res) => {
+    const { walletAddress, txSignature } = req.body;
+    const poolKey = req.body.pool || DEFAULT_POOL;
+    if (req.body.autoCompound !== undefined && typeof req.body.autoCompound !== 'boolean') {
+        return res.status(400).json({ message: '"autoCompound" must be true or false.' });
+    }
+    if (!walletAddress || !txSignature || typeof txSignature !== 'string' || !/^[1-9A-HJ-NP-Za-km-z]{64,90}$/.test(txSignature)) {
+        return res.status(400).json({ message: 'Wallet address and the signature of your AFOX transfer to the staking vault are required.' });
+    }
+    const pool = getPool(poolKey);
+    if (!pool) {
+        return res.status(400).json({ message: `Unknown staking pool "${poolKey}". See GET /api/staking/pools.` });
     }
 
     try {
-        let user = await StakingUser.findOne({ walletAddress });
-
-        if (!user) {
-            user = new StakingUser({ walletAddress });
+        let depositRecord = await StakingDeposit.findOne({ txSignature });
+        if (depositRecord) {
+            // A deposit recorded without a position (the server stopped in between) is credited on resubmission
+            if (depositRecord.walletAddress !== walletAddress || await StakePosition.exists({ deposit: depositRecord._id })) {
+                return res.status(409).json({ message: 'This transaction has already been credited as a stake.' });
+            }
+            if (depositRecord.amount < pool.minStake) {
+                return res.status(400).json({ message: `The ${pool.label} pool requires at least ${pool.minStake} AFOX per deposit; this transaction transferred ${depositRecord.amount} AFOX.` });
+            }
         } else {
-            // If the user already has a stake, add accrued rewards to their current reward balance
-            // before updating stakedAmount (to avoid losing rewards from the previous period)
-            user.rewards += calculateRewards(user.stakedAmount, user.lastStakedOrUnstaked);
+            const deposit = await verifyStakeDeposit(txSignature, walletAddress);
+            if (deposit.error) {
+                return res.status(deposit.status).json({ message: deposit.error });
+            }
+            if (deposit.amount < pool.minStake) {
+                // The signature is not used up, so the deposit can still be submitted for a pool with a lower minimum.
+                return res.status(400).json({ message: `The ${pool.label} pool requires at least ${pool.minStake} AFOX per deposit; this transaction transferred ${deposit.amount} AFOX.` });
+            }
+
+            // The unique signature claims the deposit, so concurrent requests cannot record it twice.
+            try {
+                depositRecord = await StakingDeposit.create({ txSignature, walletAddress, ...deposit });
+            } catch (error) {
+                if (error.code === 11000) {
+                    return res.status(409).json({ message: 'This transaction has already been credited as a stake.' });
+                }
+                throw error;
+            }
+        }
+
+        let autoCompound = req.body.autoCompound;
+        if (autoCompound === undefined) {
+            const preference = await StakingPreference.findOne({ walletAddress });
+            autoCompound = preference ? preference.autoCompound : false;
         }
 
-        user.stakedAmount += amount;
-        user.lastStakedOrUnstaked = Date.now(); // Update the time of the last action for reward calculation
+        // At most one position per deposit (unique index), so a resubmission racing the first request cannot credit it twice
+        let position;
+        try {
+            position = await openPosition({ walletAddress, poolKey, depositId: depositRecord._id, amount: depositRecord.amount, autoCompound });
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({ message: 'This transaction has already been credited as a stake.' });
+            }
+            throw error;
+        }
+        // The stake is credited at this point; an event that cannot be recorded now is recorded by the ledger reconciler
+        await recordSourceEvent(StakePosition, position, stakeEvent(position, txSignature));
+        res.json({
+            message: `Staking successful: ${depositRecord.amount} AFOX credited to the ${pool.label} pool.`,
+            amount: depositRecord.amount,
+            position: describePosition(position),
+            staking: await describeWalletStaking(walletAddress)
+        });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Auto-compound on or off
+// With 'positionId': only that open position. Without: the wallet's setting, applied to all its open
+// positions and used as the default for new deposits.
+// Requires: 'walletAddress', 'enabled' (boolean), and a Bearer session token or 'nonce' + 'signature'.
+router.post('/auto-compound', requireWalletAuth('walletAddress'), async (req, res) => {
+    const { walletAddress, enabled, positionId } = req.body;
+    if (!walletAddress || typeof enabled !== 'boolean') {
+        return res.status(400).json({ message: 'Wallet address and "enabled" (true or false) are required.' });
+    }
+    if (positionId && !mongoose.Types.ObjectId.isValid(positionId)) {
+        return res.status(400).json({ message: 'Invalid position ID format provided.' });
+    }
+
+    try {
+        if (positionId) {
+            const position = await StakePosition.findOneAndUpdate(
+                { _id: positionId, walletAddress, status: 'open' },
+                { $set: { autoCompound: enabled } },
+                { new: true }
+            );
+            if (!position) {
+                return res.status(404).json({ message: 'Open position not found for this wallet.' });
+            }
+            return res.json({
+                message: `Auto-compound ${enabled ? 'enabled' : 'disabled'} for this position.`,
+                position: describePosition(position),
+                staking: await describeWalletStaking(walletAddress)
+            });
+        }
 
-        await user.save();
-        res.json({ message: 'Staking successful.', user });
+        const preference = await StakingPreference.findOneAndUpdate(
+            { walletAddress },
+            { $set: { autoCompound: enabled } },
+            { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+        );
+        const result = await StakePosition.updateMany({ walletAddress, status: 'open' }, { $set: { autoCompound: enabled } });
+        res.json({
+            message: `Auto-compound ${enabled ? 'enabled' : 'disabled'} for ${result.modifiedCount} position(s) and your future deposits.`,
+            autoCompound: preference.autoCompound,
+            staking: await describeWalletStaking(walletAddress)
+        });
     } catch (err) {
+        if (err.name === 'ValidationError') {
+            const errors = Object.values(err.errors).map(error => error.message);
+            return res.status(400).json({ message: 'Validation failed for staking settings.', errors });
+        }
         res.status(500).json({ message: err.message });
     }
 });
 
+// Records the payout of a claim or unstake and its ledger event, and tries to send it right away; the payout
+// processor resumes it if that fails. If the payout cannot be recorded, its settlements (`payoutData.positions`)
+// are given back to the positions.
+async function recordPayout(payoutData) {
+    let payout;
+    try {
+        payout = await StakingPayout.create({ ...payoutData, eventRecorded: false });
+    } catch (error) {
+        for (const settlement of payoutData.positions) {
+            await revertSettlement(settlement)
+                .catch(revertError => console.error(`Failed to restore a stake position of ${payoutData.walletAddress} after a payout error:`, revertError));
+        }
+        throw error;
+    }
+    // The settlements are committed; an event that cannot be recorded now is recorded by the ledger reconciler
+    await recordSourceEvent(StakingPayout, payout, payoutEvent(payout));
+
+    try {
+        await processPayout(payout);
+    } catch (error) {
+        console.error(`Failed to send staking payout ${payout._id}, it will be retried:`, error);
+    }
+    return StakingPayout.findById(payout._id);
+}
+
 // Claim rewards
-router.post('/claim-rewards', async (req, res) => {
-    const { walletAddress } = req.body;
+// Claims the rewards of all open positions (or of one pool, 'pool' in the body) in a single payout
+// from the staking vault. The response contains the payout to track it.
+router.post('/claim-rewards', requireWalletAuth('walletAddress'), async (req, res) => {
+    const { walletAddress, pool } = req.body;
     if (!walletAddress) {
         return res.status(400).json({ message: 'Wallet address is required.' });
     }
+    if (pool && !getPool(pool)) {
+        return res.status(400).json({ message: `Unknown staking pool "${pool}".` });
+    }
 
     try {
-        const user = await StakingUser.findOne({ walletAddress });
-        if (!user) {
-            return res.status(404).json({ message: 'Staking user not found.' });
+        const positions = await findOpenPositions(walletAddress, pool);
+        if (positions.length === 0) {
+            return res.status(404).json({ message: 'No open stake positions found.' });
         }
 
-        const currentRewards = user.rewards + calculateRewards(user.stakedAmount, user.lastStakedOrUnstaked);
-
-        if (currentRewards <= 0) {
+        const now = new Date();
+        const settlements = positions.map(position => settleRewards(position, now));
+        const claimable = settlements.reduce((sum, settlement) => sum + settlement.rewards, 0);
+        if (claimable < MIN_PAYOUT_AMOUNT) {
             return res.status(400).json({ message: 'No rewards to claim.' });
         }
 
-        // In a real dApp, there should be a smart contract call here to transfer AFOX to the user
-        // For simulation, we just reset rewards on the backend
-        user.rewards = 0;
-        user.lastClaimed = Date.now();
-        user.lastStakedOrUnstaked = Date.now(); // Update as rewards have been claimed
-
-        await user.save();
-        res.json({ message: `Successfully claimed ${currentRewards.toFixed(2)} AFOX rewards.`, user });
+        // Fails as a whole if a concurrent request (claim, unstake, compounding) changed one of the positions
+        const commit = await commitSettlements(positions, settlements);
+        if (commit.error) {
+            return res.status(commit.status).json({ message: commit.error });
+        }
+        const payout = await recordPayout({ walletAddress, type: 'claim', amount: claimable, pool: pool || null, positions: settlements });
+        res.json({
+            message: `Claimed ${claimable.toFixed(2)} AFOX rewards. The payout is on its way to your wallet.`,
+            payout,
+            staking: await describeWalletStaking(walletAddress)
+        });
     } catch (err) {
         res.status(500).json({ message: err.message });
     }
 });
 
 // Unstake
-router.post('/unstake', async (req, res) => {
-    const { walletAddress } = req.body;
+// Withdraws 'amount' AFOX (all of the selection if omitted) from either:
+//   - one position ('positionId'), or
+//   - the wallet's open positions oldest-first (FIFO), optionally limited to one 'pool'.
+// Every position touched also pays out its accrued rewards. Locked positions pay the pool's early-exit fee
+// on the withdrawn amount. Everything is sent in a single payout from the staking vault.
+router.post('/unstake', requireWalletAuth('walletAddress'), async (req, res) => {
+    const { walletAddress, positionId, pool } = req.body;
+    const requestedAmount = req.body.amount;
     if (!walletAddress) {
         return res.status(400).json({ message: 'Wallet address is required.' });
     }
+    if (requestedAmount !== undefined && (typeof requestedAmount !== 'number' || !(requestedAmount > 0))) {
+        return res.status(400).json({ message: '"amount" must be a positive number.' });
+    }
+    if (positionId && !mongoose.Types.ObjectId.isValid(positionId)) {
+        return res.status(400).json({ message: 'Invalid position ID format provided.' });
+    }
+    if (pool && !getPool(pool)) {
+        return res.status(400).json({ message: `Unknown staking pool "${pool}".` });
+    }
 
     try {
-        const user = await StakingUser.findOne({ walletAddress });
-        if (!user) {
-            return res.status(404).json({ message: 'Staking user not found.' });
+        const positions = positionId
+            ? await StakePosition.find({ _id: positionId, walletAddress, status: 'open' })
+            : await findOpenPositions(walletAddress, pool);
+        const available = positions.reduce((sum, position) => sum + position.amount, 0);
+        if (available <= 0) {
+            return res.status(400).json({ message: positionId ? 'This position is not open or does not belong to your wallet.' : 'You have no AFOX staked.' });
         }
-        if (user.stakedAmount <= 0) {
-            return res.status(400).json({ message: 'You have no AFOX staked.' });
+
+        const plan = planWithdrawal(positions, requestedAmount !== undefined ? requestedAmount : available);
+        if (!plan) {
+            return res.status(400).json({ message: `You can unstake at most ${available} AFOX from the selected position(s).` });
         }
 
-        // Add all accrued rewards to the current reward balance before resetting
-        user.rewards += calculateRewards(user.stakedAmount, user.lastStakedOrUnstaked);
-        const totalUnstakedAmount = user.stakedAmount + user.rewards; // Return both stake and rewards
+        const now = new Date();
+        const settlements = plan.map(({ position, take }) => settleWithdrawal(position, take, now));
+        const principal = settlements.reduce((sum, settlement) => sum + settlement.principal - settlement.fee, 0);
+        const fee = settlements.reduce((sum, settlement) => sum + settlement.fee, 0);
+        const rewards = settlements.reduce((sum, settlement) => sum + settlement.rewards, 0);
+        const totalUnstakedAmount = principal + rewards; // Return both stake and rewards
+        if (totalUnstakedAmount < MIN_PAYOUT_AMOUNT) {
+            return res.status(400).json({ message: `The payout of this withdrawal would be below the minimum of ${MIN_PAYOUT_AMOUNT} AFOX.` });
+        }
 
-        // In a real dApp, there should be a smart contract call here to return AFOX to the user
-        // For simulation, we just reset stake and rewards on the backend
-        user.stakedAmount = 0;
-        user.rewards = 0; // Rewards are reset upon unstaking
-        user.lastStakedOrUnstaked = Date.now(); // Update time
-        user.lastClaimed = Date.now();
+        const commit = await commitSettlements(plan.map(({ position }) => position), settlements);
+        if (commit.error) {
+            return res.status(commit.status).json({ message: commit.error });
+        }
 
-        await user.save();
-        res.json({ message: `Successfully unstaked ${totalUnstakedAmount.toFixed(2)} AFOX.`, user });
+        const payout = await recordPayout(
+            {
+                walletAddress,
+                type: 'unstake',
+                amount: totalUnstakedAmount,
+                principal,
+                fee,
+                pool: positionId ? positions[0].pool : (pool || null),
+                positions: settlements
+            });
+        res.json({
+            message: `Unstaked ${totalUnstakedAmount.toFixed(2)} AFOX${fee > 0 ? ` (early-exit fee: ${fee.toFixed(2)} AFOX)` : ''}. The payout is on its way to your wallet.`,
+            payout,
+            staking: await describeWalletStaking(walletAddress)
+        });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Payout ledger of a wallet (claims and unstakes), newest first: GET /api/staking/:walletAddress/payouts?limit=50
+router.get('/:walletAddress/payouts', async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    try {
+        const payouts = await StakingPayout.find({ walletAddress: req.params.walletAddress })
+            .sort({ createdAt: -1 })
+            .limit(limit);
+        res.json(payouts);
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Staking history of a wallet from the append-only ledger (stakes, claims, unstakes, compounding, payout outcomes).
+// GET /api/staking/:walletAddress/history?page=1&limit=50&type=unstake&from=2025-01-01&to=2025-12-31
+//   JSON: newest first, paginated.
+//   format=csv: every matching event (up to HISTORY_CSV_LIMIT) oldest first, as a CSV download.
+const HISTORY_CSV_LIMIT = 10000;
+router.get('/:walletAddress/history', async (req, res) => {
+    const { walletAddress } = req.params;
+    if (!isValidSolanaAddress(walletAddress)) {
+        return res.status(400).json({ message: 'A valid Solana wallet address is required.' });
+    }
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    const { type, from, to, format } = req.query;
+
+    const filter = { walletAddress };
+    if (type) {
+        if (!StakingEvent.EVENT_TYPES.includes(type)) {
+            return res.status(400).json({ message: `Invalid event type. Allowed: ${StakingEvent.EVENT_TYPES.join(', ')}.` });
+        }
+        filter.type = type;
+    }
+    if (from || to) {
+        const fromDate = from ? new Date(from) : null;
+        const toDate = to ? new Date(to) : null;
+        if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+            return res.status(400).json({ message: '"from" and "to" must be valid dates.' });
+        }
+        filter.createdAt = {};
+        if (fromDate) filter.createdAt.$gte = fromDate;
+        if (toDate) filter.createdAt.$lte = toDate;
+    }
+
+    try {
+        if (format === 'csv') {
+            const events = await StakingEvent.find(filter).sort({ createdAt: 1 }).limit(HISTORY_CSV_LIMIT).lean();
+            res.attachment(`staking-history-${walletAddress}.csv`);
+            res.type('text/csv');
+            return res.send(eventsToCsv(events));
+        }
+
+        const [events, total] = await Promise.all([
+            StakingEvent.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+            StakingEvent.countDocuments(filter)
+        ]);
+        res.json({ events, page, limit, total });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Re-queue a failed payout (e.g., after topping up the vault). Admins only.
+// Requires: 'adminWallet' and a Bearer session token or 'nonce' + 'signature'.
+router.post('/payouts/:id/retry', requireWalletAuth('adminWallet'), requireRole('admin'), async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid payout ID format provided.' });
+    }
+
+    try {
+        const payout = await retryPayout(req.params.id);
+        if (!payout) {
+            const exists = await StakingPayout.exists({ _id: req.params.id });
+            return exists
+                ? res.status(409).json({ message: 'Only failed payouts can be retried.' })
+                : res.status(404).json({ message: 'Payout not found.' });
+        }
+        res.json({ message: 'The payout has been queued again.', payout });
     } catch (err) {
         res.status(500).json({ message: err.message });
     }
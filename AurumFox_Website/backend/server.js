@@ -4,6 +4,16 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const path = require('path');
+const { seedAdminRolesFromEnv } = require('./utils/roles');
+const { startProposalFinalizer } = require('./jobs/proposalFinalizer');
+const { startProposalExecutor } = require('./jobs/proposalExecutor');
+const { startPayoutProcessor } = require('./jobs/payoutProcessor');
+const { startRewardCompounder } = require('./jobs/rewardCompounder');
+const { startEmissionScheduler } = require('./jobs/emissionScheduler');
+const { startStakingStatsSnapshotter } = require('./jobs/stakingStatsSnapshotter');
+const { startStakingLedgerReconciler } = require('./jobs/stakingLedgerReconciler');
+const { startMintJobProcessor } = require('./jobs/mintJobProcessor');
+const { migrateLegacyStakes } = require('./utils/stakePositions');
 
 // Load environment variables from .env file
 dotenv.config();
@@ -23,25 +33,48 @@ app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
 // Connect to MongoDB
 mongoose.connect(MONGODB_URI)
-    .then(() => console.log('Connected to MongoDB'))
+    .then(() => {
+        console.log('Connected to MongoDB');
+        startProposalFinalizer(); // Periodically records the result of DAO proposals whose voting has ended
+        startProposalExecutor(); // Sends approved DAO treasury transfers and tracks their confirmation
+        startPayoutProcessor(); // Sends staking payouts (claims, unstakes) from the vault and tracks their confirmation
+        startEmissionScheduler(); // Starts staking reward epochs and keeps their APR in line with budget and TVL
+        startRewardCompounder(); // Folds the rewards of auto-compounding stake positions into their stake
+        startStakingStatsSnapshotter(); // Records daily staking statistics (TVL, stakers) for GET /api/staking/stats
+        startStakingLedgerReconciler(); // Records staking ledger events (stakes, claims, unstakes) their request missed
+        startMintJobProcessor(); // Resumes NFT mints (mint account, token account, token and metadata, record)
+        // Move balances from the old aggregate StakingUser records into per-deposit stake positions
+        migrateLegacyStakes().catch(err => console.error('Failed to migrate legacy staking balances:', err));
+        return seedAdminRolesFromEnv(); // Ensure wallets from ADMIN_WALLETS hold the 'admin' role
+    })
     .catch(err => console.error('MongoDB connection error:', err));
 
 // Import and use API routes
+const authRoutes = require('./routes/auth'); // Nonces for wallet-signed requests
 const announcementsRoutes = require('./routes/announcements');
 const gamesRoutes = require('./routes/games');
 const adsRoutes = require('./routes/ads');
 const nftsRoutes = require('./routes/nfts');
 const daoRoutes = require('./routes/dao');
+const delegationsRoutes = require('./routes/delegations'); // DAO vote delegation
+const daoExecutionsRoutes = require('./routes/daoExecutions'); // On-chain execution of passed DAO proposals
+const proposalCommentsRoutes = require('./routes/proposalComments'); // DAO proposal discussion threads
 const stakingRoutes = require('./routes/staking');
 const postsRoutes = require('./routes/posts'); // For the "News" section
+const rolesRoutes = require('./routes/roles'); // Admin/moderator/publisher role registry
 
+app.use('/api/auth', authRoutes);
 app.use('/api/announcements', announcementsRoutes);
 app.use('/api/games', gamesRoutes);
 app.use('/api/ads', adsRoutes);
 app.use('/api/nfts', nftsRoutes);
+app.use('/api/dao/delegations', delegationsRoutes);
+app.use('/api/dao/executions', daoExecutionsRoutes);
+app.use('/api/dao/proposals/:id/comments', proposalCommentsRoutes);
 app.use('/api/dao', daoRoutes);
 app.use('/api/staking', stakingRoutes);
 app.use('/api/posts', postsRoutes);
+app.use('/api/roles', rolesRoutes);
 
 // Start the server
 app.listen(PORT, () => {
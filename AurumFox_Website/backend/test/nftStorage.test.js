@@ -0,0 +1,231 @@
+// backend/test/nftStorage.test.js
+// Every storage adapter (see utils/nftStorage.js) against in-process HTTP stand-ins of the Kubo RPC API, the
+// Pinata pinning API and an Arweave node, so no credentials or external services are needed. Each test stores
+// a file, checks the content-addressed URI it returns and fetches the content back from the URL it resolves to.
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const Arweave = require('arweave');
+
+const { createStorage, resolveStorageUri } = require('../utils/nftStorage');
+
+const STORAGE_ENV = [
+    'PUBLIC_BASE_URL', 'PORT',
+    'IPFS_API_KIND', 'IPFS_API_KEY', 'IPFS_API_SECRET', 'IPFS_API_URL', 'IPFS_GATEWAY_URL',
+    'ARWEAVE_WALLET_FILE', 'ARWEAVE_API_URL', 'ARWEAVE_GATEWAY_URL'
+];
+const PINATA_KEY = 'test-pinata-key';
+const PINATA_SECRET = 'test-pinata-secret';
+
+const content = Buffer.from(`Aurum Fox storage test ${crypto.randomUUID()}`);
+const sha256 = crypto.createHash('sha256').update(content).digest();
+
+let tempDir;
+let walletFile;
+const servers = [];
+
+// Starts an HTTP server on a free local port. `handler(req, body)` returns { status, type, body }.
+async function serve(handler) {
+    const server = http.createServer(async (req, res) => {
+        const chunks = [];
+        for await (const chunk of req) chunks.push(chunk);
+        try {
+            const reply = await handler(req, Buffer.concat(chunks));
+            res.writeHead(reply.status || 200, { 'Content-Type': reply.type || 'text/plain' });
+            res.end(reply.body);
+        } catch (error) {
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            res.end(error.message);
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    servers.push(server);
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+// The file of a multipart upload
+async function uploadedFile(req, body) {
+    const form = await new Response(body, { headers: { 'Content-Type': req.headers['content-type'] } }).formData();
+    return Buffer.from(await form.get('file').arrayBuffer());
+}
+
+// CIDv1 of a single raw block (what Kubo returns for a small file added with cid-version=1), base32 encoded
+function rawCid(data) {
+    const bytes = Buffer.concat([Buffer.from([0x01, 0x55, 0x12, 0x20]), crypto.createHash('sha256').update(data).digest()]);
+    const alphabet = 'abcdefghijklmnopqrstuvwxyz234567';
+    let bits = 0;
+    let value = 0;
+    let encoded = 'b';
+    for (const byte of bytes) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            encoded += alphabet[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    return bits > 0 ? encoded + alphabet[(value << (5 - bits)) & 31] : encoded;
+}
+
+// An IPFS pinning API stand-in that keeps the pinned files in memory and serves them as a gateway under /ipfs
+async function serveIpfs(pin) {
+    const pinned = new Map();
+    const url = await serve(async (req, body) => {
+        if (req.method === 'POST') {
+            const file = await uploadedFile(req, body);
+            const cid = rawCid(file);
+            pinned.set(cid, file);
+            return pin(req, cid);
+        }
+        const cid = req.url.replace(/^\/ipfs\//, '');
+        return pinned.has(cid) ? { body: pinned.get(cid) } : { status: 404, body: 'Not found' };
+    });
+    return { url, pinned };
+}
+
+async function fetchBytes(url) {
+    const response = await fetch(url);
+    assert.equal(response.status, 200, `GET ${url}`);
+    return Buffer.from(await response.arrayBuffer());
+}
+
+before(async () => {
+    tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'nft-storage-test-'));
+    walletFile = path.join(tempDir, 'arweave-wallet.json');
+    const wallet = await Arweave.init({}).wallets.generate();
+    await fs.promises.writeFile(walletFile, JSON.stringify(wallet));
+});
+
+after(async () => {
+    await Promise.all(servers.map(server => new Promise(resolve => server.close(resolve))));
+    if (tempDir) await fs.promises.rm(tempDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    for (const name of STORAGE_ENV) delete process.env[name];
+});
+
+test('local storage names files by their sha256 and returns a local:// URI independent of the host', async () => {
+    process.env.PUBLIC_BASE_URL = 'https://old-host.example/';
+    const stored = await createStorage('local').put(content, { contentType: 'text/plain', fileName: 'note.TXT' });
+    const storedName = `${sha256.toString('hex')}.txt`;
+    const filePath = path.join(__dirname, '../uploads', storedName);
+
+    try {
+        assert.deepEqual(stored, {
+            provider: 'local',
+            id: sha256.toString('hex'),
+            uri: `local://${storedName}`,
+            url: `https://old-host.example/uploads/${storedName}`
+        });
+        assert.deepEqual(await fs.promises.readFile(filePath), content);
+
+        // A stored URI follows the backend to its new host
+        process.env.PUBLIC_BASE_URL = 'https://new-host.example';
+        assert.equal(resolveStorageUri(stored.uri), `https://new-host.example/uploads/${storedName}`);
+    } finally {
+        await fs.promises.rm(filePath, { force: true });
+    }
+});
+
+test('IPFS storage through a Kubo node pins the file and returns its CID', async () => {
+    const kubo = await serveIpfs((req, cid) => {
+        assert.match(req.url, /^\/api\/v0\/add\?.*cid-version=1/);
+        return { type: 'application/json', body: JSON.stringify({ Name: 'note.txt', Hash: cid, Size: String(content.length) }) };
+    });
+    process.env.IPFS_API_KIND = 'kubo';
+    process.env.IPFS_API_URL = kubo.url;
+    process.env.IPFS_GATEWAY_URL = `${kubo.url}/ipfs`;
+
+    const stored = await createStorage('ipfs').put(content, { contentType: 'text/plain', fileName: 'note.txt' });
+
+    const cid = rawCid(content);
+    assert.deepEqual(stored, { provider: 'ipfs', id: cid, uri: `ipfs://${cid}`, url: `${kubo.url}/ipfs/${cid}` });
+    assert.deepEqual(await fetchBytes(stored.url), content);
+});
+
+test('IPFS storage through Pinata sends the API credentials and returns the pinned CID', async () => {
+    const pinata = await serveIpfs((req, cid) => {
+        if (req.url !== '/pinning/pinFileToIPFS') return { status: 404, body: 'Not found' };
+        if (req.headers.pinata_api_key !== PINATA_KEY || req.headers.pinata_secret_api_key !== PINATA_SECRET) {
+            return { status: 401, body: 'Invalid API key' };
+        }
+        return { type: 'application/json', body: JSON.stringify({ IpfsHash: cid, PinSize: content.length }) };
+    });
+    process.env.IPFS_API_URL = pinata.url;
+    process.env.IPFS_GATEWAY_URL = `${pinata.url}/ipfs/`;
+    process.env.IPFS_API_KEY = PINATA_KEY;
+    process.env.IPFS_API_SECRET = 'wrong-secret';
+
+    await assert.rejects(
+        createStorage('ipfs').put(content, { contentType: 'text/plain', fileName: 'note.txt' }),
+        /IPFS upload failed \(401\)/
+    );
+
+    process.env.IPFS_API_SECRET = PINATA_SECRET;
+    const stored = await createStorage('ipfs').put(content, { contentType: 'text/plain', fileName: 'note.txt' });
+
+    assert.equal(stored.uri, `ipfs://${rawCid(content)}`);
+    assert.equal(stored.url, `${pinata.url}/ipfs/${stored.id}`);
+    assert.deepEqual(await fetchBytes(stored.url), content);
+    assert.equal(pinata.pinned.size, 1);
+});
+
+test('Pinata storage without credentials is a configuration error', () => {
+    assert.throws(() => createStorage('ipfs'), /IPFS_API_KEY and IPFS_API_SECRET are required/);
+});
+
+test('Arweave storage posts a data transaction signed by the wallet and returns its id', async () => {
+    const arweave = Arweave.init({});
+    const transactions = new Map();
+    // Just enough of an Arweave node for a single-chunk upload: anchor, price, posting and reading transactions
+    const node = await serve(async (req, body) => {
+        if (req.method === 'GET' && req.url === '/tx_anchor') return { body: crypto.randomBytes(48).toString('base64url') };
+        if (req.method === 'GET' && req.url.startsWith('/price/')) return { body: '0' };
+        if (req.method === 'POST' && req.url === '/tx') {
+            const transaction = arweave.transactions.fromRaw(JSON.parse(body.toString('utf8')));
+            if (!(await arweave.transactions.verify(transaction))) {
+                return { status: 400, body: 'Transaction verification failed.' };
+            }
+            transactions.set(transaction.id, transaction);
+            return { body: 'OK' };
+        }
+        const transaction = transactions.get(req.url.slice(1));
+        return transaction ? { body: Buffer.from(transaction.get('data', { decode: true })) } : { status: 404, body: 'Not Found' };
+    });
+    process.env.ARWEAVE_WALLET_FILE = walletFile;
+    process.env.ARWEAVE_API_URL = node;
+
+    const stored = await createStorage('arweave').put(content, { contentType: 'text/plain', fileName: 'note.txt' });
+
+    assert.equal(stored.provider, 'arweave');
+    assert.equal(stored.uri, `ar://${stored.id}`);
+    assert.equal(stored.url, `${node}/${stored.id}`);
+    const transaction = transactions.get(stored.id);
+    const wallet = JSON.parse(await fs.promises.readFile(walletFile, 'utf8'));
+    assert.equal(transaction.owner, wallet.n);
+    const tags = transaction.tags.map(tag => [tag.get('name', { decode: true, string: true }), tag.get('value', { decode: true, string: true })]);
+    assert.deepEqual(tags, [['Content-Type', 'text/plain']]);
+    assert.deepEqual(await fetchBytes(stored.url), content);
+});
+
+test('stored URIs resolve through the configured gateways without adapter credentials', () => {
+    process.env.PORT = '4000';
+    process.env.IPFS_GATEWAY_URL = 'https://ipfs.example/ipfs/';
+    process.env.ARWEAVE_GATEWAY_URL = 'https://ar.example';
+
+    assert.equal(resolveStorageUri('local://abc.png'), 'http://localhost:4000/uploads/abc.png');
+    assert.equal(resolveStorageUri('ipfs://bafkcid'), 'https://ipfs.example/ipfs/bafkcid');
+    assert.equal(resolveStorageUri('ar://tx-id'), 'https://ar.example/tx-id');
+    // Plain URLs (NFTs saved before content-addressed storage) and missing values are kept as they are
+    assert.equal(resolveStorageUri('http://localhost:3000/uploads/abc.png'), 'http://localhost:3000/uploads/abc.png');
+    assert.equal(resolveStorageUri(null), null);
+
+    delete process.env.ARWEAVE_GATEWAY_URL;
+    process.env.ARWEAVE_API_URL = 'http://127.0.0.1:1984/';
+    assert.equal(resolveStorageUri('ar://tx-id'), 'http://127.0.0.1:1984/tx-id');
+});
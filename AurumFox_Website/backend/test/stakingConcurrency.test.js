@@ -0,0 +1,271 @@
+// backend/test/stakingConcurrency.test.js
+// Parallel staking requests against the same positions, on an in-memory MongoDB (mongodb-memory-server).
+// Whatever order the requests interleave in, stake and rewards must be conserved: the losing writers
+// get a 409 (or find nothing left to withdraw) and nothing is paid out twice.
+// No vault is configured, so payouts are recorded but never sent.
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'staking-concurrency-test-secret';
+delete process.env.STAKING_VAULT_WALLET;
+delete process.env.BACKEND_WALLET_PRIVATE_KEY;
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const express = require('express');
+const mongoose = require('mongoose');
+const bs58 = require('bs58');
+const { Keypair } = require('@solana/web3.js');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+const StakePosition = require('../models/StakePosition');
+const StakingDeposit = require('../models/StakingDeposit');
+const StakingPayout = require('../models/StakingPayout');
+const StakingEvent = require('../models/StakingEvent');
+const { signAccessToken } = require('../utils/authTokens');
+const { getPool } = require('../utils/stakingPools');
+const { ensureEmissionRates } = require('../utils/emissions');
+const {
+    calculateRewards,
+    currentRewards,
+    settleRewards,
+    commitSettlements,
+    compoundPositions
+} = require('../utils/stakePositions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PARALLEL_REQUESTS = 6;
+// Rounding tolerance for sums of floating point AFOX amounts
+const EPSILON = 1e-6;
+
+let mongod;
+let server;
+let baseUrl;
+
+before(async () => {
+    mongod = await MongoMemoryServer.create();
+    await mongoose.connect(mongod.getUri());
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/staking', require('../routes/staking'));
+    // The unique indexes (one position per deposit, ...) must exist before the first request
+    await Promise.all(mongoose.modelNames().map(name => mongoose.model(name).syncIndexes()));
+    await new Promise(resolve => {
+        server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/staking`;
+});
+
+after(async () => {
+    if (server) await new Promise(resolve => server.close(resolve));
+    await mongoose.disconnect();
+    if (mongod) await mongod.stop();
+});
+
+beforeEach(async () => {
+    await Promise.all([
+        StakePosition.deleteMany({}),
+        StakingDeposit.deleteMany({}),
+        StakingPayout.deleteMany({}),
+        // The ledger rejects deletes through the model (append-only), so it is cleared through the driver
+        StakingEvent.collection.deleteMany({})
+    ]);
+    await ensureEmissionRates();
+});
+
+function newWallet() {
+    return Keypair.generate().publicKey.toBase58();
+}
+
+// POSTs to the staking API as `walletAddress` (session token). Returns { status, body }.
+async function post(path, walletAddress, body = {}) {
+    const response = await fetch(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${signAccessToken(walletAddress)}` },
+        body: JSON.stringify({ walletAddress, ...body })
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+// Sends `count` copies of a request at once
+function inParallel(count, request) {
+    return Promise.all(Array.from({ length: count }, () => request()));
+}
+
+// A position that has been accruing rewards for `days`
+function openAgedPosition(walletAddress, amount, { days = 30, pool = 'flexible', autoCompound = false } = {}) {
+    const since = new Date(Date.now() - days * DAY_MS);
+    return StakePosition.create({ walletAddress, pool, principal: amount, amount, autoCompound, startedAt: since, lastAccruedAt: since });
+}
+
+// Rewards `amount` AFOX staked in the flexible pool earns from `from` until `to`
+function flexibleRewards(amount, from, to) {
+    return calculateRewards(amount, from, getPool('flexible').rewardMultiplier, to);
+}
+
+function sum(items, field) {
+    return items.reduce((total, item) => total + item[field], 0);
+}
+
+function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) <= EPSILON, `${message}: expected ${expected}, got ${actual}`);
+}
+
+// Rewards settled into payouts (claims and unstakes) of a wallet
+async function paidOutRewards(walletAddress) {
+    const payouts = await StakingPayout.find({ walletAddress });
+    return payouts.reduce((total, payout) => total + sum(payout.positions, 'rewards'), 0);
+}
+
+test('parallel /stake of one deposit credits it exactly once', async () => {
+    const walletAddress = newWallet();
+    const txSignature = bs58.encode(crypto.randomBytes(64));
+    // Recorded as verified on-chain but not credited yet, so /stake does not need the RPC
+    await StakingDeposit.create({ txSignature, walletAddress, amount: 250, rawAmount: '250000000', mint: 'mint', vaultTokenAccount: 'vault' });
+
+    const responses = await inParallel(PARALLEL_REQUESTS, () => post('/stake', walletAddress, { txSignature }));
+
+    const statuses = responses.map(response => response.status);
+    assert.equal(statuses.filter(status => status === 200).length, 1, `statuses: ${statuses}`);
+    assert.ok(statuses.every(status => status === 200 || status === 409), `statuses: ${statuses}`);
+
+    const positions = await StakePosition.find({ walletAddress });
+    assert.equal(positions.length, 1);
+    assert.equal(positions[0].amount, 250);
+    assert.equal(await StakingEvent.countDocuments({ walletAddress, type: 'stake' }), 1);
+});
+
+test('parallel /claim-rewards pay each reward out once', async () => {
+    const walletAddress = newWallet();
+    const [first, second] = await Promise.all([
+        openAgedPosition(walletAddress, 1000, { days: 30 }),
+        openAgedPosition(walletAddress, 500, { days: 10 })
+    ]);
+
+    const responses = await inParallel(PARALLEL_REQUESTS, () => post('/claim-rewards', walletAddress));
+
+    const statuses = responses.map(response => response.status);
+    assert.ok(statuses.includes(200), `statuses: ${statuses}`);
+    assert.ok(statuses.every(status => status === 200 || status === 409 || status === 400), `statuses: ${statuses}`);
+
+    // Everything accrued up to each position's last settlement was paid out or is still on the position, once
+    const settled = await StakePosition.find({ walletAddress });
+    const accrued = [first, second].reduce((total, position) => {
+        const saved = settled.find(candidate => candidate._id.equals(position._id));
+        return total + flexibleRewards(position.amount, position.lastAccruedAt, saved.lastAccruedAt.getTime()) - saved.rewards;
+    }, 0);
+    assertClose(await paidOutRewards(walletAddress), accrued, 'rewards paid out');
+    assertClose(sum(settled, 'amount'), 1500, 'stake after claiming');
+
+    const claims = await StakingPayout.countDocuments({ walletAddress, type: 'claim' });
+    assert.equal(claims, statuses.filter(status => status === 200).length);
+    assert.equal(await StakingEvent.countDocuments({ walletAddress, type: 'claim' }), claims);
+});
+
+test('parallel full /unstake requests withdraw the stake once', async () => {
+    const walletAddress = newWallet();
+    await Promise.all([
+        openAgedPosition(walletAddress, 600, { days: 20 }),
+        openAgedPosition(walletAddress, 400, { days: 5 })
+    ]);
+
+    // Everything, oldest-first: the stake can only be withdrawn once
+    const responses = await inParallel(PARALLEL_REQUESTS, () => post('/unstake', walletAddress));
+
+    const statuses = responses.map(response => response.status);
+    assert.ok(statuses.includes(200), `statuses: ${statuses}`);
+    // Losers either conflicted (409) or found nothing left to withdraw (400)
+    assert.ok(statuses.every(status => status === 200 || status === 409 || status === 400), `statuses: ${statuses}`);
+
+    // A request that lost one position after winning another reverted its win, so some stake may be left
+    const payouts = await StakingPayout.find({ walletAddress, type: 'unstake' });
+    const withdrawn = payouts.reduce((total, payout) => total + payout.principal + payout.fee, 0);
+    const positions = await StakePosition.find({ walletAddress });
+    assert.ok(withdrawn > 0);
+    assertClose(sum(positions, 'amount') + withdrawn, 1000, 'stake left plus stake paid out');
+});
+
+test('parallel partial unstakes never withdraw more than is staked', async () => {
+    const walletAddress = newWallet();
+    await Promise.all([
+        openAgedPosition(walletAddress, 300, { days: 3 }),
+        openAgedPosition(walletAddress, 200, { days: 1 })
+    ]);
+
+    const responses = await inParallel(PARALLEL_REQUESTS, () => post('/unstake', walletAddress, { amount: 150 }));
+
+    const statuses = responses.map(response => response.status);
+    assert.ok(statuses.every(status => status === 200 || status === 409 || status === 400), `statuses: ${statuses}`);
+
+    const payouts = await StakingPayout.find({ walletAddress, type: 'unstake' });
+    assert.equal(payouts.length, statuses.filter(status => status === 200).length);
+    const withdrawn = payouts.reduce((total, payout) => total + payout.principal + payout.fee, 0);
+    assertClose(withdrawn, 150 * payouts.length, 'stake paid out');
+
+    const positions = await StakePosition.find({ walletAddress });
+    assertClose(sum(positions, 'amount') + withdrawn, 500, 'stake left plus stake paid out');
+});
+
+test('claims, unstakes and auto-compounding racing on the same positions conserve stake and rewards', async () => {
+    const walletAddress = newWallet();
+    const days = 2; // Due for compounding (STAKING_COMPOUND_INTERVAL_HOURS defaults to 24)
+    const opened = await Promise.all([
+        openAgedPosition(walletAddress, 800, { days, autoCompound: true }),
+        openAgedPosition(walletAddress, 200, { days, autoCompound: true })
+    ]);
+    const openedAt = opened[0].lastAccruedAt;
+
+    const results = await Promise.all([
+        compoundPositions(),
+        post('/claim-rewards', walletAddress),
+        post('/unstake', walletAddress, { amount: 100 }),
+        compoundPositions(),
+        post('/claim-rewards', walletAddress),
+        post('/unstake', walletAddress, { amount: 100 }),
+        post('/claim-rewards', walletAddress)
+    ]);
+
+    const statuses = results.filter(result => typeof result === 'object').map(result => result.status);
+    assert.ok(statuses.every(status => status === 200 || status === 409 || status === 400), `statuses: ${statuses}`);
+
+    const positions = await StakePosition.find({ walletAddress });
+    const payouts = await StakingPayout.find({ walletAddress });
+    const compounded = sum(positions, 'compoundedRewards');
+    const withdrawn = payouts.reduce((total, payout) => total + payout.principal + payout.fee, 0);
+
+    // Stake: deposits plus compounded rewards are either still staked or were withdrawn
+    assertClose(sum(positions, 'amount') + withdrawn, 1000 + compounded, 'stake conservation');
+
+    // Rewards: compounded, paid out and still accruing together cannot exceed what the largest stake the wallet
+    // ever had (deposits plus everything compounded) earns over the whole time. A double payout of the ~2 days of
+    // rewards would exceed it by far more than the rewards the compounded amount itself earned.
+    const now = Date.now();
+    const distributed = compounded + await paidOutRewards(walletAddress) + positions.reduce((total, position) => total + currentRewards(position, now), 0);
+    const upperBound = flexibleRewards(1000 + compounded, openedAt, now);
+    assert.ok(distributed <= upperBound + EPSILON, `distributed ${distributed} > ${upperBound}`);
+});
+
+test('a settlement of positions that changed since they were read is rejected with 409 and reverted', async () => {
+    const walletAddress = newWallet();
+    await Promise.all([
+        openAgedPosition(walletAddress, 100, { days: 10 }),
+        openAgedPosition(walletAddress, 100, { days: 10 })
+    ]);
+    const sortByAge = { startedAt: 1, _id: 1 };
+    const winner = await StakePosition.find({ walletAddress }).sort(sortByAge);
+    const loser = await StakePosition.find({ walletAddress }).sort(sortByAge);
+
+    // The winner claims the second position only; the loser then tries to claim both from its stale copies
+    const now = new Date();
+    assert.deepEqual(await commitSettlements([winner[1]], [settleRewards(winner[1], now)]), {});
+    const firstBefore = await StakePosition.findById(loser[0]._id);
+
+    const result = await commitSettlements(loser, loser.map(position => settleRewards(position, now)));
+    assert.equal(result.status, 409);
+
+    // The loser's save of the first position was reverted: its rewards are still there to be claimed
+    const firstAfter = await StakePosition.findById(loser[0]._id);
+    assert.equal(firstAfter.status, 'open');
+    assertClose(currentRewards(firstAfter, now.getTime()), currentRewards(firstBefore, now.getTime()), 'rewards of the reverted position');
+    const secondAfter = await StakePosition.findById(loser[1]._id);
+    assert.equal(secondAfter.rewards, 0);
+});
@@ -0,0 +1,85 @@
+// backend/utils/authTokens.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+
+// Access tokens are short-lived JWTs; refresh tokens are opaque random strings stored (hashed) in MongoDB.
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.JWT_ACCESS_TTL_SECONDS, 10) || 15 * 60; // 15 minutes
+const REFRESH_TOKEN_TTL_SECONDS = parseInt(process.env.JWT_REFRESH_TTL_SECONDS, 10) || 7 * 24 * 60 * 60; // 7 days
+const JWT_ISSUER = 'aurumfox-backend';
+
+// Reads JWT_SECRET lazily so the server can still start (and serve public routes) without it.
+function getJwtSecret() {
+    const secret = process.env.JWT_SECRET;
+    if (!secret) {
+        throw new Error('JWT_SECRET is not set in .env. Session login is unavailable.');
+    }
+    return secret;
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Signs an access token whose subject is the authenticated wallet address
+function signAccessToken(walletAddress) {
+    return jwt.sign({}, getJwtSecret(), {
+        algorithm: 'HS256',
+        subject: walletAddress,
+        issuer: JWT_ISSUER,
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS
+    });
+}
+
+// Returns the wallet address of a valid access token. Throws if the token is invalid or expired.
+function verifyAccessToken(token) {
+    const payload = jwt.verify(token, getJwtSecret(), { issuer: JWT_ISSUER, algorithms: ['HS256'] });
+    return payload.sub;
+}
+
+// Issues a fresh access + refresh token pair for a wallet
+async function issueSession(walletAddress) {
+    const accessToken = signAccessToken(walletAddress);
+    const refreshToken = crypto.randomBytes(32).toString('hex');
+
+    await RefreshToken.create({
+        tokenHash: hashToken(refreshToken),
+        walletAddress,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000)
+    });
+
+    return {
+        accessToken,
+        refreshToken,
+        tokenType: 'Bearer',
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+        walletAddress
+    };
+}
+
+// Exchanges a refresh token for a new session. The old refresh token is revoked (rotation),
+// so a stolen token can be used at most once. Returns null if the token is unknown, expired or revoked.
+async function rotateRefreshToken(refreshToken) {
+    const record = await RefreshToken.findOneAndUpdate(
+        { tokenHash: hashToken(refreshToken), revokedAt: null, expiresAt: { $gt: new Date() } },
+        { $set: { revokedAt: new Date() } }
+    );
+    if (!record) {
+        return null;
+    }
+    return issueSession(record.walletAddress);
+}
+
+// Revokes a refresh token (logout). Resolves even if the token was already gone.
+async function revokeRefreshToken(refreshToken) {
+    await RefreshToken.updateOne(
+        { tokenHash: hashToken(refreshToken), revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+}
+
+module.exports = {
+    signAccessToken,
+    verifyAccessToken,
+    issueSession,
+    rotateRefreshToken,
+    revokeRefreshToken
+};
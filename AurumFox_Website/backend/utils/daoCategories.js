@@ -0,0 +1,85 @@
+// backend/utils/daoCategories.js
+const StakePosition = require('../models/StakePosition');
+const { PROPOSAL_CATEGORIES } = require('../models/DaoProposal');
+const { DEFAULT_QUORUM, DEFAULT_APPROVAL_THRESHOLD, VOTING_PERIOD_MS } = require('./daoLifecycle');
+
+// --- Proposal Categories ---
+// Each category has its own rules:
+//   minStakeToPropose - AFOX the creator must have staked (via /api/staking) to create or open such a proposal
+//   quorum            - minimum turnout (0..1 of the snapshotted voting power); creators may only raise it
+//   approvalThreshold - share of cast votes that must be 'for' (0..1); creators may only raise it
+// Any value can be overridden with the DAO_CATEGORY_RULES JSON in .env, e.g. {"treasury":{"minStakeToPropose":50000}}
+const BASE_CATEGORY_RULES = {
+    treasury: { label: 'Treasury', minStakeToPropose: 10000, quorum: 0.2, approvalThreshold: 0.6 },
+    parameter_change: { label: 'Parameter Change', minStakeToPropose: 5000, quorum: 0.15, approvalThreshold: 0.5 },
+    community: { label: 'Community', minStakeToPropose: 100, quorum: DEFAULT_QUORUM, approvalThreshold: DEFAULT_APPROVAL_THRESHOLD },
+    partnership: { label: 'Partnership', minStakeToPropose: 1000, quorum: 0.1, approvalThreshold: 0.5 }
+};
+
+const DEFAULT_CATEGORY = 'community';
+
+// Merges the DAO_CATEGORY_RULES overrides into the base rules. Invalid JSON is ignored with a warning.
+function loadCategoryRules() {
+    if (!process.env.DAO_CATEGORY_RULES) return BASE_CATEGORY_RULES;
+
+    let overrides;
+    try {
+        overrides = JSON.parse(process.env.DAO_CATEGORY_RULES);
+    } catch (error) {
+        console.warn('DAO_CATEGORY_RULES is not valid JSON and will be ignored:', error.message);
+        return BASE_CATEGORY_RULES;
+    }
+
+    const rules = {};
+    PROPOSAL_CATEGORIES.forEach(category => {
+        rules[category] = { ...BASE_CATEGORY_RULES[category], ...(overrides[category] || {}) };
+    });
+    return rules;
+}
+
+const CATEGORY_RULES = loadCategoryRules();
+
+// --- Voting Period Bounds (in hours) ---
+// Creators may choose a voting window between these bounds; without a choice the default period is used.
+const DEFAULT_VOTING_PERIOD_HOURS = VOTING_PERIOD_MS / (60 * 60 * 1000);
+const MIN_VOTING_PERIOD_HOURS = parseFloat(process.env.DAO_MIN_VOTING_PERIOD_HOURS) || 24; // 1 day
+const MAX_VOTING_PERIOD_HOURS = parseFloat(process.env.DAO_MAX_VOTING_PERIOD_HOURS) || 14 * 24; // 14 days
+
+// Returns the rules of a category, or null if the category is unknown
+function getCategoryRules(category) {
+    return Object.prototype.hasOwnProperty.call(CATEGORY_RULES, category) ? CATEGORY_RULES[category] : null;
+}
+
+// Returns an error message if the creator does not have enough AFOX staked for the category, otherwise null
+async function checkProposerStake(category, walletAddress) {
+    const rules = getCategoryRules(category);
+    const positions = await StakePosition.find({ walletAddress, status: 'open' }, 'amount').lean(); // One per deposit
+    const stakedAmount = positions.reduce((sum, position) => sum + position.amount, 0);
+    if (stakedAmount < rules.minStakeToPropose) {
+        return `${rules.label} proposals require at least ${rules.minStakeToPropose} AFOX staked. Your wallet has ${stakedAmount} AFOX staked.`;
+    }
+    return null;
+}
+
+// Public description of the categories and voting period bounds (used by GET /api/dao/categories)
+function describeProposalRules() {
+    return {
+        categories: PROPOSAL_CATEGORIES.map(key => ({ key, ...CATEGORY_RULES[key] })),
+        votingPeriodHours: {
+            min: MIN_VOTING_PERIOD_HOURS,
+            max: MAX_VOTING_PERIOD_HOURS,
+            default: DEFAULT_VOTING_PERIOD_HOURS
+        }
+    };
+}
+
+module.exports = {
+    PROPOSAL_CATEGORIES,
+    DEFAULT_CATEGORY,
+    DEFAULT_VOTING_PERIOD_HOURS,
+    MIN_VOTING_PERIOD_HOURS,
+    MAX_VOTING_PERIOD_HOURS,
+    getCategoryRules,
+    checkProposerStake,
+    describeProposalRules
+};
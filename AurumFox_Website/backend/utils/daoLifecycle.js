@@ -0,0 +1,140 @@
+// backend/utils/daoLifecycle.js
+const DaoProposal = require('../models/DaoProposal');
+const { takeVotingPowerSnapshot, discardVotingPowerSnapshot } = require('./votingPower');
+const { tallyProposal } = require('./daoTally');
+const { queueExecution } = require('./proposalExecution');
+
+// --- Proposal Lifecycle ---
+//   draft     - created but not yet open for voting (can still be cancelled)
+//   active    - voting is open until `expiresAt`
+//   succeeded - voting ended, quorum reached and the 'for' share exceeded the approval threshold
+//               (multi-option ballots: quorum reached and a single winning option)
+//   defeated  - voting ended without quorum, without enough 'for' votes, or with tied options
+//   cancelled - withdrawn by the creator or an admin before voting ended
+//   executed  - a succeeded proposal that has been carried out (manually by an admin, or on-chain
+//               by the executor job for proposals with an `execution` payload)
+
+// Numeric .env setting, or `fallback` if it is missing or not a number (0 is a valid setting)
+function numberFromEnv(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return isNaN(value) ? fallback : value;
+}
+
+// Defaults (overridable in .env). Proposals may ask for stricter values, never looser ones.
+const DEFAULT_QUORUM = numberFromEnv('DAO_DEFAULT_QUORUM', 0.1); // 10% of the snapshotted voting power; 0 = no quorum
+const DEFAULT_APPROVAL_THRESHOLD = numberFromEnv('DAO_DEFAULT_APPROVAL_THRESHOLD', 0.5); // simple majority
+const VOTING_PERIOD_MS = (parseFloat(process.env.DAO_VOTING_PERIOD_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+// Statuses from which a proposal can still be cancelled
+const CANCELLABLE_STATUSES = ['draft', 'active'];
+
+// Computes the result of a proposal from its tally and voting rules. Pure function, nothing is saved.
+// Multi-option ballots need `proposal.votes` to be loaded.
+function computeOutcome(proposal) {
+    if (proposal.ballotType && proposal.ballotType !== 'binary') {
+        return computeMultiOptionOutcome(proposal);
+    }
+
+    // Proposals created before quorum/threshold existed fall back to the defaults.
+    const quorum = proposal.quorum != null ? proposal.quorum : DEFAULT_QUORUM;
+    const approvalThreshold = proposal.approvalThreshold != null ? proposal.approvalThreshold : DEFAULT_APPROVAL_THRESHOLD;
+    const totalVotes = proposal.votesFor + proposal.votesAgainst;
+    const turnout = proposal.totalVotingPower > 0 ? totalVotes / proposal.totalVotingPower : 0;
+    const approvalRatio = totalVotes > 0 ? proposal.votesFor / totalVotes : 0;
+    // A proposal nobody voted on never reaches quorum, even if the quorum is 0.
+    const quorumReached = totalVotes > 0 && turnout >= quorum;
+
+    let outcome = 'quorum_not_reached';
+    if (quorumReached) {
+        outcome = approvalRatio > approvalThreshold ? 'passed' : 'rejected';
+    }
+
+    return { outcome, totalVotes, turnout, quorumReached, approvalRatio, finalizedAt: new Date() };
+}
+
+// Outcome of a single-choice, approval or ranked-choice ballot. The approval threshold does not apply;
+// the proposal passes when quorum is reached and exactly one option wins.
+function computeMultiOptionOutcome(proposal) {
+    const quorum = proposal.quorum != null ? proposal.quorum : DEFAULT_QUORUM;
+    const { totalVotes, winners } = tallyProposal(proposal);
+    const turnout = proposal.totalVotingPower > 0 ? totalVotes / proposal.totalVotingPower : 0;
+    const quorumReached = totalVotes > 0 && turnout >= quorum;
+
+    let outcome = 'quorum_not_reached';
+    if (quorumReached) {
+        outcome = winners.length === 1 ? 'passed' : 'tied';
+    }
+
+    return { outcome, totalVotes, turnout, quorumReached, winners, finalizedAt: new Date() };
+}
+
+// Opens voting on a proposal: snapshots voting power and sets the voting window.
+// Mutates the (unsaved or draft) proposal document; the caller saves it.
+// If saving fails afterwards, the caller must call `discardVotingPowerSnapshot(proposal._id)`.
+async function openVoting(proposal) {
+    const now = new Date();
+    try {
+        Object.assign(proposal, await takeVotingPowerSnapshot(proposal._id, proposal.category));
+    } catch (error) {
+        await discardVotingPowerSnapshot(proposal._id).catch(() => {});
+        throw error;
+    }
+    proposal.status = 'active';
+    proposal.startsAt = now;
+    // The creator's chosen window (validated when the proposal was created), or the default period
+    const votingPeriodMs = proposal.votingPeriodHours ? proposal.votingPeriodHours * 60 * 60 * 1000 : VOTING_PERIOD_MS;
+    proposal.expiresAt = new Date(now.getTime() + votingPeriodMs);
+    return proposal;
+}
+
+// Finalizes one proposal whose voting period is over and records its result.
+// The update is conditional on the proposal still being 'active', so concurrent finalizers
+// (the scheduler and a late vote request) cannot record two different results.
+// Returns the finalized proposal, or null if it was not active or has not expired yet.
+async function finalizeProposal(proposalId) {
+    const proposal = await DaoProposal.findOne({ _id: proposalId, status: 'active', expiresAt: { $lte: new Date() } });
+    if (!proposal) {
+        return null;
+    }
+
+    const result = computeOutcome(proposal);
+    const finalized = await DaoProposal.findOneAndUpdate(
+        { _id: proposal._id, status: 'active' },
+        { $set: { status: result.outcome === 'passed' ? 'succeeded' : 'defeated', result } },
+        { new: true }
+    ).select('-votes');
+
+    // A passed proposal with an on-chain action is queued for treasurer approval and execution.
+    // If this fails, the executor job queues it on its next run.
+    if (finalized && finalized.status === 'succeeded' && finalized.execution) {
+        await queueExecution(finalized).catch(error => console.error(`Failed to queue execution of DAO proposal ${finalized._id}:`, error));
+    }
+    return finalized;
+}
+
+// Finalizes every active proposal whose voting period has ended. Returns how many were finalized.
+async function finalizeExpiredProposals() {
+    const expired = await DaoProposal.find({ status: 'active', expiresAt: { $lte: new Date() } }).select('_id');
+
+    let finalized = 0;
+    for (const { _id } of expired) {
+        try {
+            if (await finalizeProposal(_id)) finalized++;
+        } catch (error) {
+            // Keep going: one broken proposal must not block the others. It is retried on the next run.
+            console.error(`Failed to finalize DAO proposal ${_id}:`, error);
+        }
+    }
+    return finalized;
+}
+
+module.exports = {
+    DEFAULT_QUORUM,
+    DEFAULT_APPROVAL_THRESHOLD,
+    VOTING_PERIOD_MS,
+    CANCELLABLE_STATUSES,
+    computeOutcome,
+    openVoting,
+    finalizeProposal,
+    finalizeExpiredProposals
+};
@@ -0,0 +1,138 @@
+// backend/utils/daoTally.js
+// Weighted vote counting for every ballot type. All functions are pure: they read `proposal.votes`
+// (each vote carries the voter's snapshotted `weight` and the `delegators` it voted for) and never touch the database.
+
+// Returns a function giving the weight a vote actually carries: the voter's own power plus the power of the
+// delegators it was cast for, except delegators who voted themselves (a direct vote overrides the delegate's).
+function weightResolver(votes) {
+    const directVoters = new Set(votes.map(vote => vote.voterWallet));
+    return (vote) => vote.weight + (vote.delegators || [])
+        .filter(delegator => !directVoters.has(delegator.walletAddress))
+        .reduce((sum, delegator) => sum + delegator.weight, 0);
+}
+
+// Returns the indexes with the highest count, or [] if nobody received any weight
+function leadingOptions(counts, candidates) {
+    const best = Math.max(...candidates.map(index => counts[index]));
+    if (!(best > 0)) return [];
+    return candidates.filter(index => counts[index] === best);
+}
+
+const allOptionIndexes = (optionCount) => Array.from({ length: optionCount }, (_, index) => index);
+
+// Single choice: each vote's weight goes to its one option. Most weight wins.
+function tallySingleChoice(votes, optionCount) {
+    const weightOf = weightResolver(votes);
+    const counts = new Array(optionCount).fill(0);
+    votes.forEach(vote => { counts[vote.choices[0]] += weightOf(vote); });
+    return { counts, winners: leadingOptions(counts, allOptionIndexes(optionCount)) };
+}
+
+// Approval: each vote's full weight goes to every option it approves. Most approval weight wins.
+function tallyApproval(votes, optionCount) {
+    const weightOf = weightResolver(votes);
+    const counts = new Array(optionCount).fill(0);
+    votes.forEach(vote => vote.choices.forEach(index => { counts[index] += weightOf(vote); }));
+    return { counts, winners: leadingOptions(counts, allOptionIndexes(optionCount)) };
+}
+
+// Instant-runoff: each vote counts for its highest-ranked option still in the race. An option with more than
+// half of the counted weight wins; otherwise the option(s) with the least weight are eliminated and their
+// votes move to the next preference. Votes with no remaining preference are "exhausted".
+// If every remaining option is tied, they are all returned as (tied) winners.
+function tallyInstantRunoff(votes, optionCount) {
+    const weightOf = weightResolver(votes);
+    let remaining = allOptionIndexes(optionCount);
+    const rounds = [];
+
+    for (;;) {
+        const counts = new Array(optionCount).fill(0);
+        let exhausted = 0;
+        votes.forEach(vote => {
+            const preference = vote.choices.find(index => remaining.includes(index));
+            if (preference === undefined) exhausted += weightOf(vote);
+            else counts[preference] += weightOf(vote);
+        });
+
+        const round = {
+            counts: Object.fromEntries(remaining.map(index => [index, counts[index]])),
+            exhausted,
+            eliminated: []
+        };
+        rounds.push(round);
+
+        const activeWeight = remaining.reduce((sum, index) => sum + counts[index], 0);
+        if (activeWeight === 0) {
+            return { rounds, winners: [] };
+        }
+
+        const leaders = leadingOptions(counts, remaining);
+        if (leaders.length === 1 && counts[leaders[0]] > activeWeight / 2) {
+            return { rounds, winners: leaders };
+        }
+
+        const lowest = Math.min(...remaining.map(index => counts[index]));
+        const toEliminate = remaining.filter(index => counts[index] === lowest);
+        if (toEliminate.length === remaining.length) {
+            return { rounds, winners: remaining }; // Everyone left is tied
+        }
+        round.eliminated = toEliminate;
+        remaining = remaining.filter(index => !toEliminate.includes(index));
+    }
+}
+
+// Counts a proposal of any ballot type. Returns `totalVotes` (weight of all ballots cast) plus:
+//   binary         - votesFor, votesAgainst, approvalRatio
+//   single/approval - counts per option and winners
+//   ranked_choice  - instant-runoff rounds and winners
+function tallyProposal(proposal) {
+    const votes = proposal.votes || [];
+    const weightOf = weightResolver(votes);
+    const totalVotes = votes.reduce((sum, vote) => sum + weightOf(vote), 0);
+
+    if (!proposal.ballotType || proposal.ballotType === 'binary') {
+        const votesFor = votes.filter(vote => vote.voteType === 'for').reduce((sum, vote) => sum + weightOf(vote), 0);
+        return {
+            ballotType: 'binary',
+            totalVotes,
+            votesFor,
+            votesAgainst: totalVotes - votesFor,
+            approvalRatio: totalVotes > 0 ? votesFor / totalVotes : 0
+        };
+    }
+
+    const optionCount = proposal.options.length;
+    let tally;
+    if (proposal.ballotType === 'single_choice') tally = tallySingleChoice(votes, optionCount);
+    else if (proposal.ballotType === 'approval') tally = tallyApproval(votes, optionCount);
+    else tally = tallyInstantRunoff(votes, optionCount);
+
+    return { ballotType: proposal.ballotType, totalVotes, ...tally };
+}
+
+// Checks a voter's `choices` against the ballot. Returns an error message, or null if the ballot is valid.
+function validateChoices(proposal, choices) {
+    const optionCount = proposal.options.length;
+    if (!Array.isArray(choices) || choices.length === 0) {
+        return 'Please provide your choices as a non-empty array of option numbers.';
+    }
+    if (!choices.every(index => Number.isInteger(index) && index >= 0 && index < optionCount)) {
+        return `Each choice must be an option number from 0 to ${optionCount - 1}.`;
+    }
+    if (new Set(choices).size !== choices.length) {
+        return 'Each option can only be chosen once.';
+    }
+    if (proposal.ballotType === 'single_choice' && choices.length !== 1) {
+        return 'This is a single-choice ballot: pick exactly one option.';
+    }
+    return null;
+}
+
+module.exports = {
+    weightResolver,
+    tallySingleChoice,
+    tallyApproval,
+    tallyInstantRunoff,
+    tallyProposal,
+    validateChoices
+};
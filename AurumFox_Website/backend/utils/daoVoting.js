@@ -0,0 +1,96 @@
+// backend/utils/daoVoting.js
+const DaoProposal = require('../models/DaoProposal');
+const { getSnapshotEntry, getDelegatedVotingPower } = require('./votingPower');
+
+// How often a vote is retried when a concurrent vote (by a delegate or delegator) changed the picture
+const MAX_VOTE_ATTEMPTS = 3;
+
+// Adds `amount` to `increments[path]` (several adjustments may hit the same running total)
+const addIncrement = (increments, path, amount) => {
+    increments[path] = (increments[path] || 0) + amount;
+};
+
+// Running total a ballot counts towards: votesFor/votesAgainst for binary ballots, nothing extra otherwise
+const tallyPath = (vote) => vote.voteType === 'for' ? 'votesFor' : vote.voteType === 'against' ? 'votesAgainst' : null;
+
+// Records a vote with its own and delegated weight. `ballot` is `{ voteType }` or `{ choices }`.
+//
+// Delegation rules (single hop, from the proposal's snapshot):
+//   - A delegate's vote also carries the power of every delegator who has not voted yet.
+//   - A delegator who votes directly overrides their delegate: if the delegate already voted for them,
+//     that share is moved from the delegate's vote to the direct vote, so nothing is counted twice.
+// Every update is conditional on the vote state it was computed from; if a concurrent vote changed it, retry.
+//
+// Returns { proposal, weight, delegatedWeight } or { error, status } when the vote cannot be recorded.
+async function castVote(proposalId, voterWallet, ballot) {
+    const own = await getSnapshotEntry(proposalId, voterWallet);
+    const ownWeight = own ? own.weight : 0;
+    const myDelegate = own ? own.delegateWallet : null;
+    const delegations = await getDelegatedVotingPower(proposalId, voterWallet);
+
+    for (let attempt = 0; attempt < MAX_VOTE_ATTEMPTS; attempt++) {
+        const current = await DaoProposal.findById(proposalId).select('voters votes.voterWallet votes.voteType votes.delegators');
+        if (!current) {
+            return { error: 'DAO Proposal not found with the provided ID.', status: 404 };
+        }
+        if (current.voters.includes(voterWallet)) {
+            return { error: 'You have already cast a vote on this proposal. Each wallet can vote only once.', status: 409 };
+        }
+
+        // Delegators who have not voted themselves are carried by this vote
+        const delegators = delegations
+            .filter(delegation => !current.voters.includes(delegation.walletAddress))
+            .map(delegation => ({ walletAddress: delegation.walletAddress, weight: delegation.weight }));
+        const delegatedWeight = delegators.reduce((sum, delegator) => sum + delegator.weight, 0);
+        const totalWeight = ownWeight + delegatedWeight;
+        if (totalWeight <= 0) {
+            return { error: 'Your wallet had no AFOX voting power (own or delegated) when voting on this proposal opened, so it cannot vote on it.', status: 403 };
+        }
+
+        const vote = { voterWallet, ...ballot, weight: ownWeight, castAt: new Date() };
+        if (delegators.length > 0) vote.delegators = delegators;
+
+        const increments = {};
+        addIncrement(increments, 'totalWeightCast', totalWeight);
+        if (tallyPath(vote)) addIncrement(increments, tallyPath(vote), totalWeight);
+
+        const filter = {
+            _id: proposalId,
+            status: 'active',
+            expiresAt: { $gt: new Date() },
+            // Neither this wallet nor any delegator counted above may have voted in the meantime
+            voters: { $nin: [voterWallet, ...delegators.map(delegator => delegator.walletAddress)] }
+        };
+
+        // Direct vote overriding the delegate: take this wallet's share back out of the delegate's vote
+        const delegateVote = myDelegate && current.votes.find(existing => existing.voterWallet === myDelegate);
+        const carriedByDelegate = delegateVote && (delegateVote.delegators || []).some(d => d.walletAddress === voterWallet);
+        const carriedMatch = { $elemMatch: { voterWallet: myDelegate, 'delegators.walletAddress': voterWallet } };
+        if (carriedByDelegate) {
+            filter.votes = carriedMatch;
+            addIncrement(increments, 'totalWeightCast', -ownWeight);
+            if (tallyPath(delegateVote)) addIncrement(increments, tallyPath(delegateVote), -ownWeight);
+        } else if (myDelegate) {
+            filter.$nor = [{ votes: carriedMatch }];
+        }
+
+        const updatedProposal = await DaoProposal.findOneAndUpdate(
+            filter,
+            { $inc: increments, $push: { voters: voterWallet, votes: vote } },
+            { new: true }
+        ).select('-votes');
+        if (updatedProposal) {
+            return { proposal: updatedProposal, weight: ownWeight, delegatedWeight };
+        }
+
+        // Find out why the update did not apply: closed voting is final, anything else is a concurrent vote
+        const stillOpen = await DaoProposal.exists({ _id: proposalId, status: 'active', expiresAt: { $gt: new Date() } });
+        if (!stillOpen) {
+            return { error: 'Voting on this proposal has closed.', status: 409 };
+        }
+    }
+
+    return { error: 'Your vote conflicted with other votes being cast at the same time. Please try again.', status: 409 };
+}
+
+module.exports = { castVote };
@@ -0,0 +1,269 @@
+// backend/utils/emissions.js
+const EmissionEpoch = require('../models/EmissionEpoch');
+const EmissionRate = require('../models/EmissionRate');
+const StakePosition = require('../models/StakePosition');
+const { getPool } = require('./stakingPools');
+
+// --- Reward Emissions ---
+// Staking rewards follow an emission schedule of fixed-length epochs, each with a reward budget.
+// The base APR is the annualized budget of the current epoch divided by the reward-weighted TVL (every staked
+// AFOX counts times its pool's `rewardMultiplier`), clamped to [APR_FLOOR, APR_CAP]. It is derived when the
+// epoch starts and again whenever the stake changes (updateEmissionRate), and each rate is recorded as a
+// segment of the rate history (EmissionRate). A pool earns base APR x its multiplier, and rewards over an
+// interval integrate the rate of every segment it spans. Staked amount x rate is therefore the budget spread
+// evenly over the epoch, so an epoch emits at most its budget; only APR_FLOOR can raise that, once the TVL is
+// so large that the budget would pay less than the floor (STAKING_APR_FLOOR=0 makes the budget a hard limit).
+
+function numberFromEnv(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return isNaN(value) ? fallback : value;
+}
+
+const EPOCH_DAYS = numberFromEnv('STAKING_EPOCH_DAYS', 7);
+const DEFAULT_EPOCH_BUDGET = numberFromEnv('STAKING_EPOCH_BUDGET', 50000);
+const APR_FLOOR = numberFromEnv('STAKING_APR_FLOOR', 0.02);
+const APR_CAP = numberFromEnv('STAKING_APR_CAP', 1);
+const EMISSIONS_START = new Date(process.env.STAKING_EMISSIONS_START || '2025-01-06T00:00:00Z');
+
+const EPOCH_MS = EPOCH_DAYS * 24 * 60 * 60 * 1000;
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Rate segments still needed, oldest first: { startsAt (ms), baseApr, integral }, where `integral` is the running
+// integral of the base APR up to the segment's start (APR-ms). Only the segment in effect at the oldest open
+// position's `lastAccruedAt` and the later ones are loaded, so the cost of a refresh does not grow with the rate
+// history. Rewards are computed synchronously from this cache; ensureEmissionRates() keeps it current, and rates
+// recorded by other processes are picked up within RATE_CACHE_MS.
+let rateCache = [];
+// The epoch the cache was loaded for ({ number, endsAt (ms) }) and when it was loaded
+let cachedEpoch = null;
+let cacheLoadedAt = 0;
+const RATE_CACHE_MS = 30 * 1000;
+
+function epochNumberAt(date) {
+    return Math.floor((date.getTime() - EMISSIONS_START.getTime()) / EPOCH_MS);
+}
+
+function epochBounds(number) {
+    const startsAt = new Date(EMISSIONS_START.getTime() + number * EPOCH_MS);
+    return { startsAt, endsAt: new Date(startsAt.getTime() + EPOCH_MS) };
+}
+
+// Base APR for an epoch budget at a reward-weighted TVL, within the floor and cap
+function deriveBaseApr(budget, weightedTvl) {
+    if (weightedTvl <= 0) return APR_CAP; // Nothing staked (and so nothing emitted): the first stakers get the best rate
+    const annualBudget = budget * (365 / EPOCH_DAYS);
+    return Math.min(Math.max(annualBudget / weightedTvl, APR_FLOOR), APR_CAP);
+}
+
+// Sum of open stake times the reward multiplier of its pool
+async function getWeightedTvl() {
+    const byPool = await StakePosition.aggregate([
+        { $match: { status: 'open', amount: { $gt: 0 } } },
+        { $group: { _id: '$pool', tvl: { $sum: '$amount' } } }
+    ]);
+    return byPool.reduce((sum, { _id, tvl }) => {
+        const pool = getPool(_id);
+        return sum + tvl * (pool ? pool.rewardMultiplier : 0);
+    }, 0);
+}
+
+// Records a rate segment starting at `startsAt`, with the running integral continued from the segment before it.
+// A segment recorded for the same moment before is kept.
+async function recordRateSegment(startsAt, epoch, weightedTvl, baseApr) {
+    const previous = await EmissionRate.findOne({ startsAt: { $lt: startsAt } }).sort({ startsAt: -1 }).lean();
+    const integral = previous ? (previous.integral || 0) + previous.baseApr * (startsAt.getTime() - previous.startsAt.getTime()) : 0;
+    await EmissionRate.updateOne(
+        { startsAt },
+        { $setOnInsert: { epoch, weightedTvl, baseApr, integral } },
+        { upsert: true }
+    ).catch(error => {
+        if (error.code !== 11000) throw error; // Recorded concurrently by another process
+    });
+}
+
+// Starts epoch `number` (fixing its base APR from `weightedTvl`) if that has not happened yet.
+// Safe to call from several processes: an epoch is only ever started once.
+async function startEpoch(number, weightedTvl, now) {
+    const existing = await EmissionEpoch.findOne({ number });
+    if (existing && existing.baseApr !== null) return existing;
+
+    const bounds = epochBounds(number);
+    const budget = existing ? existing.budget : DEFAULT_EPOCH_BUDGET;
+    const baseApr = deriveBaseApr(budget, weightedTvl);
+    let epoch;
+    try {
+        epoch = await EmissionEpoch.findOneAndUpdate(
+            { number, baseApr: null },
+            {
+                $set: { ...bounds, weightedTvl, baseApr, activatedAt: now },
+                $setOnInsert: { budget }
+            },
+            { new: true, upsert: true, runValidators: true }
+        );
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        return EmissionEpoch.findOne({ number }); // Started concurrently by another process
+    }
+    await recordRateSegment(bounds.startsAt, number, weightedTvl, baseApr);
+    return epoch;
+}
+
+// Returns the epoch covering `now`, starting it if that has not happened yet. Epochs that passed without
+// being started (e.g. while the server was down) are started first, each from its own start, so their
+// budgets apply to that time. The stake cannot have changed in between: every change starts the current epoch first.
+async function ensureCurrentEpoch(now = new Date()) {
+    const number = epochNumberAt(now);
+    const existing = await EmissionEpoch.findOne({ number });
+    if (existing && existing.baseApr !== null) return existing;
+
+    const weightedTvl = await getWeightedTvl();
+    const latest = await EmissionEpoch.findOne({ number: { $lt: number }, baseApr: { $ne: null } }).sort({ number: -1 });
+    for (let missed = latest ? latest.number + 1 : number; missed < number; missed++) {
+        await startEpoch(missed, weightedTvl, now);
+    }
+    return startEpoch(number, weightedTvl, now);
+}
+
+// Sets the rate cache, continuing the running integral from the first segment's stored one. Rewards only use
+// differences of the integral within the cache, so a stored integral that is off (e.g. two processes recorded
+// segments at the same time) cannot change them.
+function setRateCache(segments) {
+    rateCache = [];
+    segments.forEach((segment, i) => {
+        const previous = rateCache[i - 1];
+        rateCache.push({
+            startsAt: segment.startsAt,
+            baseApr: segment.baseApr,
+            integral: previous ? previous.integral + previous.baseApr * (segment.startsAt - previous.startsAt) : segment.integral || 0
+        });
+    });
+}
+
+// Started epochs without a rate segment (started before rate segments existed, or interrupted in between) get one
+// from their start. Checked once per process.
+let epochSegmentsChecked = false;
+async function recordMissingEpochSegments() {
+    if (epochSegmentsChecked) return;
+    const epochs = await EmissionEpoch.find({ baseApr: { $ne: null } }).sort({ number: 1 }).lean();
+    const recorded = await EmissionRate.find({ startsAt: { $in: epochs.map(epoch => epoch.startsAt) } }).select('startsAt').lean();
+    const recordedStarts = new Set(recorded.map(segment => segment.startsAt.getTime()));
+    for (const epoch of epochs.filter(epoch => !recordedStarts.has(epoch.startsAt.getTime()))) {
+        await recordRateSegment(epoch.startsAt, epoch.number, epoch.weightedTvl || 0, epoch.baseApr);
+    }
+    epochSegmentsChecked = true;
+}
+
+// Starts the current epoch if needed and reloads the rate cache: the segment in effect at the oldest `lastAccruedAt`
+// of an open position (the earliest time rewards are still computed from) and every later segment.
+async function refreshEmissionRates(now = new Date()) {
+    await recordMissingEpochSegments();
+    const current = await ensureCurrentEpoch(now);
+    const oldest = await StakePosition.findOne({ status: 'open' }).sort({ lastAccruedAt: 1 }).select('lastAccruedAt').lean();
+    const neededFrom = oldest && oldest.lastAccruedAt < now ? oldest.lastAccruedAt : now;
+    const first = await EmissionRate.findOne({ startsAt: { $lte: neededFrom } }).sort({ startsAt: -1 }).select('startsAt').lean();
+    const segments = await EmissionRate.find(first ? { startsAt: { $gte: first.startsAt } } : {}).sort({ startsAt: 1 }).lean();
+
+    setRateCache(segments.map(segment => ({ startsAt: segment.startsAt.getTime(), baseApr: segment.baseApr, integral: segment.integral })));
+    cachedEpoch = { number: current.number, endsAt: current.endsAt.getTime() };
+    cacheLoadedAt = Date.now();
+    return rateCache;
+}
+
+// Makes sure the rate cache covers `now` (refreshes it once the cached epoch has ended or the cache is stale)
+async function ensureEmissionRates(now = new Date()) {
+    if (!cachedEpoch || cachedEpoch.endsAt <= now.getTime() || Date.now() - cacheLoadedAt > RATE_CACHE_MS) {
+        await refreshEmissionRates(now);
+    }
+}
+
+// Re-derives the base APR of the current epoch from the reward-weighted TVL; call it after the stake changed.
+// If the rate changed, a new segment starts at `now`. Returns the base APR.
+async function updateEmissionRate(now = new Date()) {
+    await ensureEmissionRates(now);
+    const epoch = await ensureCurrentEpoch(now);
+    const weightedTvl = await getWeightedTvl();
+    const baseApr = deriveBaseApr(epoch.budget, weightedTvl);
+    await EmissionEpoch.updateOne({ _id: epoch._id }, { $set: { weightedTvl, baseApr } });
+    if (baseApr === currentBaseApr(now.getTime())) return baseApr;
+
+    await recordRateSegment(now, epoch.number, weightedTvl, baseApr);
+    const segments = rateCache.filter(segment => segment.startsAt !== now.getTime());
+    segments.push({ startsAt: now.getTime(), baseApr });
+    setRateCache(segments.sort((a, b) => a.startsAt - b.startsAt));
+    return baseApr;
+}
+
+// Index of the segment whose rate is in effect at `time` (ms): the latest one started by then.
+// Time before the first cached segment uses its rate (only a position backdated since the last refresh reaches there).
+function segmentIndexAt(time) {
+    let low = 0;
+    let high = rateCache.length - 1;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (rateCache[middle].startsAt <= time) low = middle;
+        else high = middle - 1;
+    }
+    return low;
+}
+
+// Base APR in effect at `now` (the floor if no epoch has been started yet)
+function currentBaseApr(now = Date.now()) {
+    return rateCache.length > 0 ? rateCache[segmentIndexAt(now)].baseApr : APR_FLOOR;
+}
+
+// Base APR integrated from the first segment's start to `time` (ms), in APR-ms (negative before it)
+function integralAt(time) {
+    const segment = rateCache[segmentIndexAt(time)];
+    return segment.integral + segment.baseApr * (time - segment.startsAt);
+}
+
+// Base APR integrated over [from, to] (ms), in APR-years: rewards = stake x multiplier x result.
+// Each segment's rate applies until the next segment starts.
+function baseAprIntegral(from, to) {
+    if (to <= from) return 0;
+    if (rateCache.length === 0) return APR_FLOOR * (to - from) / YEAR_MS;
+    return (integralAt(to) - integralAt(from)) / YEAR_MS;
+}
+
+// Plans the budget of a future epoch (admin). Returns { epoch } or { error, status }.
+async function planEpochBudget(number, budget, now = new Date()) {
+    if (number <= epochNumberAt(now)) {
+        return { error: 'Only the budget of a future epoch can be changed; the current and past epochs are fixed.', status: 409 };
+    }
+    const epoch = await EmissionEpoch.findOneAndUpdate(
+        { number, baseApr: null },
+        { $set: { budget, ...epochBounds(number) } },
+        { new: true, upsert: true, runValidators: true }
+    );
+    return { epoch };
+}
+
+// Emission settings and the current, upcoming and recent epochs (for GET /api/staking/emissions)
+async function describeEmissions(now = new Date()) {
+    const current = await ensureCurrentEpoch(now);
+    const [upcoming, recent] = await Promise.all([
+        EmissionEpoch.find({ number: { $gt: current.number } }).sort({ number: 1 }).limit(10).lean(),
+        EmissionEpoch.find({ number: { $lt: current.number } }).sort({ number: -1 }).limit(10).lean()
+    ]);
+    return {
+        epochDays: EPOCH_DAYS,
+        defaultBudget: DEFAULT_EPOCH_BUDGET,
+        aprFloor: APR_FLOOR,
+        aprCap: APR_CAP,
+        current,
+        upcoming,
+        recent
+    };
+}
+
+module.exports = {
+    deriveBaseApr,
+    ensureCurrentEpoch,
+    refreshEmissionRates,
+    ensureEmissionRates,
+    updateEmissionRate,
+    currentBaseApr,
+    baseAprIntegral,
+    planEpochBudget,
+    describeEmissions
+};
@@ -0,0 +1,500 @@
+// backend/utils/mintJobs.js
+const { Keypair, PublicKey, SystemProgram, Transaction } = require('@solana/web3.js');
+const {
+    MINT_SIZE,
+    TOKEN_PROGRAM_ID,
+    getMinimumBalanceForRentExemptMint,
+    getAssociatedTokenAddressSync,
+    createInitializeMint2Instruction,
+    createAssociatedTokenAccountIdempotentInstruction,
+    createMintToInstruction
+} = require('@solana/spl-token');
+const bs58 = require('bs58');
+const MintJob = require('../models/MintJob');
+const NFT = require('../models/NFT');
+const { getSolanaConnection } = require('./solanaUtils');
+const { sendSignedTransaction, getTransferStatus } = require('./splTransfers');
+const { buildMetadataInstructions, findMetadataAddress, findMasterEditionAddress } = require('./nftMetadata');
+const { resolveStorageUri } = require('./nftStorage');
+
+// --- NFT Mint Jobs ---
+// POST /api/nfts/mint stores the media, queues a MintJob and answers right away. The steps run here, started
+// by the request and resumed by the mint job processor (jobs/mintJobProcessor.js):
+//   queued       -> mint-created  create the mint account (its keypair is generated when the job is queued)
+//   mint-created -> ata-ready     create the owner's associated token account
+//   ata-ready    -> minted        mint the token and create the metadata and master edition (one transaction)
+//   minted       -> saved         save the NFT record
+// A step's transaction is signed and its signature recorded before it is sent. A resumed step checks that
+// transaction first and only sends a new one once it has failed or expired, so no step is carried out twice.
+//
+// With NFT_MINT_FEE_PAYER=creator the creator's wallet pays instead of the backend: the job is queued as
+// 'awaiting-signature' with one transaction covering every step up to 'minted', partially signed by the mint
+// authority and the new mint account. The creator co-signs it (paying the rent and fees) and submits it
+// (submitCreatorTransaction); the backend sends it, confirms it and saves the record as above. Jobs the creator
+// does not submit within NFT_CREATOR_SIGNATURE_TTL_MINUTES of queueing are marked 'failed' and their mint key
+// is cleared (expireUnsignedMintJobs).
+
+// Failed transactions or errors of one step before the job is marked 'failed'
+const MAX_MINT_ATTEMPTS = 3;
+// How long a processor holds a job it works on (renewed for every step)
+const JOB_LEASE_MS = 2 * 60 * 1000;
+
+const ACTIVE_STATUSES = ['queued', 'mint-created', 'ata-ready', 'awaiting-signature', 'minted'];
+
+// Who pays for new mints: 'server' (the mint authority wallet, default) or 'creator' (the creator's wallet)
+const MINT_FEE_PAYER = process.env.NFT_MINT_FEE_PAYER === 'creator' ? 'creator' : 'server';
+// How long a creator-paid job waits for the creator's signature after it was queued (in minutes)
+const CREATOR_SIGNATURE_TTL_MS = (parseFloat(process.env.NFT_CREATOR_SIGNATURE_TTL_MINUTES) || 60) * 60 * 1000;
+
+// WARNING: DIRECT PRIVATE KEY USAGE IN PRODUCTION IS EXTREMELY DANGEROUS.
+// For real-world applications, use secure Key Management Services (KMS) or ensure
+// minting authority is controlled by a Program Derived Address (PDA) within a smart contract.
+// This setup is for DEMONSTRATION/DEVELOPMENT PURPOSES ONLY.
+// Minting is disabled without PRIVATE_KEY. There is no throwaway fallback key: NFTs minted with one
+// could never be updated, and jobs would be left with an authority that no longer exists after a restart.
+let mintAuthorityKeypair = null;
+try {
+    const privateKey = process.env.PRIVATE_KEY;
+    if (privateKey) {
+        // Decode private key from base58 string in environment variables
+        mintAuthorityKeypair = Keypair.fromSecretKey(bs58.decode(privateKey));
+        console.log("Mint Authority Wallet Loaded:", mintAuthorityKeypair.publicKey.toBase58());
+    } else {
+        console.warn("PRIVATE_KEY is not set in .env. NFT minting is disabled.");
+    }
+} catch (e) {
+    console.error("Error loading private key for mint authority, NFT minting is disabled:", e.message);
+}
+
+// The mint authority keypair, or null if minting is disabled
+function getMintAuthority() {
+    return mintAuthorityKeypair;
+}
+
+// Creates the account of a new mint (0 decimals) paid by `payer`. Mint and freeze authority are
+// handed to the master edition when the token is minted.
+async function createMintAccountInstructions(payer, mint, authority) {
+    const lamports = await getMinimumBalanceForRentExemptMint(getSolanaConnection());
+    return [
+        SystemProgram.createAccount({ fromPubkey: payer, newAccountPubkey: mint, space: MINT_SIZE, lamports, programId: TOKEN_PROGRAM_ID }),
+        createInitializeMint2Instruction(mint, 0, authority, authority)
+    ];
+}
+
+// The on-chain steps: the instructions of each step's transaction (signed by the mint authority, which
+// pays, plus `signers`), the status it leads to, where its signature is kept, and fields to set once it is confirmed.
+const CHAIN_STEPS = {
+    queued: {
+        next: 'mint-created',
+        signature: 'createMint',
+        async build(job, authority) {
+            const mintKeypair = Keypair.fromSecretKey(bs58.decode(job.mintSecretKey));
+            return {
+                instructions: await createMintAccountInstructions(authority.publicKey, mintKeypair.publicKey, authority.publicKey),
+                signers: [mintKeypair]
+            };
+        },
+        onConfirmed: { mintSecretKey: null } // Only needed to create the account
+    },
+    'mint-created': {
+        next: 'ata-ready',
+        signature: 'tokenAccount',
+        async build(job, authority) {
+            const mint = new PublicKey(job.mint);
+            return {
+                instructions: [
+                    createAssociatedTokenAccountIdempotentInstruction(authority.publicKey, new PublicKey(job.tokenAccount), new PublicKey(job.creatorWallet), mint)
+                ],
+                signers: []
+            };
+        }
+    },
+    'ata-ready': {
+        next: 'minted',
+        signature: 'mint',
+        async build(job, authority) {
+            const mint = new PublicKey(job.mint);
+            const { instructions } = buildMetadataInstructions({
+                mint,
+                authority: authority.publicKey,
+                name: job.name,
+                uri: resolveStorageUri(job.metadataUri),
+                creatorWallet: job.creatorWallet
+            });
+            return {
+                // The master edition requires the supply of exactly 1 minted just before it in the same transaction
+                instructions: [createMintToInstruction(mint, new PublicKey(job.tokenAccount), authority.publicKey, 1), ...instructions],
+                signers: []
+            };
+        }
+    },
+    // Creator-paid: the creator submits the transaction (no `build`; the backend cannot sign for the creator)
+    'awaiting-signature': {
+        next: 'minted',
+        signature: 'mint',
+        onConfirmed: { mintSecretKey: null, creatorTransaction: { transaction: null, lastValidBlockHeight: null } }
+    }
+};
+
+function markFailed(job) {
+    job.failedStep = job.status;
+    job.status = 'failed';
+}
+
+// Counts a failure of the current step; the job fails once MAX_MINT_ATTEMPTS is reached
+function recordFailure(job, message) {
+    job.lastError = message;
+    job.attempts += 1;
+    if (job.attempts >= MAX_MINT_ATTEMPTS && !job.pendingSignature) {
+        markFailed(job);
+    }
+}
+
+function completeChainStep(job, step) {
+    job.signatures[step.signature] = job.pendingSignature;
+    job.pendingSignature = null;
+    job.pendingLastValidBlockHeight = null;
+    job.attempts = 0;
+    job.lastError = null;
+    job.status = step.next;
+    if (step.onConfirmed) job.set(step.onConfirmed);
+}
+
+// Runs the on-chain step of the job's status. Returns true if the job advanced to the next status.
+async function runChainStep(job, authority) {
+    const step = CHAIN_STEPS[job.status];
+    const connection = getSolanaConnection();
+
+    if (job.pendingSignature) {
+        const { status, error } = await getTransferStatus(job.pendingSignature, job.pendingLastValidBlockHeight);
+        if (status === 'pending') return false; // Checked again on the next run
+        if (status === 'confirmed') {
+            completeChainStep(job, step);
+            await job.save();
+            return true;
+        }
+        // It can no longer land, so sending a new transaction cannot do the step twice
+        job.pendingSignature = null;
+        job.pendingLastValidBlockHeight = null;
+        recordFailure(job, status === 'failed' ? `Transaction failed on-chain: ${error}` : 'Transaction expired without landing.');
+        await job.save();
+        if (job.status === 'failed') return false;
+    }
+
+    if (!step.build) return false; // Waits for the creator to submit a signed transaction
+    if (!authority) {
+        job.lastError = 'The mint authority wallet (PRIVATE_KEY) is not configured.';
+        return false;
+    }
+    const { instructions, signers } = await step.build(job, authority);
+    const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+    const transaction = new Transaction({ feePayer: authority.publicKey, blockhash, lastValidBlockHeight }).add(...instructions);
+    transaction.sign(authority, ...signers);
+    const signature = bs58.encode(transaction.signature); // The fee payer's signature is the transaction id
+
+    job.pendingSignature = signature;
+    job.pendingLastValidBlockHeight = lastValidBlockHeight;
+    await job.save(); // Recorded BEFORE sending
+
+    try {
+        await sendSignedTransaction(transaction);
+        const { value } = await connection.confirmTransaction({ signature, blockhash, lastValidBlockHeight }, 'confirmed');
+        if (value.err) return false; // The next run records the failure and sends the step again
+    } catch (error) {
+        // Not sent (e.g., preflight failed) or not confirmed in time. It stays pending until it
+        // confirms or its blockhash expires.
+        job.lastError = error.message;
+        await job.save();
+        return false;
+    }
+    completeChainStep(job, step);
+    await job.save();
+    return true;
+}
+
+// Saves the NFT record of a minted job. Returns true (the job is 'saved').
+async function saveNftRecord(job) {
+    let nft;
+    try {
+        nft = await NFT.create({
+            name: job.name,
+            description: job.description,
+            image: job.media.image,
+            imageUri: job.media.originalUri,
+            mediaType: job.media.mediaType,
+            variants: job.media.variants,
+            storageProvider: job.media.provider,
+            metadataUri: job.metadataUri,
+            metadataAddress: job.metadataAddress,
+            masterEditionAddress: job.masterEditionAddress,
+            mint: job.mint,
+            owner: job.creatorWallet,       // Current owner (initially the creator)
+            creatorWallet: job.creatorWallet,
+            attributes: job.attributes
+        });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        nft = await NFT.findOne({ mint: job.mint }); // Saved by an earlier run that stopped before updating the job
+    }
+    job.nft = nft._id;
+    job.status = 'saved';
+    job.attempts = 0;
+    job.lastError = null;
+    await job.save();
+    return true;
+}
+
+// The single transaction of a creator-paid mint: mint account, token account, the token, metadata and master
+// edition, paid by the creator. Partially signed by the mint authority and the mint account; the creator's
+// signature is missing. Returns { transaction (serialized, base64), lastValidBlockHeight }.
+async function buildCreatorTransaction({ creatorWallet, name, metadataUri, tokenAccount }, mintKeypair, authority) {
+    const creator = new PublicKey(creatorWallet);
+    const mint = mintKeypair.publicKey;
+    const ownerTokenAccount = new PublicKey(tokenAccount);
+    const { instructions: metadataInstructions } = buildMetadataInstructions({
+        mint,
+        authority: authority.publicKey,
+        payer: creator,
+        name,
+        uri: resolveStorageUri(metadataUri),
+        creatorWallet
+    });
+
+    const { blockhash, lastValidBlockHeight } = await getSolanaConnection().getLatestBlockhash('confirmed');
+    const transaction = new Transaction({ feePayer: creator, blockhash, lastValidBlockHeight }).add(
+        ...(await createMintAccountInstructions(creator, mint, authority.publicKey)),
+        createAssociatedTokenAccountIdempotentInstruction(creator, ownerTokenAccount, creator, mint),
+        createMintToInstruction(mint, ownerTokenAccount, authority.publicKey, 1),
+        ...metadataInstructions
+    );
+    transaction.partialSign(authority, mintKeypair);
+    return {
+        transaction: transaction.serialize({ requireAllSignatures: false }).toString('base64'),
+        lastValidBlockHeight
+    };
+}
+
+// Queues a mint of stored media. `media` is { mediaType, provider, originalUri, image, variants }.
+// The mint keypair and all derived addresses are fixed here, so every later run works on the same accounts.
+// Creator-paid jobs start as 'awaiting-signature' with the transaction for the creator.
+// Requires the mint authority (check getMintAuthority() first).
+async function queueMintJob({ creatorWallet, name, description, attributes, media, metadataUri, feePayer = MINT_FEE_PAYER }) {
+    const mintKeypair = Keypair.generate();
+    const mint = mintKeypair.publicKey;
+    const fields = {
+        creatorWallet,
+        name,
+        description,
+        attributes,
+        media,
+        metadataUri,
+        feePayer,
+        mint: mint.toBase58(),
+        mintSecretKey: bs58.encode(mintKeypair.secretKey),
+        tokenAccount: getAssociatedTokenAddressSync(mint, new PublicKey(creatorWallet)).toBase58(),
+        metadataAddress: findMetadataAddress(mint).toBase58(),
+        masterEditionAddress: findMasterEditionAddress(mint).toBase58()
+    };
+    if (feePayer === 'creator') {
+        fields.status = 'awaiting-signature';
+        fields.creatorTransaction = await buildCreatorTransaction(fields, mintKeypair, getMintAuthority());
+    }
+    return MintJob.create(fields);
+}
+
+const NOT_AWAITING_SIGNATURE = { error: 'This mint is not waiting for a signature.', status: 409 };
+const SIGNATURE_WINDOW_OVER = { error: 'This mint has expired: it was not signed in time. Please mint again.', status: 410 };
+
+// Until when a creator-paid job accepts the creator's signature
+function signatureDeadline(job) {
+    return new Date(job.createdAt.getTime() + CREATOR_SIGNATURE_TTL_MS);
+}
+
+// Replaces the creator transaction of a job, e.g. after it expired unsigned. Returns { error, status } or { job }.
+async function refreshCreatorTransaction(jobId) {
+    const job = await MintJob.findById(jobId);
+    if (!job) return { error: 'Mint job not found.', status: 404 };
+    if (job.status !== 'awaiting-signature' || job.pendingSignature) return NOT_AWAITING_SIGNATURE;
+    if (signatureDeadline(job) <= new Date()) return SIGNATURE_WINDOW_OVER;
+    const authority = getMintAuthority();
+    if (!authority) return { error: 'NFT minting is disabled: the mint authority wallet is not configured.', status: 503 };
+
+    const creatorTransaction = await buildCreatorTransaction(job, Keypair.fromSecretKey(bs58.decode(job.mintSecretKey)), authority);
+    const updated = await MintJob.findOneAndUpdate(
+        { _id: job._id, status: 'awaiting-signature', pendingSignature: null },
+        { $set: { creatorTransaction } },
+        { new: true }
+    );
+    return updated ? { job: updated } : NOT_AWAITING_SIGNATURE;
+}
+
+// Takes the creator transaction of a job back, co-signed by the creator (serialized, base64), and sends it.
+// It must be the exact transaction the backend built, fully signed. Its signature is recorded before it is
+// sent; confirmation and the NFT record follow in processMintJob. Returns { error, status } or { job }.
+async function submitCreatorTransaction(jobId, serializedTransaction) {
+    let transaction;
+    try {
+        transaction = Transaction.from(Buffer.from(serializedTransaction, 'base64'));
+    } catch (error) {
+        return { error: 'The signed transaction could not be decoded.', status: 400 };
+    }
+
+    const job = await MintJob.findById(jobId);
+    if (!job) return { error: 'Mint job not found.', status: 404 };
+    if (job.status !== 'awaiting-signature' || job.pendingSignature || !job.creatorTransaction.transaction) {
+        return NOT_AWAITING_SIGNATURE;
+    }
+    if (signatureDeadline(job) <= new Date()) return SIGNATURE_WINDOW_OVER;
+    const expected = Transaction.from(Buffer.from(job.creatorTransaction.transaction, 'base64'));
+    if (!transaction.serializeMessage().equals(expected.serializeMessage())) {
+        return { error: 'The transaction does not match this mint. Request the current transaction and sign it unchanged.', status: 409 };
+    }
+    if (!transaction.verifySignatures()) {
+        return { error: 'The transaction is not fully signed by the creator wallet.', status: 400 };
+    }
+
+    const signature = bs58.encode(transaction.signature); // The creator (fee payer) signature is the transaction id
+    const { lastValidBlockHeight } = job.creatorTransaction;
+    const claimed = await MintJob.findOneAndUpdate(
+        { _id: job._id, status: 'awaiting-signature', pendingSignature: null, 'creatorTransaction.transaction': job.creatorTransaction.transaction },
+        { $set: { pendingSignature: signature, pendingLastValidBlockHeight: lastValidBlockHeight, lastError: null } },
+        { new: true }
+    );
+    if (!claimed) return NOT_AWAITING_SIGNATURE; // Submitted or replaced in the meantime
+
+    try {
+        await sendSignedTransaction(transaction);
+    } catch (error) {
+        // Most likely not sent (e.g., the creator lacks SOL). It counts as pending until its blockhash
+        // expires; then the job can get a new transaction.
+        await MintJob.updateOne({ _id: job._id }, { $set: { lastError: error.message } });
+        return { error: `The transaction could not be sent: ${error.message}`, status: 502 };
+    }
+
+    getSolanaConnection()
+        .confirmTransaction({ signature, blockhash: transaction.recentBlockhash, lastValidBlockHeight }, 'confirmed')
+        .catch(() => null) // Not confirmed in time: the mint job processor keeps checking
+        .then(() => processMintJob(job._id))
+        .catch(error => console.error(`Failed to process mint job ${job._id} after its submission:`, error));
+    return { job: claimed };
+}
+
+// Takes a job for processing unless it is finished or another processor holds it
+function claimMintJob(jobId) {
+    const now = new Date();
+    return MintJob.findOneAndUpdate(
+        { _id: jobId, status: { $in: ACTIVE_STATUSES }, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+        { $set: { lockedUntil: new Date(now.getTime() + JOB_LEASE_MS) } },
+        { new: true }
+    );
+}
+
+// Advances a job as far as it can go now (until it is saved, failed, or waits for a transaction).
+// Returns the job, or null if it could not be claimed.
+async function processMintJob(jobId) {
+    const job = await claimMintJob(jobId);
+    if (!job) return null;
+
+    try {
+        let advanced = true;
+        while (advanced && ACTIVE_STATUSES.includes(job.status)) {
+            job.lockedUntil = new Date(Date.now() + JOB_LEASE_MS);
+            advanced = job.status === 'minted'
+                ? await saveNftRecord(job)
+                : await runChainStep(job, getMintAuthority());
+        }
+    } catch (error) {
+        console.error(`Mint job ${job._id} failed at '${job.status}':`, error);
+        recordFailure(job, error.message);
+    } finally {
+        job.lockedUntil = null;
+        await job.save();
+    }
+    return job;
+}
+
+// Marks creator-paid jobs that were not submitted within NFT_CREATOR_SIGNATURE_TTL_MINUTES as 'failed' and
+// clears their mint secret key and transaction. A submitted transaction still in flight is left to confirm or
+// expire first. Returns how many jobs expired.
+async function expireUnsignedMintJobs() {
+    const { modifiedCount } = await MintJob.updateMany(
+        {
+            status: 'awaiting-signature',
+            pendingSignature: null,
+            createdAt: { $lte: new Date(Date.now() - CREATOR_SIGNATURE_TTL_MS) },
+            $or: [{ lockedUntil: null }, { lockedUntil: { $lte: new Date() } }]
+        },
+        {
+            $set: {
+                status: 'failed',
+                failedStep: 'awaiting-signature',
+                lastError: 'The mint transaction was not signed in time.',
+                mintSecretKey: null,
+                creatorTransaction: { transaction: null, lastValidBlockHeight: null }
+            }
+        }
+    );
+    if (modifiedCount > 0) {
+        console.log(`Expired ${modifiedCount} creator-paid mint job(s) that were not signed in time.`);
+    }
+    return modifiedCount;
+}
+
+// Expires unsigned creator-paid jobs, then advances every unfinished job that no one else is processing.
+// Returns how many were processed.
+async function processPendingMintJobs() {
+    await expireUnsignedMintJobs();
+    const jobs = await MintJob.find({
+        $and: [
+            // Creator-paid jobs only need the processor once the creator submitted their transaction
+            { $or: [{ status: { $in: ACTIVE_STATUSES, $ne: 'awaiting-signature' } }, { status: 'awaiting-signature', pendingSignature: { $ne: null } }] },
+            { $or: [{ lockedUntil: null }, { lockedUntil: { $lte: new Date() } }] }
+        ]
+    }).sort({ updatedAt: 1 }).select('_id');
+    for (const { _id } of jobs) {
+        try {
+            await processMintJob(_id);
+        } catch (error) {
+            // Keep going; the job is picked up again on the next run.
+            console.error(`Failed to process mint job ${_id}:`, error);
+        }
+    }
+    return jobs.length;
+}
+
+// Public view of a job (never includes the mint secret key)
+function describeMintJob(job) {
+    return {
+        id: job._id,
+        status: job.status,
+        feePayer: job.feePayer,
+        failedStep: job.failedStep,
+        name: job.name,
+        creatorWallet: job.creatorWallet,
+        mint: job.mint,
+        tokenAccount: job.tokenAccount,
+        metadataAddress: job.metadataAddress,
+        masterEditionAddress: job.masterEditionAddress,
+        signatures: job.signatures,
+        pendingSignature: job.pendingSignature,
+        // Creator-paid mints waiting for the creator: the transaction to co-sign and submit, and its expiry
+        transaction: job.status === 'awaiting-signature' && !job.pendingSignature ? job.creatorTransaction.transaction : null,
+        transactionLastValidBlockHeight: job.status === 'awaiting-signature' ? job.creatorTransaction.lastValidBlockHeight : null,
+        signatureDeadline: job.status === 'awaiting-signature' ? signatureDeadline(job) : null,
+        nft: job.nft,
+        error: job.lastError,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt
+    };
+}
+
+module.exports = {
+    MINT_FEE_PAYER,
+    getMintAuthority,
+    queueMintJob,
+    refreshCreatorTransaction,
+    submitCreatorTransaction,
+    processMintJob,
+    processPendingMintJobs,
+    describeMintJob
+};
@@ -0,0 +1,275 @@
+// backend/utils/nftMedia.js
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const sharp = require('sharp');
+const ffmpegStaticPath = require('ffmpeg-static');
+const ffprobeStatic = require('ffprobe-static');
+const { storeFile } = require('./nftStorage');
+
+// --- NFT Media ---
+// Uploaded NFT files are identified by their content (magic bytes), never by the name or MIME type the
+// client sent, and only the types below are accepted. Before storing:
+//   images - re-encoded without EXIF/XMP metadata (camera, location), rotated upright first
+//   videos - remuxed without container metadata, limited to NFT_MAX_VIDEO_SECONDS; a poster frame is extracted
+//   models - binary glTF (GLB), checked structurally; a poster image must be uploaded with it
+// Every NFT gets a square thumbnail (marketplace grid) and a larger preview, made from the image or the poster.
+// Stored files get generated names; the uploaded file name is never used.
+
+const MEGABYTE = 1024 * 1024;
+
+// Size limits per kind of media (in MB)
+const MAX_SIZES = {
+    image: (parseFloat(process.env.NFT_MAX_IMAGE_MB) || 10) * MEGABYTE,
+    video: (parseFloat(process.env.NFT_MAX_VIDEO_MB) || 50) * MEGABYTE,
+    model: (parseFloat(process.env.NFT_MAX_MODEL_MB) || 50) * MEGABYTE
+};
+// Largest file multer accepts at all; the per-kind limit is checked once the type is known
+const MAX_UPLOAD_BYTES = Math.max(...Object.values(MAX_SIZES));
+
+const MAX_VIDEO_SECONDS = parseFloat(process.env.NFT_MAX_VIDEO_SECONDS) || 30;
+
+// Uploads processed (sharp, ffmpeg) at the same time; further uploads wait for a free slot
+const MEDIA_CONCURRENCY = Math.max(parseInt(process.env.NFT_MEDIA_CONCURRENCY, 10) || 2, 1);
+
+// Generated variants (WebP)
+const THUMBNAIL_SIZE = 256; // Square crop
+const PREVIEW_SIZE = 768;   // Longest side
+const POSTER_MAX_SIZE = 2048;
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || ffmpegStaticPath;
+const FFPROBE_PATH = process.env.FFPROBE_PATH || ffprobeStatic.path;
+
+// Accepted media types
+const MEDIA_TYPES = {
+    'image/png': { kind: 'image', extension: 'png', format: 'png' },
+    'image/jpeg': { kind: 'image', extension: 'jpg', format: 'jpeg' },
+    'image/gif': { kind: 'image', extension: 'gif', format: 'gif', animated: true },
+    'image/webp': { kind: 'image', extension: 'webp', format: 'webp', animated: true },
+    'video/mp4': { kind: 'video', extension: 'mp4' },
+    'video/quicktime': { kind: 'video', extension: 'mov' },
+    'video/webm': { kind: 'video', extension: 'webm' },
+    'model/gltf-binary': { kind: 'model', extension: 'glb' }
+};
+
+function startsWith(buffer, bytes, offset = 0) {
+    return buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+}
+
+function ascii(text) {
+    return Array.from(Buffer.from(text, 'ascii'));
+}
+
+// Media type of a file from its first bytes, or null if it is not an accepted type
+function sniffMediaType(buffer) {
+    if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+    if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+    if (startsWith(buffer, ascii('GIF87a')) || startsWith(buffer, ascii('GIF89a'))) return 'image/gif';
+    if (startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WEBP'), 8)) return 'image/webp';
+    if (startsWith(buffer, ascii('ftyp'), 4)) {
+        return startsWith(buffer, ascii('qt  '), 8) ? 'video/quicktime' : 'video/mp4';
+    }
+    // EBML header of a Matroska file whose DocType is WebM
+    if (startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3]) && buffer.subarray(0, 64).includes('webm')) return 'video/webm';
+    if (startsWith(buffer, ascii('glTF'))) return 'model/gltf-binary';
+    return null;
+}
+
+// A GLB file is version 2 and its header states its exact length
+function isValidGlb(buffer) {
+    return buffer.length >= 12 && buffer.readUInt32LE(4) === 2 && buffer.readUInt32LE(8) === buffer.length;
+}
+
+function run(command, args) {
+    return new Promise((resolve, reject) => {
+        execFile(command, args, { encoding: 'buffer', maxBuffer: 64 * MEGABYTE, timeout: 60000 }, (error, stdout, stderr) => {
+            if (error) {
+                const detail = stderr && stderr.toString().trim().split('\n').pop();
+                return reject(new Error(`${path.basename(command)} failed: ${detail || error.message}`));
+            }
+            resolve(stdout);
+        });
+    });
+}
+
+// Runs `task` once one of the MEDIA_CONCURRENCY processing slots is free; slots are handed over in arrival order
+let activeTasks = 0;
+const waitingTasks = [];
+async function withProcessingSlot(task) {
+    if (activeTasks < MEDIA_CONCURRENCY) {
+        activeTasks++;
+    } else {
+        await new Promise(resolve => waitingTasks.push(resolve));
+    }
+    try {
+        return await task();
+    } finally {
+        const next = waitingTasks.shift();
+        if (next) {
+            next(); // The slot passes to the next upload
+        } else {
+            activeTasks--;
+        }
+    }
+}
+
+// Re-encodes an image in its own format. sharp drops all metadata (EXIF, XMP, ICC) unless told to keep it.
+async function stripImage(buffer, type) {
+    const image = type.animated ? sharp(buffer, { animated: true }) : sharp(buffer).rotate(); // Apply EXIF orientation
+    return image.toFormat(type.format).toBuffer();
+}
+
+// Checks the duration of a video, removes its container metadata and extracts a poster frame.
+// Returns { error, status } or { content, poster }.
+async function processVideo(buffer, type) {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'nft-video-'));
+    try {
+        const input = path.join(dir, `input.${type.extension}`);
+        const output = path.join(dir, `output.${type.extension}`);
+        await fs.promises.writeFile(input, buffer);
+
+        const duration = parseFloat((await run(FFPROBE_PATH, ['-v', 'error', '-show_entries', 'format=duration', '-of', 'csv=p=0', input])).toString());
+        if (!Number.isFinite(duration)) {
+            return { error: 'The length of the video could not be determined.', status: 400 };
+        }
+        if (duration > MAX_VIDEO_SECONDS) {
+            return { error: `Videos can be at most ${MAX_VIDEO_SECONDS} seconds long.`, status: 400 };
+        }
+
+        const faststart = type.extension === 'webm' ? [] : ['-movflags', '+faststart'];
+        await run(FFMPEG_PATH, ['-v', 'error', '-i', input, '-map', '0', '-map_metadata', '-1', '-c', 'copy', ...faststart, output]);
+        // One second in, or the middle of shorter videos
+        const poster = await run(FFMPEG_PATH, ['-v', 'error', '-ss', String(Math.min(1, duration / 2)), '-i', input, '-frames:v', '1', '-f', 'image2pipe', '-c:v', 'png', 'pipe:1']);
+        if (poster.length === 0) {
+            return { error: 'No frame could be extracted from the video.', status: 400 };
+        }
+        return { content: await fs.promises.readFile(output), poster };
+    } finally {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+}
+
+// Thumbnail and preview of a still image (an uploaded image, or a poster)
+async function stillVariants(still) {
+    return {
+        thumbnail: await sharp(still).rotate()
+            .resize({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: 'cover' })
+            .webp({ quality: 80 })
+            .toBuffer(),
+        preview: await sharp(still).rotate()
+            .resize({ width: PREVIEW_SIZE, height: PREVIEW_SIZE, fit: 'inside', withoutEnlargement: true })
+            .webp({ quality: 85 })
+            .toBuffer()
+    };
+}
+
+// Poster image uploaded for a video or model: must be a (still) image; stored as metadata-free WebP
+async function processPoster(file) {
+    const mediaType = sniffMediaType(file.buffer);
+    if (!mediaType || MEDIA_TYPES[mediaType].kind !== 'image') {
+        return { error: 'The poster image must be a PNG, JPEG, GIF or WebP image.', status: 400 };
+    }
+    if (file.size > MAX_SIZES.image) {
+        return { error: `The poster image exceeds the limit of ${MAX_SIZES.image / MEGABYTE} MB.`, status: 413 };
+    }
+    return { content: await posterWebp(file.buffer) };
+}
+
+function posterWebp(still) {
+    return sharp(still).rotate()
+        .resize({ width: POSTER_MAX_SIZE, height: POSTER_MAX_SIZE, fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 85 })
+        .toBuffer();
+}
+
+// Validates and processes an uploaded NFT file (multer memory file) and its optional poster image.
+// Returns { error, status } or { mediaType, kind, files }, where `files` maps each variant
+// (original, poster, preview, thumbnail) to { content, contentType, fileName }. Images have no poster.
+// At most NFT_MEDIA_CONCURRENCY uploads are processed at once.
+function prepareNftMedia(file, posterFile = null) {
+    return withProcessingSlot(() => processNftMedia(file, posterFile));
+}
+
+async function processNftMedia(file, posterFile) {
+    const mediaType = sniffMediaType(file.buffer);
+    if (!mediaType) {
+        return { error: 'Unsupported file type. Upload a PNG, JPEG, GIF or WebP image, an MP4, MOV or WebM video, or a GLB model.', status: 415 };
+    }
+    const type = MEDIA_TYPES[mediaType];
+    if (file.size > MAX_SIZES[type.kind]) {
+        return { error: `${type.kind[0].toUpperCase()}${type.kind.slice(1)} files can be at most ${MAX_SIZES[type.kind] / MEGABYTE} MB.`, status: 413 };
+    }
+    if (type.kind === 'model' && !posterFile) {
+        return { error: 'A poster image (posterImage) is required for 3D models.', status: 400 };
+    }
+
+    let original;
+    let still;
+    let poster = null;
+    let variants;
+    try {
+        if (type.kind === 'image') {
+            original = await stripImage(file.buffer, type);
+            still = original;
+        } else {
+            if (type.kind === 'video') {
+                const video = await processVideo(file.buffer, type);
+                if (video.error) return video;
+                original = video.content;
+                still = video.poster;
+            } else {
+                if (!isValidGlb(file.buffer)) {
+                    return { error: 'The GLB file is damaged or not a glTF 2.0 model.', status: 400 };
+                }
+                original = file.buffer; // GLB has no metadata block for personal data
+            }
+            if (posterFile) {
+                const uploadedPoster = await processPoster(posterFile);
+                if (uploadedPoster.error) return uploadedPoster;
+                poster = uploadedPoster.content;
+            } else {
+                poster = await posterWebp(still);
+            }
+            still = poster;
+        }
+        variants = await stillVariants(still);
+    } catch (error) {
+        console.error(`Failed to process uploaded ${mediaType} file:`, error);
+        return { error: `The ${type.kind} file could not be processed. It may be damaged.`, status: 400 };
+    }
+
+    // Generated names: a short content hash, the variant and the extension of the detected type
+    const baseName = `nft-${crypto.createHash('sha256').update(original).digest('hex').slice(0, 16)}`;
+    const files = {
+        original: { content: original, contentType: mediaType, fileName: `${baseName}.${type.extension}` },
+        preview: { content: variants.preview, contentType: 'image/webp', fileName: `${baseName}-preview.webp` },
+        thumbnail: { content: variants.thumbnail, contentType: 'image/webp', fileName: `${baseName}-thumbnail.webp` }
+    };
+    if (poster) {
+        files.poster = { content: poster, contentType: 'image/webp', fileName: `${baseName}-poster.webp` };
+    }
+    return { mediaType, kind: type.kind, files };
+}
+
+// Stores every variant of prepared media. Returns { provider, originalUri, variants }, where `variants`
+// maps original, poster, preview and thumbnail to their URLs (poster is null for images).
+async function storeNftMedia(media) {
+    const variants = { original: null, poster: null, preview: null, thumbnail: null };
+    let stored;
+    for (const [variant, file] of Object.entries(media.files)) {
+        const result = await storeFile(file.content, file);
+        variants[variant] = result.url;
+        if (variant === 'original') stored = result;
+    }
+    return { provider: stored.provider, originalUri: stored.uri, variants };
+}
+
+module.exports = {
+    MAX_UPLOAD_BYTES,
+    MEDIA_TYPES,
+    sniffMediaType,
+    prepareNftMedia,
+    storeNftMedia
+};
@@ -0,0 +1,121 @@
+// backend/utils/nftMetadata.js
+const { PublicKey } = require('@solana/web3.js');
+const {
+    PROGRAM_ID: TOKEN_METADATA_PROGRAM_ID,
+    createCreateMetadataAccountV3Instruction,
+    createCreateMasterEditionV3Instruction
+} = require('@metaplex-foundation/mpl-token-metadata');
+
+// --- Metaplex Token Metadata ---
+// Minted NFTs get a Metaplex metadata account (on-chain name, symbol, URI of the JSON metadata document,
+// royalties and creators) and a master edition, which makes the mint a verifiable one-of-one NFT that
+// wallets and explorers recognize.
+
+// Limits of the on-chain metadata fields (Token Metadata program), in UTF-8 bytes
+const MAX_NAME_LENGTH = 32;
+const MAX_SYMBOL_LENGTH = 10;
+const MAX_URI_LENGTH = 200;
+
+// The longest prefix of `text` that fits in `maxBytes` UTF-8 bytes, without splitting a character
+function truncateToBytes(text, maxBytes) {
+    let result = '';
+    for (const character of text) {
+        if (Buffer.byteLength(result + character, 'utf8') > maxBytes) break;
+        result += character;
+    }
+    return result;
+}
+
+const NFT_SYMBOL = truncateToBytes(process.env.NFT_SYMBOL || 'AFOX', MAX_SYMBOL_LENGTH);
+// Creator royalties on secondary sales, in basis points (500 = 5%; 0 = no royalties)
+const configuredFeeBasisPoints = parseInt(process.env.NFT_SELLER_FEE_BASIS_POINTS, 10);
+const SELLER_FEE_BASIS_POINTS = Math.min(Math.max(isNaN(configuredFeeBasisPoints) ? 500 : configuredFeeBasisPoints, 0), 10000);
+
+// Metaplex category of each kind of media (see utils/nftMedia.js)
+const METADATA_CATEGORIES = { image: 'image', video: 'video', model: 'vr' };
+
+// Off-chain JSON metadata document (Metaplex NFT standard) the on-chain URI points to.
+// `media` is the stored media: { mediaType, kind, variants } (see utils/nftMedia.js). `image` is the
+// picture wallets show: the image itself, or the poster of a video or model, which goes in `animation_url`.
+function buildMetadataDocument({ name, description, media, attributes, creatorWallet }) {
+    const { mediaType, kind, variants } = media;
+    const document = {
+        name,
+        symbol: NFT_SYMBOL,
+        description,
+        image: variants.poster || variants.original,
+        attributes: attributes || [],
+        seller_fee_basis_points: SELLER_FEE_BASIS_POINTS,
+        properties: {
+            files: [{ uri: variants.original, type: mediaType }],
+            category: METADATA_CATEGORIES[kind] || 'image',
+            creators: [{ address: creatorWallet, share: 100 }]
+        }
+    };
+    if (variants.poster) {
+        document.animation_url = variants.original;
+        document.properties.files.push({ uri: variants.poster, type: 'image/webp' });
+    }
+    return document;
+}
+
+function findMetadataAddress(mint) {
+    return PublicKey.findProgramAddressSync(
+        [Buffer.from('metadata'), TOKEN_METADATA_PROGRAM_ID.toBuffer(), mint.toBuffer()],
+        TOKEN_METADATA_PROGRAM_ID
+    )[0];
+}
+
+function findMasterEditionAddress(mint) {
+    return PublicKey.findProgramAddressSync(
+        [Buffer.from('metadata'), TOKEN_METADATA_PROGRAM_ID.toBuffer(), mint.toBuffer(), Buffer.from('edition')],
+        TOKEN_METADATA_PROGRAM_ID
+    )[0];
+}
+
+// Instructions creating the metadata account and the master edition of an NFT mint that already holds
+// its single token. `authority` is the mint authority and becomes the update authority; `payer` pays the rent
+// (the authority unless given, e.g. the creator's wallet when the creator pays for the mint).
+// The master edition takes over the mint (and freeze) authority, so no further tokens can ever be minted.
+// Returns { instructions, metadataAddress, masterEditionAddress }.
+function buildMetadataInstructions({ mint, authority, payer = authority, name, uri, creatorWallet }) {
+    if (Buffer.byteLength(uri, 'utf8') > MAX_URI_LENGTH) {
+        throw new Error(`The metadata URI is longer than ${MAX_URI_LENGTH} bytes.`);
+    }
+    const metadataAddress = findMetadataAddress(mint);
+    const masterEditionAddress = findMasterEditionAddress(mint);
+
+    const instructions = [
+        createCreateMetadataAccountV3Instruction(
+            { metadata: metadataAddress, mint, mintAuthority: authority, payer, updateAuthority: authority },
+            {
+                createMetadataAccountArgsV3: {
+                    data: {
+                        name: truncateToBytes(name, MAX_NAME_LENGTH), // The full name is in the JSON document
+                        symbol: NFT_SYMBOL,
+                        uri,
+                        sellerFeeBasisPoints: SELLER_FEE_BASIS_POINTS,
+                        // The creator did not sign, so it cannot be marked verified here
+                        creators: [{ address: new PublicKey(creatorWallet), verified: false, share: 100 }],
+                        collection: null,
+                        uses: null
+                    },
+                    isMutable: true,
+                    collectionDetails: null
+                }
+            }
+        ),
+        createCreateMasterEditionV3Instruction(
+            { edition: masterEditionAddress, mint, updateAuthority: authority, mintAuthority: authority, payer, metadata: metadataAddress },
+            { createMasterEditionArgs: { maxSupply: 0 } } // One of one: no prints
+        )
+    ];
+    return { instructions, metadataAddress, masterEditionAddress };
+}
+
+module.exports = {
+    buildMetadataDocument,
+    buildMetadataInstructions,
+    findMetadataAddress,
+    findMasterEditionAddress
+};
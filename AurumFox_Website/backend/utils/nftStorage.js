@@ -0,0 +1,188 @@
+// backend/utils/nftStorage.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Arweave = require('arweave');
+
+// --- NFT Storage ---
+// NFT media and JSON metadata documents are stored through the adapter selected by NFT_STORAGE:
+//   local   - files in backend/uploads, served by the API under PUBLIC_BASE_URL (development)
+//   ipfs    - pinned through an IPFS pinning HTTP API: Pinata, or the RPC API of a Kubo node
+//             (a local Kubo node is the stand-in for development and tests, see .env)
+//   arweave - permanent Arweave transactions, signed with the wallet in ARWEAVE_WALLET_FILE
+// Every adapter addresses content by what it contains and returns { provider, id, uri, url }:
+// `uri` is the content-addressed URI (ipfs://<cid>, ar://<transaction id>, or local://<sha256 file name>),
+// which is what records store, and `url` an HTTP(S) URL serving it, used in the metadata that wallets read.
+// `resolveStorageUri` turns a stored URI into a URL with the gateways configured now, so records survive a
+// change of PUBLIC_BASE_URL or gateway. URLs never depend on the host of the request that uploaded the file.
+
+const UPLOAD_DIR = path.join(__dirname, '../uploads');
+
+function withoutTrailingSlash(url) {
+    return url.replace(/\/+$/, '');
+}
+
+// File extension of an uploaded file name, if it is a plain one (e.g. '.png'); otherwise ''
+function safeExtension(fileName) {
+    const extension = path.extname(fileName || '').toLowerCase();
+    return /^\.[a-z0-9]{1,8}$/.test(extension) ? extension : '';
+}
+
+function ipfsApiKind() {
+    return (process.env.IPFS_API_KIND || 'pinata').toLowerCase();
+}
+
+// HTTP(S) base URLs the stored URIs resolve against. They need no adapter credentials, so URIs of any
+// provider resolve whichever adapter is configured.
+function gatewayUrls() {
+    const arweaveApiUrl = process.env.ARWEAVE_API_URL || 'https://arweave.net';
+    return {
+        local: `${withoutTrailingSlash(process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`)}/uploads`,
+        ipfs: withoutTrailingSlash(process.env.IPFS_GATEWAY_URL || (ipfsApiKind() === 'kubo' ? 'http://127.0.0.1:8080/ipfs' : 'https://gateway.pinata.cloud/ipfs')),
+        ar: withoutTrailingSlash(process.env.ARWEAVE_GATEWAY_URL || new URL(arweaveApiUrl).origin)
+    };
+}
+
+// The HTTP(S) URL serving a stored URI (local://, ipfs://, ar://). HTTP(S) URLs, such as the image URLs of
+// NFTs saved before this storage existed, are returned unchanged; so are empty values.
+function resolveStorageUri(uri) {
+    const match = /^(local|ipfs|ar):\/\/(.+)$/.exec(uri || '');
+    if (!match) {
+        return uri;
+    }
+    return `${gatewayUrls()[match[1]]}/${match[2]}`;
+}
+
+// Local disk: files are named by the sha256 of their content, so storing the same content twice keeps one file.
+function createLocalStorage() {
+    fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+
+    return {
+        provider: 'local',
+        async put(content, { fileName }) {
+            const id = crypto.createHash('sha256').update(content).digest('hex');
+            const storedName = id + safeExtension(fileName);
+            await fs.promises.writeFile(path.join(UPLOAD_DIR, storedName), content);
+            const uri = `local://${storedName}`;
+            return { provider: 'local', id, uri, url: resolveStorageUri(uri) };
+        }
+    };
+}
+
+// IPFS: uploads are pinned (CIDv1) through Pinata's pinning API (IPFS_API_KEY/IPFS_API_SECRET) or, with
+// IPFS_API_KIND=kubo, through the RPC API of a Kubo node.
+function createIpfsStorage() {
+    const kind = ipfsApiKind();
+    if (kind !== 'pinata' && kind !== 'kubo') {
+        throw new Error(`Unknown IPFS_API_KIND "${kind}". Use 'pinata' or 'kubo'.`);
+    }
+    if (kind === 'pinata' && (!process.env.IPFS_API_KEY || !process.env.IPFS_API_SECRET)) {
+        throw new Error('IPFS_API_KEY and IPFS_API_SECRET are required for IPFS storage through Pinata.');
+    }
+    const apiUrl = withoutTrailingSlash(process.env.IPFS_API_URL || (kind === 'kubo' ? 'http://127.0.0.1:5001' : 'https://api.pinata.cloud'));
+
+    return {
+        provider: 'ipfs',
+        async put(content, { contentType, fileName }) {
+            const form = new FormData();
+            form.append('file', new Blob([content], { type: contentType }), fileName);
+
+            let response;
+            if (kind === 'kubo') {
+                response = await fetch(`${apiUrl}/api/v0/add?pin=true&cid-version=1`, { method: 'POST', body: form });
+            } else {
+                form.append('pinataOptions', JSON.stringify({ cidVersion: 1 }));
+                form.append('pinataMetadata', JSON.stringify({ name: fileName }));
+                response = await fetch(`${apiUrl}/pinning/pinFileToIPFS`, {
+                    method: 'POST',
+                    headers: {
+                        pinata_api_key: process.env.IPFS_API_KEY,
+                        pinata_secret_api_key: process.env.IPFS_API_SECRET
+                    },
+                    body: form
+                });
+            }
+            if (!response.ok) {
+                throw new Error(`IPFS upload failed (${response.status}): ${await response.text()}`);
+            }
+            const result = await response.json();
+            const cid = kind === 'kubo' ? result.Hash : result.IpfsHash;
+            const uri = `ipfs://${cid}`;
+            return { provider: 'ipfs', id: cid, uri, url: resolveStorageUri(uri) };
+        }
+    };
+}
+
+// Arweave: every upload is a data transaction signed with the JWK wallet in ARWEAVE_WALLET_FILE, which pays
+// for the storage in AR. ARWEAVE_API_URL can point at a local arlocal node for development.
+function createArweaveStorage() {
+    if (!process.env.ARWEAVE_WALLET_FILE) {
+        throw new Error('ARWEAVE_WALLET_FILE is required for Arweave storage.');
+    }
+    const wallet = JSON.parse(fs.readFileSync(process.env.ARWEAVE_WALLET_FILE, 'utf8'));
+    const api = new URL(process.env.ARWEAVE_API_URL || 'https://arweave.net');
+    const arweave = Arweave.init({
+        host: api.hostname,
+        port: api.port || (api.protocol === 'https:' ? 443 : 80),
+        protocol: api.protocol.replace(':', '')
+    });
+
+    return {
+        provider: 'arweave',
+        async put(content, { contentType }) {
+            const transaction = await arweave.createTransaction({ data: content }, wallet);
+            transaction.addTag('Content-Type', contentType);
+            await arweave.transactions.sign(transaction, wallet);
+            const uploader = await arweave.transactions.getUploader(transaction);
+            while (!uploader.isComplete) {
+                await uploader.uploadChunk();
+            }
+            const uri = `ar://${transaction.id}`;
+            return { provider: 'arweave', id: transaction.id, uri, url: resolveStorageUri(uri) };
+        }
+    };
+}
+
+const ADAPTERS = {
+    local: createLocalStorage,
+    ipfs: createIpfsStorage,
+    arweave: createArweaveStorage
+};
+
+// A new adapter for `provider`, configured from the environment as it is now. Throws on a configuration error.
+function createStorage(provider) {
+    if (!Object.prototype.hasOwnProperty.call(ADAPTERS, provider)) {
+        throw new Error(`Unknown NFT_STORAGE "${provider}". Use one of: ${Object.keys(ADAPTERS).join(', ')}.`);
+    }
+    return ADAPTERS[provider]();
+}
+
+// The configured adapter. Created on first use; a configuration error is thrown to the caller.
+let storage;
+function getStorage() {
+    if (!storage) {
+        storage = createStorage((process.env.NFT_STORAGE || 'local').toLowerCase());
+    }
+    return storage;
+}
+
+// Stores a file (Buffer). Returns { provider, id, uri, url }.
+async function storeFile(content, { contentType, fileName } = {}) {
+    return getStorage().put(content, {
+        contentType: contentType || 'application/octet-stream',
+        fileName: fileName || 'file'
+    });
+}
+
+// Stores a JSON document (e.g. NFT metadata). Returns { provider, id, uri, url }.
+async function storeJson(document, fileName = 'metadata.json') {
+    return storeFile(Buffer.from(JSON.stringify(document, null, 2)), { contentType: 'application/json', fileName });
+}
+
+module.exports = {
+    createStorage,
+    getStorage,
+    resolveStorageUri,
+    storeFile,
+    storeJson
+};
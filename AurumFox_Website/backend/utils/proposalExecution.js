@@ -0,0 +1,218 @@
+// backend/utils/proposalExecution.js
+const DaoProposal = require('../models/DaoProposal');
+const ProposalExecution = require('../models/ProposalExecution');
+const { AFOX_MINT_ADDRESS, isValidSolanaAddress } = require('./solanaUtils');
+const { loadKeypairFromEnv, buildSplTransfer, sendSignedTransaction, getTransferStatus } = require('./splTransfers');
+
+// --- Executable Proposals ---
+// A passed proposal with an `execution` payload is queued as a ProposalExecution. After the required
+// treasurer approvals, the executor job (jobs/proposalExecutor.js) signs the transaction with the treasury
+// wallet, sends it and records its signature on the proposal once it is confirmed.
+
+// Only these categories may carry an execution payload
+const EXECUTABLE_CATEGORIES = ['treasury'];
+// Treasurer approvals needed before a transaction is sent (0 = execute as soon as the proposal passes)
+const REQUIRED_APPROVALS = process.env.DAO_EXECUTION_APPROVALS !== undefined
+    ? Math.max(parseInt(process.env.DAO_EXECUTION_APPROVALS, 10) || 0, 0)
+    : 2;
+// How often an execution is re-sent after its transaction expired before it is marked 'failed'
+const MAX_EXECUTION_ATTEMPTS = 3;
+
+// The treasury wallet (DAO_TREASURY_PRIVATE_KEY). Loaded on first use; null if not configured.
+let treasuryKeypair;
+function getTreasuryKeypair() {
+    if (treasuryKeypair === undefined) {
+        treasuryKeypair = loadKeypairFromEnv('DAO_TREASURY_PRIVATE_KEY');
+    }
+    return treasuryKeypair;
+}
+
+// Validates an execution payload from a proposal request and fills in defaults (the AFOX mint).
+// Returns { payload } or { error }.
+function normalizeExecutionPayload(execution, { category, ballotType }) {
+    if (!EXECUTABLE_CATEGORIES.includes(category)) {
+        return { error: `Only ${EXECUTABLE_CATEGORIES.join(', ')} proposals can carry an on-chain execution.` };
+    }
+    if (ballotType && ballotType !== 'binary') {
+        return { error: 'Only for/against proposals can carry an on-chain execution.' };
+    }
+    if (!execution || execution.type !== 'spl_transfer') {
+        return { error: 'Unsupported execution type. Supported: spl_transfer.' };
+    }
+
+    const mint = execution.mint || AFOX_MINT_ADDRESS;
+    const amount = Number(execution.amount);
+    if (!isValidSolanaAddress(mint) || !isValidSolanaAddress(execution.recipient)) {
+        return { error: 'The execution needs a valid token mint and recipient wallet address.' };
+    }
+    if (!(amount > 0)) {
+        return { error: 'The transfer amount must be a positive number.' };
+    }
+    return { payload: { type: 'spl_transfer', mint, recipient: execution.recipient, amount } };
+}
+
+// Creates the execution for a succeeded proposal. Safe to call repeatedly (one execution per proposal).
+async function queueExecution(proposal) {
+    try {
+        return await ProposalExecution.create({
+            proposal: proposal._id,
+            payload: proposal.execution.toObject ? proposal.execution.toObject() : proposal.execution,
+            requiredApprovals: REQUIRED_APPROVALS,
+            status: REQUIRED_APPROVALS > 0 ? 'awaiting_approval' : 'queued'
+        });
+    } catch (error) {
+        if (error.code === 11000) return null; // Already queued
+        throw error;
+    }
+}
+
+// Queues succeeded proposals whose execution was not created (e.g., the server stopped right after finalizing)
+async function queueMissingExecutions() {
+    const succeeded = await DaoProposal.find({ status: 'succeeded', execution: { $ne: null } }).select('_id execution');
+    for (const proposal of succeeded) {
+        await queueExecution(proposal);
+    }
+}
+
+// Records a treasurer's approval. Once enough treasurers approved, the execution is queued for sending.
+// Returns the updated execution, or null if it is not awaiting approval or the wallet already approved.
+async function approveExecution(executionId, walletAddress) {
+    const approved = await ProposalExecution.findOneAndUpdate(
+        { _id: executionId, status: 'awaiting_approval', 'approvals.walletAddress': { $ne: walletAddress } },
+        { $push: { approvals: { walletAddress, approvedAt: new Date() } } },
+        { new: true }
+    );
+    if (!approved) return null;
+
+    if (approved.approvals.length >= approved.requiredApprovals) {
+        const queued = await ProposalExecution.findOneAndUpdate(
+            { _id: approved._id, status: 'awaiting_approval' },
+            { $set: { status: 'queued' } },
+            { new: true }
+        );
+        return queued || approved;
+    }
+    return approved;
+}
+
+// Puts a failed execution back in the queue (admin action). Returns null if it was not 'failed'.
+async function retryExecution(executionId) {
+    return ProposalExecution.findOneAndUpdate(
+        { _id: executionId, status: 'failed' },
+        { $set: { status: 'queued', txSignature: null, lastValidBlockHeight: null, attempts: 0, lastError: null } },
+        { new: true }
+    );
+}
+
+// Builds, signs and sends the transaction of a queued execution.
+// The signature is stored (status 'submitted') BEFORE sending, so a crash can never cause a second transfer:
+// the next run checks that signature and only rebuilds once it has provably expired.
+async function submitExecution(execution) {
+    const treasury = getTreasuryKeypair();
+    if (!treasury) {
+        await ProposalExecution.updateOne({ _id: execution._id }, { $set: { lastError: 'DAO_TREASURY_PRIVATE_KEY is not configured.' } });
+        return;
+    }
+
+    let transfer;
+    try {
+        transfer = await buildSplTransfer({ authority: treasury, ...execution.payload });
+    } catch (error) {
+        await ProposalExecution.updateOne(
+            { _id: execution._id, status: 'queued' },
+            { $set: { status: 'failed', lastError: `Could not build the transaction: ${error.message}` } }
+        );
+        return;
+    }
+
+    const claimed = await ProposalExecution.findOneAndUpdate(
+        { _id: execution._id, status: 'queued' },
+        {
+            $set: {
+                status: 'submitted',
+                txSignature: transfer.signature,
+                lastValidBlockHeight: transfer.lastValidBlockHeight,
+                executorWallet: treasury.publicKey.toBase58(),
+                lastError: null
+            },
+            $inc: { attempts: 1 }
+        },
+        { new: true }
+    );
+    if (!claimed) return; // Another run picked it up
+
+    try {
+        await sendSignedTransaction(transfer.transaction);
+    } catch (error) {
+        // The transaction most likely did not go out (e.g., preflight failed). Keep it 'submitted':
+        // once its blockhash expires it is retried, up to MAX_EXECUTION_ATTEMPTS times.
+        await ProposalExecution.updateOne({ _id: execution._id }, { $set: { lastError: error.message } });
+    }
+}
+
+// Checks a submitted transaction and moves the execution (and its proposal) forward
+async function checkSubmittedExecution(execution) {
+    const { status, error } = await getTransferStatus(execution.txSignature, execution.lastValidBlockHeight);
+
+    if (status === 'confirmed') {
+        const confirmed = await ProposalExecution.findOneAndUpdate(
+            { _id: execution._id, status: 'submitted', txSignature: execution.txSignature },
+            { $set: { status: 'confirmed', confirmedAt: new Date(), lastError: null } },
+            { new: true }
+        );
+        if (confirmed) {
+            await DaoProposal.updateOne(
+                { _id: execution.proposal, status: 'succeeded' },
+                {
+                    $set: {
+                        status: 'executed',
+                        executedAt: new Date(),
+                        executedBy: execution.executorWallet,
+                        executionTxSignature: execution.txSignature
+                    }
+                }
+            );
+        }
+    } else if (status === 'failed') {
+        await ProposalExecution.updateOne(
+            { _id: execution._id, status: 'submitted', txSignature: execution.txSignature },
+            { $set: { status: 'failed', lastError: `Transaction failed on-chain: ${error}` } }
+        );
+    } else if (status === 'expired') {
+        // The transaction can no longer land, so sending a new one cannot double-spend.
+        const exhausted = execution.attempts >= MAX_EXECUTION_ATTEMPTS;
+        await ProposalExecution.updateOne(
+            { _id: execution._id, status: 'submitted', txSignature: execution.txSignature },
+            exhausted
+                ? { $set: { status: 'failed', lastError: execution.lastError || 'Transaction expired without landing.' } }
+                : { $set: { status: 'queued' } }
+        );
+    }
+}
+
+// Advances every queued or submitted execution by one step. Returns how many were processed.
+async function processPendingExecutions() {
+    await queueMissingExecutions();
+
+    const pending = await ProposalExecution.find({ status: { $in: ['queued', 'submitted'] } }).sort({ updatedAt: 1 });
+    for (const execution of pending) {
+        try {
+            if (execution.status === 'queued') await submitExecution(execution);
+            else await checkSubmittedExecution(execution);
+        } catch (error) {
+            // Keep going; the execution is picked up again on the next run.
+            console.error(`Failed to process DAO execution ${execution._id}:`, error);
+        }
+    }
+    return pending.length;
+}
+
+module.exports = {
+    EXECUTABLE_CATEGORIES,
+    REQUIRED_APPROVALS,
+    normalizeExecutionPayload,
+    queueExecution,
+    approveExecution,
+    retryExecution,
+    processPendingExecutions
+};
@@ -0,0 +1,76 @@
+// backend/utils/roles.js
+const AdminRole = require('../models/AdminRole');
+const RoleAuditLog = require('../models/RoleAuditLog');
+
+const { ROLES } = AdminRole;
+
+// Marker stored in `grantedBy` / `performedBy` for roles created from the ADMIN_WALLETS environment variable.
+const SYSTEM_ACTOR = 'system:ADMIN_WALLETS';
+
+// Returns true if the wallet holds at least one of the given roles.
+// The 'admin' role implicitly satisfies every role check.
+async function hasRole(walletAddress, roles) {
+    if (!walletAddress) return false;
+    const accepted = Array.from(new Set([...roles, 'admin']));
+    const match = await AdminRole.exists({ walletAddress, role: { $in: accepted } });
+    return !!match;
+}
+
+// Grants a role and writes an audit entry. Returns the role document, or null if it was already granted.
+async function grantRole({ walletAddress, role, performedBy, reason = '' }) {
+    let granted;
+    try {
+        granted = await AdminRole.create({ walletAddress, role, grantedBy: performedBy });
+    } catch (error) {
+        if (error.code === 11000) { // Duplicate key: the wallet already holds this role
+            return null;
+        }
+        throw error;
+    }
+    await RoleAuditLog.create({ action: 'grant', walletAddress, role, performedBy, reason });
+    return granted;
+}
+
+// Revokes a role and writes an audit entry. Returns the removed document, or null if the wallet did not hold it.
+async function revokeRole({ walletAddress, role, performedBy, reason = '' }) {
+    const removed = await AdminRole.findOneAndDelete({ walletAddress, role });
+    if (!removed) {
+        return null;
+    }
+    await RoleAuditLog.create({ action: 'revoke', walletAddress, role, performedBy, reason });
+    return removed;
+}
+
+// Seeds the 'admin' role for every wallet listed in ADMIN_WALLETS (comma-separated) in .env.
+// Runs on startup. Existing roles are left untouched, and wallets removed from ADMIN_WALLETS are NOT revoked
+// automatically; use POST /api/roles/revoke so the change shows up in the audit trail.
+async function seedAdminRolesFromEnv() {
+    const adminWallets = (process.env.ADMIN_WALLETS || '')
+        .split(',')
+        .map(wallet => wallet.trim())
+        .filter(Boolean);
+
+    for (const walletAddress of adminWallets) {
+        try {
+            const granted = await grantRole({
+                walletAddress,
+                role: 'admin',
+                performedBy: SYSTEM_ACTOR,
+                reason: 'Seeded from ADMIN_WALLETS'
+            });
+            if (granted) {
+                console.log(`Seeded admin role for wallet ${walletAddress}`);
+            }
+        } catch (error) {
+            console.error(`Failed to seed admin role for wallet ${walletAddress}:`, error.message);
+        }
+    }
+}
+
+module.exports = {
+    ROLES,
+    hasRole,
+    grantRole,
+    revokeRole,
+    seedAdminRolesFromEnv
+};
@@ -0,0 +1,93 @@
+// backend/utils/solanaUtils.js
+const { Connection, PublicKey, clusterApiUrl } = require('@solana/web3.js');
+const bs58 = require('bs58'); // For decoding base58 encoded signatures
+const nacl = require('tweetnacl'); // For Ed25519 verification (Solana keys are Ed25519)
+
+// The AFOX SPL token mint. Can be overridden (e.g., for a devnet test mint) via AFOX_MINT_ADDRESS in .env.
+const AFOX_MINT_ADDRESS = process.env.AFOX_MINT_ADDRESS || 'GLkewtq8s2Yr24o5LT5mzzEeccKuSsy8H5RCHaE9uRAd';
+
+// Shared RPC connection. SOLANA_RPC_URL takes precedence over the public cluster URL for SOLANA_NETWORK.
+let solanaConnection = null;
+function getSolanaConnection() {
+    if (!solanaConnection) {
+        const rpcUrl = process.env.SOLANA_RPC_URL || clusterApiUrl(process.env.SOLANA_NETWORK || 'devnet');
+        solanaConnection = new Connection(rpcUrl, 'confirmed');
+    }
+    return solanaConnection;
+}
+
+// Basic format check for a Solana public key (base58 encoded, 32-44 characters).
+// Use `new PublicKey()` when you also need to be sure the string decodes to 32 bytes.
+const isValidSolanaAddress = (address) => {
+    return typeof address === 'string' && /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(address);
+};
+
+// Verifies that `message` was signed by the private key behind `publicKeyString`.
+// `signatureString` is the base58 encoded 64-byte detached signature produced by the wallet
+// (e.g., Phantom's `signMessage`). Returns false for malformed input instead of throwing.
+async function verifySignature(publicKeyString, message, signatureString) {
+    try {
+        const publicKey = new PublicKey(publicKeyString);
+        const signature = bs58.decode(signatureString);
+        const messageBytes = new TextEncoder().encode(message); // Must match the encoding used by the frontend
+
+        return nacl.sign.detached.verify(messageBytes, signature, publicKey.toBytes());
+    } catch (error) {
+        console.error('Error during signature verification:', error.message);
+        return false;
+    }
+}
+
+// Serializes a value to JSON with object keys sorted at every level, so the frontend and
+// backend produce exactly the same string for the same payload regardless of key order.
+function canonicalize(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => canonicalize(item === undefined ? null : item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// Builds the exact text a wallet must sign to authorize a single write request.
+// The frontend (script.js -> buildSignedRequestMessage) builds the same string.
+function buildSignedRequestMessage({ action, walletAddress, payload, nonce, expiresAt }) {
+    return [
+        'Aurum Fox wants you to authorize this request.',
+        '',
+        `Action: ${action}`,
+        `Wallet: ${walletAddress}`,
+        `Payload: ${canonicalize(payload)}`,
+        `Nonce: ${nonce}`,
+        `Expires At: ${new Date(expiresAt).toISOString()}`
+    ].join('\n');
+}
+
+// Builds a Sign-In-With-Solana (SIWS) style message, modelled on EIP-4361.
+// The frontend (script.js -> buildSignInMessage) builds the same string before asking Phantom to sign it.
+function buildSignInMessage({ domain, walletAddress, statement, chainId, nonce, issuedAt, expirationTime }) {
+    return [
+        `${domain} wants you to sign in with your Solana account:`,
+        walletAddress,
+        '',
+        statement,
+        '',
+        'Version: 1',
+        `Chain ID: ${chainId}`,
+        `Nonce: ${nonce}`,
+        `Issued At: ${new Date(issuedAt).toISOString()}`,
+        `Expiration Time: ${new Date(expirationTime).toISOString()}`
+    ].join('\n');
+}
+
+module.exports = {
+    AFOX_MINT_ADDRESS,
+    getSolanaConnection,
+    isValidSolanaAddress,
+    verifySignature,
+    canonicalize,
+    buildSignedRequestMessage,
+    buildSignInMessage
+};
@@ -0,0 +1,95 @@
+// backend/utils/splTransfers.js
+// SPL token transfers signed by a backend wallet (e.g., the DAO treasury), with a send/confirm flow
+// that can be resumed after a restart without ever sending the same transfer twice.
+const { Keypair, PublicKey, Transaction } = require('@solana/web3.js');
+const {
+    getMint,
+    getAssociatedTokenAddress,
+    createAssociatedTokenAccountIdempotentInstruction,
+    createTransferCheckedInstruction
+} = require('@solana/spl-token');
+const bs58 = require('bs58');
+const { getSolanaConnection } = require('./solanaUtils');
+
+// Loads a base58 encoded secret key from the environment variable `envName`.
+// Returns null (with a warning) if it is missing or malformed, so callers can refuse to send.
+function loadKeypairFromEnv(envName) {
+    const secret = process.env[envName];
+    if (!secret) {
+        console.warn(`${envName} is not set in .env. Transfers from this wallet are disabled.`);
+        return null;
+    }
+    try {
+        return Keypair.fromSecretKey(bs58.decode(secret));
+    } catch (error) {
+        console.error(`${envName} is not a valid base58 secret key:`, error.message);
+        return null;
+    }
+}
+
+// Builds and signs a transfer of `amount` (UI units, e.g. 12.5 AFOX) of `mint` from the authority's
+// associated token account to the recipient's (created if missing; the authority pays the fees).
+// Returns { transaction, signature, lastValidBlockHeight }. Nothing is sent yet: store the signature
+// first, then call `sendSignedTransaction`, so a crash in between can be resolved with `getTransferStatus`.
+async function buildSplTransfer({ authority, mint, recipient, amount }) {
+    const connection = getSolanaConnection();
+    const mintKey = new PublicKey(mint);
+    const recipientKey = new PublicKey(recipient);
+
+    const mintInfo = await getMint(connection, mintKey);
+    const rawAmount = BigInt(Math.round(amount * 10 ** mintInfo.decimals));
+    if (rawAmount <= 0n) {
+        throw new Error('Transfer amount is too small for the token decimals.');
+    }
+
+    const source = await getAssociatedTokenAddress(mintKey, authority.publicKey);
+    const destination = await getAssociatedTokenAddress(mintKey, recipientKey);
+
+    const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+    const transaction = new Transaction({ feePayer: authority.publicKey, blockhash, lastValidBlockHeight }).add(
+        createAssociatedTokenAccountIdempotentInstruction(authority.publicKey, destination, recipientKey, mintKey),
+        createTransferCheckedInstruction(source, mintKey, destination, authority.publicKey, rawAmount, mintInfo.decimals)
+    );
+    transaction.sign(authority);
+
+    return {
+        transaction,
+        signature: bs58.encode(transaction.signature), // The fee payer's signature is the transaction id
+        lastValidBlockHeight
+    };
+}
+
+// Submits a signed transaction. Preflight simulation catches most failures (e.g., insufficient balance) up front.
+async function sendSignedTransaction(transaction) {
+    return getSolanaConnection().sendRawTransaction(transaction.serialize(), { preflightCommitment: 'confirmed' });
+}
+
+// Looks up a sent transfer. Returns:
+//   'confirmed' - landed successfully
+//   'failed'    - landed but the transaction failed ({ status, error })
+//   'expired'   - never landed and its blockhash expired, so it can no longer land (safe to rebuild)
+//   'pending'   - not (yet) visible; check again later
+async function getTransferStatus(signature, lastValidBlockHeight) {
+    const connection = getSolanaConnection();
+    const { value } = await connection.getSignatureStatus(signature, { searchTransactionHistory: true });
+
+    if (value) {
+        if (value.err) {
+            return { status: 'failed', error: JSON.stringify(value.err) };
+        }
+        if (value.confirmationStatus === 'confirmed' || value.confirmationStatus === 'finalized') {
+            return { status: 'confirmed' };
+        }
+        return { status: 'pending' };
+    }
+
+    const blockHeight = await connection.getBlockHeight('confirmed');
+    return { status: blockHeight > lastValidBlockHeight ? 'expired' : 'pending' };
+}
+
+module.exports = {
+    loadKeypairFromEnv,
+    buildSplTransfer,
+    sendSignedTransaction,
+    getTransferStatus
+};
@@ -0,0 +1,280 @@
+// backend/utils/stakePositions.js
+const mongoose = require('mongoose');
+const StakePosition = require('../models/StakePosition');
+const StakingUser = require('../models/StakingUser');
+const { getPool, lockupEnd } = require('./stakingPools');
+const { ensureEmissionRates, updateEmissionRate, currentBaseApr, baseAprIntegral } = require('./emissions');
+const { recordStakingEvent } = require('./stakingEvents');
+
+// --- Stake Positions ---
+// Every deposit opens its own StakePosition. Rewards accrue per position at its pool's share of the
+// emission rate in effect at the time (see utils/emissions.js; callers run ensureEmissionRates() first), and
+// withdrawals take from one chosen position or oldest-first (FIFO) across the wallet's open positions.
+// Every change of the staked amounts re-derives the emission rate, which depends on the total stake.
+// Concurrent requests cannot double-spend a position: every balance change is written conditionally on the
+// position's version (see commitSettlements), and reverts and compounding use atomic $inc updates.
+
+// Remainders below this are treated as fully withdrawn (floating point dust)
+const DUST_AMOUNT = 1e-9;
+
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+
+// How often auto-compounding positions fold their rewards into the stake (in hours)
+const COMPOUND_INTERVAL_HOURS = parseFloat(process.env.STAKING_COMPOUND_INTERVAL_HOURS) || 24;
+
+// Function to calculate rewards (server-side calculation): the stake times its reward multiplier,
+// at the epoch base APR in effect over each part of the interval
+function calculateRewards(stakedAmount, lastAccruedAt, rewardMultiplier, now = Date.now()) {
+    return stakedAmount * rewardMultiplier * baseAprIntegral(lastAccruedAt.getTime(), now);
+}
+
+// Reward multiplier of a position's pool. Positions in a pool that was removed from the configuration earn nothing more.
+function poolMultiplier(position) {
+    const pool = getPool(position.pool);
+    return pool ? pool.rewardMultiplier : 0;
+}
+
+// Current APR of a pool (its share of the current epoch's base APR)
+function poolApr(pool, now = Date.now()) {
+    return pool ? currentBaseApr(now) * pool.rewardMultiplier : 0;
+}
+
+// Rewards of a position including those accrued since `lastAccruedAt`
+function currentRewards(position, now = Date.now()) {
+    return position.rewards + calculateRewards(position.amount, position.lastAccruedAt, poolMultiplier(position), now);
+}
+
+// Effective annual yield of `apr` when rewards are compounded every COMPOUND_INTERVAL_HOURS
+function projectedApy(apr) {
+    const periodsPerYear = (365 * 24) / COMPOUND_INTERVAL_HOURS;
+    return Math.pow(1 + apr / periodsPerYear, periodsPerYear) - 1;
+}
+
+// Public view of a position. `apr` is the current rate; `apy` is the projected yield at that rate in the
+// position's current mode (equal to `apr` without auto-compound, since claimed rewards do not earn anything).
+// `rewardRatePerSecond` is how fast `rewards` grows right now, so clients can show live accrual between syncs.
+function describePosition(position, now = Date.now()) {
+    const apr = poolApr(getPool(position.pool), now);
+    return {
+        id: position._id,
+        pool: position.pool,
+        principal: position.principal,
+        stakedAmount: position.amount,
+        rewards: currentRewards(position, now),
+        compoundedRewards: position.compoundedRewards,
+        autoCompound: position.autoCompound,
+        apr,
+        apy: position.autoCompound ? projectedApy(apr) : apr,
+        rewardRatePerSecond: position.amount * apr / SECONDS_PER_YEAR,
+        startedAt: position.startedAt,
+        lockedUntil: position.lockedUntil,
+        status: position.status
+    };
+}
+
+// Re-derives the emission rate after the staked amounts changed. A failure is logged; the emission scheduler
+// catches up on its next run.
+async function stakeChanged() {
+    await updateEmissionRate()
+        .catch(error => console.error('Failed to update the staking emission rate after a stake change:', error));
+}
+
+// Opens a position for a verified deposit
+async function openPosition({ walletAddress, poolKey, depositId, amount, autoCompound = false }) {
+    const now = new Date();
+    const position = await StakePosition.create({
+        walletAddress,
+        pool: poolKey,
+        deposit: depositId,
+        principal: amount,
+        amount,
+        autoCompound,
+        startedAt: now,
+        lastAccruedAt: now,
+        lockedUntil: lockupEnd(getPool(poolKey), now),
+        eventRecorded: false // Its 'stake' event is recorded by the caller (see utils/stakingEvents.js)
+    });
+    await stakeChanged();
+    return position;
+}
+
+// Open positions of a wallet, oldest first (the FIFO withdrawal order). Optionally limited to one pool.
+async function findOpenPositions(walletAddress, poolKey) {
+    const filter = { walletAddress, status: 'open' };
+    if (poolKey) filter.pool = poolKey;
+    return StakePosition.find(filter).sort({ startedAt: 1, _id: 1 });
+}
+
+// Splits `amount` over `positions` in the given order. Returns [{ position, take }] or null if they hold too little.
+function planWithdrawal(positions, amount) {
+    const plan = [];
+    let remaining = amount;
+    for (const position of positions) {
+        if (remaining <= DUST_AMOUNT) break;
+        const take = Math.min(position.amount, remaining);
+        plan.push({ position, take });
+        remaining -= take;
+    }
+    return remaining > DUST_AMOUNT ? null : plan;
+}
+
+// Withdraws `take` from a position: settles all its accrued rewards and applies the early-exit fee
+// if it is still locked. Mutates the position (the caller saves it). Returns the settlement.
+function settleWithdrawal(position, take, now = new Date()) {
+    const pool = getPool(position.pool);
+    const locked = position.lockedUntil && position.lockedUntil.getTime() > now.getTime();
+    const fee = locked && pool ? take * pool.earlyExitFee : 0;
+    const rewards = currentRewards(position, now.getTime());
+
+    position.amount -= take;
+    if (position.amount <= DUST_AMOUNT) {
+        position.amount = 0;
+        position.status = 'closed';
+        position.closedAt = now;
+    }
+    position.rewards = 0;
+    position.lastAccruedAt = now;
+
+    return { position: position._id, pool: position.pool, principal: take, fee, rewards };
+}
+
+// Settles the accrued rewards of a position without touching its stake. Mutates the position; returns the settlement.
+// A position without stake (e.g., a migrated balance of rewards only) is closed once its rewards are paid.
+function settleRewards(position, now = new Date()) {
+    const rewards = currentRewards(position, now.getTime());
+    position.rewards = 0;
+    position.lastAccruedAt = now;
+    if (position.amount <= DUST_AMOUNT) {
+        position.status = 'closed';
+        position.closedAt = now;
+    }
+    return { position: position._id, pool: position.pool, principal: 0, fee: 0, rewards };
+}
+
+// Gives a settlement back to its position (the payout it was for could not be recorded, or a later
+// position of the same request conflicted). Atomic, so it never overwrites concurrent changes.
+async function revertSettlement(settlement) {
+    const result = await StakePosition.updateOne(
+        { _id: settlement.position },
+        {
+            $inc: { amount: settlement.principal, rewards: settlement.rewards, __v: 1 },
+            $set: { status: 'open', closedAt: null }
+        }
+    );
+    if (settlement.principal > 0) await stakeChanged();
+    return result;
+}
+
+// Saves positions settled by settleWithdrawal/settleRewards. Each save only succeeds if the position has
+// not changed since it was read; if one conflicts, the ones already saved are reverted so the request
+// has no effect. Returns { error, status } on a conflict, otherwise {}.
+async function commitSettlements(positions, settlements) {
+    const saved = [];
+    for (let i = 0; i < positions.length; i++) {
+        try {
+            await positions[i].save();
+            saved.push(settlements[i]);
+        } catch (error) {
+            for (const settlement of saved) {
+                await revertSettlement(settlement)
+                    .catch(revertError => console.error(`Failed to revert the settlement of stake position ${settlement.position}:`, revertError));
+            }
+            if (error instanceof mongoose.Error.VersionError) {
+                return { error: 'Your staking balance changed while this request was processed. Please try again.', status: 409 };
+            }
+            throw error;
+        }
+    }
+    if (settlements.some(settlement => settlement.principal > 0)) await stakeChanged();
+    return {};
+}
+
+// Folds the accrued rewards of every auto-compounding position whose last accrual is at least
+// COMPOUND_INTERVAL_HOURS old into its stake. Each update is conditional on the version that was read,
+// so a position changed in the meantime (claim, unstake) is skipped and picked up next run.
+// Returns how many positions were compounded.
+async function compoundPositions(now = new Date()) {
+    await ensureEmissionRates(now);
+    const due = new Date(now.getTime() - COMPOUND_INTERVAL_HOURS * 60 * 60 * 1000);
+    const positions = await StakePosition.find({
+        autoCompound: true,
+        status: 'open',
+        amount: { $gt: 0 },
+        lastAccruedAt: { $lte: due }
+    });
+
+    let compounded = 0;
+    for (const position of positions) {
+        const rewards = currentRewards(position, now.getTime());
+        const result = await StakePosition.updateOne(
+            { _id: position._id, status: 'open', __v: position.__v },
+            { $inc: { amount: rewards, compoundedRewards: rewards, __v: 1 }, $set: { rewards: 0, lastAccruedAt: now } }
+        );
+        if (result.modifiedCount > 0) {
+            compounded++;
+            await recordStakingEvent({ walletAddress: position.walletAddress, type: 'compound', pool: position.pool, amount: rewards, rewards, position: position._id });
+        }
+    }
+    if (compounded > 0) await stakeChanged();
+    return compounded;
+}
+
+// Moves balances from the pre-position StakingUser records (one aggregate per wallet and pool) into
+// StakePositions. Safe to run on every startup: each record is migrated once.
+async function migrateLegacyStakes() {
+    await ensureEmissionRates();
+    const legacyUsers = await StakingUser.find({ $or: [{ stakedAmount: { $gt: 0 } }, { rewards: { $gt: 0 } }] });
+    let migrated = 0;
+    for (const user of legacyUsers) {
+        const pool = user.pool || 'flexible';
+        try {
+            const position = await StakePosition.create({
+                walletAddress: user.walletAddress,
+                pool,
+                legacyStakingUser: user._id,
+                principal: user.stakedAmount,
+                amount: user.stakedAmount,
+                rewards: user.rewards + calculateRewards(user.stakedAmount, user.lastStakedOrUnstaked, getPool(pool) ? getPool(pool).rewardMultiplier : 0),
+                startedAt: user.lastStakedOrUnstaked,
+                lastAccruedAt: new Date(),
+                lockedUntil: user.lockedUntil || null
+            });
+            await recordStakingEvent({
+                walletAddress: position.walletAddress,
+                type: 'migrated',
+                pool,
+                amount: position.amount,
+                rewards: position.rewards,
+                position: position._id,
+                note: 'Balance from before per-deposit positions'
+            });
+        } catch (error) {
+            if (error.code !== 11000) throw error; // 11000: migrated before, but the record was not cleared yet
+        }
+        await StakingUser.updateOne({ _id: user._id }, { $set: { stakedAmount: 0, rewards: 0 } });
+        migrated++;
+    }
+    if (migrated > 0) {
+        console.log(`Migrated ${migrated} staking balance(s) to stake positions.`);
+        await stakeChanged();
+    }
+    return migrated;
+}
+
+module.exports = {
+    COMPOUND_INTERVAL_HOURS,
+    calculateRewards,
+    poolApr,
+    currentRewards,
+    projectedApy,
+    describePosition,
+    openPosition,
+    findOpenPositions,
+    planWithdrawal,
+    settleWithdrawal,
+    settleRewards,
+    revertSettlement,
+    commitSettlements,
+    compoundPositions,
+    migrateLegacyStakes
+};
@@ -0,0 +1,104 @@
+// backend/utils/stakingDeposits.js
+// Verifies that a Solana transaction really moved AFOX from a wallet into the staking vault,
+// so a stake is only credited for tokens that actually arrived.
+const { PublicKey } = require('@solana/web3.js');
+const { getAssociatedTokenAddressSync } = require('@solana/spl-token');
+const { AFOX_MINT_ADDRESS, getSolanaConnection } = require('./solanaUtils');
+
+// Token instructions that move tokens between accounts
+const TRANSFER_TYPES = ['transfer', 'transferChecked'];
+
+// The staking vault: the wallet set in STAKING_VAULT_WALLET and its AFOX associated token account.
+// Returns null if no vault is configured (staking is then disabled).
+let stakingVault;
+function getStakingVault() {
+    if (stakingVault === undefined) {
+        const owner = process.env.STAKING_VAULT_WALLET;
+        if (!owner) {
+            console.warn('STAKING_VAULT_WALLET is not set in .env. Staking deposits cannot be verified and are disabled.');
+            stakingVault = null;
+        } else {
+            // allowOwnerOffCurve: the vault may be a program-derived address
+            const tokenAccount = getAssociatedTokenAddressSync(new PublicKey(AFOX_MINT_ADDRESS), new PublicKey(owner), true);
+            stakingVault = { owner, mint: AFOX_MINT_ADDRESS, tokenAccount: tokenAccount.toBase58() };
+        }
+    }
+    return stakingVault;
+}
+
+// Looks up the token balance entry (mint, owner, decimals) of an account of the transaction
+function findTokenBalance(transaction, accountKeys, address) {
+    const accountIndex = accountKeys.indexOf(address);
+    const balances = [...(transaction.meta.postTokenBalances || []), ...(transaction.meta.preTokenBalances || [])];
+    return balances.find(balance => balance.accountIndex === accountIndex) || null;
+}
+
+// Fetches the confirmed transaction `signature` and sums the AFOX it transferred from `walletAddress`
+// (as signer and owner of the source account) into the vault token account. Top-level and inner
+// instructions are both checked, so transfers made through another program are accepted too.
+//
+// Returns { amount, rawAmount, mint, vaultTokenAccount, slot, blockTime } or { error, status }.
+async function verifyStakeDeposit(signature, walletAddress) {
+    const vault = getStakingVault();
+    if (!vault) {
+        return { error: 'Staking is not available: no staking vault is configured on the server.', status: 503 };
+    }
+
+    const transaction = await getSolanaConnection().getParsedTransaction(signature, {
+        commitment: 'confirmed',
+        maxSupportedTransactionVersion: 0
+    });
+    if (!transaction || !transaction.meta) {
+        return { error: 'Transaction not found or not confirmed yet. Wait for confirmation and try again.', status: 404 };
+    }
+    if (transaction.meta.err) {
+        return { error: 'The transaction failed on-chain, so no tokens were transferred.', status: 400 };
+    }
+
+    const accountKeys = transaction.transaction.message.accountKeys.map(key => key.pubkey.toBase58());
+    const signedByWallet = transaction.transaction.message.accountKeys
+        .some(key => key.signer && key.pubkey.toBase58() === walletAddress);
+    if (!signedByWallet) {
+        return { error: 'The transaction was not signed by your wallet.', status: 400 };
+    }
+
+    const instructions = [
+        ...transaction.transaction.message.instructions,
+        ...(transaction.meta.innerInstructions || []).flatMap(inner => inner.instructions)
+    ];
+
+    let rawAmount = 0n;
+    let decimals = null;
+    for (const instruction of instructions) {
+        if (instruction.program !== 'spl-token' || !instruction.parsed || !TRANSFER_TYPES.includes(instruction.parsed.type)) continue;
+        const info = instruction.parsed.info;
+        if (info.destination !== vault.tokenAccount) continue;
+
+        // Sender: the wallet must have authorized the transfer and own the source account
+        const source = findTokenBalance(transaction, accountKeys, info.source);
+        if ((info.authority || info.multisigAuthority) !== walletAddress || !source || source.owner !== walletAddress) continue;
+
+        // Mint: stated by transferChecked, otherwise taken from the destination's token balance
+        const destination = findTokenBalance(transaction, accountKeys, info.destination);
+        const mint = info.mint || (destination && destination.mint);
+        if (mint !== vault.mint) continue;
+
+        rawAmount += BigInt(info.tokenAmount ? info.tokenAmount.amount : info.amount);
+        decimals = info.tokenAmount ? info.tokenAmount.decimals : destination.uiTokenAmount.decimals;
+    }
+
+    if (rawAmount <= 0n) {
+        return { error: 'The transaction does not contain an AFOX transfer from your wallet to the staking vault.', status: 400 };
+    }
+
+    return {
+        amount: Number(rawAmount) / 10 ** decimals,
+        rawAmount: rawAmount.toString(),
+        mint: vault.mint,
+        vaultTokenAccount: vault.tokenAccount,
+        slot: transaction.slot,
+        blockTime: transaction.blockTime ? new Date(transaction.blockTime * 1000) : null
+    };
+}
+
+module.exports = { getStakingVault, verifyStakeDeposit };
@@ -0,0 +1,116 @@
+// backend/utils/stakingEvents.js
+const StakingEvent = require('../models/StakingEvent');
+const StakePosition = require('../models/StakePosition');
+const StakingPayout = require('../models/StakingPayout');
+
+// --- Staking Event Ledger ---
+// Stake, claim, unstake, compounding and payout outcomes are appended to the StakingEvent ledger.
+// Recording happens after the balance change it describes; a failure is logged but never undoes
+// or fails the operation itself.
+// Stake positions opened by deposits and claim/unstake payouts are created with `eventRecorded: false` and
+// marked once their event is in the ledger. Events the request could not record are recorded later by the
+// ledger reconciler (jobs/stakingLedgerReconciler.js); their `key` keeps them from being recorded twice.
+
+// Events of operations older than this that are still missing are recorded by the reconciler
+// (younger ones are most likely being recorded by their request right now)
+const RECONCILE_AFTER_MS = 60 * 1000;
+
+// Appends an event. Returns the event (the existing one if its `key` was recorded before), or null on failure.
+async function recordStakingEvent(event) {
+    try {
+        return await StakingEvent.create(event);
+    } catch (error) {
+        if (error.code === 11000 && event.key) {
+            return StakingEvent.findOne({ key: event.key }).catch(() => null);
+        }
+        console.error(`Failed to record staking event (${event.type}) for ${event.walletAddress}:`, error);
+        return null;
+    }
+}
+
+// Ledger event of a position opened by a verified deposit (`txSignature`)
+function stakeEvent(position, txSignature) {
+    return {
+        key: `stake:${position._id}`,
+        walletAddress: position.walletAddress,
+        type: 'stake',
+        pool: position.pool,
+        amount: position.principal,
+        principal: position.principal,
+        position: position._id,
+        txSignature,
+        createdAt: position.createdAt
+    };
+}
+
+// Ledger event of a claim or unstake payout
+function payoutEvent(payout) {
+    const rewards = payout.positions.reduce((sum, settlement) => sum + settlement.rewards, 0);
+    return {
+        key: `${payout.type}:${payout._id}`,
+        walletAddress: payout.walletAddress,
+        type: payout.type,
+        pool: payout.pool,
+        amount: payout.amount,
+        principal: payout.principal,
+        rewards,
+        fee: payout.fee,
+        position: payout.type === 'unstake' && payout.positions.length === 1 ? payout.positions[0].position : null,
+        payout: payout._id,
+        createdAt: payout.createdAt
+    };
+}
+
+// Records the event of a stake position or payout (`source`, a document of `Model`) and marks the source.
+// Never throws; returns the event, or null if it is left to the reconciler.
+async function recordSourceEvent(Model, source, event) {
+    const recorded = await recordStakingEvent(event);
+    if (recorded) {
+        await Model.updateOne({ _id: source._id }, { $set: { eventRecorded: true } })
+            .catch(error => console.error(`Failed to mark the staking event of ${source._id} as recorded:`, error));
+    }
+    return recorded;
+}
+
+// Records the events of stake positions and payouts whose request could not record them.
+// Returns how many were recorded.
+async function reconcileStakingEvents(now = new Date()) {
+    const before = new Date(now.getTime() - RECONCILE_AFTER_MS);
+    let recorded = 0;
+
+    const positions = await StakePosition.find({ eventRecorded: false, createdAt: { $lte: before } }).populate('deposit', 'txSignature');
+    for (const position of positions) {
+        const txSignature = position.deposit ? position.deposit.txSignature : null;
+        if (await recordSourceEvent(StakePosition, position, stakeEvent(position, txSignature))) recorded++;
+    }
+
+    const payouts = await StakingPayout.find({ eventRecorded: false, createdAt: { $lte: before } });
+    for (const payout of payouts) {
+        if (await recordSourceEvent(StakingPayout, payout, payoutEvent(payout))) recorded++;
+    }
+    return recorded;
+}
+
+const CSV_COLUMNS = ['createdAt', 'type', 'pool', 'amount', 'principal', 'rewards', 'fee', 'txSignature', 'position', 'payout', 'note'];
+
+function csvValue(value) {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`; // Keep spreadsheets from evaluating it
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Formats events as CSV (header row first), e.g. for tax reporting
+function eventsToCsv(events) {
+    const rows = events.map(event => CSV_COLUMNS.map(column => csvValue(event[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    recordStakingEvent,
+    stakeEvent,
+    payoutEvent,
+    recordSourceEvent,
+    reconcileStakingEvents,
+    eventsToCsv
+};
@@ -0,0 +1,154 @@
+// backend/utils/stakingPayouts.js
+const StakingPayout = require('../models/StakingPayout');
+const { loadKeypairFromEnv, buildSplTransfer, sendSignedTransaction, getTransferStatus } = require('./splTransfers');
+const { getStakingVault } = require('./stakingDeposits');
+const { recordStakingEvent } = require('./stakingEvents');
+
+// --- Staking Payouts ---
+// Claims and unstakes record a StakingPayout; the transfer out of the vault is signed by the backend wallet
+// (BACKEND_WALLET_PRIVATE_KEY, which must be the STAKING_VAULT_WALLET). It is sent right away when possible,
+// and the payout processor (jobs/payoutProcessor.js) resumes anything that is still pending or in flight.
+
+// How often a payout is re-sent after its transaction expired before it is marked 'failed'
+const MAX_PAYOUT_ATTEMPTS = 3;
+
+// The keypair that controls the vault. Loaded on first use; null if missing or not the vault's owner.
+let vaultAuthority;
+function getVaultAuthority() {
+    if (vaultAuthority === undefined) {
+        vaultAuthority = loadKeypairFromEnv('BACKEND_WALLET_PRIVATE_KEY');
+        const vault = getStakingVault();
+        if (vaultAuthority && (!vault || vault.owner !== vaultAuthority.publicKey.toBase58())) {
+            console.error('BACKEND_WALLET_PRIVATE_KEY does not belong to STAKING_VAULT_WALLET. Staking payouts are disabled.');
+            vaultAuthority = null;
+        }
+    }
+    return vaultAuthority;
+}
+
+// Builds, signs and sends a pending payout.
+// The signature is stored (status 'sent') BEFORE sending, so a crash or a retry can never pay twice:
+// a payout is only rebuilt once its previous transaction has provably expired.
+async function sendPayout(payout) {
+    const authority = getVaultAuthority();
+    if (!authority) {
+        await StakingPayout.updateOne({ _id: payout._id }, { $set: { lastError: 'The staking vault wallet is not configured.' } });
+        return;
+    }
+
+    let transfer;
+    try {
+        transfer = await buildSplTransfer({
+            authority,
+            mint: getStakingVault().mint,
+            recipient: payout.walletAddress,
+            amount: payout.amount
+        });
+    } catch (error) {
+        // Usually a temporary RPC problem; the payout stays pending and is tried again on the next run.
+        await StakingPayout.updateOne({ _id: payout._id }, { $set: { lastError: `Could not build the transfer: ${error.message}` } });
+        return;
+    }
+
+    const claimed = await StakingPayout.findOneAndUpdate(
+        { _id: payout._id, status: 'pending' },
+        {
+            $set: {
+                status: 'sent',
+                txSignature: transfer.signature,
+                lastValidBlockHeight: transfer.lastValidBlockHeight,
+                sentAt: new Date(),
+                lastError: null
+            },
+            $inc: { attempts: 1 }
+        },
+        { new: true }
+    );
+    if (!claimed) return; // Already sent by another run
+
+    try {
+        await sendSignedTransaction(transfer.transaction);
+    } catch (error) {
+        // Most likely not sent (e.g., preflight failed because the vault is short of tokens).
+        // It stays 'sent' until its blockhash expires and is then retried, up to MAX_PAYOUT_ATTEMPTS times.
+        await StakingPayout.updateOne({ _id: payout._id }, { $set: { lastError: error.message } });
+    }
+}
+
+// Appends the final outcome of a payout to the staking ledger
+function recordPayoutOutcome(payout, type, note = null) {
+    return recordStakingEvent({
+        walletAddress: payout.walletAddress,
+        type,
+        pool: payout.pool,
+        amount: payout.amount,
+        principal: payout.principal,
+        rewards: payout.amount - payout.principal,
+        fee: payout.fee,
+        payout: payout._id,
+        txSignature: payout.txSignature,
+        note
+    });
+}
+
+// Checks the transaction of a sent payout and records the outcome
+async function checkSentPayout(payout) {
+    const { status, error } = await getTransferStatus(payout.txSignature, payout.lastValidBlockHeight);
+    const current = { _id: payout._id, status: 'sent', txSignature: payout.txSignature };
+
+    if (status === 'confirmed') {
+        const result = await StakingPayout.updateOne(current, { $set: { status: 'confirmed', confirmedAt: new Date(), lastError: null } });
+        if (result.modifiedCount > 0) await recordPayoutOutcome(payout, 'payout_confirmed');
+    } else if (status === 'failed') {
+        const lastError = `Transfer failed on-chain: ${error}`;
+        const result = await StakingPayout.updateOne(current, { $set: { status: 'failed', lastError } });
+        if (result.modifiedCount > 0) await recordPayoutOutcome(payout, 'payout_failed', lastError);
+    } else if (status === 'expired') {
+        // The transaction can no longer land, so sending a new one cannot pay twice.
+        const exhausted = payout.attempts >= MAX_PAYOUT_ATTEMPTS;
+        const lastError = payout.lastError || 'Transfer expired without landing.';
+        const result = await StakingPayout.updateOne(current, exhausted
+            ? { $set: { status: 'failed', lastError } }
+            : {
+                $set: { status: 'pending', txSignature: null, lastValidBlockHeight: null },
+                $push: { previousSignatures: payout.txSignature }
+            });
+        if (exhausted && result.modifiedCount > 0) await recordPayoutOutcome(payout, 'payout_failed', lastError);
+    }
+}
+
+// Advances a single payout by one step (send it, or check its transaction)
+async function processPayout(payout) {
+    if (payout.status === 'pending') await sendPayout(payout);
+    else if (payout.status === 'sent') await checkSentPayout(payout);
+}
+
+// Advances every pending or sent payout by one step. Returns how many were processed.
+async function processPendingPayouts() {
+    const payouts = await StakingPayout.find({ status: { $in: ['pending', 'sent'] } }).sort({ updatedAt: 1 });
+    for (const payout of payouts) {
+        try {
+            await processPayout(payout);
+        } catch (error) {
+            // Keep going; the payout is picked up again on the next run.
+            console.error(`Failed to process staking payout ${payout._id}:`, error);
+        }
+    }
+    return payouts.length;
+}
+
+// Puts a failed payout back in the queue (admin action). Returns null if it was not 'failed'.
+async function retryPayout(payoutId) {
+    const failed = await StakingPayout.findOne({ _id: payoutId, status: 'failed' });
+    if (!failed) return null;
+
+    const update = { $set: { status: 'pending', txSignature: null, lastValidBlockHeight: null, attempts: 0, lastError: null } };
+    if (failed.txSignature) update.$push = { previousSignatures: failed.txSignature };
+    return StakingPayout.findOneAndUpdate({ _id: failed._id, status: 'failed' }, update, { new: true });
+}
+
+module.exports = {
+    processPayout,
+    processPendingPayouts,
+    retryPayout
+};
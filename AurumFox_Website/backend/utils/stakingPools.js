@@ -0,0 +1,83 @@
+// backend/utils/stakingPools.js
+
+// --- Staking Pools ---
+// Each pool has its own terms:
+//   rewardMultiplier - share of the epoch's base APR the pool earns (1 = base rate; see utils/emissions.js)
+//   lockupDays    - days a deposit is locked; unstaking earlier costs the early-exit fee (0 = flexible)
+//   minStake      - minimum AFOX per deposit
+//   earlyExitFee  - share (0..1) of the unstaked principal kept by the vault when leaving before the lockup ends
+// Any value can be overridden with the STAKING_POOLS JSON in .env, e.g. {"lock90":{"rewardMultiplier":3}}
+const BASE_POOLS = {
+    flexible: { label: 'Flexible', rewardMultiplier: 1, lockupDays: 0, minStake: 1, earlyExitFee: 0 },
+    lock30: { label: '30-Day Lock', rewardMultiplier: 1.5, lockupDays: 30, minStake: 100, earlyExitFee: 0.05 },
+    lock90: { label: '90-Day Lock', rewardMultiplier: 2.5, lockupDays: 90, minStake: 500, earlyExitFee: 0.1 }
+};
+
+const DEFAULT_POOL = 'flexible';
+
+const isNonNegativeNumber = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// Returns what is wrong with the terms of a pool, or null if they are valid
+function poolTermsError(pool) {
+    if (!isNonNegativeNumber(pool.rewardMultiplier)) return '"rewardMultiplier" must be a number of at least 0';
+    if (!isNonNegativeNumber(pool.lockupDays)) return '"lockupDays" must be a number of at least 0';
+    if (!isNonNegativeNumber(pool.minStake)) return '"minStake" must be a number of at least 0';
+    if (!isNonNegativeNumber(pool.earlyExitFee) || pool.earlyExitFee > 1) return '"earlyExitFee" must be a number between 0 and 1';
+    if (typeof pool.label !== 'string') return '"label" must be a string';
+    return null;
+}
+
+// Merges the STAKING_POOLS overrides into the base pools. Invalid JSON is ignored with a warning.
+// New pool keys in the overrides add pools (all terms must then be given). A pool whose merged terms are
+// invalid is skipped with a warning: a new pool is left out, a base pool keeps its base terms.
+function loadPools() {
+    if (!process.env.STAKING_POOLS) return BASE_POOLS;
+
+    let overrides;
+    try {
+        overrides = JSON.parse(process.env.STAKING_POOLS);
+    } catch (error) {
+        console.warn('STAKING_POOLS is not valid JSON and will be ignored:', error.message);
+        return BASE_POOLS;
+    }
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        console.warn('STAKING_POOLS must be a JSON object of pools by key and will be ignored.');
+        return BASE_POOLS;
+    }
+
+    const pools = { ...BASE_POOLS };
+    Object.keys(overrides).forEach(key => {
+        const pool = { label: key, ...(BASE_POOLS[key] || {}), ...overrides[key] };
+        const error = poolTermsError(pool);
+        if (error) {
+            console.warn(`STAKING_POOLS: pool "${key}" is invalid (${error}) and will be ${BASE_POOLS[key] ? 'left at its base terms' : 'ignored'}.`);
+            return;
+        }
+        pools[key] = pool;
+    });
+    return pools;
+}
+
+const POOLS = loadPools();
+
+// Returns the terms of a pool, or null if the pool is unknown
+function getPool(poolKey) {
+    return Object.prototype.hasOwnProperty.call(POOLS, poolKey) ? POOLS[poolKey] : null;
+}
+
+// Public description of all pools (used by GET /api/staking/pools)
+function listPools() {
+    return Object.keys(POOLS).map(key => ({ key, ...POOLS[key] }));
+}
+
+// End of the lockup for a deposit made at `from` into `pool` (null for flexible pools)
+function lockupEnd(pool, from = new Date()) {
+    return pool.lockupDays > 0 ? new Date(from.getTime() + pool.lockupDays * 24 * 60 * 60 * 1000) : null;
+}
+
+module.exports = {
+    DEFAULT_POOL,
+    getPool,
+    listPools,
+    lockupEnd
+};
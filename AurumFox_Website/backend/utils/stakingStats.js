@@ -0,0 +1,67 @@
+// backend/utils/stakingStats.js
+const StakePosition = require('../models/StakePosition');
+const StakingEvent = require('../models/StakingEvent');
+const StakingStatsSnapshot = require('../models/StakingStatsSnapshot');
+
+// --- Staking Statistics ---
+// Live totals are aggregated from open stake positions and the staking event ledger; the daily time series
+// comes from StakingStatsSnapshot records written by the snapshot job (jobs/stakingStatsSnapshotter.js).
+
+// Ledger event types whose `rewards` count as distributed
+const REWARD_EVENT_TYPES = ['claim', 'unstake', 'compound'];
+
+// Current TVL, staker count, average stake, rewards distributed and TVL per pool
+async function computeStakingStats() {
+    const [byPool, stakers, rewards] = await Promise.all([
+        StakePosition.aggregate([
+            { $match: { status: 'open', amount: { $gt: 0 } } },
+            { $group: { _id: '$pool', tvl: { $sum: '$amount' }, wallets: { $addToSet: '$walletAddress' } } },
+            { $project: { _id: 0, pool: '$_id', tvl: 1, stakerCount: { $size: '$wallets' } } },
+            { $sort: { pool: 1 } }
+        ]),
+        StakePosition.distinct('walletAddress', { status: 'open', amount: { $gt: 0 } }),
+        StakingEvent.aggregate([
+            { $match: { type: { $in: REWARD_EVENT_TYPES } } },
+            { $group: { _id: null, total: { $sum: '$rewards' } } }
+        ])
+    ]);
+
+    const tvl = byPool.reduce((sum, pool) => sum + pool.tvl, 0);
+    return {
+        tvl,
+        stakerCount: stakers.length,
+        averageStake: stakers.length > 0 ? tvl / stakers.length : 0,
+        rewardsDistributed: rewards.length > 0 ? rewards[0].total : 0,
+        pools: byPool
+    };
+}
+
+// UTC day key of a date, 'YYYY-MM-DD'
+function dayKey(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+// Records the current statistics as the snapshot of today (replacing an earlier one from today)
+async function takeStatsSnapshot(now = new Date()) {
+    const stats = await computeStakingStats();
+    return StakingStatsSnapshot.findOneAndUpdate(
+        { day: dayKey(now) },
+        { $set: { ...stats, takenAt: now } },
+        { new: true, upsert: true, runValidators: true }
+    );
+}
+
+// Daily snapshots of the last `days` days, oldest first
+async function getStatsSeries(days, now = new Date()) {
+    const since = new Date(now.getTime() - (days - 1) * 24 * 60 * 60 * 1000);
+    return StakingStatsSnapshot.find({ day: { $gte: dayKey(since) } })
+        .sort({ day: 1 })
+        .select('-_id day tvl stakerCount averageStake rewardsDistributed')
+        .lean();
+}
+
+module.exports = {
+    computeStakingStats,
+    takeStatsSnapshot,
+    getStatsSeries
+};
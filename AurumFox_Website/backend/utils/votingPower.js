@@ -0,0 +1,128 @@
+// backend/utils/votingPower.js
+const { PublicKey } = require('@solana/web3.js');
+const { TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+const StakePosition = require('../models/StakePosition');
+const VotingPowerSnapshot = require('../models/VotingPowerSnapshot');
+const Delegation = require('../models/Delegation');
+const { AFOX_MINT_ADDRESS, getSolanaConnection } = require('./solanaUtils');
+const { weightResolver } = require('./daoTally');
+
+// Where voting power comes from (DAO_VOTING_POWER_SOURCE in .env):
+//   'stake'   - AFOX staked through /api/staking (open StakePositions, all pools). Default.
+//   'onchain' - AFOX held in SPL token accounts on Solana.
+const VOTING_POWER_SOURCE = process.env.DAO_VOTING_POWER_SOURCE === 'onchain' ? 'onchain' : 'stake';
+
+// Returns Map<walletAddress, weight> of all wallets with a positive stake, summed over their pools
+async function collectStakeWeights() {
+    const stakers = await StakePosition.aggregate([
+        { $match: { status: 'open', amount: { $gt: 0 } } },
+        { $group: { _id: '$walletAddress', stakedAmount: { $sum: '$amount' } } }
+    ]);
+    return new Map(stakers.map(staker => [staker._id, staker.stakedAmount]));
+}
+
+// Returns Map<ownerWallet, weight> of all holders of the AFOX mint, summing multiple token accounts per owner
+async function collectOnChainWeights() {
+    const accounts = await getSolanaConnection().getParsedProgramAccounts(TOKEN_PROGRAM_ID, {
+        filters: [
+            { dataSize: 165 }, // Size of an SPL token account
+            { memcmp: { offset: 0, bytes: new PublicKey(AFOX_MINT_ADDRESS).toBase58() } } // Mint is the first field
+        ]
+    });
+
+    const weights = new Map();
+    accounts.forEach(({ account }) => {
+        const info = account.data.parsed.info;
+        const amount = info.tokenAmount.uiAmount || 0;
+        if (amount > 0) {
+            weights.set(info.owner, (weights.get(info.owner) || 0) + amount);
+        }
+    });
+    return weights;
+}
+
+// Returns Map<delegatorWallet, delegateWallet> of the delegations that apply to a proposal category.
+// A category-specific delegation wins over the delegator's general (all categories) delegation.
+async function collectDelegates(category) {
+    const delegations = await Delegation.find(
+        { active: true, category: { $in: [null, category] } },
+        'delegatorWallet delegateWallet category'
+    ).lean();
+
+    const delegates = new Map();
+    delegations
+        .sort((a, b) => (a.category ? 1 : 0) - (b.category ? 1 : 0)) // General first, so specific ones overwrite them
+        .forEach(delegation => delegates.set(delegation.delegatorWallet, delegation.delegateWallet));
+    return delegates;
+}
+
+// Freezes the voting power (and the delegations) of every eligible wallet for a proposal.
+// Must be called once, when voting on the proposal opens. Returns a summary to store on the proposal.
+async function takeVotingPowerSnapshot(proposalId, category) {
+    const weights = VOTING_POWER_SOURCE === 'onchain' ? await collectOnChainWeights() : await collectStakeWeights();
+    const delegates = await collectDelegates(category);
+
+    const entries = Array.from(weights, ([walletAddress, weight]) => ({
+        proposal: proposalId,
+        walletAddress,
+        weight,
+        source: VOTING_POWER_SOURCE,
+        delegateWallet: delegates.get(walletAddress) || null
+    }));
+    if (entries.length > 0) {
+        await VotingPowerSnapshot.insertMany(entries, { ordered: false });
+    }
+
+    return {
+        snapshotSource: VOTING_POWER_SOURCE,
+        snapshotAt: new Date(),
+        totalVotingPower: entries.reduce((sum, entry) => sum + entry.weight, 0),
+        eligibleVoterCount: entries.length
+    };
+}
+
+// Removes a proposal's snapshot (used when the proposal itself could not be saved)
+async function discardVotingPowerSnapshot(proposalId) {
+    await VotingPowerSnapshot.deleteMany({ proposal: proposalId });
+}
+
+// Returns the wallet's frozen voting power for a proposal (0 if it had none at snapshot time)
+async function getVotingPower(proposalId, walletAddress) {
+    const entry = await VotingPowerSnapshot.findOne({ proposal: proposalId, walletAddress }).lean();
+    return entry ? entry.weight : 0;
+}
+
+// Returns the wallet's snapshot entry ({ weight, delegateWallet }) for a proposal, or null if it had no power
+async function getSnapshotEntry(proposalId, walletAddress) {
+    return VotingPowerSnapshot.findOne({ proposal: proposalId, walletAddress }, 'weight delegateWallet').lean();
+}
+
+// Returns the snapshot entries ({ walletAddress, weight }) delegated to `delegateWallet` for a proposal.
+// Delegation is single-hop: power delegated to a wallet that itself delegates is not passed on.
+async function getDelegatedVotingPower(proposalId, delegateWallet) {
+    return VotingPowerSnapshot.find(
+        { proposal: proposalId, delegateWallet, weight: { $gt: 0 } },
+        'walletAddress weight'
+    ).lean();
+}
+
+// Recomputes the weighted tally from the per-voter records stored on the proposal.
+// Used to audit the running totals (`votesFor` / `votesAgainst`).
+function recomputeTally(proposal) {
+    const weightOf = weightResolver(proposal.votes);
+    return proposal.votes.reduce((tally, vote) => {
+        if (vote.voteType === 'for') tally.votesFor += weightOf(vote);
+        else if (vote.voteType === 'against') tally.votesAgainst += weightOf(vote);
+        return tally;
+    }, { votesFor: 0, votesAgainst: 0 });
+}
+
+module.exports = {
+    VOTING_POWER_SOURCE,
+    takeVotingPowerSnapshot,
+    discardVotingPowerSnapshot,
+    getVotingPower,
+    getSnapshotEntry,
+    getDelegatedVotingPower,
+    recomputeTally
+};
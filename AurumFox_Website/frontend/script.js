@@ -9,6 +9,12 @@ let solanaConnection = null;
 let phantomWallet = null;
 let currentWalletAddress = null;
 
+// --- Session (Sign-In-With-Solana) ---
+// Holds { walletAddress, accessToken, refreshToken, expiresAt } after a successful sign-in.
+// Persisted in localStorage so a page reload does not require signing again.
+const SESSION_STORAGE_KEY = 'aurumfoxSession';
+let authSession = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY) || 'null');
+
 // Initialize Wallet Adapter
 const initializeWallet = async () => {
     try {
@@ -28,9 +34,14 @@ const initializeWallet = async () => {
                     currentWalletAddress = phantomWallet.publicKey.toBase58();
                     updateWalletUI(currentWalletAddress);
                     showNotification(`Wallet connected: ${truncateAddress(currentWalletAddress)}`, 'success');
+                    // Reuse a stored session for this wallet, but don't prompt for a signature on page load
+                    if (authSession && authSession.walletAddress !== currentWalletAddress) {
+                        clearSession();
+                    }
                     // Load user data after connection
                     loadUserNfts();
                     loadUserAfoxBalance();
+                    loadDelegations();
                 }
             } catch (error) {
                 console.warn("Auto-connection to Phantom failed or user declined:", error);
@@ -53,6 +64,13 @@ function truncateAddress(address) {
     return `${address.substring(0, 6)}...${address.substring(address.length - 4)}`;
 }
 
+// Escapes user-written text (e.g., DAO comments) before inserting it into HTML
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
 function showNotification(message, type = 'info') {
     const container = document.getElementById('notificationContainer');
     const notification = document.createElement('div');
@@ -69,7 +87,7 @@ function showNotification(message, type = 'info') {
 
 async function fetchData(endpoint) {
     try {
-        const response = await fetch(`${API_BASE_URL}${endpoint}`);
+        const response = await fetch(`${API_BASE_URL}${endpoint}`, { headers: await getAuthHeaders() });
         if (!response.ok) {
             const errorData = await response.json();
             throw new Error(errorData.message || `HTTP error! status: ${response.status}`);
@@ -82,15 +100,15 @@ async function fetchData(endpoint) {
     }
 }
 
-async function postData(endpoint, data, isFormData = false) {
+async function postData(endpoint, data, isFormData = false, method = 'POST') {
     try {
-        const headers = {};
+        const headers = await getAuthHeaders();
         if (!isFormData) {
             headers['Content-Type'] = 'application/json';
         }
 
         const response = await fetch(`${API_BASE_URL}${endpoint}`, {
-            method: 'POST',
+            method: method,
             headers: headers,
             body: isFormData ? data : JSON.stringify(data),
         });
@@ -107,6 +125,200 @@ async function postData(endpoint, data, isFormData = false) {
     }
 }
 
+// --- SIGNED REQUESTS ---
+// Write endpoints require proof that the wallet named in the request actually authorized it.
+// The message format below MUST match backend/utils/solanaUtils.js (buildSignedRequestMessage).
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+// Encodes bytes (e.g., a wallet signature) as a base58 string
+function encodeBase58(bytes) {
+    const digits = [0];
+    for (const byte of bytes) {
+        let carry = byte;
+        for (let i = 0; i < digits.length; i++) {
+            carry += digits[i] << 8;
+            digits[i] = carry % 58;
+            carry = (carry / 58) | 0;
+        }
+        while (carry > 0) {
+            digits.push(carry % 58);
+            carry = (carry / 58) | 0;
+        }
+    }
+    let result = '';
+    for (let i = 0; i < bytes.length && bytes[i] === 0; i++) result += '1'; // Leading zero bytes
+    for (let i = digits.length - 1; i >= 0; i--) result += BASE58_ALPHABET[digits[i]];
+    return result;
+}
+
+// JSON with sorted object keys, so the backend can rebuild the exact same payload string
+function canonicalize(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => canonicalize(item === undefined ? null : item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function buildSignedRequestMessage({ action, walletAddress, payload, nonce, expiresAt }) {
+    return [
+        'Aurum Fox wants you to authorize this request.',
+        '',
+        `Action: ${action}`,
+        `Wallet: ${walletAddress}`,
+        `Payload: ${canonicalize(payload)}`,
+        `Nonce: ${nonce}`,
+        `Expires At: ${new Date(expiresAt).toISOString()}`
+    ].join('\n');
+}
+
+// Requests a nonce, asks Phantom to sign the request and returns the body with `nonce` and `signature` added
+async function signRequest(method, endpoint, data, walletAddress = currentWalletAddress) {
+    if (!phantomWallet || !phantomWallet.publicKey || !walletAddress) {
+        showNotification('Please connect your wallet to sign this request.', 'warning');
+        return null;
+    }
+
+    const nonceData = await postData('/auth/nonce', { walletAddress });
+    if (!nonceData) return null;
+
+    const message = buildSignedRequestMessage({
+        action: `${method} ${new URL(API_BASE_URL).pathname}${endpoint}`,
+        walletAddress,
+        payload: data,
+        nonce: nonceData.nonce,
+        expiresAt: nonceData.expiresAt
+    });
+
+    try {
+        const signatureBytes = await phantomWallet.signMessage(new TextEncoder().encode(message));
+        return { ...data, nonce: nonceData.nonce, signature: encodeBase58(signatureBytes) };
+    } catch (error) {
+        console.error('Message signing was rejected or failed:', error);
+        showNotification('Signature request was rejected in your wallet.', 'warning');
+        return null;
+    }
+}
+
+// Same as postData, but authenticates the connected wallet first:
+// with the session token if signed in, otherwise with a one-off wallet signature.
+// `requireSignature` always asks for a wallet signature (for endpoints that store it, e.g. DAO comments).
+async function postSignedData(endpoint, data, { method = 'POST', requireSignature = false } = {}) {
+    if (!requireSignature && await getAccessToken()) {
+        return postData(endpoint, data, false, method);
+    }
+    const signedData = await signRequest(method, endpoint, data);
+    if (!signedData) return null;
+    return postData(endpoint, signedData, false, method);
+}
+
+// --- SESSION MANAGEMENT (Sign-In-With-Solana + JWT) ---
+// The message format below MUST match backend/utils/solanaUtils.js (buildSignInMessage).
+
+function buildSignInMessage({ domain, walletAddress, statement, chainId, nonce, issuedAt, expirationTime }) {
+    return [
+        `${domain} wants you to sign in with your Solana account:`,
+        walletAddress,
+        '',
+        statement,
+        '',
+        'Version: 1',
+        `Chain ID: ${chainId}`,
+        `Nonce: ${nonce}`,
+        `Issued At: ${new Date(issuedAt).toISOString()}`,
+        `Expiration Time: ${new Date(expirationTime).toISOString()}`
+    ].join('\n');
+}
+
+function saveSession(sessionData) {
+    authSession = {
+        walletAddress: sessionData.walletAddress,
+        accessToken: sessionData.accessToken,
+        refreshToken: sessionData.refreshToken,
+        expiresAt: Date.now() + sessionData.expiresIn * 1000
+    };
+    localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(authSession));
+}
+
+function clearSession() {
+    authSession = null;
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+}
+
+// Exchanges the refresh token for a new token pair. Uses fetch directly so a failure stays silent.
+async function refreshSession() {
+    if (!authSession || !authSession.refreshToken) return false;
+    try {
+        const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken: authSession.refreshToken }),
+        });
+        if (!response.ok) {
+            clearSession();
+            return false;
+        }
+        saveSession(await response.json());
+        return true;
+    } catch (error) {
+        console.warn('Failed to refresh session:', error);
+        return false;
+    }
+}
+
+// Returns a valid access token for the connected wallet (refreshing it if needed), or null
+async function getAccessToken() {
+    if (!authSession || authSession.walletAddress !== currentWalletAddress) return null;
+    if (Date.now() < authSession.expiresAt - 30 * 1000) { // Refresh 30 seconds before expiry
+        return authSession.accessToken;
+    }
+    return (await refreshSession()) ? authSession.accessToken : null;
+}
+
+async function getAuthHeaders() {
+    const token = await getAccessToken();
+    return token ? { 'Authorization': `Bearer ${token}` } : {};
+}
+
+// Runs the Sign-In-With-Solana handshake: nonce -> sign message in Phantom -> verify -> store tokens
+async function signInWithSolana() {
+    if (!phantomWallet || !phantomWallet.publicKey) return false;
+    const walletAddress = phantomWallet.publicKey.toBase58();
+
+    const nonceData = await postData('/auth/nonce', { walletAddress });
+    if (!nonceData) return false;
+
+    const signInData = {
+        walletAddress,
+        domain: window.location.host || 'localhost',
+        nonce: nonceData.nonce,
+        issuedAt: new Date().toISOString()
+    };
+    const message = buildSignInMessage({
+        ...signInData,
+        statement: nonceData.statement,
+        chainId: nonceData.chainId,
+        expirationTime: nonceData.expiresAt
+    });
+
+    try {
+        const signatureBytes = await phantomWallet.signMessage(new TextEncoder().encode(message));
+        const result = await postData('/auth/verify', { ...signInData, signature: encodeBase58(signatureBytes) });
+        if (!result) return false;
+        saveSession(result);
+        showNotification('Signed in with your wallet.', 'success');
+        return true;
+    } catch (error) {
+        console.error('Sign-in was rejected or failed:', error);
+        showNotification('Sign-in was rejected. You will be asked to sign each action instead.', 'warning');
+        return false;
+    }
+}
+
 // --- WALLET MANAGEMENT ---
 async function connectWallet() {
     if (!phantomWallet) {
@@ -125,9 +337,14 @@ async function connectWallet() {
             currentWalletAddress = phantomWallet.publicKey.toBase58();
             updateWalletUI(currentWalletAddress);
             showNotification(`Wallet connected: ${truncateAddress(currentWalletAddress)}`, 'success');
+            // Sign in once so later requests can use a session token instead of a signature each time
+            if (!(await getAccessToken())) {
+                await signInWithSolana();
+            }
             // Update user data after connection
             loadUserNfts();
             loadUserAfoxBalance();
+            loadDelegations();
         }
     } catch (error) {
         console.error('Wallet connection error:', error);
@@ -196,7 +413,7 @@ async function publishAnnouncement() {
     showNotification('Publishing announcement...', 'info');
 
     // It's assumed your backend will check if the connected wallet has permission to publish
-    const result = await postData('/announcements', { text, authorWallet: currentWalletAddress });
+    const result = await postSignedData('/announcements', { text, authorWallet: currentWalletAddress });
     if (result) {
         showNotification('Announcement successfully published!', 'success');
         announcementInput.value = '';
@@ -258,7 +475,7 @@ async function uploadGame() {
         url: gameUrl || '',
     };
 
-    const result = await postData('/games', gameData);
+    const result = await postSignedData('/games', gameData);
     if (result) {
         showNotification('Game successfully uploaded!', 'success');
         loadGames(); // Reload the game list
@@ -320,7 +537,7 @@ async function postAd() {
         imageUrl: adImageUrl || '',
     };
 
-    const result = await postData('/ads', adData);
+    const result = await postSignedData('/ads', adData);
     if (result) {
         showNotification('Ad successfully posted!', 'success');
         loadAds(); // Reload the ad list
@@ -349,7 +566,7 @@ async function loadMarketplaceNfts() {
             const nftCard = document.createElement('div');
             nftCard.className = 'nft-card marketplace-nft';
             nftCard.innerHTML = `
-                <img src="${nft.image}" alt="${nft.name}">
+                <img src="${nftImageUrl(nft, 'thumbnail')}" alt="${nft.name}">
                 <h4>${nft.name}</h4>
                 <p>${nft.description}</p>
                 <p><strong>Owner:</strong> ${truncateAddress(nft.owner)}</p>
@@ -366,6 +583,12 @@ async function loadMarketplaceNfts() {
     }
 }
 
+// Image of an NFT in the given generated size ('thumbnail' for grids, 'preview' for the detail view).
+// NFTs minted before variants were generated only have `image`.
+function nftImageUrl(nft, variant) {
+    return (nft.variants && nft.variants[variant]) || nft.image;
+}
+
 async function loadUserNfts() {
     const userNftList = document.getElementById('user-nft-list');
     if (!userNftList) return;
@@ -395,7 +618,7 @@ async function loadUserNfts() {
             const nftCard = document.createElement('div');
             nftCard.className = 'nft-card user-nft';
             nftCard.innerHTML = `
-                <img src="${nft.image}" alt="${nft.name}">
+                <img src="${nftImageUrl(nft, 'thumbnail')}" alt="${nft.name}">
                 <h4>${nft.name}</h4>
                 <p>${nft.description}</p>
                 <p>Mint: ${truncateAddress(nft.mint)}</p>
@@ -430,6 +653,7 @@ async function mintNft(event) {
     const form = document.getElementById('mintNftFormSection');
     const formData = new FormData();
     const nftFile = form.elements.nftFile.files[0];
+    const nftPosterImage = form.elements.nftPosterImage.files[0];
     const nftName = form.elements.mintNftName.value;
     const nftDescription = form.elements.mintNftDescription.value;
     const nftAttributes = form.elements.mintNftAttributes.value.trim();
@@ -440,6 +664,9 @@ async function mintNft(event) {
     }
 
     formData.append('nftFile', nftFile);
+    if (nftPosterImage) {
+        formData.append('posterImage', nftPosterImage);
+    }
     formData.append('name', nftName);
     formData.append('description', nftDescription);
     formData.append('creatorWallet', currentWalletAddress);
@@ -461,15 +688,41 @@ async function mintNft(event) {
     showNotification('Preparing to create your NFT...', 'info');
 
     try {
-        // It's assumed your backend will handle file upload to IPFS (or another CDN)
-        // and return an image link, then prepare data for minting.
-        // Actual minting on the blockchain is usually done on the backend or requires smart contract interaction.
+        // Without a session, the wallet signs the text fields of the form (the files are not part of the signature)
+        if (!(await getAccessToken())) {
+            const fields = {};
+            formData.forEach((value, key) => {
+                if (typeof value === 'string') fields[key] = value;
+            });
+            const signedFields = await signRequest('POST', '/nfts/mint', fields);
+            if (!signedFields) return;
+            formData.append('nonce', signedFields.nonce);
+            formData.append('signature', signedFields.signature);
+        }
+        // The backend stores the media and queues the mint; the on-chain steps run in a mint job we poll.
         const result = await postData('/nfts/mint', formData, true); // `true` means it's FormData
-        if (result) {
-            showNotification(`NFT successfully created! Mint address: ${truncateAddress(result.mintAddress)}`, 'success');
+        if (result && result.job) {
             form.reset();
-            loadUserNfts(); // Reload user NFTs
-            loadMarketplaceNfts(); // Update marketplace
+            let submittedJob = result.job;
+            if (submittedJob.status === 'awaiting-signature') {
+                // Creator-paid minting: this wallet pays for and co-signs the transaction the backend prepared
+                mintButton.textContent = 'Waiting for signature...';
+                submittedJob = await signAndSubmitMint(submittedJob);
+                if (!submittedJob) return;
+            }
+            showNotification('Minting your NFT on Solana...', 'info');
+            const job = await waitForMintJob(submittedJob.id, status => {
+                mintButton.textContent = MINT_JOB_STATUS_LABELS[status] || 'Creating...';
+            });
+            if (job && job.status === 'saved') {
+                showNotification(`NFT successfully created! Mint address: ${truncateAddress(job.mint)}`, 'success');
+                loadUserNfts(); // Reload user NFTs
+                loadMarketplaceNfts(); // Update marketplace
+            } else if (job && (job.status === 'failed' || (job.status === 'awaiting-signature' && !job.pendingSignature))) {
+                showNotification(`Failed to create NFT: ${job.error || 'minting failed'}`, 'error');
+            } else if (job) {
+                showNotification('Your NFT is still being minted. It will appear in your collection once it is done.', 'info');
+            }
         }
     } catch (error) {
         showNotification(`Failed to create NFT: ${error.message}`, 'error');
@@ -479,6 +732,66 @@ async function mintNft(event) {
     }
 }
 
+// Progress messages for the steps of a mint job (see GET /api/nfts/mint-jobs/:id)
+const MINT_JOB_STATUS_LABELS = {
+    queued: 'Queued...',
+    'awaiting-signature': 'Confirming transaction...',
+    'mint-created': 'Mint created...',
+    'ata-ready': 'Token account ready...',
+    minted: 'Minted, saving...'
+};
+const MINT_JOB_POLL_INTERVAL_MS = 2000;
+const MINT_JOB_POLL_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Polls a mint job until it is saved or failed (or the timeout passes). Calls onStatus on every status change.
+// A creator-paid job whose submitted transaction did not land is back to waiting for a signature; that ends the wait too.
+// Returns the last job state, or null if it could not be loaded.
+async function waitForMintJob(jobId, onStatus) {
+    const deadline = Date.now() + MINT_JOB_POLL_TIMEOUT_MS;
+    let lastStatus = null;
+    let job = null;
+    while (Date.now() < deadline) {
+        const response = await fetchData(`/nfts/mint-jobs/${jobId}`);
+        if (!response) return job;
+        job = response.job;
+        if (job.status !== lastStatus) {
+            lastStatus = job.status;
+            onStatus(job.status);
+        }
+        if (job.status === 'saved' || job.status === 'failed') return job;
+        if (job.status === 'awaiting-signature' && !job.pendingSignature) return job;
+        await new Promise(resolve => setTimeout(resolve, MINT_JOB_POLL_INTERVAL_MS));
+    }
+    return job;
+}
+
+// Creator-paid minting: co-signs the transaction of a mint job with the connected wallet (which pays the
+// rent and fees) and submits it to the backend, which sends and confirms it. Returns the job, or null.
+async function signAndSubmitMint(job) {
+    if (!phantomWallet || !phantomWallet.publicKey) {
+        showNotification('Please connect your wallet to sign the mint transaction.', 'warning');
+        return null;
+    }
+    let transactionBase64 = job.transaction;
+    // Ask for a fresh transaction if this one expired before it was signed
+    const blockHeight = await solanaConnection.getBlockHeight('confirmed');
+    if (!transactionBase64 || blockHeight > job.transactionLastValidBlockHeight) {
+        const refreshed = await postSignedData(`/nfts/mint-jobs/${job.id}/transaction`, { creatorWallet: currentWalletAddress });
+        if (!refreshed) return null;
+        transactionBase64 = refreshed.job.transaction;
+    }
+
+    showNotification('Please approve the mint transaction in your wallet. It pays the minting fees.', 'info');
+    const transaction = solanaWeb3.Transaction.from(Uint8Array.from(atob(transactionBase64), c => c.charCodeAt(0)));
+    const signedTransaction = await phantomWallet.signTransaction(transaction);
+    const signedBytes = signedTransaction.serialize();
+    const result = await postSignedData(`/nfts/mint-jobs/${job.id}/submit`, {
+        creatorWallet: currentWalletAddress,
+        transaction: btoa(String.fromCharCode(...signedBytes))
+    });
+    return result ? result.job : null;
+}
+
 async function listNftForSale(event) {
     event.preventDefault();
     if (!currentWalletAddress) {
@@ -513,7 +826,7 @@ async function listNftForSale(event) {
 
     try {
         // In a real dApp, this operation would initiate a blockchain transaction (e.g., interaction with a marketplace program)
-        const result = await postData('/nfts/list', {
+        const result = await postSignedData('/nfts/list', {
             nftId: nftToSellId, // Send MongoDB ID
             price: price,
             sellerWallet: currentWalletAddress,
@@ -607,9 +920,10 @@ async function buyNft(nftId, price, mintAddress) {
 
         // --- BACKEND UPDATE ---
         // After a successful blockchain transaction, you would update the NFT status on the backend:
-        const updateResult = await postData(`/nfts/buy`, {
+        const updateResult = await postSignedData(`/nfts/buy`, {
             nftId: nftId,
             newOwnerWallet: currentWalletAddress,
+            transactionSignature: signature,
             isListed: false, // After purchase, NFT should no longer be listed
             price: null // Reset price
         });
@@ -707,9 +1021,11 @@ async function transferNft(nftId, recipientWallet) {
         showNotification(`NFT successfully transferred! Tx: ${truncateAddress(signature)}`, 'success');
 
         // Update owner on the backend
-        await postData(`/nfts/transfer`, {
+        await postSignedData(`/nfts/transfer`, {
             nftId: nftId,
-            newOwnerWallet: recipientWallet
+            ownerWallet: currentWalletAddress,
+            newOwnerWallet: recipientWallet,
+            transactionSignature: signature
         });
         loadUserNfts();
         loadMarketplaceNfts();
@@ -732,7 +1048,7 @@ function attachNftDetailListeners() {
 
             if (nft) {
                 const modal = document.getElementById('nftDetailsModal');
-                document.getElementById('nftDetailImage').src = nft.image;
+                document.getElementById('nftDetailImage').src = nftImageUrl(nft, 'preview');
                 document.getElementById('nftDetailName').textContent = nft.name;
                 document.getElementById('nftDetailDescription').textContent = nft.description;
                 document.getElementById('nftDetailOwner').textContent = truncateAddress(nft.owner);
@@ -880,7 +1196,8 @@ async function displayProposals() {
 
     // In a real application, you would fetch proposals from your backend/smart contract
     // For now, we simulate, but could load from backend:
-    const fetchedProposals = await fetchData('/dao/proposals');
+    const response = await fetchData('/dao/proposals');
+    const fetchedProposals = response ? response.proposals : null;
 
     activeList.innerHTML = ''; // Clear after loading
     completedList.innerHTML = ''; // Clear after loading
@@ -903,23 +1220,38 @@ async function displayProposals() {
             <h4>Proposal #${p.id}: ${p.title}</h4>
             <p>${p.description}</p>
             <p>Creator: <span class="dao-creator">${truncateAddress(p.creatorWallet)}</span></p>
-            <p>Votes FOR: <span class="dao-votes-for">${p.votesFor}</span> | Votes AGAINST: <span class="dao-votes-against">${p.votesAgainst}</span></p>
-            <p>Expires: ${new Date(p.expiresAt).toLocaleDateString()} ${new Date(p.expiresAt).toLocaleTimeString()}</p>
+            ${renderProposalTally(p)}
+            <p class="dao-voting-power">Voting power is based on AFOX ${p.snapshotSource === 'onchain' ? 'held' : 'staked'} when voting opened (${p.eligibleVoterCount || 0} eligible wallets).</p>
+            <p>Category: <span class="dao-category">${getProposalCategoryLabel(p.category)}</span></p>
+            ${renderProposalExecution(p)}
+            <p>Status: <span class="dao-status dao-status-${p.status}">${formatProposalStatus(p)}</span> | Quorum: ${Math.round(p.quorum * 100)}%${isBinaryBallot(p) ? ` | Approval threshold: ${Math.round(p.approvalThreshold * 100)}%` : ''}</p>
+            ${p.expiresAt ? `<p>Expires: ${new Date(p.expiresAt).toLocaleDateString()} ${new Date(p.expiresAt).toLocaleTimeString()}</p>` : ''}
             <div class="dao-vote-buttons">
             </div>
+            <div class="dao-proposal-extras">
+                <button class="web3-btn dao-discussion-btn" data-proposal-id="${p._id}">Discussion</button>
+                <button class="web3-btn dao-history-btn" data-proposal-id="${p._id}">History (v${p.version || 1})</button>
+            </div>
+            <div class="dao-discussion" id="discussion-${p._id}" style="display: none;"></div>
+            <div class="dao-history" id="history-${p._id}" style="display: none;"></div>
         `;
 
         const voteButtonsContainer = item.querySelector('.dao-vote-buttons');
 
-        // Check if the proposal has expired
-        if (now < p.expiresAt) {
-            voteButtonsContainer.innerHTML = `
+        if (p.status === 'active' && now < new Date(p.expiresAt).getTime()) {
+            voteButtonsContainer.innerHTML = isBinaryBallot(p) ? `
                 <button class="web3-btn dao-vote-btn" data-proposal-id="${p._id}" data-vote-type="for">Vote FOR</button>
                 <button class="web3-btn dao-vote-btn" data-proposal-id="${p._id}" data-vote-type="against">Vote AGAINST</button>
-            `;
+            ` : renderBallotForm(p);
+            activeList.appendChild(item);
+        } else if (p.status === 'draft') {
+            // Drafts are listed with the active proposals; only the creator can open voting.
+            voteButtonsContainer.innerHTML = p.creatorWallet === currentWalletAddress
+                ? `<button class="web3-btn dao-activate-btn" data-proposal-id="${p._id}">Open Voting</button>`
+                : '<p>Draft - voting has not started yet</p>';
             activeList.appendChild(item);
         } else {
-            // Mark as completed and disable voting
+            // Voting has ended (or the result is still being recorded by the server)
             voteButtonsContainer.innerHTML = '<p>Voting closed</p>';
             completedList.appendChild(item);
         }
@@ -928,6 +1260,90 @@ async function displayProposals() {
     attachDaoVoteListeners();
 }
 
+const BALLOT_TYPE_LABELS = {
+    single_choice: 'Single choice',
+    approval: 'Approval (pick any)',
+    ranked_choice: 'Ranked choice'
+};
+
+function isBinaryBallot(p) {
+    return !p.ballotType || p.ballotType === 'binary';
+}
+
+// Vote totals for binary proposals; the option list (winners highlighted once finalized) for multi-option ballots
+function renderProposalTally(p) {
+    if (isBinaryBallot(p)) {
+        return `<p>Votes FOR: <span class="dao-votes-for">${p.votesFor.toFixed(2)} AFOX</span> | Votes AGAINST: <span class="dao-votes-against">${p.votesAgainst.toFixed(2)} AFOX</span></p>`;
+    }
+    const winners = (p.result && p.result.winners) || [];
+    const optionItems = p.options
+        .map((option, index) => `<li${winners.includes(index) ? ' class="dao-option-winner"' : ''}>${option}${winners.includes(index) ? ' 🏆' : ''}</li>`)
+        .join('');
+    return `
+        <p>Ballot: ${BALLOT_TYPE_LABELS[p.ballotType]} | Cast: <span class="dao-votes-cast">${(p.totalWeightCast || 0).toFixed(2)} AFOX</span></p>
+        <ol class="dao-options">${optionItems}</ol>
+    `;
+}
+
+// Voting controls for an active multi-option ballot
+function renderBallotForm(p) {
+    const inputs = p.options.map((option, index) => {
+        if (p.ballotType === 'single_choice') {
+            return `<label><input type="radio" name="ballot-${p._id}" value="${index}"> ${option}</label>`;
+        }
+        if (p.ballotType === 'approval') {
+            return `<label><input type="checkbox" name="ballot-${p._id}" value="${index}"> ${option}</label>`;
+        }
+        // Ranked choice: the voter enters a rank (1 = favourite) for the options they want to rank
+        return `<label><input type="number" name="ballot-${p._id}" data-option-index="${index}" min="1" max="${p.options.length}" placeholder="Rank"> ${option}</label>`;
+    }).join('');
+    return `
+        <div class="dao-ballot" data-proposal-id="${p._id}">${inputs}</div>
+        <button class="web3-btn dao-ballot-btn" data-proposal-id="${p._id}">Submit Ballot</button>
+    `;
+}
+
+// Reads the voter's choices (option indexes) from a rendered ballot
+function readBallotChoices(proposal) {
+    const inputs = Array.from(document.querySelectorAll(`input[name="ballot-${proposal._id}"]`));
+    if (proposal.ballotType === 'ranked_choice') {
+        return inputs
+            .filter(input => input.value !== '')
+            .map(input => ({ index: parseInt(input.dataset.optionIndex, 10), rank: parseInt(input.value, 10) }))
+            .sort((a, b) => a.rank - b.rank)
+            .map(entry => entry.index);
+    }
+    return inputs.filter(input => input.checked).map(input => parseInt(input.value, 10));
+}
+
+// The on-chain transfer a treasury proposal carries out once it passes, with its transaction when executed
+function renderProposalExecution(p) {
+    if (!p.execution) return '';
+    const transfer = `Transfers ${p.execution.amount} AFOX to <span class="dao-recipient">${truncateAddress(p.execution.recipient)}</span> when passed`;
+    const tx = p.executionTxSignature
+        ? ` | Tx: <a href="https://solscan.io/tx/${p.executionTxSignature}?cluster=devnet" target="_blank">${truncateAddress(p.executionTxSignature)}</a>`
+        : (p.status === 'succeeded' ? ' | Awaiting treasurer approval and execution' : '');
+    return `<p class="dao-execution">${transfer}${tx}</p>`;
+}
+
+// Human-readable status, including the recorded outcome once voting has ended
+function formatProposalStatus(p) {
+    if (p.status === 'active' && Date.now() >= new Date(p.expiresAt).getTime()) {
+        return 'Awaiting result';
+    }
+    if (!p.result || !['succeeded', 'defeated', 'executed'].includes(p.status)) {
+        return p.status.charAt(0).toUpperCase() + p.status.slice(1);
+    }
+    const outcomeText = {
+        passed: 'Passed',
+        rejected: 'Rejected',
+        quorum_not_reached: 'Quorum not reached',
+        tied: 'Tied'
+    }[p.result.outcome];
+    const turnout = (p.result.turnout * 100).toFixed(1);
+    return `${p.status.charAt(0).toUpperCase() + p.status.slice(1)} (${outcomeText}, ${turnout}% turnout)`;
+}
+
 function attachDaoVoteListeners() {
     document.querySelectorAll('.dao-vote-btn').forEach(button => {
         button.onclick = (e) => {
@@ -940,9 +1356,52 @@ function attachDaoVoteListeners() {
             castDaoVote(proposalId, voteType, currentWalletAddress);
         };
     });
+    document.querySelectorAll('.dao-ballot-btn').forEach(button => {
+        button.onclick = (e) => {
+            if (!currentWalletAddress) {
+                showNotification('Please connect your wallet to vote.', 'warning');
+                return;
+            }
+            const proposal = proposals.find(p => p._id === e.target.dataset.proposalId);
+            if (!proposal) return;
+            castDaoVote(proposal._id, null, currentWalletAddress, readBallotChoices(proposal));
+        };
+    });
+    document.querySelectorAll('.dao-discussion-btn').forEach(button => {
+        button.onclick = (e) => toggleDaoPanel(`discussion-${e.target.dataset.proposalId}`, () => loadProposalComments(e.target.dataset.proposalId));
+    });
+    document.querySelectorAll('.dao-history-btn').forEach(button => {
+        button.onclick = (e) => toggleDaoPanel(`history-${e.target.dataset.proposalId}`, () => loadProposalHistory(e.target.dataset.proposalId));
+    });
+    document.querySelectorAll('.dao-activate-btn').forEach(button => {
+        button.onclick = (e) => activateDaoProposal(e.target.dataset.proposalId, e.target);
+    });
 }
 
-async function castDaoVote(proposalId, voteType, voterWallet) {
+// Opens voting on one of the user's draft proposals
+async function activateDaoProposal(proposalId, button) {
+    if (!currentWalletAddress) {
+        showNotification('Please connect your wallet to open voting.', 'warning');
+        return;
+    }
+
+    button.disabled = true;
+    button.textContent = 'Opening...';
+    try {
+        const result = await postSignedData(`/dao/proposals/${proposalId}/activate`, { creatorWallet: currentWalletAddress });
+        if (result) {
+            showNotification('Voting is now open for your proposal!', 'success');
+            displayProposals(); // Update UI
+        }
+    } catch (error) {
+        showNotification(`Failed to open voting: ${error.message}`, 'error');
+        button.disabled = false;
+        button.textContent = 'Open Voting';
+    }
+}
+
+// `voteType` is 'for'/'against' for binary proposals; multi-option ballots pass `choices` (option indexes) instead.
+async function castDaoVote(proposalId, voteType, voterWallet, choices = null) {
     if (!currentWalletAddress) {
         showNotification('Please connect your wallet to vote.', 'warning');
         return;
@@ -954,7 +1413,7 @@ async function castDaoVote(proposalId, voteType, voterWallet) {
         return;
     }
 
-    if (Date.now() >= new Date(proposal.expiresAt).getTime()) {
+    if (proposal.status !== 'active' || Date.now() >= new Date(proposal.expiresAt).getTime()) {
         showNotification('Voting for this proposal has ended.', 'warning');
         return;
     }
@@ -966,7 +1425,14 @@ async function castDaoVote(proposalId, voteType, voterWallet) {
         return;
     }
 
-    const voteButton = document.querySelector(`.dao-vote-btn[data-proposal-id="${proposalId}"][data-vote-type="${voteType}"]`);
+    if (choices && choices.length === 0) {
+        showNotification('Please select at least one option.', 'warning');
+        return;
+    }
+
+    const voteButton = choices
+        ? document.querySelector(`.dao-ballot-btn[data-proposal-id="${proposalId}"]`)
+        : document.querySelector(`.dao-vote-btn[data-proposal-id="${proposalId}"][data-vote-type="${voteType}"]`);
     if (voteButton) {
         voteButton.disabled = true;
         voteButton.textContent = 'Voting...';
@@ -974,14 +1440,14 @@ async function castDaoVote(proposalId, voteType, voterWallet) {
     showNotification('Submitting your vote...', 'info');
 
     try {
-        const result = await postData(`/dao/vote`, {
+        const result = await postSignedData(`/dao/vote`, {
             proposalId: proposalId,
-            voteType: voteType,
+            ...(choices ? { choices: choices } : { voteType: voteType }),
             voterWallet: voterWallet
         });
 
         if (result) {
-            showNotification(`You successfully voted "${voteType}" on proposal #${proposal.id}!`, 'success');
+            showNotification(choices ? `Your ballot on "${proposal.title}" has been recorded!` : `You successfully voted "${voteType}" on proposal #${proposal.id}!`, 'success');
             displayProposals(); // Update UI
         }
     } catch (error) {
@@ -989,8 +1455,313 @@ async function castDaoVote(proposalId, voteType, voterWallet) {
     } finally {
         if (voteButton) {
             voteButton.disabled = false;
-            voteButton.textContent = `Vote ${voteType === 'for' ? 'FOR' : 'AGAINST'}`;
+            voteButton.textContent = choices ? 'Submit Ballot' : `Vote ${voteType === 'for' ? 'FOR' : 'AGAINST'}`;
+        }
+    }
+}
+
+// Shows or hides a proposal's discussion/history panel, loading its content when opened
+function toggleDaoPanel(panelId, load) {
+    const panel = document.getElementById(panelId);
+    if (!panel) return;
+    const opening = panel.style.display === 'none';
+    panel.style.display = opening ? 'block' : 'none';
+    if (opening) load();
+}
+
+// --- DAO Discussion ---
+async function loadProposalComments(proposalId) {
+    const panel = document.getElementById(`discussion-${proposalId}`);
+    if (!panel) return;
+    panel.innerHTML = '<p class="loading-message">Loading discussion...</p>';
+
+    const data = await fetchData(`/dao/proposals/${proposalId}/comments`);
+    if (!data) {
+        panel.innerHTML = '<p class="error-message">Failed to load the discussion.</p>';
+        return;
+    }
+
+    // Group replies under their parent comment
+    const repliesByParent = {};
+    data.comments.forEach(c => {
+        const key = c.parentComment || 'root';
+        (repliesByParent[key] = repliesByParent[key] || []).push(c);
+    });
+
+    const renderThread = (parentKey) => (repliesByParent[parentKey] || []).map(c => `
+        <li class="dao-comment" data-comment-id="${c._id}">
+            <p class="dao-comment-meta">${truncateAddress(c.authorWallet)} · ${new Date(c.createdAt).toLocaleString()}${c.editedAt ? ` · edited (${c.previousVersions.length} earlier version${c.previousVersions.length === 1 ? '' : 's'})` : ''} · ✍️ signed</p>
+            <p class="dao-comment-content">${escapeHtml(c.content)}</p>
+            <button class="web3-btn dao-reply-btn" data-comment-id="${c._id}">Reply</button>
+            ${c.authorWallet === currentWalletAddress ? `<button class="web3-btn dao-edit-comment-btn" data-comment-id="${c._id}">Edit</button>` : ''}
+            <ul class="dao-comment-replies">${renderThread(c._id)}</ul>
+        </li>
+    `).join('');
+
+    panel.innerHTML = `
+        ${data.comments.length ? `<ul class="dao-comments">${renderThread('root')}</ul>` : '<p class="no-data-message">No comments yet. Start the discussion!</p>'}
+        <form class="web3-form dao-comment-form">
+            <textarea name="commentContent" rows="3" maxlength="2000" placeholder="Share your thoughts (signed with your wallet)" required></textarea>
+            <button type="submit" class="web3-btn">Post Comment</button>
+        </form>
+    `;
+
+    panel.querySelector('.dao-comment-form').onsubmit = (e) => {
+        e.preventDefault();
+        postProposalComment(proposalId, e.target.commentContent.value.trim(), null);
+    };
+    panel.querySelectorAll('.dao-reply-btn').forEach(button => {
+        button.onclick = () => {
+            const content = prompt('Your reply:');
+            if (content && content.trim()) postProposalComment(proposalId, content.trim(), button.dataset.commentId);
+        };
+    });
+    panel.querySelectorAll('.dao-edit-comment-btn').forEach(button => {
+        button.onclick = () => {
+            const comment = data.comments.find(c => c._id === button.dataset.commentId);
+            const content = prompt('Edit your comment:', comment ? comment.content : '');
+            if (content && content.trim()) editProposalComment(proposalId, button.dataset.commentId, content.trim());
+        };
+    });
+}
+
+async function postProposalComment(proposalId, content, parentComment) {
+    if (!currentWalletAddress) {
+        showNotification('Please connect your wallet to comment.', 'warning');
+        return;
+    }
+    if (!content) return;
+
+    const result = await postSignedData(`/dao/proposals/${proposalId}/comments`, {
+        authorWallet: currentWalletAddress,
+        content: content,
+        ...(parentComment ? { parentComment: parentComment } : {})
+    }, { requireSignature: true });
+    if (result) {
+        showNotification('Comment posted!', 'success');
+        loadProposalComments(proposalId);
+    }
+}
+
+async function editProposalComment(proposalId, commentId, content) {
+    if (!currentWalletAddress) {
+        showNotification('Please connect your wallet to edit your comment.', 'warning');
+        return;
+    }
+
+    const result = await postSignedData(`/dao/proposals/${proposalId}/comments/${commentId}`, {
+        authorWallet: currentWalletAddress,
+        content: content
+    }, { method: 'PUT', requireSignature: true });
+    if (result) {
+        showNotification('Comment updated!', 'success');
+        loadProposalComments(proposalId);
+    }
+}
+
+// --- DAO Revision History and Amendments ---
+async function loadProposalHistory(proposalId) {
+    const panel = document.getElementById(`history-${proposalId}`);
+    if (!panel) return;
+    panel.innerHTML = '<p class="loading-message">Loading history...</p>';
+
+    const data = await fetchData(`/dao/proposals/${proposalId}/revisions`);
+    if (!data) {
+        panel.innerHTML = '<p class="error-message">Failed to load the revision history.</p>';
+        return;
+    }
+
+    const proposal = proposals.find(p => p._id === proposalId);
+    const canAmend = proposal && proposal.status === 'draft' && proposal.creatorWallet === currentWalletAddress;
+
+    panel.innerHTML = `
+        ${data.votedVersion ? `<p>Voting is on version ${data.votedVersion}.</p>` : ''}
+        <ol class="dao-revisions">
+            ${data.revisions.map(r => `
+                <li>
+                    <strong>v${r.version}</strong> · ${new Date(r.createdAt).toLocaleString()}${r.note ? ` · ${escapeHtml(r.note)}` : ''}
+                    <details>
+                        <summary>${escapeHtml(r.title)}</summary>
+                        <p>${escapeHtml(r.description)}</p>
+                        ${r.options && r.options.length ? `<ul>${r.options.map(o => `<li>${escapeHtml(o)}</li>`).join('')}</ul>` : ''}
+                    </details>
+                </li>
+            `).join('')}
+        </ol>
+        ${canAmend ? `
+            <form class="web3-form dao-amend-form">
+                <label>Amended title:</label>
+                <input type="text" name="amendTitle" value="${escapeHtml(proposal.title)}" required>
+                <label>Amended description:</label>
+                <textarea name="amendDescription" rows="5" required>${escapeHtml(proposal.description)}</textarea>
+                <label>What changed?</label>
+                <input type="text" name="amendNote" maxlength="500" placeholder="Short note for voters">
+                <button type="submit" class="web3-btn">Publish Amendment</button>
+            </form>
+        ` : ''}
+    `;
+
+    const amendForm = panel.querySelector('.dao-amend-form');
+    if (amendForm) {
+        amendForm.onsubmit = (e) => {
+            e.preventDefault();
+            amendProposal(proposalId, {
+                title: e.target.amendTitle.value.trim(),
+                description: e.target.amendDescription.value.trim(),
+                note: e.target.amendNote.value.trim()
+            });
+        };
+    }
+}
+
+async function amendProposal(proposalId, amendment) {
+    const result = await postSignedData(`/dao/proposals/${proposalId}/amendments`, {
+        creatorWallet: currentWalletAddress,
+        ...amendment
+    });
+    if (result) {
+        showNotification(result.message, 'success');
+        displayProposals(); // Update UI
+    }
+}
+
+// Categories and voting period bounds from GET /dao/categories
+let proposalRules = null;
+
+function getProposalCategoryLabel(categoryKey) {
+    const category = proposalRules && proposalRules.categories.find(c => c.key === categoryKey);
+    return category ? category.label : (categoryKey || 'community');
+}
+
+// Shows the selected category's requirements under the category select
+function updateProposalCategoryRules() {
+    const select = document.getElementById('proposalCategory');
+    const rulesText = document.getElementById('proposalCategoryRules');
+    if (!select || !rulesText || !proposalRules) return;
+
+    const category = proposalRules.categories.find(c => c.key === select.value);
+    rulesText.textContent = category
+        ? `Requires ${category.minStakeToPropose} AFOX staked to propose. Quorum: ${Math.round(category.quorum * 100)}%, approval threshold: ${Math.round(category.approvalThreshold * 100)}%.`
+        : '';
+    updateProposalExecutionFields();
+}
+
+// Treasury transfers can only be attached to for/against treasury proposals
+function updateProposalExecutionFields() {
+    const group = document.getElementById('proposalExecutionGroup');
+    if (!group) return;
+    const category = document.getElementById('proposalCategory').value;
+    const ballotType = document.getElementById('proposalBallotType').value;
+    group.style.display = category === 'treasury' && ballotType === 'binary' ? 'block' : 'none';
+}
+
+// Fills the category select and voting period limits of the proposal form
+async function loadProposalRules() {
+    const rules = await fetchData('/dao/categories');
+    if (!rules) return;
+    proposalRules = rules;
+
+    const select = document.getElementById('proposalCategory');
+    if (select) {
+        select.innerHTML = rules.categories
+            .map(c => `<option value="${c.key}">${c.label}</option>`)
+            .join('');
+        select.value = 'community';
+        select.onchange = updateProposalCategoryRules;
+        updateProposalCategoryRules();
+    }
+
+    const delegationSelect = document.getElementById('delegationCategory');
+    if (delegationSelect) {
+        delegationSelect.innerHTML = '<option value="">All categories</option>' + rules.categories
+            .map(c => `<option value="${c.key}">${c.label}</option>`)
+            .join('');
+    }
+
+    const periodInput = document.getElementById('proposalVotingPeriod');
+    if (periodInput) {
+        periodInput.min = rules.votingPeriodHours.min;
+        periodInput.max = rules.votingPeriodHours.max;
+        periodInput.placeholder = `${rules.votingPeriodHours.min}-${rules.votingPeriodHours.max} (default ${rules.votingPeriodHours.default})`;
+    }
+}
+
+// --- DAO Delegation ---
+async function loadDelegations() {
+    const container = document.getElementById('my-delegations');
+    if (!container) return;
+    if (!currentWalletAddress) {
+        container.innerHTML = '<p class="no-data-message">Connect your wallet to see your delegations.</p>';
+        return;
+    }
+
+    const data = await fetchData(`/dao/delegations?walletAddress=${currentWalletAddress}`);
+    if (!data) return;
+
+    const given = data.given.map(d => `
+        <li>
+            ${d.category ? getProposalCategoryLabel(d.category) : 'All categories'}: delegated to ${truncateAddress(d.delegateWallet)}
+            <button class="web3-btn revoke-delegation-btn" data-category="${d.category || ''}">Revoke</button>
+        </li>
+    `).join('');
+    const received = data.received.map(d => `
+        <li>${truncateAddress(d.delegatorWallet)} delegated to you (${d.category ? getProposalCategoryLabel(d.category) : 'All categories'})</li>
+    `).join('');
+
+    container.innerHTML = `
+        <h4>Your delegations</h4>
+        ${given ? `<ul>${given}</ul>` : '<p class="no-data-message">You have not delegated your voting power.</p>'}
+        <h4>Delegated to you</h4>
+        ${received ? `<ul>${received}</ul>` : '<p class="no-data-message">Nobody has delegated to you yet.</p>'}
+    `;
+
+    container.querySelectorAll('.revoke-delegation-btn').forEach(button => {
+        button.onclick = (e) => revokeDelegation(e.target.dataset.category || null);
+    });
+}
+
+async function createDelegation(event) {
+    event.preventDefault();
+    if (!currentWalletAddress) {
+        showNotification('Please connect your wallet to delegate.', 'warning');
+        return;
+    }
+
+    const delegateWallet = document.getElementById('delegateWalletInput').value.trim();
+    const category = document.getElementById('delegationCategory').value;
+    if (!delegateWallet) {
+        showNotification('Please enter the wallet address to delegate to.', 'warning');
+        return;
+    }
+
+    try {
+        const result = await postSignedData('/dao/delegations', {
+            delegatorWallet: currentWalletAddress,
+            delegateWallet: delegateWallet,
+            ...(category ? { category: category } : {})
+        });
+        if (result) {
+            showNotification(result.message, 'success');
+            document.getElementById('delegationForm').reset();
+            loadDelegations();
         }
+    } catch (error) {
+        showNotification(`Failed to delegate: ${error.message}`, 'error');
+    }
+}
+
+async function revokeDelegation(category) {
+    try {
+        const result = await postSignedData('/dao/delegations/revoke', {
+            delegatorWallet: currentWalletAddress,
+            ...(category ? { category: category } : {})
+        });
+        if (result) {
+            showNotification('Delegation revoked.', 'success');
+            loadDelegations();
+        }
+    } catch (error) {
+        showNotification(`Failed to revoke delegation: ${error.message}`, 'error');
     }
 }
 
@@ -1003,12 +1774,32 @@ async function createNewProposal(event) {
 
     const title = document.getElementById('proposalTitle').value.trim();
     const description = document.getElementById('proposalDescription').value.trim();
+    const category = document.getElementById('proposalCategory').value || 'community';
+    const votingPeriodValue = document.getElementById('proposalVotingPeriod').value;
+    const ballotType = document.getElementById('proposalBallotType').value || 'binary';
+    const options = document.getElementById('proposalOptions').value
+        .split('\n')
+        .map(option => option.trim())
+        .filter(option => option.length > 0);
+    const transferRecipient = document.getElementById('proposalTransferRecipient').value.trim();
+    const transferAmount = parseFloat(document.getElementById('proposalTransferAmount').value);
+    const withTransfer = category === 'treasury' && ballotType === 'binary' && (transferRecipient || transferAmount);
 
     if (!title || !description) {
         showNotification('Proposal title and description cannot be empty.', 'warning');
         return;
     }
 
+    if (ballotType !== 'binary' && options.length < 2) {
+        showNotification('Please enter at least two options, one per line.', 'warning');
+        return;
+    }
+
+    if (withTransfer && (!transferRecipient || !(transferAmount > 0))) {
+        showNotification('A treasury transfer needs both a recipient wallet and a positive amount.', 'warning');
+        return;
+    }
+
     const submitButton = event.target.querySelector('button[type="submit"]');
     submitButton.disabled = true;
     submitButton.textContent = 'Creating...';
@@ -1016,16 +1807,24 @@ async function createNewProposal(event) {
 
     try {
         // In a real DAO this would be a blockchain transaction (e.g., creating a proposal in a smart contract)
-        const result = await postData('/dao/proposals', {
+        const result = await postSignedData('/dao/proposals', {
             title: title,
             description: description,
             creatorWallet: currentWalletAddress,
-            // expiresAt will be calculated on the backend or in the smart contract
+            category: category,
+            ballotType: ballotType,
+            ...(ballotType !== 'binary' ? { options: options } : {}),
+            ...(withTransfer ? { execution: { type: 'spl_transfer', recipient: transferRecipient, amount: transferAmount } } : {}),
+            // Optional; the backend uses its default voting period when omitted and sets expiresAt itself
+            ...(votingPeriodValue ? { votingPeriodHours: parseFloat(votingPeriodValue) } : {})
         });
 
         if (result) {
             showNotification('Proposal successfully created!', 'success');
             document.getElementById('newProposalForm').reset();
+            document.getElementById('proposalCategory').value = 'community';
+            document.getElementById('proposalOptionsGroup').style.display = 'none';
+            updateProposalCategoryRules();
             document.getElementById('createProposalModal').style.display = 'none';
             displayProposals(); // Update UI
         }
@@ -1037,19 +1836,198 @@ async function createNewProposal(event) {
     }
 }
 
-// --- Staking (Simulation) ---
+// --- Staking ---
 let userAfoxBalance = 0;
 let userStakedAmount = 0;
 let userRewardsAmount = 0;
-const STAKING_APR = 10; // 10% annual percentage rate
-const MIN_STAKE_AMOUNT = 1;
+let stakingPools = []; // Pool terms from GET /staking/pools
+let userStakingPositions = []; // The wallet's open positions, one per deposit (oldest first)
+let userAutoCompound = false; // The wallet's auto-compound setting (default for new deposits)
+let compoundIntervalHours = 24; // How often auto-compounding positions fold their rewards into the stake
+
+function getStakingPool(poolKey) {
+    return stakingPools.find(pool => pool.key === poolKey) || null;
+}
+
+// The pool chosen in the stake form
+function getSelectedStakingPool() {
+    const select = document.getElementById('stakePoolSelect');
+    return getStakingPool(select ? select.value : null) || stakingPools[0] || null;
+}
 
 function updateStakingUI() {
     document.getElementById('userAfoxBalance').textContent = `${userAfoxBalance.toFixed(2)} AFOX`;
     document.getElementById('userStakedAmount').textContent = `${userStakedAmount.toFixed(2)} AFOX`;
-    document.getElementById('userRewardsAmount').textContent = `${userRewardsAmount.toFixed(2)} AFOX`;
-    document.getElementById('stakingApr').textContent = `${STAKING_APR}%`;
-    document.getElementById('minStakeAmount').textContent = `${MIN_STAKE_AMOUNT} AFOX`;
+    document.getElementById('userRewardsAmount').textContent = `${userRewardsAmount.toFixed(4)} AFOX`;
+
+    const pool = getSelectedStakingPool();
+    if (pool) {
+        document.getElementById('selectedPoolLabel').textContent = pool.label;
+        document.getElementById('stakingApr').textContent = `${(pool.apr * 100).toFixed(1)}%`;
+        document.getElementById('stakingApy').textContent = `${(pool.compoundApy * 100).toFixed(2)}%`;
+        document.getElementById('minStakeAmount').textContent = `${pool.minStake} AFOX`;
+        document.getElementById('lockupPeriod').textContent = pool.lockupDays > 0 ? `${pool.lockupDays} days` : '0 days (flexible)';
+        document.getElementById('unstakeFee').textContent = `${(pool.earlyExitFee * 100).toFixed(1)}%${pool.earlyExitFee > 0 ? ' (before the lockup ends)' : ''}`;
+    }
+    document.getElementById('compoundInfo').textContent = `Rewards are added to your stake every ${compoundIntervalHours} hours`;
+    const autoCompoundToggle = document.getElementById('autoCompoundToggle');
+    if (autoCompoundToggle) autoCompoundToggle.checked = userAutoCompound;
+    renderStakingPositions();
+}
+
+// One row per deposit, with its own unstake button
+function renderStakingPositions() {
+    const list = document.getElementById('stakingPositionsList');
+    if (!list) return;
+
+    if (userStakingPositions.length === 0) {
+        list.innerHTML = '';
+        return;
+    }
+    list.innerHTML = `<ul class="staking-positions">${userStakingPositions.map(position => {
+        const pool = getStakingPool(position.pool);
+        const locked = position.lockedUntil && new Date(position.lockedUntil).getTime() > Date.now();
+        const partial = position.stakedAmount < position.principal ? ` (of ${position.principal.toFixed(2)} deposited)` : '';
+        return `
+            <li>
+                <strong>${pool ? pool.label : position.pool}</strong>, staked ${new Date(position.startedAt).toLocaleDateString()}:
+                ${position.stakedAmount.toFixed(2)} AFOX${partial}, <span class="position-rewards" data-position-id="${position.id}">${position.rewards.toFixed(4)}</span> AFOX rewards
+                | APR ${(position.apr * 100).toFixed(1)}%, APY ${(position.apy * 100).toFixed(2)}%
+                ${locked ? ` | Locked until ${new Date(position.lockedUntil).toLocaleDateString()}` : ''}
+                <button class="web3-btn compound-position-btn" data-position-id="${position.id}" data-enabled="${position.autoCompound ? 'false' : 'true'}">
+                    Auto-compound: ${position.autoCompound ? 'on' : 'off'}
+                </button>
+                ${position.stakedAmount > 0 ? `<button class="web3-btn unstake-position-btn" data-position-id="${position.id}">Unstake</button>` : ''}
+            </li>
+        `;
+    }).join('')}</ul>`;
+
+    list.querySelectorAll('.unstake-position-btn').forEach(button => {
+        button.onclick = (e) => handleUnstakeAfox(e.target.dataset.positionId);
+    });
+    list.querySelectorAll('.compound-position-btn').forEach(button => {
+        button.onclick = (e) => handleAutoCompoundChange(e.target.dataset.enabled === 'true', e.target.dataset.positionId);
+    });
+}
+
+// Turns auto-compound on or off for one position, or wallet-wide (all open positions and future deposits)
+async function handleAutoCompoundChange(enabled, positionId) {
+    if (!currentWalletAddress) {
+        showNotification('Please connect your wallet to change auto-compound.', 'warning');
+        updateStakingUI(); // Reset the checkbox
+        return;
+    }
+
+    let result = null;
+    try {
+        const request = { walletAddress: currentWalletAddress, enabled };
+        if (positionId) request.positionId = positionId;
+        result = await postSignedData('/staking/auto-compound', request);
+        if (result) {
+            showNotification(result.message, 'success');
+        }
+    } catch (error) {
+        console.error('Error changing auto-compound:', error);
+        showNotification(`Failed to change auto-compound: ${error.message}`, 'error');
+    } finally {
+        refreshAfterStakingAction(result);
+    }
+}
+
+// Early-exit fee of withdrawing `amount` from `positions` in order (the same FIFO split the backend makes)
+function estimateUnstakeFee(positions, amount) {
+    let remaining = amount;
+    let fee = 0;
+    positions.forEach(position => {
+        if (remaining <= 0) return;
+        const take = Math.min(position.stakedAmount, remaining);
+        const pool = getStakingPool(position.pool);
+        const locked = position.lockedUntil && new Date(position.lockedUntil).getTime() > Date.now();
+        if (locked && pool) fee += take * pool.earlyExitFee;
+        remaining -= take;
+    });
+    return fee;
+}
+
+// Current emission epoch: its budget and the resulting base APR (pool APRs are multiples of it)
+async function loadEmissionInfo() {
+    const emissions = await fetchData('/staking/emissions');
+    if (!emissions || !emissions.current) return;
+    const epoch = emissions.current;
+    document.getElementById('emissionInfo').textContent =
+        `Epoch ${epoch.number}: ${epoch.budget.toLocaleString()} AFOX budget, base APR ${(epoch.baseApr * 100).toFixed(1)}% ` +
+        `(between ${(emissions.aprFloor * 100).toFixed(1)}% and ${(emissions.aprCap * 100).toFixed(1)}%) until ${new Date(epoch.endsAt).toLocaleDateString()}`;
+}
+
+// Fills the pool select of the stake form from the API
+async function loadStakingPools() {
+    const data = await fetchData('/staking/pools');
+    if (!data) return;
+    stakingPools = data.pools;
+    compoundIntervalHours = data.compoundIntervalHours || compoundIntervalHours;
+
+    const select = document.getElementById('stakePoolSelect');
+    if (select) {
+        select.innerHTML = stakingPools
+            .map(pool => `<option value="${pool.key}">${pool.label} (x${pool.rewardMultiplier}) - ${(pool.apr * 100).toFixed(1)}% APR (${(pool.compoundApy * 100).toFixed(2)}% APY compounded)</option>`)
+            .join('');
+        select.value = data.defaultPool;
+        select.onchange = updateStakingUI;
+    }
+    updateStakingUI();
+}
+
+let stakingStatsChart = null; // Chart.js instance of the TVL chart
+
+// Global staking statistics and the daily TVL / staker chart (last 30 days)
+async function loadStakingStats() {
+    const stats = await fetchData('/staking/stats?days=30');
+    if (!stats) return;
+
+    document.getElementById('stakingTvl').textContent = `${stats.tvl.toFixed(2)} AFOX`;
+    document.getElementById('stakingStakerCount').textContent = stats.stakerCount;
+    document.getElementById('stakingAverageStake').textContent = `${stats.averageStake.toFixed(2)} AFOX`;
+    document.getElementById('stakingRewardsDistributed').textContent = `${stats.rewardsDistributed.toFixed(2)} AFOX`;
+
+    const canvas = document.getElementById('stakingStatsChart');
+    if (!canvas || typeof Chart === 'undefined') return;
+    const data = {
+        labels: stats.series.map(snapshot => snapshot.day),
+        datasets: [
+            { label: 'TVL (AFOX)', data: stats.series.map(snapshot => snapshot.tvl), yAxisID: 'tvl', tension: 0.2 },
+            { label: 'Stakers', data: stats.series.map(snapshot => snapshot.stakerCount), yAxisID: 'stakers', tension: 0.2 }
+        ]
+    };
+    if (stakingStatsChart) {
+        stakingStatsChart.data = data;
+        stakingStatsChart.update();
+        return;
+    }
+    stakingStatsChart = new Chart(canvas, {
+        type: 'line',
+        data,
+        options: {
+            responsive: true,
+            scales: {
+                tvl: { type: 'linear', position: 'left', beginAtZero: true, title: { display: true, text: 'AFOX' } },
+                stakers: { type: 'linear', position: 'right', beginAtZero: true, grid: { drawOnChartArea: false }, ticks: { precision: 0 } }
+            }
+        }
+    });
+}
+
+// AFOX token balance of the connected wallet on Solana
+async function loadAfoxTokenBalance() {
+    const tokenAccountInfo = await solanaConnection.getParsedTokenAccountsByOwner(
+        new solanaWeb3.PublicKey(currentWalletAddress),
+        { mint: new solanaWeb3.PublicKey('GLkewtq8s2Yr24o5LT5mzzEeccKuSsy8H5RCHaE9uRAd') } // Your AFOX mint address
+    );
+
+    if (tokenAccountInfo.value.length > 0) {
+        userAfoxBalance = tokenAccountInfo.value[0].account.data.parsed.info.tokenAmount.uiAmount;
+    } else {
+        userAfoxBalance = 0;
+    }
 }
 
 async function loadUserAfoxBalance() {
@@ -1059,61 +2037,175 @@ async function loadUserAfoxBalance() {
         document.getElementById('userRewardsAmount').textContent = '0 AFOX';
         return;
     }
-    // In a real application: query AFOX balance from Solana network and staking data from backend/smart contract
-    // For demonstration, we simulate:
+    // AFOX balance from the Solana network, staking positions from the backend
     try {
-        const tokenAccountInfo = await solanaConnection.getParsedTokenAccountsByOwner(
-            new solanaWeb3.PublicKey(currentWalletAddress),
-            { mint: new solanaWeb3.PublicKey('GLkewtq8s2Yr24o5LT5mzzEeccKuSsy8H5RCHaE9uRAd') } // Your AFOX mint address
-        );
-
-        if (tokenAccountInfo.value.length > 0) {
-            userAfoxBalance = tokenAccountInfo.value[0].account.data.parsed.info.tokenAmount.uiAmount;
-        } else {
-            userAfoxBalance = 0;
-        }
+        await loadAfoxTokenBalance();
 
         // Load staking data from backend
-        const stakingData = await fetchData(`/staking/${currentWalletAddress}`);
-        if (stakingData) {
-            userStakedAmount = stakingData.stakedAmount || 0;
-            userRewardsAmount = stakingData.rewards || 0;
-        } else {
-            userStakedAmount = 0;
-            userRewardsAmount = 0;
-        }
+        applyStakingData(await fetchData(`/staking/${currentWalletAddress}`));
 
+        loadStakingPayouts();
+        loadStakingHistory(1);
         showNotification(`AFOX balance and staking data loaded.`, 'info');
 
     } catch (error) {
         console.error('Error loading AFOX balance or staking data:', error);
         showNotification('Failed to load AFOX balance or staking data.', 'error');
         userAfoxBalance = 0; // Reset if error
-        userStakedAmount = 0;
-        userRewardsAmount = 0;
+        applyStakingData(null);
     } finally {
         updateStakingUI();
     }
 }
 
-// Simulate daily rewards - in a real dApp, this would be either on-chain or calculated by the backend
-function simulateDailyRewards() {
-    if (userStakedAmount > 0) {
-        const dailyRate = STAKING_APR / 100 / 365;
-        userRewardsAmount += userStakedAmount * dailyRate;
+// Live reward accrual: the backend reports each position's rewards as of the response and the rate they grow
+// at (`rewardRatePerSecond`). Between syncs the displayed rewards tick up at that rate; a re-sync every
+// STAKING_RESYNC_INTERVAL_MS (and whenever the tab becomes visible again) corrects any drift.
+const STAKING_RESYNC_INTERVAL_MS = 60000;
+let stakingSyncedAt = 0; // Local time (ms) the staking data was last taken from the backend
+
+// Takes over the staking data of GET /staking/:walletAddress (also returned by stake, claim, unstake and auto-compound)
+function applyStakingData(stakingData) {
+    userStakedAmount = stakingData ? stakingData.stakedAmount || 0 : 0;
+    userRewardsAmount = stakingData ? stakingData.rewards || 0 : 0;
+    userStakingPositions = stakingData ? (stakingData.positions || []).map(position => ({ ...position, syncedRewards: position.rewards })) : [];
+    userAutoCompound = stakingData ? !!stakingData.autoCompound : false;
+    stakingSyncedAt = Date.now();
+}
+
+function tickStakingRewards() {
+    if (userStakingPositions.length === 0) return;
+    const elapsedSeconds = (Date.now() - stakingSyncedAt) / 1000;
+    userRewardsAmount = 0;
+    userStakingPositions.forEach(position => {
+        position.rewards = position.syncedRewards + position.rewardRatePerSecond * elapsedSeconds;
+        userRewardsAmount += position.rewards;
+        const rewardsElement = document.querySelector(`.position-rewards[data-position-id="${position.id}"]`);
+        if (rewardsElement) rewardsElement.textContent = position.rewards.toFixed(4);
+    });
+    document.getElementById('userRewardsAmount').textContent = `${userRewardsAmount.toFixed(4)} AFOX`;
+}
+setInterval(tickStakingRewards, 1000);
+
+async function syncStakingData() {
+    if (!currentWalletAddress) return;
+    const stakingData = await fetchData(`/staking/${currentWalletAddress}`);
+    if (stakingData) {
+        applyStakingData(stakingData);
         updateStakingUI();
     }
 }
-setInterval(simulateDailyRewards, 5000); // Simulate rewards accrual every 5 seconds
+setInterval(syncStakingData, STAKING_RESYNC_INTERVAL_MS);
+document.addEventListener('visibilitychange', () => {
+    if (!document.hidden) syncStakingData();
+});
+
+// After a staking action: the response carries the new staking data; the token balance and activity are reloaded.
+// Without it (the action failed), everything is reloaded from the backend and the chain.
+function refreshAfterStakingAction(result) {
+    if (result && result.staking) {
+        applyStakingData(result.staking);
+        updateStakingUI();
+        loadAfoxTokenBalance()
+            .then(updateStakingUI)
+            .catch(error => console.error('Error loading AFOX balance:', error));
+        loadStakingPayouts();
+        loadStakingHistory(1);
+    } else {
+        loadUserAfoxBalance();
+    }
+}
+
+const PAYOUT_STATUS_LABELS = {
+    pending: 'Pending',
+    sent: 'Sent, awaiting confirmation',
+    confirmed: 'Confirmed',
+    failed: 'Failed'
+};
+
+function formatPayoutStatus(payout) {
+    if (!payout) return '';
+    return `Payout status: ${PAYOUT_STATUS_LABELS[payout.status]}${payout.txSignature ? ` (Tx: ${truncateAddress(payout.txSignature)})` : ''}.`;
+}
+
+// Payout history (claims and unstakes sent from the staking vault)
+async function loadStakingPayouts() {
+    const list = document.getElementById('stakingPayoutsList');
+    if (!list || !currentWalletAddress) return;
+
+    const payouts = await fetchData(`/staking/${currentWalletAddress}/payouts`);
+    if (!payouts || payouts.length === 0) {
+        list.innerHTML = '<p class="no-data-message">No payouts yet.</p>';
+        return;
+    }
+    list.innerHTML = `<ul>${payouts.map(payout => `
+        <li>
+            ${new Date(payout.createdAt).toLocaleString()}: ${payout.type === 'claim' ? 'Rewards claim' : 'Unstake'} of ${payout.amount.toFixed(2)} AFOX
+            - <span class="payout-status payout-status-${payout.status}">${PAYOUT_STATUS_LABELS[payout.status]}</span>
+            ${payout.txSignature ? `<a href="https://solscan.io/tx/${payout.txSignature}?cluster=devnet" target="_blank">${truncateAddress(payout.txSignature)}</a>` : ''}
+        </li>
+    `).join('')}</ul>`;
+}
+
+const STAKING_EVENT_LABELS = {
+    stake: 'Stake',
+    claim: 'Rewards claim',
+    unstake: 'Unstake',
+    compound: 'Auto-compound',
+    payout_confirmed: 'Payout confirmed',
+    payout_failed: 'Payout failed',
+    migrated: 'Balance migrated'
+};
+const STAKING_HISTORY_PAGE_SIZE = 20;
+let stakingHistoryPage = 1;
+
+// Staking history table from the append-only ledger, newest first, with a CSV export of the full history
+async function loadStakingHistory(page = stakingHistoryPage) {
+    const body = document.getElementById('stakingHistoryBody');
+    if (!body || !currentWalletAddress) return;
+
+    const data = await fetchData(`/staking/${currentWalletAddress}/history?page=${page}&limit=${STAKING_HISTORY_PAGE_SIZE}`);
+    if (!data) return;
+    stakingHistoryPage = data.page;
+
+    if (data.events.length === 0) {
+        body.innerHTML = '<tr><td colspan="7" class="no-data-message">No staking activity yet.</td></tr>';
+    } else {
+        body.innerHTML = data.events.map(event => `
+            <tr>
+                <td>${new Date(event.createdAt).toLocaleString()}</td>
+                <td>${STAKING_EVENT_LABELS[event.type] || escapeHtml(event.type)}</td>
+                <td>${event.pool ? escapeHtml(getStakingPool(event.pool)?.label || event.pool) : '-'}</td>
+                <td>${event.amount.toFixed(4)}</td>
+                <td>${event.rewards ? event.rewards.toFixed(4) : '-'}</td>
+                <td>${event.fee ? event.fee.toFixed(4) : '-'}</td>
+                <td>${event.txSignature ? `<a href="https://solscan.io/tx/${event.txSignature}?cluster=devnet" target="_blank">${truncateAddress(event.txSignature)}</a>` : '-'}</td>
+            </tr>
+        `).join('');
+    }
+
+    const totalPages = Math.max(Math.ceil(data.total / data.limit), 1);
+    document.getElementById('stakingHistoryPageInfo').textContent = `Page ${data.page} of ${totalPages}`;
+    document.getElementById('stakingHistoryPrevBtn').disabled = data.page <= 1;
+    document.getElementById('stakingHistoryNextBtn').disabled = data.page >= totalPages;
+    const csvLink = document.getElementById('stakingHistoryCsvLink');
+    csvLink.href = `${API_BASE_URL}/staking/${currentWalletAddress}/history?format=csv`;
+    csvLink.hidden = data.total === 0;
+}
 
 async function handleStakeAfox() {
     if (!currentWalletAddress) {
         showNotification('Please connect your wallet to stake.', 'warning');
         return;
     }
+    const pool = getSelectedStakingPool();
+    if (!pool) {
+        showNotification('Staking pools could not be loaded. Please reload the page.', 'error');
+        return;
+    }
     const amount = parseFloat(document.getElementById('stakeAmountInput').value);
-    if (isNaN(amount) || amount < MIN_STAKE_AMOUNT || amount > userAfoxBalance) {
-        showNotification(`Please enter a valid amount (minimum ${MIN_STAKE_AMOUNT} AFOX) within your balance.`, 'warning');
+    if (isNaN(amount) || amount < pool.minStake || amount > userAfoxBalance) {
+        showNotification(`Please enter a valid amount (minimum ${pool.minStake} AFOX for the ${pool.label} pool) within your balance.`, 'warning');
         return;
     }
 
@@ -1122,44 +2214,42 @@ async function handleStakeAfox() {
     stakeButton.textContent = 'Staking...';
     showNotification('Sending AFOX for staking...', 'info');
 
+    let result = null;
     try {
-        // In a real application:
-        // 1. Create a staking transaction (interaction with the staking smart contract)
-        // Example: transfer AFOX to the staking smart contract address
-        // const stakeProgramId = new solanaWeb3.PublicKey('STAKING_PROGRAM_ADDRESS');
-        // const afoxtokenMint = new solanaWeb3.PublicKey('GLkewtq8s2Yr24o5LT5mzzEeccKuSsy8H5RCHaE9uRAd');
-        // const fromTokenAccount = await splToken.Token.getAssociatedTokenAddress(
-        //     splToken.ASSOCIATED_TOKEN_PROGRAM_ID, splToken.TOKEN_PROGRAM_ID, afoxtokenMint, phantomWallet.publicKey
-        // );
-        // const toStakeAccount = // (your logic for the staking account on the smart contract);
-        // const transaction = new solanaWeb3.Transaction().add(
-        //     splToken.Token.createTransferInstruction(
-        //         splToken.TOKEN_PROGRAM_ID,
-        //         fromTokenAccount,
-        //         toStakeAccount,
-        //         phantomWallet.publicKey,
-        //         [],
-        //         amount * (10 ** 9) // Convert to lamports if token has 9 decimal places
-        //     )
-        // );
-        // const { blockhash } = await solanaConnection.getRecentBlockhash();
-        // transaction.recentBlockhash = blockhash;
-        // transaction.feePayer = phantomWallet.publicKey;
-        // const signedTransaction = await phantomWallet.signTransaction(transaction);
-        // const signature = await solanaConnection.sendRawTransaction(signedTransaction.serialize());
-        // await solanaConnection.confirmTransaction(signature, 'confirmed');
-        // showNotification(`Staking transaction confirmed: ${truncateAddress(signature)}`, 'success');
-
-        // 2. After a successful blockchain transaction, update the state on the backend
-        const result = await postData('/staking/stake', {
+        // 1. Transfer the AFOX to the staking vault on-chain
+        const vault = await fetchData('/staking/vault');
+        if (!vault) return;
+
+        const mint = new solanaWeb3.PublicKey(vault.mint);
+        const vaultWallet = new solanaWeb3.PublicKey(vault.vaultWallet);
+        const vaultTokenAccount = new solanaWeb3.PublicKey(vault.vaultTokenAccount);
+        const mintInfo = await splToken.getMint(solanaConnection, mint);
+        const sourceTokenAccount = await splToken.getAssociatedTokenAddress(mint, phantomWallet.publicKey);
+        const rawAmount = BigInt(Math.round(amount * 10 ** mintInfo.decimals));
+
+        const transaction = new solanaWeb3.Transaction().add(
+            // Creates the vault's token account on the first deposit (no-op afterwards)
+            splToken.createAssociatedTokenAccountIdempotentInstruction(phantomWallet.publicKey, vaultTokenAccount, vaultWallet, mint),
+            splToken.createTransferCheckedInstruction(sourceTokenAccount, mint, vaultTokenAccount, phantomWallet.publicKey, rawAmount, mintInfo.decimals)
+        );
+        const { blockhash, lastValidBlockHeight } = await solanaConnection.getLatestBlockhash();
+        transaction.recentBlockhash = blockhash;
+        transaction.feePayer = phantomWallet.publicKey;
+
+        const signedTransaction = await phantomWallet.signTransaction(transaction);
+        const txSignature = await solanaConnection.sendRawTransaction(signedTransaction.serialize());
+        await solanaConnection.confirmTransaction({ signature: txSignature, blockhash, lastValidBlockHeight }, 'confirmed');
+        showNotification(`Staking transaction confirmed: ${truncateAddress(txSignature)}`, 'success');
+
+        // 2. The backend verifies the transfer on-chain and credits the stake
+        result = await postSignedData('/staking/stake', {
             walletAddress: currentWalletAddress,
-            amount: amount
+            txSignature: txSignature,
+            pool: pool.key
         });
 
         if (result) {
-            userAfoxBalance -= amount;
-            userStakedAmount += amount;
-            showNotification(`${amount.toFixed(2)} AFOX successfully staked!`, 'success');
+            showNotification(`${result.amount.toFixed(2)} AFOX successfully staked!`, 'success');
             document.getElementById('stakeAmountInput').value = '';
         }
     } catch (error) {
@@ -1168,8 +2258,7 @@ async function handleStakeAfox() {
     } finally {
         stakeButton.disabled = false;
         stakeButton.textContent = 'Stake';
-        updateStakingUI();
-        loadUserAfoxBalance(); // Reload for updated data
+        refreshAfterStakingAction(result); // The response carries the updated staking data
     }
 }
 
@@ -1178,7 +2267,7 @@ async function handleClaimRewards() {
         showNotification('Please connect your wallet to claim rewards.', 'warning');
         return;
     }
-    if (userRewardsAmount === 0) {
+    if (userRewardsAmount <= 0) {
         showNotification('No rewards to claim.', 'info');
         return;
     }
@@ -1188,21 +2277,16 @@ async function handleClaimRewards() {
     claimButton.textContent = 'Claiming...';
     showNotification('Claiming rewards...', 'info');
 
+    let result = null;
     try {
-        // In a real application:
-        // 1. Create a transaction to claim rewards (interaction with the staking smart contract)
-        // 2. Sign and send the transaction
-        // 3. Await confirmation
-
-        // 2. After a successful blockchain transaction, update the state on the backend
-        const result = await postData('/staking/claim-rewards', {
+        // The backend zeroes the rewards and sends them from the staking vault
+        result = await postSignedData('/staking/claim-rewards', {
             walletAddress: currentWalletAddress
         });
 
         if (result) {
-            userAfoxBalance += userRewardsAmount;
-            userRewardsAmount = 0;
-            showNotification('Rewards successfully claimed!', 'success');
+            // The tokens arrive once the payout transaction confirms; the balance reload below picks them up.
+            showNotification(`${result.message} ${formatPayoutStatus(result.payout)}`, 'success');
         }
     } catch (error) {
         console.error('Error claiming rewards:', error);
@@ -1210,22 +2294,47 @@ async function handleClaimRewards() {
     } finally {
         claimButton.disabled = false;
         claimButton.textContent = 'Claim Rewards';
-        updateStakingUI();
-        loadUserAfoxBalance();
+        refreshAfterStakingAction(result);
     }
 }
 
-async function handleUnstakeAfox() {
+// Unstakes from a single deposit (`positionId`, asks for the amount) or, from the unstake form,
+// the entered amount (all if empty) from the selected pool's deposits, oldest first
+async function handleUnstakeAfox(positionId) {
     if (!currentWalletAddress) {
         showNotification('Please connect your wallet to unstake.', 'warning');
         return;
     }
-    if (userStakedAmount === 0) {
-        showNotification('You have no AFOX staked.', 'info');
+
+    const pool = getSelectedStakingPool();
+    const positions = typeof positionId === 'string'
+        ? userStakingPositions.filter(position => position.id === positionId)
+        : userStakingPositions.filter(position => pool && position.pool === pool.key);
+    const available = positions.reduce((sum, position) => sum + position.stakedAmount, 0);
+    if (available <= 0) {
+        showNotification(`You have no AFOX staked${typeof positionId !== 'string' && pool ? ` in the ${pool.label} pool` : ''}.`, 'info');
         return;
     }
 
-    const confirmUnstake = confirm(`Are you sure you want to unstake all ${userStakedAmount.toFixed(2)} AFOX? This will also reset any current unclaimed rewards.`);
+    let amountText;
+    if (typeof positionId === 'string') {
+        amountText = prompt(`How much AFOX do you want to unstake from this deposit? (max ${available})`, String(available));
+        if (amountText === null) return;
+    } else {
+        amountText = document.getElementById('unstakeAmountInput').value;
+    }
+    const amount = amountText.trim() === '' ? available : parseFloat(amountText);
+    if (isNaN(amount) || amount <= 0 || amount > available) {
+        showNotification(`Please enter an amount between 0 and ${available} AFOX.`, 'warning');
+        return;
+    }
+
+    const fee = estimateUnstakeFee(positions, amount);
+    const feeWarning = fee > 0
+        ? ` Part of it is still locked, so an early-exit fee of about ${fee.toFixed(2)} AFOX will be withheld.`
+        : '';
+    const source = typeof positionId === 'string' ? 'this deposit' : `the ${pool.label} pool (oldest deposits first)`;
+    const confirmUnstake = confirm(`Are you sure you want to unstake ${amount.toFixed(2)} AFOX from ${source}? The unclaimed rewards of every deposit involved are paid out with it.${feeWarning}`);
     if (!confirmUnstake) return;
 
     const unstakeButton = document.getElementById('unstakeAfoxBtn');
@@ -1233,22 +2342,17 @@ async function handleUnstakeAfox() {
     unstakeButton.textContent = 'Unstaking...';
     showNotification('Unstaking AFOX...', 'info');
 
+    let result = null;
     try {
-        // In a real application:
-        // 1. Create a transaction to unstake
-        // 2. Sign and send the transaction
-        // 3. Await confirmation
-
-        // 2. After a successful blockchain transaction, update the state on the backend
-        const result = await postData('/staking/unstake', {
-            walletAddress: currentWalletAddress
-        });
+        // The backend returns the stake and rewards from the staking vault
+        const request = { walletAddress: currentWalletAddress, amount };
+        if (typeof positionId === 'string') request.positionId = positionId;
+        else request.pool = pool.key;
+        result = await postSignedData('/staking/unstake', request);
 
         if (result) {
-            userAfoxBalance += userStakedAmount;
-            userStakedAmount = 0;
-            userRewardsAmount = 0; // Rewards are usually reset when unstaking
-            showNotification('AFOX successfully unstaked!', 'success');
+            document.getElementById('unstakeAmountInput').value = '';
+            showNotification(`${result.message} ${formatPayoutStatus(result.payout)}`, 'success');
         }
     } catch (error) {
         console.error('Error unstaking AFOX:', error);
@@ -1256,8 +2360,7 @@ async function handleUnstakeAfox() {
     } finally {
         unstakeButton.disabled = false;
         unstakeButton.textContent = 'Unstake Tokens';
-        updateStakingUI();
-        loadUserAfoxBalance();
+        refreshAfterStakingAction(result);
     }
 }
 
@@ -1366,11 +2469,21 @@ document.addEventListener('DOMContentLoaded', () => {
         document.getElementById('createProposalModal').style.display = 'none';
     });
     document.getElementById('newProposalForm')?.addEventListener('submit', createNewProposal);
+    document.getElementById('proposalBallotType')?.addEventListener('change', (e) => {
+        // Options are only needed for multi-option ballots
+        document.getElementById('proposalOptionsGroup').style.display = e.target.value === 'binary' ? 'none' : 'block';
+        updateProposalExecutionFields();
+    });
+    loadProposalRules();
+    document.getElementById('delegationForm')?.addEventListener('submit', createDelegation);
 
     // Staking
     document.getElementById('stakeAfoxBtn')?.addEventListener('click', handleStakeAfox);
     document.getElementById('claimRewardsBtn')?.addEventListener('click', handleClaimRewards);
-    document.getElementById('unstakeAfoxBtn')?.addEventListener('click', handleUnstakeAfox);
+    document.getElementById('unstakeAfoxBtn')?.addEventListener('click', () => handleUnstakeAfox());
+    document.getElementById('autoCompoundToggle')?.addEventListener('change', (e) => handleAutoCompoundChange(e.target.checked));
+    document.getElementById('stakingHistoryPrevBtn')?.addEventListener('click', () => loadStakingHistory(stakingHistoryPage - 1));
+    document.getElementById('stakingHistoryNextBtn')?.addEventListener('click', () => loadStakingHistory(stakingHistoryPage + 1));
 
 
     // --- Initial data load on startup ---
@@ -1382,5 +2495,8 @@ document.addEventListener('DOMContentLoaded', () => {
     loadPosts(); // Load posts in "News" section
     displayProposals(); // Initialize DAO UI
     updateStakingUI(); // Initialize staking UI
+    loadStakingPools();
+    loadEmissionInfo();
+    loadStakingStats();
     loadUserAfoxBalance(); // Load initial AFOX balance (simulation)
 });